@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { HfInference } = require('@huggingface/inference');
 const riskCalculator = require('../utils/riskCalculator');
+const heartAge = require('../utils/heartAge');
+const fhirMedications = require('../utils/fhirMedications');
+const fhirKidneyObservations = require('../utils/fhirKidneyObservations');
+const fhirSexAndGender = require('../utils/fhirSexAndGender');
+const sexAtBirth = require('../utils/sexAtBirth');
+const riskFactorDetails = require('../utils/riskFactorDetails');
+const lifestyleMeasures = require('../utils/lifestyleMeasures');
 const axios = require('axios');
 
 const hf = new HfInference(process.env.HUGGINGFACE_API_KEY || process.env.HF_TOKEN);
@@ -14,16 +21,30 @@ const conversationContexts = new Map();
 // Define the question flow in order
 const QUESTION_FLOW = [
   'age',
-  'gender',
+  'sexAtBirth',
+  'genderIdentity',
+  'race',
   'systolicBP',
   'diastolicBP',
   'cholesterol',
   'hdlCholesterol',
+  'ldlCholesterol',
+  'triglycerides',
+  'serumCreatinine',
+  'uacr',
   'bmi',
   'smoking',
-  'physicalActivity',
-  'dietQuality',
+  'vaping',
+  'secondhandSmoke',
+  'moderateMinutes',
+  'mepa',
+  'sleepHours',
   'diabetes',
+  'hba1c',
+  'fastingGlucose',
+  'onBPMedication',
+  'onStatin',
+  'onAspirin',
   'familyHistory',
 ];
 
@@ -33,9 +54,20 @@ const FIELD_CONFIG = {
     text: "What's your age?",
     required: true
   },
-  gender: {
-    text: "What's your gender? (male/female/other)",
-    required: true
+  sexAtBirth: {
+    text: "What sex were you assigned at birth? (male/female) The heart risk equations are different for each, so I use this for the calculation. If you'd rather not say, say skip and I'll average the two.",
+    required: false,
+    ruleBased: true
+  },
+  genderIdentity: {
+    text: "And how do you describe your gender? (man/woman/non-binary/other, or skip)",
+    required: false,
+    ruleBased: true
+  },
+  race: {
+    text: "What is your race? (white/black or African American/other) One of the risk equations has separate versions for Black and White patients. If you'd rather not say, say so and I'll use the White/Other version.",
+    required: false,
+    ruleBased: true
   },
   systolicBP: {
     text: "What's your systolic blood pressure, the top number? (Normal: < 120 mmHg, Elevated: 120-129, High: ≥ 130 mmHg)",
@@ -53,6 +85,22 @@ const FIELD_CONFIG = {
     text: "What's your HDL cholesterol (the 'good' cholesterol)? (Low risk: ≥ 60 mg/dL, Normal: 40-59, High risk: < 40 mg/dL)",
     required: false
   },
+  ldlCholesterol: {
+    text: "What's your LDL cholesterol (the 'bad' cholesterol)? (Optimal: < 100 mg/dL, Borderline high: 130-159, High: 160-189, Very high: ≥ 190 mg/dL). If it's not on your lab results, say skip and I'll calculate it.",
+    required: false
+  },
+  triglycerides: {
+    text: "What's your triglyceride level? (Normal: < 150 mg/dL, Borderline high: 150-199, High: 200-499, Very high: ≥ 500 mg/dL)",
+    required: false
+  },
+  serumCreatinine: {
+    text: "What's your serum creatinine level from a recent blood test? (Typical: 0.6-1.1 mg/dL for women, 0.7-1.3 mg/dL for men). I'll use it to estimate your kidney function.",
+    required: false
+  },
+  uacr: {
+    text: "Do you know your urine albumin-to-creatinine ratio (UACR)? (Normal: < 30 mg/g, Moderately increased: 30-300, Severely increased: > 300 mg/g). You can say skip.",
+    required: false
+  },
   bmi: {
     text: "What's your BMI (Body Mass Index)? (Underweight: < 18.5, Normal: 18.5-24.9, Overweight: 25-29.9, Obese: ≥ 30). If you don't know your BMI, you can provide your weight and height.",
     required: false
@@ -60,14 +108,29 @@ const FIELD_CONFIG = {
   smoking: {
     text: "Do you smoke? (current/former/never)",
     required: false,
-    checkFollowUp: (val) => val === 'current' ? 'smoking_amount' : null
+    checkFollowUp: (val) => val === 'current' || val === 'former' ? 'smoking_amount' : null
   },
-  physicalActivity: {
-    text: "How much physical activity do you get? (sedentary: little to no exercise, moderate: some regular exercise, active: regular exercise most days)",
+  vaping: {
+    text: "Do you vape or use e-cigarettes? (current/former/never)",
+    required: false,
+    ruleBased: true
+  },
+  secondhandSmoke: {
+    text: "Does anyone smoke indoors at your home? (yes/no)",
     required: false
   },
-  dietQuality: {
-    text: "How would you rate your diet quality? (poor: mostly processed foods, fair: mixed diet, good: mostly whole foods, excellent: very healthy balanced diet)",
+  moderateMinutes: {
+    text: "How many minutes a week do you spend on moderate exercise, such as brisk walking, cycling on level ground or gardening? Something like \"30 minutes 5 days a week\" or \"none\" is fine.",
+    required: false,
+    checkFollowUp: (val) => val !== null && val !== undefined ? 'vigorous_minutes' : null
+  },
+  mepa: {
+    text: `In a typical week, which of these apply to you? Reply with the numbers that apply (e.g. "1, 3, 10"), or "none":\n${lifestyleMeasures.mepaItems.map((item, index) => `${index + 1}. ${item.label}`).join('\n')}`,
+    required: false,
+    ruleBased: true
+  },
+  sleepHours: {
+    text: "On average, how many hours do you sleep a night? (Recommended for adults: 7-9 hours)",
     required: false
   },
   diabetes: {
@@ -75,27 +138,86 @@ const FIELD_CONFIG = {
     required: false,
     checkFollowUp: (val) => val === true ? 'diabetes_type' : null
   },
+  hba1c: {
+    text: "Do you know your HbA1c from a recent blood test? (Normal: < 5.7%, Prediabetes: 5.7-6.4%, Diabetes: ≥ 6.5%). You can say skip.",
+    required: false
+  },
+  fastingGlucose: {
+    text: "Do you know your fasting blood glucose? (Normal: < 100 mg/dL, Prediabetes: 100-125, Diabetes: ≥ 126 mg/dL). You can say skip.",
+    required: false,
+    // HbA1c is preferred, and with diabetes only HbA1c is scored
+    skipIf: (data) => (data.hba1c !== null && data.hba1c !== undefined) || data.diabetes === true
+  },
+  onBPMedication: {
+    text: "Are you currently taking medication to lower your blood pressure? (yes/no)",
+    required: false
+  },
+  onStatin: {
+    text: "Are you currently taking a statin for your cholesterol, such as atorvastatin, rosuvastatin or simvastatin? (yes/no)",
+    required: false
+  },
+  onAspirin: {
+    text: "Do you take aspirin regularly (for example a daily low-dose aspirin)? (yes/no)",
+    required: false
+  },
   familyHistory: {
     text: "Do you have a family history of heart disease? (yes/no - includes parents, siblings, or grandparents with heart disease)",
-    required: false
+    required: false,
+    checkFollowUp: (val) => val === true ? 'family_history_relative' : null
   }
 };
 
 // Define Follow-up Questions
 const FOLLOW_UPS = {
+  vigorous_minutes: {
+    text: "And how many minutes a week of vigorous exercise, such as running, swimming laps or a fitness class? (\"none\" is fine)",
+    field: "vigorousMinutes",
+    parse: (message) => lifestyleMeasures.parseMinutes(message),
+    next: null
+  },
   diabetes_type: {
     text: "I see. What type of diabetes do you have? (Type 1 / Type 2 / Gestational / Other)",
     field: "diabetesType",
+    parse: (message) => riskFactorDetails.parseDiabetesType(message),
     next: "diabetes_duration"
   },
   diabetes_duration: {
     text: "How many years have you been managing your diabetes?",
     field: "diabetesDuration",
+    parse: (message) => riskFactorDetails.parseYears(message),
     next: null
   },
   smoking_amount: {
-    text: "About how many cigarettes do you smoke per day?",
+    text: "About how many cigarettes a day do you smoke (or did you smoke, if you quit)? A number or something like \"a pack a day\" is fine.",
     field: "cigarettesPerDay",
+    parse: (message) => riskFactorDetails.parseCigarettesPerDay(message),
+    next: "smoking_years"
+  },
+  smoking_years: {
+    text: "For how many years in total have you smoked?",
+    field: "smokingYears",
+    parse: (message) => riskFactorDetails.parseYears(message),
+    next: (data) => data.smoking === 'former' ? 'smoking_quit_years' : null
+  },
+  smoking_quit_years: {
+    text: "How many years ago did you quit?",
+    field: "smokingQuitYears",
+    parse: (message) => riskFactorDetails.parseYears(message),
+    next: null
+  },
+  family_history_relative: {
+    text: "Which relative had heart disease? If more than one, tell me the one who was youngest when it started (e.g. father, mother, brother, sister, grandparent).",
+    field: "familyHistoryRelative",
+    parse: parseRelative,
+    next: "family_history_onset_age"
+  },
+  family_history_onset_age: {
+    text: "About how old were they when their heart disease started?",
+    field: "familyHistoryOnsetAge",
+    parse: (message) => {
+      const numMatch = message.match(/\d+/);
+      return numMatch ? parseInt(numMatch[0]) : message;
+    },
     next: null
   }
 };
@@ -146,10 +268,44 @@ router.post('/message', async (req, res) => {
         // Generate risk summary
         const riskPercentage = riskAssessment.riskPercentage || riskAssessment.riskScore;
         const category = riskAssessment.categoryDescription || riskAssessment.category;
+        let riskSummary = describeRiskEstimate(riskAssessment, riskPercentage, category);
+
+        // Explain which models the user's age rules out and what was used instead
+        const applicabilityText = describeModelApplicability(riskAssessment);
+        if (applicabilityText) {
+          riskSummary += ` ${applicabilityText}`;
+        }
+
+        // Heart age is often easier to grasp than a percentage
+        const heartAgeText = heartAge.describe(riskAssessment.heartAge);
+        if (heartAgeText) {
+          riskSummary += ` ${heartAgeText}`;
+        }
+
+        // Say so when the sex-specific equations were averaged because sex at birth wasn't given
+        if (riskAssessment.sexAtBirth && riskAssessment.sexAtBirth.fallback) {
+          riskSummary += " Because I don't know the sex you were assigned at birth, this is the average of the equations for men and women, so it is less precise.";
+        }
+
+        // Explain a category change from risk enhancers or the CAC score
+        if (riskAssessment.reclassification && riskAssessment.reclassification.explanation) {
+          riskSummary += ` ${riskAssessment.reclassification.explanation}`;
+        }
+
+        // Tell the user when LDL was calculated rather than taken from their lab results
+        const lipids = riskAssessment.lipids;
+        if (lipids && lipids.ldlCholesterol !== null && lipids.ldlMethod !== 'measured') {
+          riskSummary += ` Your LDL cholesterol was calculated as ${lipids.ldlCholesterol} mg/dL (${lipids.ldlMethod === 'martin-hopkins' ? 'Martin-Hopkins' : 'Friedewald'} method).`;
+        }
+
+        // Add a caveat when the individual models disagree
+        if (riskAssessment.disagreement && riskAssessment.disagreement.flagged) {
+          riskSummary += ` Please note: ${riskAssessment.disagreement.message}`;
+        }
         
         return res.json({
-          response: `Based on your health information, your 10-year heart disease risk is ${riskPercentage}%, which is classified as ${category}. Would you like to know how to lower your risk?`,
-          message: `Based on your health information, your 10-year heart disease risk is ${riskPercentage}%, which is classified as ${category}. Would you like to know how to lower your risk?`,
+          response: `${riskSummary} Would you like to know how to lower your risk?`,
+          message: `${riskSummary} Would you like to know how to lower your risk?`,
           riskAssessment,
           recommendations,
           collectedData: context.collectedData,
@@ -171,67 +327,9 @@ router.post('/message', async (req, res) => {
         context.waitingForRiskLowering = false;
         context.waitingForComparison = true;
         
-        // Check if user is a current smoker and add smoking cessation message first
-        const isCurrentSmoker = context.collectedData.smoking === 'current' || 
-                                context.collectedData.smoking === true || 
-                                context.collectedData.smoking === 'yes';
-        
-        let recommendationsText = '';
-        
-        // Add smoking cessation message prominently if they're a current smoker
-        if (isCurrentSmoker) {
-          recommendationsText = '**Most importantly, if you smoke, quitting smoking is the single most important step you can take to reduce your heart disease risk.** Smoking significantly increases your risk of heart disease, stroke, and other cardiovascular problems. Consider seeking support through smoking cessation programs, nicotine replacement therapy, or speaking with your healthcare provider about medications that can help. ';
-        }
-        
-        // Generate lifestyle recommendations text
-        const lifestyleRecs = context.recommendations
-          .filter(rec => ['Diet', 'Physical Activity', 'Weight Management', 'Cholesterol', 'Blood Pressure'].includes(rec.category))
-          .slice(0, 3);
-        
-        const specificActions = [];
-        const patientData = context.collectedData;
-        
-        // Check BMI separately and add condensed advice if high (regardless of whether Weight Management is in top 3)
-        if (patientData.bmi >= 25) {
-          specificActions.push('• Reduce caloric intake by cutting back on heavily processed foods and sugary drinks, and focus on whole foods like fruits, vegetables, lean proteins, and whole grains');
-        }
-        
-        lifestyleRecs.forEach(rec => {
-          if (rec.category === 'Diet') {
-            // Skip if BMI advice already covers this
-            if (patientData.bmi < 25) {
-              specificActions.push('• Eat more fruits and vegetables (aim for 5 servings daily) and choose whole grains over refined grains');
-            }
-          } else if (rec.category === 'Physical Activity') {
-            if (patientData.physicalActivity === 'none' || patientData.physicalActivity === 'sedentary') {
-              specificActions.push('• Start with simple activities like walking 30 minutes a day or taking the stairs instead of elevators');
-            } else {
-              specificActions.push('• Increase your activity to at least 150 minutes of moderate exercise per week (like brisk walking, cycling, or swimming)');
-            }
-          } else if (rec.category === 'Weight Management') {
-            // Only add generic weight management advice if BMI advice wasn't already added above
-            if (patientData.bmi < 25) {
-              specificActions.push('• Work toward a healthy weight through portion control and regular physical activity - even a 5-10% weight loss can make a significant difference');
-            }
-          } else if (rec.category === 'Cholesterol') {
-            specificActions.push('• Reduce saturated fats (found in red meat and full-fat dairy) and increase omega-3 rich foods like fish, nuts, and seeds');
-          } else if (rec.category === 'Blood Pressure') {
-            specificActions.push('• Reduce sodium intake (aim for less than 2,300mg per day) and increase potassium-rich foods like bananas, spinach, and sweet potatoes');
-          }
-        });
+        const recommendationsText = formatRiskLoweringAdvice(context.recommendations);
 
-        if (specificActions.length > 0) {
-          if (recommendationsText) {
-            recommendationsText += `\n\nAdditionally, to improve your heart health:\n${specificActions.join('\n')}.`;
-          } else {
-            recommendationsText = `To improve your heart health:\n${specificActions.join('\n')}.`;
-          }
-        } else if (!recommendationsText) {
-          recommendationsText = 'Based on your current health profile, maintaining your current healthy habits is important.';
-        }
-
-        const patientGender = context.collectedData.gender;
-        const genderLabel = patientGender === 'male' ? 'men' : patientGender === 'female' ? 'women' : 'people';
+        const genderLabel = getComparisonGroupLabel(context.collectedData);
         
         return res.json({
           response: recommendationsText + `\n\nWould you like to see how your values compare to the average ${genderLabel} in the Synthea database?`,
@@ -245,8 +343,7 @@ router.post('/message', async (req, res) => {
         // User said no to recommendations, but still ask about comparisons
         context.waitingForRiskLowering = false;
         context.waitingForComparison = true;
-        const patientGender = context.collectedData.gender;
-        const genderLabel = patientGender === 'male' ? 'men' : patientGender === 'female' ? 'women' : 'people';
+        const genderLabel = getComparisonGroupLabel(context.collectedData);
         
         return res.json({
           response: `Would you like to see how your values compare to the average ${genderLabel} in the Synthea database?`,
@@ -266,8 +363,7 @@ router.post('/message', async (req, res) => {
         
         // Generate comparison text with gender context
         let comparisonText = '';
-        const patientGender = context.collectedData.gender;
-        const genderLabel = patientGender === 'male' ? 'men' : patientGender === 'female' ? 'women' : 'people';
+        const genderLabel = getComparisonGroupLabel(context.collectedData);
         
         if (context.riskAssessment.databaseComparison && context.riskAssessment.databaseComparison.insights) {
           const insights = context.riskAssessment.databaseComparison.insights;
@@ -370,18 +466,20 @@ router.post('/message', async (req, res) => {
       const followUpKey = context.followUpState;
       const followUpConfig = FOLLOW_UPS[followUpKey];
 
-      // Extract data for follow-up (generic extraction since these vary)
-      // For simplicity in this version, we just store the raw text string
-      // Ideally we'd parse numbers for duration/cigarettes etc.
-      context.collectedData[followUpConfig.field] = message;
+      // Extract data for follow-up: use the follow-up's parser if it has one,
+      // otherwise store the raw text string
+      context.collectedData[followUpConfig.field] = followUpConfig.parse ? followUpConfig.parse(message) : message;
       console.log(`[DEBUG] Saved follow-up ${followUpConfig.field}: ${message}`);
 
-      // Move to next follow-up or resume main flow
-      if (followUpConfig.next) {
-        context.followUpState = followUpConfig.next;
+      // Move to next follow-up (which may depend on the answers so far) or resume main flow
+      const nextFollowUp = typeof followUpConfig.next === 'function'
+        ? followUpConfig.next(context.collectedData)
+        : followUpConfig.next;
+      if (nextFollowUp) {
+        context.followUpState = nextFollowUp;
         return res.json({
-          response: FOLLOW_UPS[followUpConfig.next].text,
-          message: FOLLOW_UPS[followUpConfig.next].text,
+          response: FOLLOW_UPS[nextFollowUp].text,
+          message: FOLLOW_UPS[nextFollowUp].text,
           collectedData: context.collectedData
         });
       } else {
@@ -397,8 +495,8 @@ router.post('/message', async (req, res) => {
 
       let parsedValue = null;
 
-      // Try AI extraction
-      if (currentField === 'bmi' || USE_AI_EXTRACTION) {
+      // Try AI extraction (not for answers with a rule-based format, such as a list of item numbers)
+      if (currentField === 'bmi' || (USE_AI_EXTRACTION && !FIELD_CONFIG[currentField].ruleBased)) {
         try {
           parsedValue = await extractHealthDataWithAI(message, currentField, context);
         } catch (aiError) {
@@ -459,7 +557,12 @@ router.post('/message', async (req, res) => {
       saveToFHIR(context.collectedData, sessionId).catch(e => console.log('FHIR Save Error:', e.message));
     }
 
-    // 4. Ask Next Question or Finish
+    // 4. Ask Next Question or Finish, passing over questions earlier answers made unnecessary
+    while (context.currentQuestionIndex < QUESTION_FLOW.length &&
+      FIELD_CONFIG[QUESTION_FLOW[context.currentQuestionIndex]].skipIf &&
+      FIELD_CONFIG[QUESTION_FLOW[context.currentQuestionIndex]].skipIf(context.collectedData)) {
+      context.currentQuestionIndex++;
+    }
     if (context.currentQuestionIndex < QUESTION_FLOW.length) {
       const nextField = QUESTION_FLOW[context.currentQuestionIndex];
       return res.json({
@@ -506,7 +609,7 @@ async function extractHealthDataWithAI(userMessage, currentField, conversationCo
       prompt = `Extract ${currentField} from user input: "${userMessage}".
       Context question: ${FIELD_CONFIG[currentField].text}
       Return ONLY valid JSON: {"value": <extracted_value>}.
-      For gender: "male", "female". For yes/no: true, false. For smoking: "current", "former", "never".`;
+      For yes/no: true, false. For smoking: "current", "former", "never".`;
     }
 
     const model = process.env.FALLBACK_LLM_MODEL || 'microsoft/DialoGPT-medium';
@@ -554,6 +657,8 @@ function parseAnswer(message, field) {
 
   switch(field) {
     case 'age': case 'systolicBP': case 'diastolicBP': case 'cholesterol': case 'hdlCholesterol':
+    case 'ldlCholesterol': case 'triglycerides': case 'serumCreatinine': case 'uacr':
+    case 'hba1c': case 'fastingGlucose': case 'sleepHours':
       // Handle BP slash format 120/80 separately in main logic or regex here
       if (field.includes('BP') && message.includes('/')) {
         const parts = message.split('/');
@@ -565,9 +670,24 @@ function parseAnswer(message, field) {
       const bmiMatch = message.match(/bmi[:\s]*(\d+(\.\d+)?)/i) || numMatch;
       return bmiMatch ? parseFloat(bmiMatch[1] || bmiMatch[0]) : undefined;
 
-    case 'gender':
-      if (lower.includes('female') || lower.startsWith('f') || lower.includes('woman')) return 'female';
-      if (lower.includes('male') || lower.startsWith('m') || lower.includes('man')) return 'male';
+    case 'sexAtBirth': {
+      const sex = sexAtBirth.parseSexAtBirth(lower);
+      if (sex) return sex;
+      // "Other", intersex or not wanting to say: the models average the male and female equations
+      if (/\b(other|intersex|prefer not|rather not|unknown|not sure)\b/.test(lower)) return 'unknown';
+      return undefined;
+    }
+
+    case 'genderIdentity': {
+      const identity = sexAtBirth.parseGenderIdentity(message);
+      return identity || undefined;
+    }
+
+    case 'race':
+      if (/\b(prefer not|rather not|decline|don't want)\b/.test(lower)) return 'declined';
+      if (/\b(black|african)\b/.test(lower)) return 'african-american';
+      if (/\b(white|caucasian)\b/.test(lower)) return 'white';
+      if (/\b(other|asian|hispanic|latin[oax]|native|pacific|mixed|multiracial)\b/.test(lower)) return 'other';
       return undefined;
 
     case 'smoking':
@@ -576,27 +696,91 @@ function parseAnswer(message, field) {
       if (lower.includes('never') || lower.includes('no')) return 'never';
       return undefined;
 
-    case 'diabetes': case 'familyHistory':
+    case 'vaping':
+      if (lower.includes('used to') || lower.includes('former') || lower.includes('quit')) return 'former';
+      if (lower.includes('current') || lower.includes('yes') || /\bi (do|vape)\b/.test(lower)) return 'current';
+      if (lower.includes('never') || lower.includes('no')) return 'never';
+      return undefined;
+
+    case 'diabetes': case 'familyHistory': case 'secondhandSmoke':
       if (lower.includes('yes') || lower.includes('have')) return true;
       if (lower.includes('no')) return false;
       return undefined;
 
-    case 'physicalActivity':
-      if (lower.includes('sedentary') || lower.includes('none')) return 'sedentary';
-      if (lower.includes('moderate')) return 'moderate';
-      if (lower.includes('active')) return 'active';
+    case 'onBPMedication': case 'onStatin': case 'onAspirin':
+      // Check negative answers first so "I don't take any" is not read as taking it
+      if (/\b(no|not|don't|dont|never|none)\b/.test(lower)) return false;
+      if (lower.includes('yes') || lower.includes('take') || lower.includes('on ')) return true;
       return undefined;
 
-    case 'dietQuality':
-      if (lower.includes('poor')) return 'poor';
-      if (lower.includes('fair')) return 'fair';
-      if (lower.includes('good')) return 'good';
-      if (lower.includes('excellent')) return 'excellent';
-      return undefined;
+    case 'moderateMinutes': {
+      const minutes = lifestyleMeasures.parseMinutes(message);
+      return minutes !== null ? minutes : undefined;
+    }
+
+    case 'mepa': {
+      const items = lifestyleMeasures.parseMepaAnswer(message);
+      return items !== null ? items : undefined;
+    }
   }
   return undefined;
 }
 
+// Headline estimate: lifetime risk when the user is too young for the 10-year equations, a lower bound when too old
+function describeRiskEstimate(riskAssessment, riskPercentage, category) {
+  const routing = riskAssessment.ageRouting;
+  const alternative = routing && routing.alternative;
+  if (alternative && !alternative.lowerBound) {
+    return `Based on your health information, your lifetime risk of a heart attack or stroke is ${alternative.riskPercentage}%.`;
+  }
+  if (alternative && alternative.lowerBound) {
+    return `Based on your health information, your 10-year heart disease risk is at least ${alternative.riskPercentage}%, which is classified as ${category}.`;
+  }
+  if (riskAssessment.riskPercentage === null) {
+    return "I couldn't estimate your 10-year heart disease risk from the information you gave.";
+  }
+  return `Based on your health information, your 10-year heart disease risk is ${riskPercentage}%, which is classified as ${category}.`;
+}
+
+// Why risk models weren't used for the user's age, and which model took their place
+function describeModelApplicability(riskAssessment) {
+  const routing = riskAssessment.ageRouting;
+  if (routing && routing.status !== 'inRange') {
+    return routing.message;
+  }
+  return Object.values(riskAssessment.applicability || {})
+    .filter(entry => (entry.status === 'belowAgeRange' || entry.status === 'aboveAgeRange') && entry.alternatives.length > 0)
+    .map(entry => `I didn't use the ${entry.name} (validated for ages ${entry.validRange.min}-${entry.validRange.max} only) and relied on ${entry.alternatives[0].name} instead.`)
+    .join(' ');
+}
+
+// Who the Synthea comparison is with: its statistics are by sex at birth
+function getComparisonGroupLabel(collectedData) {
+  const { sexAtBirth: sex, genderIdentity } = sexAtBirth.normalize(collectedData);
+  if (!sex) {
+    return 'people';
+  }
+  const matchingIdentity = sex === 'male' ? 'man' : 'woman';
+  if (genderIdentity && genderIdentity !== matchingIdentity) {
+    return `people assigned ${sex} at birth`;
+  }
+  return sex === 'male' ? 'men' : 'women';
+}
+
+// Map a free-text relative to the vocabulary used for premature family history
+function parseRelative(message) {
+  const lower = message.toLowerCase();
+  const relatives = [
+    ['grand', 'grandparent'],
+    ['father', 'father'], ['dad', 'father'],
+    ['mother', 'mother'], ['mom', 'mother'], ['mum', 'mother'],
+    ['brother', 'brother'], ['sister', 'sister'],
+    ['son', 'son'], ['daughter', 'daughter']
+  ];
+  const match = relatives.find(([keyword]) => lower.includes(keyword));
+  return match ? match[1] : message;
+}
+
 // Calculate risk endpoint
 router.post('/calculate-risk', async (req, res) => {
   try {
@@ -619,8 +803,9 @@ async function saveToFHIR(collectedData, sessionId) {
     const fhirPatient = {
       resourceType: 'Patient',
       id: `patient-${sessionId}`,
-      gender: collectedData.gender || 'unknown',
-      birthDate: collectedData.age ? calculateBirthDate(collectedData.age) : undefined
+      gender: fhirSexAndGender.getAdministrativeGender(collectedData),
+      birthDate: collectedData.age ? calculateBirthDate(collectedData.age) : undefined,
+      extension: fhirSexAndGender.buildExtensions(collectedData)
     };
 
     try {
@@ -629,6 +814,30 @@ async function saveToFHIR(collectedData, sessionId) {
       });
     } catch (e) { /* ignore */ }
 
+    // Medication statements use deterministic ids so answering again updates them
+    const medicationStatements = fhirMedications.buildStatements(collectedData, `patient-${sessionId}`, {
+      idPrefix: `medication-${sessionId}`
+    });
+    for (const statement of medicationStatements) {
+      try {
+        await axios.put(`${FHIR_SERVER_URL}/MedicationStatement/${statement.id}`, statement, {
+          headers: { 'Content-Type': 'application/fhir+json' }
+        });
+      } catch (e) { /* ignore */ }
+    }
+
+    // Kidney function observations, with deterministic ids like the medication statements
+    const kidneyObservations = fhirKidneyObservations.buildObservations(collectedData, `patient-${sessionId}`, {
+      idPrefix: `kidney-${sessionId}`
+    });
+    for (const observation of kidneyObservations) {
+      try {
+        await axios.put(`${FHIR_SERVER_URL}/Observation/${observation.id}`, observation, {
+          headers: { 'Content-Type': 'application/fhir+json' }
+        });
+      } catch (e) { /* ignore */ }
+    }
+
     // Observations would go here...
     console.log(`✓ Saved to FHIR: session ${sessionId}`);
   } catch (error) {
@@ -644,8 +853,55 @@ function calculateBirthDate(age) {
 async function calculateRisk(collectedData) {
   // Include database comparison for Synthea metrics comparison
   const riskAssessment = await riskCalculator.calculateRisk(collectedData, true, true);
-  const recommendations = riskCalculator.generateRecommendations(riskAssessment, collectedData);
+  const recommendations = await riskCalculator.rankRecommendations(
+    riskCalculator.generateRecommendations(riskAssessment, collectedData),
+    riskAssessment,
+    collectedData,
+    { useSarahModel: true }
+  );
   return { riskAssessment, recommendations };
 }
 
+/**
+ * Answer to "how can I lower my risk?" from the recommendations' chat summaries
+ * The recommendations are ranked by estimated risk reduction, so the answer leads with the (up to three)
+ * biggest wins and their estimates; the remaining tips follow as a list.
+ */
+function formatRiskLoweringAdvice(recommendations) {
+  const summarized = recommendations.filter(rec => rec.summary);
+  const biggestWins = summarized
+    .filter(rec => rec.riskReduction && rec.riskReduction.absolute > 0)
+    .slice(0, 3);
+  const otherTips = summarized.filter(rec => !biggestWins.includes(rec));
+
+  let text = '';
+  if (biggestWins.length > 0) {
+    const wins = biggestWins.map((rec, index) =>
+      `${index + 1}. ${rec.summary} (estimated to lower your 10-year risk by about ${rec.riskReduction.absolute.toFixed(1)} percentage points)`
+    );
+    text = `These changes would lower your risk the most:\n${wins.join('\n')}`;
+  } else {
+    // Without estimates, critical recommendations (such as quitting smoking) lead
+    text = otherTips
+      .filter(rec => rec.priority === 'critical')
+      .map(rec => rec.summary)
+      .join(' ');
+  }
+
+  const specificActions = otherTips
+    .filter(rec => biggestWins.length > 0 || rec.priority !== 'critical')
+    .map(rec => `• ${rec.summary}`);
+
+  if (specificActions.length > 0) {
+    if (text) {
+      text += `\n\nAdditionally, to improve your heart health:\n${specificActions.join('\n')}.`;
+    } else {
+      text = `To improve your heart health:\n${specificActions.join('\n')}.`;
+    }
+  } else if (!text) {
+    text = 'Based on your current health profile, maintaining your current healthy habits is important.';
+  }
+  return text;
+}
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const fhirMedications = require('../utils/fhirMedications');
+const fhirKidneyObservations = require('../utils/fhirKidneyObservations');
+const fhirSexAndGender = require('../utils/fhirSexAndGender');
 
 const FHIR_SERVER_URL = process.env.FHIR_SERVER_URL || 'http://localhost:8080/fhir';
 
@@ -15,7 +18,9 @@ router.get('/patient/:id', async (req, res) => {
 
     res.json({
       success: true,
-      patient: response.data
+      patient: response.data,
+      // Sex at birth and gender identity from the US Core extensions
+      ...fhirSexAndGender.toPatientFields(response.data)
     });
   } catch (error) {
     console.error('Error fetching patient from FHIR:', error);
@@ -135,9 +140,40 @@ router.get('/patient/:id/observations', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/fhir/patient/:id/medications
+ * Get the patient's medication statements and the treatment fields they map to
+ */
+router.get('/patient/:id/medications', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const response = await axios.get(`${FHIR_SERVER_URL}/MedicationStatement?subject=Patient/${id}`);
+    const statements = (response.data.entry || []).map(entry => entry.resource);
+
+    res.json({
+      success: true,
+      medicationStatements: response.data,
+      medications: fhirMedications.toPatientFields(statements)
+    });
+  } catch (error) {
+    console.error('Error fetching medication statements from FHIR:', error);
+    if (error.response) {
+      res.status(error.response.status).json({
+        error: 'Failed to fetch medication statements from FHIR server',
+        message: error.response.data
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to connect to FHIR server',
+        message: error.message
+      });
+    }
+  }
+});
+
 /**
  * POST /api/fhir/questionnaire
- * Store questionnaire data as FHIR resources (Patient, Observations, QuestionnaireResponse, Conditions)
+ * Store questionnaire data as FHIR resources (Patient, Observations, QuestionnaireResponse, Conditions, MedicationStatements)
  */
 router.post('/questionnaire', async (req, res) => {
   try {
@@ -146,7 +182,8 @@ router.post('/questionnaire', async (req, res) => {
       patient: null,
       observations: [],
       questionnaireResponse: null,
-      conditions: []
+      conditions: [],
+      medicationStatements: []
     };
 
     // Generate a unique patient ID
@@ -205,6 +242,49 @@ router.post('/questionnaire', async (req, res) => {
         observations.push(hdlObs);
       }
 
+      // LDL Cholesterol Observation (only when measured; calculated LDL is derived at assessment time)
+      if (questionnaireData.ldlCholesterol) {
+        const ldlObs = convertToFHIRObservation({
+          patientId: actualPatientId,
+          type: 'ldl-cholesterol',
+          value: questionnaireData.ldlCholesterol,
+          unit: 'mg/dL'
+        });
+        observations.push(ldlObs);
+      }
+
+      // Triglycerides Observation
+      if (questionnaireData.triglycerides) {
+        const triglyceridesObs = convertToFHIRObservation({
+          patientId: actualPatientId,
+          type: 'triglycerides',
+          value: questionnaireData.triglycerides,
+          unit: 'mg/dL'
+        });
+        observations.push(triglyceridesObs);
+      }
+
+      // Glucose Observations (HbA1c and fasting plasma glucose, used for the Life's Essential 8 glucose score)
+      if (questionnaireData.hba1c) {
+        observations.push(convertToFHIRObservation({
+          patientId: actualPatientId,
+          type: 'hba1c',
+          value: questionnaireData.hba1c,
+          unit: '%'
+        }));
+      }
+      if (questionnaireData.fastingGlucose) {
+        observations.push(convertToFHIRObservation({
+          patientId: actualPatientId,
+          type: 'fasting-glucose',
+          value: questionnaireData.fastingGlucose,
+          unit: 'mg/dL'
+        }));
+      }
+
+      // Kidney function Observations (serum creatinine, eGFR calculated with CKD-EPI 2021, urine albumin-to-creatinine ratio)
+      observations.push(...fhirKidneyObservations.buildObservations(questionnaireData, actualPatientId));
+
       // BMI Observation
       if (questionnaireData.bmi) {
         const bmiObs = {
@@ -291,7 +371,22 @@ router.post('/questionnaire', async (req, res) => {
         }
       }
 
-      // 4. Create QuestionnaireResponse resource to store all questionnaire answers
+      // 4. Create MedicationStatement resources for current treatment
+      const medicationStatements = fhirMedications.buildStatements(questionnaireData, actualPatientId);
+      for (const statement of medicationStatements) {
+        try {
+          const statementResponse = await axios.post(`${FHIR_SERVER_URL}/MedicationStatement`, statement, {
+            headers: {
+              'Content-Type': 'application/fhir+json'
+            }
+          });
+          results.medicationStatements.push(statementResponse.data);
+        } catch (medError) {
+          console.error('Error creating medication statement:', medError);
+        }
+      }
+
+      // 5. Create QuestionnaireResponse resource to store all questionnaire answers
       const questionnaireResponse = {
         resourceType: 'QuestionnaireResponse',
         status: 'completed',
@@ -316,17 +411,48 @@ router.post('/questionnaire', async (req, res) => {
       };
 
       addItem('age', 'Age', questionnaireData.age);
+      addItem('sexAtBirth', 'Sex Assigned at Birth', questionnaireData.sexAtBirth);
+      addItem('genderIdentity', 'Gender Identity', questionnaireData.genderIdentity);
       addItem('gender', 'Gender', questionnaireData.gender);
+      addItem('race', 'Race', questionnaireData.race);
       addItem('systolicBP', 'Systolic Blood Pressure', questionnaireData.systolicBP);
       addItem('diastolicBP', 'Diastolic Blood Pressure', questionnaireData.diastolicBP);
       addItem('cholesterol', 'Total Cholesterol', questionnaireData.cholesterol);
       addItem('hdlCholesterol', 'HDL Cholesterol', questionnaireData.hdlCholesterol);
+      addItem('ldlCholesterol', 'LDL Cholesterol', questionnaireData.ldlCholesterol);
+      addItem('triglycerides', 'Triglycerides', questionnaireData.triglycerides);
+      addItem('serumCreatinine', 'Serum Creatinine', questionnaireData.serumCreatinine);
+      addItem('uacr', 'Urine Albumin-to-Creatinine Ratio', questionnaireData.uacr);
       addItem('bmi', 'Body Mass Index', questionnaireData.bmi);
       addItem('diabetes', 'Diabetes', questionnaireData.diabetes);
+      addItem('diabetesType', 'Diabetes Type', questionnaireData.diabetesType);
+      addItem('diabetesDuration', 'Years With Diabetes', questionnaireData.diabetesDuration);
       addItem('smoking', 'Smoking Status', questionnaireData.smoking);
+      addItem('cigarettesPerDay', 'Cigarettes Per Day', questionnaireData.cigarettesPerDay);
+      addItem('smokingYears', 'Years Smoked', questionnaireData.smokingYears);
+      addItem('smokingQuitYears', 'Years Since Quitting Smoking', questionnaireData.smokingQuitYears);
+      addItem('vaping', 'E-Cigarette / Vaping Use', questionnaireData.vaping);
+      addItem('secondhandSmoke', 'Lives With an Indoor Smoker', questionnaireData.secondhandSmoke);
+      addItem('hba1c', 'HbA1c (%)', questionnaireData.hba1c);
+      addItem('fastingGlucose', 'Fasting Glucose (mg/dL)', questionnaireData.fastingGlucose);
       addItem('familyHistory', 'Family History of Heart Disease', questionnaireData.familyHistory);
+      addItem('familyHistoryRelative', 'Affected Relative', questionnaireData.familyHistoryRelative);
+      addItem('familyHistoryOnsetAge', 'Relative\'s Age at Onset', questionnaireData.familyHistoryOnsetAge);
+      addItem('lipoproteinA', 'Lipoprotein(a)', questionnaireData.lipoproteinA !== undefined ? `${questionnaireData.lipoproteinA} ${questionnaireData.lipoproteinAUnit || 'mg/dL'}` : undefined);
+      addItem('hsCRP', 'hs-CRP (mg/L)', questionnaireData.hsCRP);
+      addItem('cacScore', 'Coronary Artery Calcium Score', questionnaireData.cacScore);
+      addItem('pregnancyConditions', 'Pregnancy-Associated Conditions', Array.isArray(questionnaireData.pregnancyConditions) ? questionnaireData.pregnancyConditions.join(', ') : undefined);
+      addItem('prematureMenopause', 'Menopause Before Age 40', questionnaireData.prematureMenopause);
+      fhirMedications.fields.forEach(field => {
+        addItem(field, fhirMedications.getLabel(field), questionnaireData[field]);
+      });
       addItem('physicalActivity', 'Physical Activity Level', questionnaireData.physicalActivity);
       addItem('dietQuality', 'Diet Quality', questionnaireData.dietQuality);
+      addItem('moderateMinutes', 'Minutes of Moderate Activity per Week', questionnaireData.moderateMinutes);
+      addItem('vigorousMinutes', 'Minutes of Vigorous Activity per Week', questionnaireData.vigorousMinutes);
+      addItem('activityMinutes', 'Minutes of Moderate or Vigorous Activity per Week', questionnaireData.activityMinutes);
+      addItem('sleepHours', 'Average Hours of Sleep per Night', questionnaireData.sleepHours);
+      addItem('mepa', 'MEPA Diet Items Met', Array.isArray(questionnaireData.mepa) ? `${questionnaireData.mepa.length} (${questionnaireData.mepa.join(', ') || 'none'})` : undefined);
 
       try {
         const qrResponse = await axios.post(`${FHIR_SERVER_URL}/QuestionnaireResponse`, questionnaireResponse, {
@@ -375,24 +501,24 @@ function convertToFHIRPatient(patientData) {
   const patient = {
     resourceType: 'Patient',
     id: patientData.id || `patient-${Date.now()}`,
-    gender: patientData.gender === 'male' ? 'male' : patientData.gender === 'female' ? 'female' : 'unknown',
+    gender: fhirSexAndGender.getAdministrativeGender(patientData),
     birthDate: patientData.birthDate || calculateBirthDate(patientData.age),
     identifier: [
       {
         system: 'http://hospital.example.org',
         value: patientData.id || `patient-${Date.now()}`
       }
-    ]
+    ],
+    // US Core birth sex and gender identity
+    extension: fhirSexAndGender.buildExtensions(patientData)
   };
 
   // Only add BMI extension if BMI is provided
   if (patientData.bmi !== undefined && patientData.bmi !== null) {
-    patient.extension = [
-      {
-        url: 'http://hl7.org/fhir/StructureDefinition/patient-bmi',
-        valueDecimal: patientData.bmi
-      }
-    ];
+    patient.extension.push({
+      url: 'http://hl7.org/fhir/StructureDefinition/patient-bmi',
+      valueDecimal: patientData.bmi
+    });
   }
 
   return patient;
@@ -425,6 +551,22 @@ function convertToFHIRObservation(observationData) {
     'hdl-cholesterol': {
       code: { code: '2085-9', display: 'HDL Cholesterol' },
       valueQuantity: { value: value, unit: unit || 'mg/dL' }
+    },
+    'ldl-cholesterol': {
+      code: { code: '2089-1', display: 'LDL Cholesterol' },
+      valueQuantity: { value: value, unit: unit || 'mg/dL' }
+    },
+    'triglycerides': {
+      code: { code: '2571-8', display: 'Triglycerides' },
+      valueQuantity: { value: value, unit: unit || 'mg/dL' }
+    },
+    'hba1c': {
+      code: { code: '4548-4', display: 'Hemoglobin A1c/Hemoglobin.total in Blood' },
+      valueQuantity: { value: value, unit: unit || '%' }
+    },
+    'fasting-glucose': {
+      code: { code: '1558-6', display: 'Fasting glucose [Mass/volume] in Serum or Plasma' },
+      valueQuantity: { value: value, unit: unit || 'mg/dL' }
     }
   };
 
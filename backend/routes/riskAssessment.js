@@ -1,11 +1,43 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const riskCalculator = require('../utils/riskCalculator');
+const scenarioSimulator = require('../utils/scenarioSimulator');
+const recommendationRules = require('../utils/recommendationRules');
+
+/**
+ * Validate an optional list of requested model ids
+ * @returns {Object|null} Error response body, or null if the list is valid
+ */
+function validateRequestedModels(requestedModels) {
+  if (requestedModels === undefined) {
+    return null;
+  }
+
+  const availableModels = riskCalculator.modelRegistry.ids();
+  if (!Array.isArray(requestedModels) || requestedModels.length === 0) {
+    return {
+      error: 'models must be a non-empty array of model ids',
+      availableModels
+    };
+  }
+
+  const unknownModels = requestedModels.filter(id => !availableModels.includes(id));
+  if (unknownModels.length > 0) {
+    return {
+      error: 'Unknown models requested',
+      unknownModels,
+      availableModels
+    };
+  }
+
+  return null;
+}
 
 /**
  * POST /api/risk-assessment/calculate
  * Calculate heart disease risk based on patient data
- * Uses combined Framingham and PREVENT models with database comparison
+ * Uses combined Framingham, Framingham 2008 general CVD, PREVENT and Pooled Cohort Equations models with database comparison
  */
 router.post('/calculate', async (req, res) => {
   try {
@@ -14,9 +46,13 @@ router.post('/calculate', async (req, res) => {
     const includeComparison = req.body.includeComparison !== false;
     // Allow overriding Sarah0022 model usage (default: use if enabled)
     const useSarahModel = req.body.useSarahModel !== undefined ? req.body.useSarahModel : null;
+    // Optionally restrict the calculation to specific models, e.g. ['framingham', 'pce']
+    const requestedModels = req.body.models;
+    // Missing lab/vital values are imputed from Synthea by default (can be disabled with impute=false)
+    const impute = req.body.impute !== false;
 
-    // Validate required fields
-    const requiredFields = ['age', 'gender'];
+    // Validate required fields (sex at birth is optional: without it the models average the male and female equations)
+    const requiredFields = ['age'];
     const missingFields = requiredFields.filter(field => !patientData[field]);
     
     if (missingFields.length > 0) {
@@ -26,11 +62,24 @@ router.post('/calculate', async (req, res) => {
       });
     }
 
-    // Calculate risk using combined models (Framingham, PREVENT, and optionally Sarah0022/heart-disease-model)
-    const riskAssessment = await riskCalculator.calculateRisk(patientData, includeComparison, useSarahModel);
+    const modelsError = validateRequestedModels(requestedModels);
+    if (modelsError) {
+      return res.status(400).json(modelsError);
+    }
+
+    // Calculate risk using combined models (Framingham, Framingham 2008, PREVENT, PCE, and optionally Sarah0022/heart-disease-model)
+    const riskAssessment = await riskCalculator.calculateRisk(patientData, includeComparison, useSarahModel, {
+      models: requestedModels,
+      impute
+    });
     
-    // Generate recommendations
-    const recommendations = riskCalculator.generateRecommendations(riskAssessment, patientData);
+    // Generate recommendations (optionally in another language, e.g. locale='es'), ranked by estimated risk reduction
+    const recommendations = await riskCalculator.rankRecommendations(
+      riskCalculator.generateRecommendations(riskAssessment, patientData, { locale: req.body.locale }),
+      riskAssessment,
+      patientData,
+      { models: requestedModels, useSarahModel }
+    );
 
     res.json({
       success: true,
@@ -46,6 +95,65 @@ router.post('/calculate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/risk-assessment/simulate
+ * What-if simulation: re-run the risk calculation with modifiable risk factors changed
+ * Body: { patient: {...}, scenarios: [{ name, overrides: { smoking: 'never', systolicBP: 120 } }] }
+ * Returns the baseline risk and, per scenario, the new risk with the absolute and relative change
+ */
+router.post('/simulate', async (req, res) => {
+  try {
+    const { patient, scenarios, models: requestedModels, useSarahModel } = req.body;
+
+    if (!patient || typeof patient !== 'object') {
+      return res.status(400).json({
+        error: 'Missing patient data'
+      });
+    }
+
+    const requiredFields = ['age'];
+    const missingFields = requiredFields.filter(field => !patient[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missingFields
+      });
+    }
+
+    const modelsError = validateRequestedModels(requestedModels);
+    if (modelsError) {
+      return res.status(400).json(modelsError);
+    }
+
+    const scenarioErrors = scenarioSimulator.validateScenarios(scenarios);
+    if (scenarioErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scenarios',
+        details: scenarioErrors,
+        modifiableFields: scenarioSimulator.modifiableFields
+      });
+    }
+
+    const simulation = await scenarioSimulator.simulate(patient, scenarios, {
+      models: requestedModels,
+      useSarahModel,
+      impute: req.body.impute !== false
+    });
+
+    res.json({
+      success: true,
+      ...simulation
+    });
+  } catch (error) {
+    console.error('Error simulating scenarios:', error);
+    res.status(500).json({
+      error: 'Failed to simulate scenarios',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/risk-assessment/health
  * Health check for risk assessment service
@@ -54,6 +162,60 @@ router.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'risk-assessment' });
 });
 
+/**
+ * GET /api/risk-assessment/models
+ * List the registered risk models with their inputs, valid age range and horizon
+ */
+router.get('/models', (req, res) => {
+  res.json({
+    success: true,
+    models: riskCalculator.modelRegistry.describe()
+  });
+});
+
+/**
+ * Allow a request only in development or with the admin token from RULES_ADMIN_TOKEN
+ * (sent as "Authorization: Bearer <token>")
+ */
+function requireAdmin(req, res, next) {
+  if (process.env.NODE_ENV === 'development') {
+    return next();
+  }
+
+  const adminToken = process.env.RULES_ADMIN_TOKEN;
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (adminToken && match) {
+    const expected = Buffer.from(adminToken);
+    const given = Buffer.from(match[1]);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      return next();
+    }
+  }
+
+  return res.status(403).json({ error: 'Admin token required' });
+}
+
+/**
+ * POST /api/risk-assessment/recommendation-rules/reload
+ * Reload the recommendation rules file without restarting the server (it is also picked up
+ * automatically when it changes). An invalid file is rejected and the current rules stay in use.
+ * Only available in development or with the admin token.
+ */
+router.post('/recommendation-rules/reload', requireAdmin, (req, res) => {
+  try {
+    const result = recommendationRules.reload();
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid recommendation rules',
+      details: error.errors || [error.message]
+    });
+  }
+});
+
 /**
  * GET /api/risk-assessment/synthea-status
  * Check Synthea data availability and statistics
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Validate a recommendation rules file
+ * Usage: npm run validate-rules [-- path/to/rules.json]
+ * Defaults to RECOMMENDATION_RULES_FILE or data/recommendationRules.json. Exits with status 1 and lists
+ * the problems when the file is malformed.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const recommendationRules = require('../utils/recommendationRules');
+
+const filePath = process.argv[2] ? path.resolve(process.argv[2]) : recommendationRules.filePath;
+
+try {
+  const ruleSet = recommendationRules.loadFile(filePath);
+  console.log(`✓ ${filePath}: ${ruleSet.rules.length} rules are valid`);
+} catch (error) {
+  console.error(`✗ ${filePath} is invalid:`);
+  (error.errors || [error.message]).forEach(message => console.error(`  - ${message}`));
+  process.exit(1);
+}
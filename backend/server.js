@@ -42,6 +42,9 @@ app.get('/', (req, res) => {
       },
       riskAssessment: {
         calculate: 'POST /api/risk-assessment/calculate',
+        simulate: 'POST /api/risk-assessment/simulate',
+        models: 'GET /api/risk-assessment/models',
+        reloadRecommendationRules: 'POST /api/risk-assessment/recommendation-rules/reload',
         health: 'GET /api/risk-assessment/health'
       },
       fhir: {
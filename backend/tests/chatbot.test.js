@@ -0,0 +1,74 @@
+process.env.USE_AI_EXTRACTION = 'false';
+
+jest.mock('axios', () => ({
+  get: jest.fn(() => Promise.reject(new Error('offline'))),
+  put: jest.fn(() => Promise.resolve({})),
+  post: jest.fn(() => Promise.resolve({}))
+}));
+
+const router = require('../routes/chatbot');
+
+describe('Chatbot question flow', () => {
+  // Send a request through the router and resolve with the JSON it answers
+  const send = (url, body) => new Promise((resolve) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (json) => { resolve(json); return res; };
+    router({ method: 'POST', url, headers: {}, body }, res, () => {});
+  });
+
+  // Answer the questions in order and return every question asked and the data collected
+  const converse = async (answers) => {
+    const sessionId = `test_${Math.random().toString(36).slice(2)}`;
+    const questions = [(await send('/start', { sessionId })).message];
+    let reply = null;
+    for (const answer of answers) {
+      reply = await send('/message', { sessionId, message: answer });
+      questions.push(reply.message);
+    }
+    return { questions, collectedData: reply.collectedData };
+  };
+
+  const beforeSmoking = ['52', 'female', 'woman', 'white', '130', '85', '210', '55', 'skip', 'skip', 'skip', 'skip', '27'];
+
+  test('should ask about nicotine exposure, sleep and blood glucose', async () => {
+    const { questions, collectedData } = await converse([
+      ...beforeSmoking,
+      'former', '10', '15', '3',
+      'I vape now', 'no', '60', 'none', '1, 2', '6.5', 'no', '5.9'
+    ]);
+
+    expect(questions.some(question => /How many years ago did you quit/.test(question))).toBe(true);
+    expect(collectedData).toMatchObject({
+      smoking: 'former',
+      smokingQuitYears: 3,
+      vaping: 'current',
+      secondhandSmoke: false,
+      sleepHours: 6.5,
+      diabetes: false,
+      hba1c: 5.9
+    });
+    // With an HbA1c, fasting glucose is not asked for
+    expect(questions[questions.length - 1]).toMatch(/blood pressure/);
+  });
+
+  test('should ask for fasting glucose when HbA1c is not known', async () => {
+    const { questions, collectedData } = await converse([
+      ...beforeSmoking,
+      'never', 'never', 'yes', 'none', 'none', 'none', '8', 'no', 'skip', '104'
+    ]);
+
+    expect(questions.some(question => /fasting blood glucose/.test(question))).toBe(true);
+    expect(collectedData).toMatchObject({ smoking: 'never', vaping: 'never', secondhandSmoke: true, sleepHours: 8, hba1c: null, fastingGlucose: 104 });
+  });
+
+  test('should ask for race and keep a declined answer so the equations fall back', async () => {
+    const answer = async (race) => (await converse(['52', 'female', 'woman', race])).collectedData.race;
+
+    expect(await answer('Black')).toBe('african-american');
+    expect(await answer('white')).toBe('white');
+    expect(await answer('Asian')).toBe('other');
+    expect(await answer("I'd rather not say")).toBe('declined');
+    expect(await answer('skip')).toBeNull();
+  });
+});
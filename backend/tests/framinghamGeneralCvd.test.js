@@ -0,0 +1,45 @@
+const framinghamGeneralCvd = require('../utils/framinghamGeneralCvd');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Framingham general CVD risk (2008)', () => {
+  test('should reproduce the published worked examples', () => {
+    const woman = framinghamGeneralCvd.calculate({
+      age: 61, gender: 'female', cholesterol: 180, hdlCholesterol: 47, systolicBP: 124, smoking: 'current'
+    });
+    const man = framinghamGeneralCvd.calculate({
+      age: 53, gender: 'male', cholesterol: 161, hdlCholesterol: 55, systolicBP: 125, onBPMedication: true, diabetes: true
+    });
+
+    expect(woman.riskPercentage).toBe(10.5);
+    expect(man.riskPercentage).toBe(15.6);
+    expect(woman.variant).toBe('lab');
+  });
+
+  test('should use the BMI variant when lipids are missing', () => {
+    const result = framinghamGeneralCvd.calculate({ age: 61, gender: 'female', bmi: 26, systolicBP: 124, smoking: 'current' });
+
+    expect(result.variant).toBe('bmi');
+    expect(result.nonLab).toBe(true);
+  });
+
+  test('should use the BMI variant in calculateRisk when lipids were imputed', async () => {
+    const assessment = await riskCalculator.calculateRisk({
+      age: 50, gender: 'male', systolicBP: 135, bmi: 29
+    }, false, false, { uncertainty: false });
+
+    expect(assessment.models.framingham2008.nonLab).toBe(true);
+    expect(assessment.models.framingham2008.variantLabel).toMatch(/Non-laboratory/);
+  });
+
+  test('should be skipped when neither lipids nor BMI are available', async () => {
+    const assessment = await riskCalculator.calculateRisk({
+      age: 50, gender: 'male', systolicBP: 135
+    }, false, false, { uncertainty: false, impute: false });
+
+    expect(assessment.skippedModels).toContainEqual({
+      id: 'framingham2008',
+      name: 'Framingham General CVD (2008)',
+      reason: 'Missing required inputs: cholesterol and hdlCholesterol, or bmi'
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const framinghamRiskScore = require('../utils/framinghamRiskScore');
+
+describe('Framingham point breakdown', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 150,
+    diastolicBP: 90,
+    cholesterol: 240,
+    hdlCholesterol: 38,
+    smoking: 'current'
+  };
+
+  test('should list every worksheet step with its points', () => {
+    const result = framinghamRiskScore.calculate(patient);
+
+    expect(result.breakdown.map(step => [step.factor, step.category, step.points])).toEqual([
+      ['Age', '55-59', 4],
+      ['Total cholesterol', '240-279', 2],
+      ['HDL cholesterol', '35-44', 1],
+      ['Blood pressure', 'SBP 140-159 / DBP 90-99', 2],
+      ['Diabetes', 'No', 0],
+      ['Smoking', 'Yes', 2]
+    ]);
+  });
+
+  test('should end the running total at the score', () => {
+    const result = framinghamRiskScore.calculate({ ...patient, gender: 'female', diabetes: true });
+    const last = result.breakdown[result.breakdown.length - 1];
+
+    expect(last.runningTotal).toBe(result.score);
+    expect(result.breakdown.reduce((sum, step) => sum + step.points, 0)).toBe(result.score);
+  });
+
+  test('should report the lookup row used for the risk percentage', () => {
+    const result = framinghamRiskScore.calculate(patient);
+
+    expect(result.lookup).toEqual({ table: 'Men', row: '11', points: 11, riskPercentage: 31 });
+  });
+
+  test('should use the open-ended first row for low point totals', () => {
+    const result = framinghamRiskScore.calculate({ ...patient, gender: 'female', smoking: 'never', systolicBP: 115, cholesterol: 180, hdlCholesterol: 65 });
+
+    expect(result.lookup.row).toBe('≤9');
+    expect(result.riskPercentage).toBe(1);
+  });
+});
@@ -0,0 +1,72 @@
+const heartAge = require('../utils/heartAge');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Heart age', () => {
+  const options = { uncertainty: false };
+
+  test('should equal chronological age for a person with optimal risk factors', async () => {
+    const assessment = await riskCalculator.calculateRisk({ ...heartAge.optimalProfile, age: 50, gender: 'male' }, false, false, options);
+
+    expect(assessment.heartAge.model).toBe('prevent');
+    expect(assessment.heartAge.age).toBe(50);
+    expect(assessment.heartAge.difference).toBe(0);
+  });
+
+  test('should be older than chronological age for a smoker with high blood pressure', async () => {
+    const assessment = await riskCalculator.calculateRisk({
+      age: 50,
+      gender: 'male',
+      systolicBP: 150,
+      cholesterol: 240,
+      hdlCholesterol: 40,
+      smoking: 'current'
+    }, false, false, options);
+
+    expect(assessment.heartAge.age).toBeGreaterThan(50);
+    expect(assessment.heartAge.byModel.framingham).toBeDefined();
+  });
+
+  test('should fall back to Framingham when PREVENT was not run', async () => {
+    const assessment = await riskCalculator.calculateRisk({
+      age: 50,
+      gender: 'male',
+      systolicBP: 150,
+      cholesterol: 240,
+      hdlCholesterol: 40,
+      smoking: 'current'
+    }, false, false, { ...options, models: ['framingham'] });
+
+    expect(assessment.heartAge.model).toBe('framingham');
+    expect(assessment.heartAge.ageRange).toEqual({ min: 70, max: 74 });
+  });
+
+  test('should use PREVENT for women and not report a Framingham heart age', async () => {
+    const woman = {
+      age: 55,
+      gender: 'female',
+      systolicBP: 140,
+      cholesterol: 220,
+      hdlCholesterol: 50,
+      smoking: 'never'
+    };
+    const assessment = await riskCalculator.calculateRisk(woman, false, false, options);
+    const framinghamOnly = await riskCalculator.calculateRisk(woman, false, false, { ...options, models: ['framingham'] });
+
+    expect(assessment.heartAge.model).toBe('prevent');
+    expect(assessment.heartAge.capped).toBeNull();
+    expect(assessment.heartAge.age).toBeGreaterThan(55);
+    expect(assessment.heartAge.age).toBeLessThan(74);
+    expect(assessment.heartAge.byModel.framingham).toBeUndefined();
+    expect(framinghamOnly.heartAge).toBeNull();
+  });
+
+  test('should map Framingham risk back to the points that produce it', () => {
+    expect(heartAge.minimumPointsForRisk(10, 'male')).toBe(6);
+    expect(heartAge.minimumPointsForRisk(13, 'female')).toBe(20);
+  });
+
+  test('should describe the result in plain language', () => {
+    const text = heartAge.describe({ age: 62, chronologicalAge: 55, difference: 7, model: 'prevent', capped: null });
+    expect(text).toBe('Your estimated heart age is 62 (based on the PREVENT equations), 7 years older than your actual age of 55.');
+  });
+});
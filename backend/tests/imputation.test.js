@@ -0,0 +1,45 @@
+const imputation = require('../utils/imputation');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Missing-value imputation', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 135,
+    diastolicBP: 85,
+    bmi: 28
+  };
+
+  test('should fill missing fields and report where each value came from', () => {
+    const { patientData, imputedFields } = imputation.impute(patient);
+
+    expect(imputedFields.map(imputed => imputed.field)).toEqual(['cholesterol', 'hdlCholesterol']);
+    imputedFields.forEach(imputed => {
+      expect(patientData[imputed.field]).toBe(imputed.value);
+      expect(['synthea', 'default']).toContain(imputed.source);
+      expect(imputed.stratum).toBeDefined();
+    });
+  });
+
+  test('should not change values that were provided', () => {
+    const { patientData } = imputation.impute(patient);
+
+    expect(patientData.systolicBP).toBe(135);
+    expect(patientData.bmi).toBe(28);
+    expect(patient.cholesterol).toBeUndefined();
+  });
+
+  test('should flag imputed fields in the risk assessment and let lipid models run', async () => {
+    const assessment = await riskCalculator.calculateRisk(patient, false, false, { uncertainty: false });
+
+    expect(assessment.imputedFields).toHaveLength(2);
+    expect(assessment.modelsUsed).toEqual(expect.arrayContaining(['framingham', 'pce']));
+  });
+
+  test('should skip imputation when it is turned off', async () => {
+    const assessment = await riskCalculator.calculateRisk(patient, false, false, { uncertainty: false, impute: false });
+
+    expect(assessment.imputedFields).toEqual([]);
+    expect(assessment.modelsUsed).not.toContain('framingham');
+  });
+});
@@ -0,0 +1,38 @@
+const kidneyFunction = require('../utils/kidneyFunction');
+const preventModel = require('../utils/preventModel');
+const fhirKidneyObservations = require('../utils/fhirKidneyObservations');
+
+describe('Kidney function', () => {
+  test('should calculate eGFR with the race-free CKD-EPI 2021 equation', () => {
+    expect(kidneyFunction.estimateGfr(1.0, 60, 'male')).toBe(86);
+    expect(kidneyFunction.estimateGfr(0.8, 50, 'female')).toBe(90);
+    expect(kidneyFunction.estimateGfr(null, 50, 'female')).toBeNull();
+  });
+
+  test('should classify GFR and albuminuria and flag chronic kidney disease', () => {
+    const kidney = kidneyFunction.calculate({ age: 70, gender: 'male', serumCreatinine: 1.6, uacr: 45 });
+
+    expect(kidney.egfrSource).toBe('ckd-epi-2021');
+    expect(kidney.gfrCategory.category).toBe('G3a');
+    expect(kidney.albuminuriaCategory.category).toBe('A2');
+    expect(kidney.ckd).toBe(true);
+    expect(kidneyFunction.calculate({ age: 70, gender: 'male' })).toBeNull();
+  });
+
+  test('should feed eGFR from creatinine into PREVENT', () => {
+    const patient = { age: 60, gender: 'male', systolicBP: 140, cholesterol: 210, hdlCholesterol: 45, bmi: 28 };
+    const reducedKidneyFunction = preventModel.calculate({ ...patient, serumCreatinine: 1.8 });
+    const normalKidneyFunction = preventModel.calculate(patient);
+
+    expect(reducedKidneyFunction.inputs.egfr).toBe(kidneyFunction.estimateGfr(1.8, 60, 'male'));
+    expect(reducedKidneyFunction.risk10Year).toBeGreaterThan(normalKidneyFunction.risk10Year);
+  });
+
+  test('should store creatinine and eGFR as LOINC-coded Observations', () => {
+    const observations = fhirKidneyObservations.buildObservations({ age: 60, gender: 'male', serumCreatinine: 1.0 }, 'patient-1');
+    const codes = observations.map(observation => observation.code.coding[0].code);
+
+    expect(codes).toEqual(['2160-0', '98979-8']);
+    expect(observations[1].valueQuantity.value).toBe(86);
+  });
+});
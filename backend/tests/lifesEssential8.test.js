@@ -0,0 +1,112 @@
+const lifesEssential8 = require('../utils/lifesEssential8');
+const lipidPanel = require('../utils/lipidPanel');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe("Life's Essential 8", () => {
+  const idealPatient = {
+    age: 45,
+    gender: 'female',
+    systolicBP: 115,
+    diastolicBP: 75,
+    cholesterol: 180,
+    hdlCholesterol: 60,
+    bmi: 23,
+    smoking: 'never',
+    diabetes: false,
+    fastingGlucose: 90,
+    activityMinutes: 200,
+    sleepHours: 8,
+    mepa: lifesEssential8.mepaItems.map(item => item.id)
+  };
+
+  const calculate = (patientData) => lifesEssential8.calculate(patientData, { lipids: lipidPanel.calculate(patientData) });
+  const component = (result, id) => result.components.find(entry => entry.id === id);
+
+  test('should score an ideal profile 100', () => {
+    const result = calculate(idealPatient);
+
+    expect(result.score).toBe(100);
+    expect(result.category).toBe('high');
+    expect(result.complete).toBe(true);
+    expect(result.components).toHaveLength(8);
+  });
+
+  test('should score each component with the AHA point tables', () => {
+    const result = calculate({
+      ...idealPatient,
+      systolicBP: 135,
+      diastolicBP: 85,
+      onBPMedication: true,
+      cholesterol: 240,
+      hdlCholesterol: 40,
+      bmi: 31,
+      activityMinutes: 45,
+      sleepHours: 6.5,
+      mepa: ['oliveOil', 'fish', 'nuts', 'beans', 'berries', 'wholeGrains', 'otherFruit', 'poultry', 'unknownItem']
+    });
+
+    expect(component(result, 'bloodPressure').score).toBe(30); // 130-139 or 80-89, minus 20 for treatment
+    expect(component(result, 'lipids').score).toBe(20); // non-HDL 200 mg/dL
+    expect(component(result, 'bmi').score).toBe(30);
+    expect(component(result, 'physicalActivity').score).toBe(40);
+    expect(component(result, 'sleep').score).toBe(70);
+    expect(component(result, 'diet').value).toBe(8);
+    expect(component(result, 'diet').score).toBe(50);
+    expect(result.score).toBe(Math.round((30 + 20 + 30 + 40 + 70 + 50 + 100 + 100) / 8));
+    expect(result.category).toBe('moderate');
+  });
+
+  test('should score nicotine exposure from smoking, quitting, vaping and secondhand smoke', () => {
+    const nicotine = (overrides) => component(calculate({ ...idealPatient, ...overrides }), 'nicotine').score;
+
+    expect(nicotine({ smoking: 'current' })).toBe(0);
+    expect(nicotine({ smoking: 'former', smokingQuitYears: 10 })).toBe(75);
+    expect(nicotine({ smoking: 'former', smokingQuitYears: 2 })).toBe(50);
+    expect(nicotine({ smoking: 'former', smokingQuitYears: 0.5 })).toBe(25);
+    expect(nicotine({ smoking: 'never', vaping: 'current' })).toBe(25);
+    expect(nicotine({ smoking: 'never', secondhandSmoke: true })).toBe(80);
+    expect(nicotine({ smoking: 'current', secondhandSmoke: true })).toBe(0);
+    expect(nicotine({ smoking: 'former' })).toBeNull();
+  });
+
+  test('should use HbA1c for patients with diabetes', () => {
+    const glucose = (overrides) => component(calculate({ ...idealPatient, ...overrides }), 'glucose').score;
+
+    expect(glucose({ fastingGlucose: 110 })).toBe(60);
+    expect(glucose({ hba1c: 5.5, fastingGlucose: undefined })).toBe(100);
+    expect(glucose({ diabetes: true, hba1c: 7.5 })).toBe(30);
+    expect(glucose({ diabetes: true, hba1c: 10.2 })).toBe(0);
+    expect(glucose({ diabetes: true })).toBeNull();
+  });
+
+  test('should score undiagnosed diabetes-range glucose like diabetes', () => {
+    const glucose = (overrides) => component(calculate({ ...idealPatient, fastingGlucose: undefined, ...overrides }), 'glucose').score;
+
+    expect(glucose({ hba1c: 5.6 })).toBe(100);
+    expect(glucose({ hba1c: 5.7 })).toBe(60);
+    expect(glucose({ hba1c: 6.4 })).toBe(60);
+    expect(glucose({ hba1c: 6.5 })).toBe(40);
+    expect(glucose({ hba1c: 7 })).toBe(30);
+    expect(glucose({ hba1c: 8 })).toBe(20);
+    expect(glucose({ hba1c: 9 })).toBe(10);
+    expect(glucose({ hba1c: 10 })).toBe(0);
+    expect(glucose({ fastingGlucose: 99 })).toBe(100);
+    expect(glucose({ fastingGlucose: 100 })).toBe(60);
+    expect(glucose({ fastingGlucose: 125 })).toBe(60);
+    expect(glucose({ fastingGlucose: 126 })).toBe(40);
+  });
+
+  test('should average the components it can score and list the missing ones', () => {
+    const result = calculate({ age: 50, gender: 'male', systolicBP: 118, bmi: 24, smoking: 'never' });
+
+    expect(result.complete).toBe(false);
+    expect(result.score).toBe(100);
+    expect(result.missing).toEqual(['Diet', 'Physical activity', 'Sleep health', 'Blood lipids', 'Blood glucose']);
+  });
+
+  test('should be part of the risk assessment', async () => {
+    const riskAssessment = await riskCalculator.calculateRisk(idealPatient, false, false);
+
+    expect(riskAssessment.lifesEssential8.score).toBe(100);
+  });
+});
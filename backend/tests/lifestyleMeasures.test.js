@@ -0,0 +1,105 @@
+const lifestyleMeasures = require('../utils/lifestyleMeasures');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Lifestyle measures', () => {
+  describe('parseMinutes', () => {
+    test('should read minutes per week from free-text answers', () => {
+      expect(lifestyleMeasures.parseMinutes(90)).toBe(90);
+      expect(lifestyleMeasures.parseMinutes('120')).toBe(120);
+      expect(lifestyleMeasures.parseMinutes('30 minutes 5 days a week')).toBe(150);
+      expect(lifestyleMeasures.parseMinutes('2.5 hours')).toBe(150);
+      expect(lifestyleMeasures.parseMinutes('20 minutes a day')).toBe(140);
+      expect(lifestyleMeasures.parseMinutes('none')).toBe(0);
+      expect(lifestyleMeasures.parseMinutes('not sure')).toBeNull();
+      expect(lifestyleMeasures.parseMinutes('')).toBeNull();
+    });
+  });
+
+  describe('parseMepaAnswer', () => {
+    test('should map item numbers to MEPA items', () => {
+      expect(lifestyleMeasures.parseMepaAnswer('1, 3 and 7')).toEqual(['oliveOil', 'otherVegetables', 'fish']);
+      expect(lifestyleMeasures.parseMepaAnswer('none')).toEqual([]);
+      expect(lifestyleMeasures.parseMepaAnswer('all of them')).toHaveLength(16);
+      expect(lifestyleMeasures.parseMepaAnswer('17')).toBeNull();
+    });
+  });
+
+  describe('normalize', () => {
+    test('should count vigorous minutes double and derive the activity category', () => {
+      const normalized = lifestyleMeasures.normalize({ moderateMinutes: '40', vigorousMinutes: 10 });
+
+      expect(normalized.activityMinutes).toBe(60);
+      expect(normalized.activityGap).toBe(90);
+      expect(normalized.physicalActivity).toBe('minimal');
+      expect(lifestyleMeasures.normalize({ moderateMinutes: 0 }).physicalActivity).toBe('none');
+      expect(lifestyleMeasures.normalize({ vigorousMinutes: 150 }).physicalActivity).toBe('active');
+    });
+
+    test('should score MEPA, derive the diet category and pick the next items to work on', () => {
+      const normalized = lifestyleMeasures.normalize({ mepa: ['oliveOil', 'greenLeafyVegetables', 'berries', 'fish', 'nuts', 'unknownItem'] });
+
+      expect(normalized.mepaScore).toBe(5);
+      expect(normalized.dietQuality).toBe('poor');
+      expect(normalized.mepaFocus).toEqual({ otherVegetables: true, otherFruit: true, redMeat: true });
+      const twelveItems = lifestyleMeasures.mepaItems.slice(0, 12).map(item => item.id);
+      expect(lifestyleMeasures.normalize({ mepa: twelveItems }).dietQuality).toBe('good');
+      expect(lifestyleMeasures.normalize({ mepa: twelveItems.slice(0, 8) }).dietQuality).toBe('fair');
+    });
+
+    test('should keep self-rated categories that were given', () => {
+      const normalized = lifestyleMeasures.normalize({ physicalActivity: 'active', dietQuality: 'fair', moderateMinutes: 30, mepa: [] });
+
+      expect(normalized.physicalActivity).toBe('active');
+      expect(normalized.dietQuality).toBe('fair');
+      expect(normalized.activityGap).toBe(120);
+      expect(normalized.mepaScore).toBe(0);
+    });
+  });
+
+  describe('recommendations', () => {
+    const patientData = {
+      age: 55,
+      gender: 'male',
+      systolicBP: 128,
+      diastolicBP: 78,
+      cholesterol: 190,
+      hdlCholesterol: 50,
+      smoking: 'never',
+      bmi: 23,
+      moderateMinutes: 40,
+      vigorousMinutes: 10,
+      mepa: ['oliveOil', 'otherFruit', 'alcohol', 'fish', 'nuts']
+    };
+
+    test('should personalize the activity and diet advice to the gap', async () => {
+      const riskAssessment = await riskCalculator.calculateRisk(patientData, false, false);
+      const recommendations = riskCalculator.generateRecommendations(riskAssessment, patientData);
+      const activity = recommendations.find(rec => rec.category === 'Physical Activity');
+      const diet = recommendations.find(rec => rec.category === 'Diet');
+
+      expect(activity.details).toContain("You're at 60 of the recommended 150 minutes");
+      expect(activity.details).toContain('about 90 minutes a week');
+      expect(diet.details).toContain('(MEPA) is 5 of 16');
+      expect(diet.details).toContain('Eat green leafy vegetables such as spinach or kale 6 times a week.');
+      expect(diet.details).not.toContain('olive oil as your main cooking oil');
+      expect(recommendations.filter(rec => rec.category === 'Diet')).toHaveLength(1);
+    });
+
+    test('should not give activity or diet advice once the targets are met', async () => {
+      const activePatient = { ...patientData, moderateMinutes: 120, vigorousMinutes: 20, mepa: lifestyleMeasures.mepaItems.map(item => item.id) };
+      const riskAssessment = await riskCalculator.calculateRisk(activePatient, false, false);
+      const categories = riskCalculator.generateRecommendations(riskAssessment, activePatient).map(rec => rec.category);
+
+      expect(categories).not.toContain('Physical Activity');
+      expect(categories).not.toContain('Diet');
+    });
+
+    test('should weight the simple risk score by the activity shortfall and MEPA score', () => {
+      const score = (overrides) => riskCalculator.calculateRiskSync({ ...patientData, ...overrides }).riskScore;
+
+      expect(score({ moderateMinutes: 0, vigorousMinutes: 0 }) - score({ moderateMinutes: 150 })).toBe(13);
+      expect(score({ moderateMinutes: 75, vigorousMinutes: 0 }) - score({ moderateMinutes: 150 })).toBe(8);
+      expect(score({ mepa: [] }) - score({ mepa: lifestyleMeasures.mepaItems.map(item => item.id) })).toBe(10);
+    });
+  });
+});
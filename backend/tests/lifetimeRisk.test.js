@@ -0,0 +1,87 @@
+const lifetimeRisk = require('../utils/lifetimeRisk');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Lifetime ASCVD risk', () => {
+  const patient = {
+    age: 45,
+    gender: 'female',
+    systolicBP: 115,
+    diastolicBP: 75,
+    cholesterol: 170,
+    hdlCholesterol: 55,
+    smoking: 'never'
+  };
+
+  test('should place the patient in the worst risk factor group', () => {
+    expect(lifetimeRisk.calculate(patient)).toMatchObject({ riskPercentage: 8, riskGroup: 'optimal' });
+    expect(lifetimeRisk.calculate({ ...patient, systolicBP: 125 })).toMatchObject({ riskPercentage: 27, riskGroup: 'notOptimal' });
+    expect(lifetimeRisk.calculate({ ...patient, cholesterol: 220 })).toMatchObject({ riskPercentage: 39, riskGroup: 'elevated' });
+    expect(lifetimeRisk.calculate({ ...patient, gender: 'male', smoking: 'current' })).toMatchObject({ riskPercentage: 50, riskGroup: 'oneMajor' });
+    expect(lifetimeRisk.calculate({ ...patient, gender: 'male', smoking: 'current', diabetes: true })).toMatchObject({ riskPercentage: 69, riskGroup: 'twoMajor' });
+    expect(lifetimeRisk.calculate({ ...patient, onBPMedication: 'yes' }).riskGroup).toBe('oneMajor');
+  });
+
+  test('should only apply to ages 20-59', () => {
+    expect(lifetimeRisk.calculate({ ...patient, age: 19 })).toBeNull();
+    expect(lifetimeRisk.calculate({ ...patient, age: 60 })).toBeNull();
+  });
+
+  describe('age routing', () => {
+    const options = { uncertainty: false, attribution: false };
+
+    test('should not route or combine the lifetime risk when the 10-year equations apply', async () => {
+      const assessment = await riskCalculator.calculateRisk(patient, false, false, options);
+
+      expect(assessment.ageRouting).toMatchObject({ status: 'inRange', message: null, alternative: null });
+      expect(assessment.models.lifetime.riskPercentage).toBe(8);
+      expect(assessment.modelsUsed).not.toContain('lifetime');
+      expect(assessment.combination.inputs.lifetime).toBeUndefined();
+    });
+
+    test('should point young adults to their lifetime risk', async () => {
+      const assessment = await riskCalculator.calculateRisk({ ...patient, age: 25, smoking: 'current' }, false, false, options);
+
+      expect(assessment.modelsUsed).toEqual([]);
+      expect(assessment).toMatchObject({ riskPercentage: null, riskScore: null, category: 'not-applicable', reclassification: null });
+      expect(assessment.ageRouting).toMatchObject({
+        status: 'belowAgeRange',
+        validRange: { min: 30, max: 79 },
+        alternative: { id: 'lifetime', riskPercentage: 39, lowerBound: false }
+      });
+      expect(assessment.ageRouting.message).toMatch(/only validated for ages 30-79/);
+      expect(assessment.applicability.framingham).toMatchObject({
+        status: 'belowAgeRange',
+        reason: 'Age 25 is outside the valid range of 30-74',
+        validRange: { min: 30, max: 74 },
+        alternatives: [{ id: 'lifetime', name: 'Lifetime ASCVD Risk', horizon: 'lifetime' }]
+      });
+    });
+
+    test('should not categorize a high-risk young adult as low risk', async () => {
+      const assessment = await riskCalculator.calculateRisk({
+        age: 25, sexAtBirth: 'male', systolicBP: 150, cholesterol: 260, hdlCholesterol: 35, smoking: 'current', diabetes: true, bmi: 33
+      }, false, false, { useSarahModel: false });
+
+      expect(assessment.riskPercentage).toBeNull();
+      expect(assessment.category).toBe('not-applicable');
+      expect(assessment.categoryDescription).toBe('No 10-Year Estimate');
+      expect(assessment.ageRouting.alternative).toMatchObject({ id: 'lifetime', riskPercentage: 69 });
+      expect(assessment.statinEligibility.rule).not.toBe('low-risk');
+    });
+
+    test('should give older adults a labeled lower bound instead of an empty score', async () => {
+      const older = { ...patient, age: 85, systolicBP: 145 };
+      const assessment = await riskCalculator.calculateRisk(older, false, false, options);
+      const at79 = await riskCalculator.calculateRisk({ ...older, age: 79 }, false, false, options);
+
+      expect(assessment.modelsUsed).toEqual([]);
+      expect(assessment.ageRouting).toMatchObject({
+        status: 'aboveAgeRange',
+        alternative: { id: 'prevent', evaluatedAge: 79, lowerBound: true, riskPercentage: at79.models.prevent.risk10Year }
+      });
+      expect(assessment.riskPercentage).toBe(at79.models.prevent.risk10Year);
+      expect(assessment.combination.fallback).toBe(assessment.ageRouting.message);
+      expect(assessment.applicability.pce).toMatchObject({ status: 'aboveAgeRange', alternatives: [] });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const lipidPanel = require('../utils/lipidPanel');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Extended lipid panel', () => {
+  test('should calculate LDL with Martin-Hopkins and Friedewald', () => {
+    const lipids = lipidPanel.calculate({ cholesterol: 200, hdlCholesterol: 50, triglycerides: 150 });
+
+    expect(lipids.nonHdlCholesterol).toBe(150);
+    // Non-HDL 130-159 and triglycerides 147-154 give a factor of 5.7
+    expect(lipids.ldlEstimates.martinHopkins).toBe(124);
+    expect(lipids.ldlEstimates.friedewald).toBe(120);
+    expect(lipids.ldlCholesterol).toBe(124);
+    expect(lipids.ldlMethod).toBe('martin-hopkins');
+  });
+
+  test('should prefer a measured LDL value', () => {
+    const lipids = lipidPanel.calculate({ cholesterol: 200, hdlCholesterol: 50, triglycerides: 150, ldlCholesterol: '131' });
+
+    expect(lipids.ldlCholesterol).toBe(131);
+    expect(lipids.ldlMethod).toBe('measured');
+  });
+
+  test('should not calculate LDL when triglycerides are 400 mg/dL or higher', () => {
+    const lipids = lipidPanel.calculate({ cholesterol: 260, hdlCholesterol: 35, triglycerides: 450 });
+
+    expect(lipids.ldlCholesterol).toBeNull();
+    expect(lipids.ldlEstimates).toEqual({ martinHopkins: null, friedewald: null });
+    expect(lipids.notes[0]).toMatch(/direct LDL measurement/);
+  });
+
+  test('should recommend statin therapy discussion for LDL of 190 or higher', async () => {
+    const patient = { age: 45, gender: 'female', cholesterol: 290, hdlCholesterol: 55, triglycerides: 120 };
+    const assessment = await riskCalculator.calculateRisk(patient, false, false, { uncertainty: false, attribution: false });
+    const recommendations = riskCalculator.generateRecommendations(assessment, patient);
+    const cholesterol = recommendations.find(rec => rec.category === 'Cholesterol');
+
+    expect(assessment.lipids.ldlCholesterol).toBeGreaterThanOrEqual(190);
+    expect(cholesterol.priority).toBe('critical');
+    expect(cholesterol.details).toMatch(/regardless of your estimated 10-year risk/);
+  });
+
+  test('should flag elevated triglycerides', () => {
+    const recommendations = riskCalculator.generateRecommendations({ category: 'low' }, { triglycerides: 600 });
+
+    expect(recommendations.find(rec => rec.category === 'Triglycerides').priority).toBe('high');
+  });
+});
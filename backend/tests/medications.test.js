@@ -0,0 +1,59 @@
+const riskCalculator = require('../utils/riskCalculator');
+const fhirMedications = require('../utils/fhirMedications');
+
+describe('Medication capture', () => {
+  const patient = {
+    age: 62,
+    gender: 'male',
+    systolicBP: 145,
+    diastolicBP: 88,
+    cholesterol: 240,
+    hdlCholesterol: 38
+  };
+  const highRisk = { category: 'high' };
+
+  const find = (recommendations, category) => recommendations.find(rec => rec.category === category);
+
+  test('should not tell statin users to consider medication', () => {
+    const untreated = riskCalculator.generateRecommendations(highRisk, patient);
+    const treated = riskCalculator.generateRecommendations(highRisk, { ...patient, onStatin: true, onAspirin: true });
+
+    expect(find(untreated, 'Cholesterol').details).toMatch(/Consider medication/);
+    expect(find(treated, 'Cholesterol').details).not.toMatch(/Consider medication/);
+    expect(find(treated, 'Medical Care').details).not.toMatch(/statins|aspirin/);
+  });
+
+  test('should adjust blood pressure advice for treated patients', () => {
+    const recommendations = riskCalculator.generateRecommendations(highRisk, { ...patient, onBPMedication: 'yes' });
+
+    expect(find(recommendations, 'Blood Pressure').details).toMatch(/despite medication/);
+  });
+
+  test('should suggest reviewing aspirin for primary prevention from age 60', () => {
+    expect(find(riskCalculator.generateRecommendations(highRisk, { ...patient, onAspirin: true }), 'Medication Review')).toBeDefined();
+    expect(find(riskCalculator.generateRecommendations(highRisk, { ...patient, age: 50, onAspirin: true }), 'Medication Review')).toBeUndefined();
+  });
+
+  test('should pass treatment status into the models that use it', async () => {
+    const untreated = await riskCalculator.calculateRisk(patient, false, false);
+    const treated = await riskCalculator.calculateRisk({ ...patient, onBPMedication: true }, false, false);
+
+    expect(treated.models.pce.bpTreated).toBe(true);
+    expect(treated.models.framingham2008.bpTreated).toBe(true);
+    expect(treated.models.prevent.risk10Year).not.toEqual(untreated.models.prevent.risk10Year);
+  });
+
+  test('should store answers as MedicationStatement resources and read them back', () => {
+    const statements = fhirMedications.buildStatements({ onBPMedication: true, onStatin: false }, 'patient-1', { idPrefix: 'medication-s1' });
+
+    expect(statements).toHaveLength(2);
+    expect(statements[0]).toMatchObject({
+      resourceType: 'MedicationStatement',
+      id: 'medication-s1-onBPMedication',
+      status: 'active',
+      subject: { reference: 'Patient/patient-1' }
+    });
+    expect(statements[1].status).toBe('not-taken');
+    expect(fhirMedications.toPatientFields(statements)).toEqual({ onBPMedication: true, onStatin: false });
+  });
+});
@@ -0,0 +1,44 @@
+const modelDisagreement = require('../utils/modelDisagreement');
+
+describe('Model disagreement detection', () => {
+  test('should flag a model that is far from the others and name it as the outlier', () => {
+    const result = modelDisagreement.analyze([
+      { id: 'framingham', percentage: 4 },
+      { id: 'prevent', percentage: 5 },
+      { id: 'pce', percentage: 6 },
+      { id: 'sarah0022', percentage: 50 }
+    ], { sarah0022: 'Sarah0022/heart-disease-model' });
+
+    expect(result.flagged).toBe(true);
+    expect(result.range).toBe(46);
+    expect(result.ratio).toBe(12.5);
+    expect(result.outlier.id).toBe('sarah0022');
+    expect(result.message).toMatch(/Sarah0022\/heart-disease-model \(50%\) is much higher/);
+  });
+
+  test('should not flag models that broadly agree', () => {
+    const result = modelDisagreement.analyze([
+      { id: 'framingham', percentage: 8 },
+      { id: 'prevent', percentage: 10 },
+      { id: 'pce', percentage: 12 }
+    ]);
+
+    expect(result.flagged).toBe(false);
+    expect(result.outlier).toBeNull();
+  });
+
+  test('should not single out an outlier when only two models disagree', () => {
+    const result = modelDisagreement.analyze([
+      { id: 'framingham', percentage: 2 },
+      { id: 'prevent', percentage: 9 }
+    ]);
+
+    expect(result.flagged).toBe(true);
+    expect(result.outlier).toBeNull();
+  });
+
+  test('should read thresholds from configuration', () => {
+    expect(modelDisagreement.loadThresholds({ RISK_DISAGREEMENT_RANGE: '5', RISK_DISAGREEMENT_RATIO: '2' })).toEqual({ range: 5, ratio: 2 });
+    expect(modelDisagreement.loadThresholds({})).toEqual({ range: 10, ratio: 3 });
+  });
+});
@@ -0,0 +1,90 @@
+const ModelRegistry = require('../utils/modelRegistry');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Risk model registry', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 130,
+    cholesterol: 210,
+    hdlCholesterol: 45,
+    bmi: 27
+  };
+
+  test('should reject incomplete or duplicate model definitions', () => {
+    const registry = new ModelRegistry();
+    const definition = { id: 'test', calculate: async () => null, getRiskPercentage: () => null };
+
+    expect(() => registry.register({ id: 'broken' })).toThrow();
+    registry.register(definition);
+    expect(() => registry.register(definition)).toThrow(/already registered/);
+  });
+
+  test('should explain why a model does not apply', () => {
+    const registry = new ModelRegistry();
+    registry.register({
+      id: 'test',
+      requiredInputs: ['age', 'cholesterol'],
+      ageRange: { min: 40, max: 79 },
+      calculate: async () => null,
+      getRiskPercentage: () => null
+    });
+    const model = registry.get('test');
+
+    expect(registry.getSkipReason(model, { age: 50 })).toMatch(/cholesterol/);
+    expect(registry.getSkipReason(model, { age: 30, cholesterol: 200 })).toMatch(/40-79/);
+    expect(registry.getSkipReason(model, { age: 50, cholesterol: 200 })).toBeNull();
+  });
+
+  test('should return a structured applicability with the status and valid range', () => {
+    const registry = new ModelRegistry();
+    registry.register({
+      id: 'test',
+      requiredInputs: ['age', 'cholesterol'],
+      ageRange: { min: 40, max: 79 },
+      calculate: async () => null,
+      getRiskPercentage: () => null
+    });
+    const model = registry.get('test');
+
+    expect(registry.getApplicability(model, { age: 50 })).toEqual({
+      applies: false,
+      status: 'missingInputs',
+      reason: 'Missing required inputs: cholesterol',
+      validRange: { min: 40, max: 79 },
+      missingInputs: ['cholesterol']
+    });
+    expect(registry.getApplicability(model, { age: 30, cholesterol: 200 }).status).toBe('belowAgeRange');
+    expect(registry.getApplicability(model, { age: 85, cholesterol: 200 }).status).toBe('aboveAgeRange');
+    expect(registry.getApplicability(model, { age: 50, cholesterol: 200 })).toMatchObject({ applies: true, status: 'applies', reason: null });
+  });
+
+  test('should only run the models requested by the caller', async () => {
+    const assessment = await riskCalculator.calculateRisk(patient, false, false, { models: ['framingham', 'pce'] });
+
+    expect(assessment.modelsUsed).toEqual(['framingham', 'pce']);
+    expect(assessment.models.prevent).toBeNull();
+    expect(assessment.skippedModels).toContainEqual(expect.objectContaining({ id: 'prevent', reason: 'Not requested' }));
+  });
+
+  test('should report skipped models with a reason', async () => {
+    const assessment = await riskCalculator.calculateRisk({ ...patient, age: 35 }, false, false);
+
+    expect(assessment.modelsUsed).toEqual(['framingham', 'framingham2008', 'prevent']);
+    expect(assessment.skippedModels).toContainEqual(expect.objectContaining({ id: 'pce', reason: expect.stringMatching(/outside the valid range/) }));
+    expect(assessment.skippedModels).toContainEqual(expect.objectContaining({ id: 'sarah0022' }));
+    expect(assessment.applicability.pce).toMatchObject({
+      used: false,
+      status: 'belowAgeRange',
+      validRange: { min: 40, max: 79 },
+      age: 35,
+      alternatives: [
+        { id: 'prevent', name: 'AHA PREVENT', horizon: '10-year' },
+        { id: 'framingham2008', name: 'Framingham General CVD (2008)', horizon: '10-year' },
+        { id: 'framingham', name: 'Framingham Risk Score', horizon: '10-year' },
+        { id: 'lifetime', name: 'Lifetime ASCVD Risk', horizon: 'lifetime' }
+      ]
+    });
+    expect(assessment.applicability.prevent).toMatchObject({ used: true, status: 'used', reason: null });
+  });
+});
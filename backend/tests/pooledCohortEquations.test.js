@@ -0,0 +1,53 @@
+const pooledCohortEquations = require('../utils/pooledCohortEquations');
+
+describe('ACC/AHA Pooled Cohort Equations', () => {
+  // Worked example from the 2013 guideline: 55 years, TC 213, HDL 50, untreated SBP 120, non-smoker, no diabetes
+  const guidelineExample = {
+    age: 55,
+    systolicBP: 120,
+    cholesterol: 213,
+    hdlCholesterol: 50,
+    diabetes: false,
+    smoking: 'never'
+  };
+
+  const expectWithin = (actual, expected) => {
+    expect(Math.abs(actual - expected)).toBeLessThanOrEqual(0.15);
+  };
+
+  test('should match the guideline worked examples', () => {
+    expectWithin(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'female' }).riskPercentage, 2.1);
+    expectWithin(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male' }).riskPercentage, 5.3);
+    expectWithin(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'female', race: 'african-american' }).riskPercentage, 3.0);
+    expectWithin(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', race: 'african-american' }).riskPercentage, 6.1);
+  });
+
+  test('should label the White/Other equations as a default when race is not given', () => {
+    const male = { ...guidelineExample, gender: 'male' };
+
+    expect(pooledCohortEquations.calculate(male)).toMatchObject({ raceEquation: 'White/Other', raceDefaulted: true });
+    expect(pooledCohortEquations.calculate({ ...male, race: 'declined' })).toMatchObject({ raceEquation: 'White/Other', raceDefaulted: true });
+    expect(pooledCohortEquations.calculate({ ...male, race: 'white' })).toMatchObject({ raceEquation: 'White/Other', raceDefaulted: false });
+    expect(pooledCohortEquations.calculate({ ...male, race: 'other' })).toMatchObject({ raceEquation: 'White/Other', raceDefaulted: false });
+    expect(pooledCohortEquations.calculate({ ...male, race: 'african-american' })).toMatchObject({ raceEquation: 'African American', raceDefaulted: false });
+  });
+
+  test('should apply separate treated and untreated blood pressure terms', () => {
+    const untreated = pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', systolicBP: 150 });
+    const treated = pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', systolicBP: 150, onBPMedication: true });
+
+    expect(untreated.bpTreated).toBe(false);
+    expect(treated.bpTreated).toBe(true);
+    expect(treated.riskPercentage).toBeGreaterThan(untreated.riskPercentage);
+  });
+
+  test('should return null outside the valid age range of 40-79', () => {
+    expect(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', age: 39 })).toBeNull();
+    expect(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', age: 80 })).toBeNull();
+    expect(pooledCohortEquations.calculate({ ...guidelineExample, gender: 'male', age: 79 })).not.toBeNull();
+  });
+
+  test('should return null when lipids are missing', () => {
+    expect(pooledCohortEquations.calculate({ age: 55, gender: 'male', systolicBP: 120 })).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+const preventModel = require('../utils/preventModel');
+
+describe('AHA PREVENT equations', () => {
+  const basePatient = {
+    age: 50,
+    gender: 'male',
+    systolicBP: 120,
+    cholesterol: 200,
+    hdlCholesterol: 50,
+    bmi: 25,
+    egfr: 90
+  };
+
+  test('should return total CVD, ASCVD and heart failure outcomes separately', () => {
+    const result = preventModel.calculate(basePatient);
+
+    expect(result.model).toBe('PREVENT');
+    expect(result.outcomes.totalCVD.risk10Year).toBeCloseTo(2.7, 1);
+    expect(result.outcomes.ascvd.risk10Year).toBeCloseTo(1.9, 1);
+    expect(result.outcomes.heartFailure.risk10Year).toBeCloseTo(1.0, 1);
+    expect(result.risk10Year).toBe(result.outcomes.totalCVD.risk10Year);
+    expect(result.inputs.nonHdlCholesterol).toBe(150);
+  });
+
+  test('should use sex-specific coefficients', () => {
+    const male = preventModel.calculate(basePatient);
+    const female = preventModel.calculate({ ...basePatient, gender: 'female' });
+
+    expect(female.risk10Year).toBeLessThan(male.risk10Year);
+  });
+
+  test('should compute a true 30-year horizon only for ages 30-59', () => {
+    const younger = preventModel.calculate(basePatient);
+    const older = preventModel.calculate({ ...basePatient, age: 65 });
+
+    expect(younger.risk30Year).toBeGreaterThan(younger.risk10Year);
+    expect(younger.risk30Year / younger.risk10Year).not.toBeCloseTo(1.8, 1);
+    expect(older.risk30Year).toBeNull();
+    expect(older.outcomes.heartFailure.risk30Year).toBeNull();
+  });
+
+  test('should account for antihypertensive treatment, statins and eGFR', () => {
+    const untreated = preventModel.calculate({ ...basePatient, systolicBP: 150 });
+    const treated = preventModel.calculate({ ...basePatient, systolicBP: 150, onBPMedication: true });
+    const statin = preventModel.calculate({ ...basePatient, onStatin: true });
+    const ckd = preventModel.calculate({ ...basePatient, egfr: 45 });
+
+    expect(treated.risk10Year).toBeGreaterThan(untreated.risk10Year);
+    expect(treated.inputs.onBPMedication).toBe(true);
+    expect(statin.risk10Year).not.toBe(preventModel.calculate(basePatient).risk10Year);
+    expect(ckd.risk10Year).toBeGreaterThan(preventModel.calculate(basePatient).risk10Year);
+  });
+
+  test('should report only heart failure risk when lipids are missing', () => {
+    const { cholesterol, hdlCholesterol, ...noLipids } = basePatient;
+    const result = preventModel.calculate(noLipids);
+
+    expect(result.risk10Year).toBeNull();
+    expect(result.outcomes.totalCVD).toBeNull();
+    expect(result.outcomes.heartFailure.risk10Year).toBeGreaterThan(0);
+  });
+
+  test('should return null outside the validated age range of 30-79', () => {
+    expect(preventModel.calculate({ ...basePatient, age: 25 })).toBeNull();
+    expect(preventModel.calculate({ ...basePatient, age: 80 })).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const recommendationRules = require('../utils/recommendationRules');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Recommendation rules', () => {
+  const ruleSet = {
+    defaultLocale: 'en',
+    partials: { bp: { en: '{{systolicBP}}/{{diastolicBP}} mmHg', es: '{{systolicBP}}/{{diastolicBP}} mmHg' } },
+    rules: [
+      {
+        id: 'bp-high',
+        group: 'bp',
+        category: 'Blood Pressure',
+        priority: 'high',
+        when: { fact: 'systolicBP', op: 'gte', value: 140 },
+        text: {
+          en: { action: 'Lower it', details: 'Your blood pressure is {{>bp}}.{{#onBPMedication}} Keep taking your medication.{{/onBPMedication}}' },
+          es: { action: 'Bájela', details: 'Su presión arterial es {{>bp}}.' }
+        },
+        citations: [{ title: 'Hypertension guideline' }]
+      },
+      {
+        id: 'bp-elevated',
+        group: 'bp',
+        category: 'Blood Pressure',
+        priority: 'moderate',
+        when: { any: [{ fact: 'systolicBP', op: 'gte', value: 120 }, { fact: 'diastolicBP', op: 'gte', value: 80 }] },
+        text: { en: { action: 'Watch it', details: 'Elevated.' } }
+      }
+    ]
+  };
+
+  const withRuleFile = (contents, callback) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    const filePath = path.join(directory, 'rules.json');
+    const original = { filePath: recommendationRules.filePath, ruleSet: recommendationRules.ruleSet, loadedMtime: recommendationRules.loadedMtime };
+    fs.writeFileSync(filePath, JSON.stringify(contents));
+    Object.assign(recommendationRules, { filePath, ruleSet: null, loadedMtime: null });
+    try {
+      callback(filePath);
+    } finally {
+      Object.assign(recommendationRules, original);
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+
+  test('should accept the bundled rules file', () => {
+    const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'recommendationRules.json'), 'utf8'));
+
+    expect(recommendationRules.validate(bundled)).toEqual([]);
+  });
+
+  test('should reject malformed rules', () => {
+    const errors = recommendationRules.validate({
+      defaultLocale: 'en',
+      rules: [
+        { id: 'a', category: 'A', priority: 'urgent', text: { en: { action: 'x', details: 'y' } } },
+        { id: 'a', category: 'A', priority: 'high', when: { fact: 'shoeSize', op: 'gte', value: 10 }, text: { en: { action: 'x' } } },
+        { id: 'b', category: 'B', priority: 'low', when: { fact: 'age', op: 'between', value: [1, 2] }, text: { en: { action: '{{#age}}open', details: '{{>missing}}' } } }
+      ]
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/priority "urgent"/),
+      expect.stringMatching(/"a" is defined more than once/),
+      expect.stringMatching(/unknown fact "shoeSize"/),
+      expect.stringMatching(/needs "en" details text/),
+      expect.stringMatching(/unknown operator "between"/),
+      expect.stringMatching(/leaves section "age" open/),
+      expect.stringMatching(/unknown partial "missing"/)
+    ]));
+  });
+
+  test('should use only the first matching rule of a group and render templates', () => {
+    withRuleFile(ruleSet, () => {
+      const high = recommendationRules.evaluate({ systolicBP: 150, diastolicBP: 85, onBPMedication: true });
+      const elevated = recommendationRules.evaluate({ systolicBP: 125, diastolicBP: 70 });
+      const normal = recommendationRules.evaluate({ systolicBP: 110 });
+
+      expect(high).toHaveLength(1);
+      expect(high[0]).toMatchObject({ id: 'bp-high', priority: 'high', details: 'Your blood pressure is 150/85 mmHg. Keep taking your medication.' });
+      expect(high[0].citations[0].title).toBe('Hypertension guideline');
+      expect(elevated[0].id).toBe('bp-elevated');
+      expect(normal).toHaveLength(0);
+    });
+  });
+
+  test('should not let a missing fact satisfy negated comparisons', () => {
+    const matches = (condition, facts) => recommendationRules.matches(condition, facts);
+
+    expect(matches({ fact: 'smoking', op: 'ne', value: 'current' }, {})).toBe(false);
+    expect(matches({ fact: 'smoking', op: 'ne', value: 'current' }, { smoking: 'never' })).toBe(true);
+    expect(matches({ fact: 'smoking', op: 'notIn', value: ['current'] }, { smoking: null })).toBe(false);
+    expect(matches({ fact: 'smoking', op: 'notIn', value: ['current'] }, { smoking: 'former' })).toBe(true);
+    expect(matches({ fact: 'onStatin', op: 'isFalse' }, {})).toBe(false);
+    expect(matches({ fact: 'onStatin', op: 'isFalse' }, { onStatin: false })).toBe(true);
+    expect(matches({ not: { fact: 'onStatin', op: 'isTrue' } }, {})).toBe(true);
+  });
+
+  test('should only reload the rules over HTTP in development or with the admin token', () => {
+    const router = require('../routes/riskAssessment');
+    const originalEnv = { NODE_ENV: process.env.NODE_ENV, RULES_ADMIN_TOKEN: process.env.RULES_ADMIN_TOKEN };
+    const post = (headers = {}) => {
+      const res = { statusCode: 200 };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      router({ method: 'POST', url: '/recommendation-rules/reload', headers }, res, () => {});
+      return res;
+    };
+
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.RULES_ADMIN_TOKEN;
+      expect(post().statusCode).toBe(403);
+      expect(post({ authorization: 'Bearer anything' }).statusCode).toBe(403);
+
+      process.env.RULES_ADMIN_TOKEN = 'secret';
+      expect(post({ authorization: 'Bearer wrong' }).statusCode).toBe(403);
+      const allowed = post({ authorization: 'Bearer secret' });
+      expect(allowed.statusCode).toBe(200);
+      expect(allowed.body.success).toBe(true);
+
+      process.env.NODE_ENV = 'development';
+      delete process.env.RULES_ADMIN_TOKEN;
+      expect(post().statusCode).toBe(200);
+    } finally {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    }
+  });
+
+  test('should use locale variants and fall back to the default locale', () => {
+    withRuleFile(ruleSet, () => {
+      expect(recommendationRules.evaluate({ systolicBP: 150, diastolicBP: 85 }, { locale: 'es' })[0].details).toBe('Su presión arterial es 150/85 mmHg.');
+      expect(recommendationRules.evaluate({ systolicBP: 125 }, { locale: 'es' })[0].action).toBe('Watch it');
+    });
+  });
+
+  test('should reload a changed rules file and keep the previous rules when the new file is invalid', () => {
+    withRuleFile(ruleSet, (filePath) => {
+      expect(recommendationRules.evaluate({ systolicBP: 150 })[0].action).toBe('Lower it');
+
+      const changed = JSON.parse(JSON.stringify(ruleSet));
+      changed.rules[0].text.en.action = 'Bring it down';
+      fs.writeFileSync(filePath, JSON.stringify(changed));
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+      expect(recommendationRules.evaluate({ systolicBP: 150 })[0].action).toBe('Bring it down');
+
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(filePath, '{ "rules": ');
+      fs.utimesSync(filePath, new Date(), new Date(Date.now() + 2000));
+      expect(recommendationRules.evaluate({ systolicBP: 150 })[0].action).toBe('Bring it down');
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  test('should generate localized recommendations from the bundled rules', () => {
+    const patient = { age: 55, gender: 'male', systolicBP: 150, diastolicBP: 90, cholesterol: 180, hdlCholesterol: 50, physicalActivity: 'none' };
+    const english = riskCalculator.generateRecommendations({ category: 'moderate' }, patient);
+    const spanish = riskCalculator.generateRecommendations({ category: 'moderate' }, patient, { locale: 'es' });
+
+    expect(english.map(rec => rec.id)).toEqual(spanish.map(rec => rec.id));
+    expect(english.find(rec => rec.category === 'Physical Activity').summary).toMatch(/walking 30 minutes/);
+    expect(spanish.find(rec => rec.category === 'Blood Pressure').label).toBe('Presión arterial');
+  });
+});
@@ -0,0 +1,49 @@
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Per-factor risk attribution', () => {
+  const options = { uncertainty: false };
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 150,
+    cholesterol: 240,
+    hdlCholesterol: 38,
+    bmi: 25,
+    smoking: 'current',
+    diabetes: true
+  };
+
+  test('should report the contribution of every non-optimal input per model and combined', async () => {
+    const { attribution, modelsUsed } = await riskCalculator.calculateRisk(patient, false, false, options);
+
+    expect(attribution.map(item => item.field).sort()).toEqual(['cholesterol', 'diabetes', 'hdlCholesterol', 'smoking', 'systolicBP']);
+    attribution.forEach(item => {
+      expect(Object.keys(item.contributions).sort()).toEqual([...modelsUsed].sort());
+      expect(item.combined).toBeGreaterThan(0);
+    });
+  });
+
+  test('should rank factors by their contribution to the combined risk', async () => {
+    const { attribution } = await riskCalculator.calculateRisk(patient, false, false, options);
+    const combined = attribution.map(item => item.combined);
+
+    expect(combined).toEqual([...combined].sort((a, b) => b - a));
+  });
+
+  test('should give protective inputs a negative contribution', async () => {
+    const { attribution } = await riskCalculator.calculateRisk({ ...patient, hdlCholesterol: 75 }, false, false, options);
+    const hdl = attribution.find(item => item.field === 'hdlCholesterol');
+
+    expect(hdl.combined).toBeLessThan(0);
+    expect(attribution[attribution.length - 1].field).toBe('hdlCholesterol');
+  });
+
+  test('should flag imputed inputs', async () => {
+    const { cholesterol, hdlCholesterol, ...withoutLipids } = patient;
+    const { attribution } = await riskCalculator.calculateRisk(withoutLipids, false, false, options);
+
+    const imputed = attribution.filter(item => item.imputed).map(item => item.field);
+    expect(imputed.length).toBeGreaterThan(0);
+    imputed.forEach(field => expect(['cholesterol', 'hdlCholesterol']).toContain(field));
+  });
+});
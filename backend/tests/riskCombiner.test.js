@@ -0,0 +1,62 @@
+const riskCombiner = require('../utils/riskCombiner');
+
+describe('Risk combination strategies', () => {
+  const entries = [
+    { id: 'framingham', percentage: 4 },
+    { id: 'prevent', percentage: 6 },
+    { id: 'pce', percentage: 8 },
+    { id: 'sarah0022', percentage: 50 }
+  ];
+
+  test('should read strategy, weights and primary model from configuration', () => {
+    const config = riskCombiner.loadConfig({
+      RISK_COMBINATION_STRATEGY: 'median',
+      RISK_MODEL_WEIGHTS: 'framingham:1, prevent:2,bad',
+      RISK_PRIMARY_MODEL: 'pce'
+    });
+
+    expect(config).toEqual({ strategy: 'median', weights: { framingham: 1, prevent: 2 }, primaryModel: 'pce' });
+    expect(riskCombiner.loadConfig({ RISK_COMBINATION_STRATEGY: 'nonsense' }).strategy).toBe('weighted-mean');
+  });
+
+  test('should default to an equally weighted mean', () => {
+    const { riskPercentage, combination } = riskCombiner.combine(entries, { strategy: 'weighted-mean', weights: {} });
+
+    expect(riskPercentage).toBeCloseTo(17);
+    expect(combination.weights).toEqual({ framingham: 0.25, prevent: 0.25, pce: 0.25, sarah0022: 0.25 });
+  });
+
+  test('should apply and normalise per-model weights', () => {
+    const { riskPercentage, combination } = riskCombiner.combine(entries, {
+      strategy: 'weighted-mean',
+      weights: { framingham: 1, prevent: 2, pce: 1, sarah0022: 0 }
+    });
+
+    expect(riskPercentage).toBeCloseTo(6);
+    expect(combination.strategy).toBe('weighted-mean');
+    expect(combination.weights.prevent).toBe(0.5);
+    expect(combination.weights.sarah0022).toBe(0);
+  });
+
+  test('should use the primary model with the others as context', () => {
+    const { riskPercentage, combination } = riskCombiner.combine(entries, { strategy: 'primary', primaryModel: 'pce' });
+
+    expect(riskPercentage).toBe(8);
+    expect(combination.primaryModel).toBe('pce');
+    expect(combination.weights).toEqual({ framingham: 0, prevent: 0, pce: 1, sarah0022: 0 });
+  });
+
+  test('should fall back to the weighted mean when the primary model is unavailable', () => {
+    const { combination } = riskCombiner.combine(entries.slice(0, 2), { strategy: 'primary', primaryModel: 'pce', weights: {} });
+
+    expect(combination.fallback).toMatch(/not available/);
+    expect(combination.weights).toEqual({ framingham: 0.5, prevent: 0.5 });
+  });
+
+  test('should take the median and report the middle models as weighted', () => {
+    const { riskPercentage, combination } = riskCombiner.combine(entries, { strategy: 'median' });
+
+    expect(riskPercentage).toBe(7);
+    expect(combination.weights).toEqual({ framingham: 0, prevent: 0.5, pce: 0.5, sarah0022: 0 });
+  });
+});
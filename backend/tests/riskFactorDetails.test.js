@@ -0,0 +1,82 @@
+const riskFactorDetails = require('../utils/riskFactorDetails');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Risk factor details', () => {
+  test('should parse free-text diabetes types', () => {
+    expect(riskFactorDetails.parseDiabetesType('Type 2')).toBe('type2');
+    expect(riskFactorDetails.parseDiabetesType('type one')).toBe('type1');
+    expect(riskFactorDetails.parseDiabetesType('it was during my pregnancy')).toBe('gestational');
+    expect(riskFactorDetails.parseDiabetesType('1')).toBe('type1');
+    expect(riskFactorDetails.parseDiabetesType('not sure')).toBeNull();
+  });
+
+  test('should parse years and cigarettes per day from free text', () => {
+    expect(riskFactorDetails.parseYears('about 8 years')).toBe(8);
+    expect(riskFactorDetails.parseYears('6 months')).toBe(0.5);
+    expect(riskFactorDetails.parseCigarettesPerDay('a pack a day')).toBe(20);
+    expect(riskFactorDetails.parseCigarettesPerDay('half a pack')).toBe(10);
+    expect(riskFactorDetails.parseCigarettesPerDay('2 packs')).toBe(40);
+    expect(riskFactorDetails.parseCigarettesPerDay('15')).toBe(15);
+  });
+
+  test('should derive pack-years from cigarettes per day and years smoked', () => {
+    const normalized = riskFactorDetails.normalize({ smoking: 'current', cigarettesPerDay: '30', smokingYears: '20 years' });
+
+    expect(normalized.cigarettesPerDay).toBe(30);
+    expect(normalized.smokingYears).toBe(20);
+    expect(normalized.packYears).toBe(30);
+    expect(riskFactorDetails.calculatePackYears(10, null)).toBeNull();
+  });
+
+  test('should treat gestational diabetes as a pregnancy condition rather than current diabetes', () => {
+    const normalized = riskFactorDetails.normalize({ gender: 'female', diabetes: true, diabetesType: 'gestational' });
+
+    expect(normalized.diabetes).toBe(false);
+    expect(normalized.pregnancyConditions).toEqual(['gestationalDiabetes']);
+    expect(riskFactorDetails.normalize(normalized)).toEqual(normalized);
+  });
+
+  test('should use the duration threshold for the diabetes type', () => {
+    expect(riskFactorDetails.isLongDiabetesDuration({ diabetesType: 'type2', diabetesDuration: 12 })).toBe(true);
+    expect(riskFactorDetails.isLongDiabetesDuration({ diabetesType: 'type1', diabetesDuration: 12 })).toBe(false);
+  });
+});
+
+describe('Recommendations from risk factor details', () => {
+  const patient = {
+    age: 62,
+    gender: 'male',
+    systolicBP: 120,
+    diastolicBP: 75,
+    cholesterol: 180,
+    hdlCholesterol: 55,
+    bmi: 24,
+    diabetes: false,
+    smoking: 'current',
+    physicalActivity: 'moderate',
+    dietQuality: 'good'
+  };
+
+  test('should match smoking cessation advice to the number of cigarettes per day', () => {
+    const heavy = riskCalculator.generateRecommendations({ category: 'moderate' }, { ...patient, cigarettesPerDay: 25 });
+    const light = riskCalculator.generateRecommendations({ category: 'moderate' }, { ...patient, cigarettesPerDay: 3 });
+
+    expect(heavy.find(rec => rec.category === 'Smoking').details).toMatch(/strongly nicotine dependent/);
+    expect(light.find(rec => rec.category === 'Smoking').details).toMatch(/no safe level/);
+  });
+
+  test('should recommend lung cancer screening from 20 pack-years', () => {
+    const heavy = riskCalculator.generateRecommendations({ category: 'moderate' }, { ...patient, smoking: 'former', cigarettesPerDay: 20, smokingYears: 25 });
+    const light = riskCalculator.generateRecommendations({ category: 'moderate' }, { ...patient, smoking: 'former', cigarettesPerDay: 10, smokingYears: 25 });
+
+    expect(heavy.some(rec => rec.category === 'Lung Cancer Screening')).toBe(true);
+    expect(light.some(rec => rec.category === 'Lung Cancer Screening')).toBe(false);
+  });
+
+  test('should add complication screening for long-standing diabetes', () => {
+    const recommendations = riskCalculator.generateRecommendations({ category: 'moderate' },
+      { ...patient, smoking: 'never', diabetes: true, diabetesType: 'type 2', diabetesDuration: '15 years' });
+
+    expect(recommendations.find(rec => rec.category === 'Diabetes Management').details).toMatch(/eye/);
+  });
+});
@@ -0,0 +1,51 @@
+const riskReclassification = require('../utils/riskReclassification');
+
+describe('Risk-enhancer reclassification', () => {
+  const patient = { age: 55, gender: 'female', smoking: 'never', diabetes: false };
+  const moderate = { category: 'moderate', lipids: {}, kidney: null };
+
+  test('should move an intermediate patient up when risk enhancers are present', () => {
+    const result = riskReclassification.reclassify(moderate, { ...patient, lipoproteinA: 60, hsCRP: 3.1 });
+
+    expect(result.category).toBe('high');
+    expect(result.direction).toBe('up');
+    expect(result.rule).toBe('risk-enhancers');
+    expect(result.enhancers.map(enhancer => enhancer.id)).toEqual(['lipoproteinA', 'hsCRP']);
+    expect(result.explanation).toMatch(/2 risk enhancers/);
+  });
+
+  test('should count family history only when it is premature in a first-degree relative', () => {
+    const premature = riskReclassification.reclassify(moderate, { ...patient, familyHistory: true, familyHistoryRelative: 'father', familyHistoryOnsetAge: 50 });
+    const late = riskReclassification.reclassify(moderate, { ...patient, familyHistory: true, familyHistoryRelative: 'father', familyHistoryOnsetAge: 70 });
+
+    expect(premature.enhancers[0].id).toBe('familyHistory');
+    expect(late.enhancers).toHaveLength(0);
+    expect(late.category).toBe('moderate');
+    expect(late.notes[0]).toMatch(/first-degree relative/);
+  });
+
+  test('should let the CAC score override the risk enhancers', () => {
+    const zero = riskReclassification.reclassify(moderate, { ...patient, cacScore: 0, lipoproteinA: 60 });
+    const hundred = riskReclassification.reclassify({ ...moderate, category: 'low-moderate' }, { ...patient, cacScore: 150 });
+
+    expect(zero.category).toBe('low-moderate');
+    expect(zero.direction).toBe('down');
+    expect(hundred.category).toBe('high');
+  });
+
+  test('should not lower the category for a CAC of 0 in smokers', () => {
+    const result = riskReclassification.reclassify(moderate, { ...patient, smoking: 'current', cacScore: 0 });
+
+    expect(result.category).toBe('moderate');
+    expect(result.rule).toBe('cac-0-not-applied');
+    expect(result.explanation).toMatch(/current smoking/);
+  });
+
+  test('should leave low and high risk categories unchanged', () => {
+    const result = riskReclassification.reclassify({ ...moderate, category: 'low' }, { ...patient, pregnancyConditions: ['preeclampsia'] });
+
+    expect(result.category).toBe('low');
+    expect(result.enhancers[0].id).toBe('pregnancyConditions');
+    expect(result.notes[0]).toMatch(/unchanged/);
+  });
+});
@@ -0,0 +1,147 @@
+const riskReduction = require('../utils/riskReduction');
+const recommendationRules = require('../utils/recommendationRules');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Risk reduction', () => {
+  describe('applyIntervention', () => {
+    test('should subtract a change but not go past the bound', () => {
+      const intervention = [{ field: 'systolicBP', change: -10, min: 120 }];
+
+      expect(riskReduction.applyIntervention({ systolicBP: 150 }, intervention).systolicBP).toBe(140);
+      expect(riskReduction.applyIntervention({ systolicBP: 125 }, intervention).systolicBP).toBe(120);
+      expect(riskReduction.applyIntervention({ systolicBP: 115 }, intervention)).toBeNull();
+    });
+
+    test('should scale by a percentage and set categorical values', () => {
+      const improved = riskReduction.applyIntervention(
+        { cholesterol: 240, smoking: 'current' },
+        [{ field: 'cholesterol', percent: -10 }, { field: 'smoking', set: 'former' }]
+      );
+
+      expect(improved).toEqual({ cholesterol: 216, smoking: 'former' });
+    });
+
+    test('should skip fields the patient has no value for', () => {
+      expect(riskReduction.applyIntervention({ systolicBP: 140 }, [{ field: 'ldlCholesterol', percent: -35 }])).toBeNull();
+    });
+  });
+
+  describe('rank', () => {
+    // Risk drops by a point per 10 mmHg of systolic blood pressure, and by 5 points for quitting smoking
+    const evaluate = async (patientData) => patientData.systolicBP / 10 + (patientData.smoking === 'current' ? 5 : 0);
+    const recommendations = [
+      { id: 'care', priority: 'critical' },
+      { id: 'bp', priority: 'high', intervention: [{ field: 'systolicBP', change: -10 }] },
+      { id: 'tips', priority: 'low' },
+      { id: 'smoking', priority: 'critical', intervention: [{ field: 'smoking', set: 'former' }] },
+      { id: 'lipids', priority: 'moderate', intervention: [{ field: 'cholesterol', percent: -10 }] }
+    ];
+
+    test('should put the biggest estimated reduction first and the rest in priority order', async () => {
+      const ranked = await riskReduction.rank(recommendations, { systolicBP: 150, smoking: 'current', cholesterol: 200 }, evaluate);
+
+      expect(ranked.map(rec => rec.id)).toEqual(['smoking', 'bp', 'care', 'lipids', 'tips']);
+      expect(ranked[0].riskReduction).toEqual({ absolute: 5, baselineRisk: 20, targetRisk: 15 });
+      expect(ranked[1].riskReduction.absolute).toBe(1);
+      expect(ranked[3].riskReduction.absolute).toBe(0);
+      expect(ranked[2].riskReduction).toBeNull();
+    });
+
+    test('should leave the estimates empty when no model produces a risk', async () => {
+      const ranked = await riskReduction.rank(recommendations, { systolicBP: 150, smoking: 'current' }, async () => null);
+
+      expect(ranked.every(rec => rec.riskReduction === null)).toBe(true);
+      expect(ranked.map(rec => rec.id)).toEqual(['care', 'smoking', 'bp', 'lipids', 'tips']);
+    });
+  });
+
+  describe('rankRecommendations', () => {
+    const patientData = {
+      age: 58,
+      gender: 'male',
+      systolicBP: 150,
+      diastolicBP: 92,
+      cholesterol: 240,
+      hdlCholesterol: 38,
+      smoking: 'current',
+      diabetes: 'no',
+      bmi: 31,
+      physicalActivity: 'none',
+      dietQuality: 'poor'
+    };
+
+    test('should estimate the benefit of each recommendation from the models', async () => {
+      const riskAssessment = await riskCalculator.calculateRisk(patientData, false, false);
+      const ranked = await riskCalculator.rankRecommendations(
+        riskCalculator.generateRecommendations(riskAssessment, patientData),
+        riskAssessment,
+        patientData
+      );
+
+      const smoking = ranked.find(rec => rec.category === 'Smoking');
+      const bloodPressure = ranked.find(rec => rec.category === 'Blood Pressure');
+      expect(ranked[0]).toBe(smoking);
+      expect(smoking.target).toBe('Quitting smoking');
+      expect(smoking.riskReduction.baselineRisk).toBe(riskAssessment.riskPercentage);
+      expect(smoking.riskReduction.absolute).toBeGreaterThan(bloodPressure.riskReduction.absolute);
+      expect(bloodPressure.riskReduction.absolute).toBeGreaterThan(0);
+
+      const estimates = ranked.filter(rec => rec.riskReduction && rec.riskReduction.absolute > 0).map(rec => rec.riskReduction.absolute);
+      expect(estimates).toEqual([...estimates].sort((a, b) => b - a));
+      expect(ranked.find(rec => rec.category === 'Medical Care').riskReduction).toBeNull();
+    });
+
+    test('should leave activity and diet, which no model reads, out of the ranking', async () => {
+      const riskAssessment = await riskCalculator.calculateRisk(patientData, false, false);
+      const ranked = await riskCalculator.rankRecommendations(
+        riskCalculator.generateRecommendations(riskAssessment, patientData),
+        riskAssessment,
+        patientData
+      );
+
+      ['Physical Activity', 'Diet'].forEach(category => {
+        const recommendation = ranked.find(rec => rec.category === category);
+        expect(recommendation.notModeled).toBe(true);
+        expect(recommendation.riskReduction).toBeNull();
+        expect(recommendation.target).toBeUndefined();
+      });
+    });
+  });
+
+  test('should reject interventions on unknown fields or without a change', () => {
+    const errors = recommendationRules.validate({
+      defaultLocale: 'en',
+      rules: [{
+        id: 'bad',
+        category: 'Blood Pressure',
+        priority: 'high',
+        intervention: [{ field: 'heartRate', change: -10 }, { field: 'systolicBP', change: -10, set: 120 }],
+        text: { en: { action: 'Lower it', details: 'High.' } }
+      }]
+    });
+
+    expect(errors).toEqual([
+      'rule "bad" intervention[0] changes unknown field "heartRate"',
+      'rule "bad" intervention[1] needs exactly one of set, change or percent'
+    ]);
+  });
+
+  test('should reject interventions on factors no model reads', () => {
+    const errors = recommendationRules.validate({
+      defaultLocale: 'en',
+      rules: [{
+        id: 'walk',
+        category: 'Physical Activity',
+        priority: 'high',
+        notModeled: true,
+        intervention: [{ field: 'physicalActivity', set: 'moderate' }],
+        text: { en: { action: 'Walk more', details: 'Inactive.' } }
+      }]
+    });
+
+    expect(errors).toEqual([
+      'rule "walk" intervention[0] changes unknown field "physicalActivity"',
+      'rule "walk" can\'t have an intervention and be marked notModeled'
+    ]);
+  });
+});
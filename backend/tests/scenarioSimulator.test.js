@@ -0,0 +1,113 @@
+const scenarioSimulator = require('../utils/scenarioSimulator');
+
+describe('What-if scenario simulation', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 150,
+    diastolicBP: 90,
+    cholesterol: 230,
+    hdlCholesterol: 40,
+    bmi: 30,
+    smoking: 'current'
+  };
+
+  test('should report a lower risk after quitting smoking and lowering blood pressure', async () => {
+    const { baseline, scenarios } = await scenarioSimulator.simulate(patient, [
+      { name: 'Quit smoking and BP 120', overrides: { smoking: 'never', systolicBP: 120 } }
+    ], { useSarahModel: false });
+
+    const [scenario] = scenarios;
+    expect(scenario.riskPercentage).toBeLessThan(baseline.riskPercentage);
+    expect(scenario.absoluteChange).toBeCloseTo(scenario.riskPercentage - baseline.riskPercentage, 0);
+    expect(scenario.relativeChange).toBeLessThan(0);
+  });
+
+  test('should run every scenario against the same baseline', async () => {
+    const { scenarios } = await scenarioSimulator.simulate(patient, [
+      { name: 'Quit smoking', overrides: { smoking: 'never' } },
+      { overrides: { bmi: 25 } }
+    ], { useSarahModel: false });
+
+    expect(scenarios.map(scenario => scenario.name)).toEqual(['Quit smoking', 'Scenario 2']);
+  });
+
+  test('should call remote models for the baseline only and reuse their result in every scenario', async () => {
+    const riskCalculator = require('../utils/riskCalculator');
+    const remote = riskCalculator.modelRegistry.get('sarah0022');
+    const original = { isEnabled: remote.isEnabled, calculate: remote.calculate };
+    let calls = 0;
+    remote.isEnabled = () => true;
+    remote.calculate = async () => {
+      calls++;
+      return { riskPercentage: 10 + calls, factors: [] };
+    };
+
+    try {
+      const { baseline, scenarios } = await scenarioSimulator.simulate(patient, [
+        { name: 'Quit smoking', overrides: { smoking: 'never' } },
+        { name: 'Active', overrides: { moderateMinutes: 150 } }
+      ]);
+
+      expect(calls).toBe(1);
+      expect(baseline.models.sarah0022).toBe(11);
+      expect(scenarios.map(scenario => scenario.models.sarah0022)).toEqual([11, 11]);
+    } finally {
+      Object.assign(remote, original);
+    }
+  });
+
+  test('should show more weekly activity in the Life\'s Essential 8 score but not the 10-year risk', async () => {
+    const { baseline, scenarios } = await scenarioSimulator.simulate({ ...patient, moderateMinutes: 0 }, [
+      { name: 'Active', overrides: { moderateMinutes: 150 } }
+    ], { useSarahModel: false });
+
+    expect(scenarios[0].riskPercentage).toBe(baseline.riskPercentage);
+    expect(scenarios[0].lifesEssential8).toBeGreaterThan(baseline.lifesEssential8);
+  });
+
+  test('should reject overrides of non-modifiable fields', () => {
+    const errors = scenarioSimulator.validateScenarios([
+      { name: 'Younger', overrides: { age: 40, smoking: 'never' } }
+    ]);
+
+    expect(errors).toEqual(['Scenario "Younger" cannot override non-modifiable fields: age']);
+  });
+
+  test('should treat diabetes as non-modifiable and the legacy activity and diet categories as unknown', () => {
+    expect(scenarioSimulator.validateScenarios([{ overrides: { diabetes: false } }]))
+      .toEqual(['Scenario 1 cannot override non-modifiable fields: diabetes']);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { physicalActivity: 'active', dietQuality: 'good' } }]))
+      .toEqual(['Scenario 1 overrides unknown fields: physicalActivity, dietQuality']);
+  });
+
+  test('should reject override values that are not numbers in a plausible range or allowed values', () => {
+    expect(scenarioSimulator.validateScenarios([{ overrides: { systolicBP: 'abc' } }]))
+      .toEqual(['Scenario 1 sets systolicBP to "abc"; expected a number from 50 to 300']);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { systolicBP: -50, cholesterol: 0 } }])).toHaveLength(2);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { smoking: 'sometimes', onStatin: 'maybe' } }])).toEqual([
+      'Scenario 1 sets smoking to "sometimes"; expected one of never, former, current',
+      'Scenario 1 sets onStatin to "maybe"; expected one of true, false, yes, no'
+    ]);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { mepa: 'olive oil' } }])[0]).toMatch(/MEPA item ids/);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { systolicBP: 120, smoking: 'never', onStatin: true, mepa: [] } }])).toEqual([]);
+  });
+
+  test('should answer a bad override value with 400 from the simulate endpoint', () => {
+    const router = require('../routes/riskAssessment');
+    const res = { statusCode: 200 };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+
+    router({ method: 'POST', url: '/simulate', headers: {}, body: { patient, scenarios: [{ overrides: { systolicBP: 'abc' } }] } }, res, () => {});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toMatch(/systolicBP/);
+  });
+
+  test('should reject empty or unknown overrides', () => {
+    expect(scenarioSimulator.validateScenarios([])).toHaveLength(1);
+    expect(scenarioSimulator.validateScenarios([{ overrides: {} }])).toEqual(['Scenario 1 does not change any risk factor']);
+    expect(scenarioSimulator.validateScenarios([{ overrides: { shoeSize: 10 } }])[0]).toMatch(/unknown fields: shoeSize/);
+  });
+});
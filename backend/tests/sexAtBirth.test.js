@@ -0,0 +1,111 @@
+const sexAtBirth = require('../utils/sexAtBirth');
+const fhirSexAndGender = require('../utils/fhirSexAndGender');
+const kidneyFunction = require('../utils/kidneyFunction');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Sex at birth and gender identity', () => {
+  describe('normalize', () => {
+    test('should use sex at birth for the models and keep gender identity apart', () => {
+      const normalized = sexAtBirth.normalize({ sexAtBirth: 'female', genderIdentity: 'trans man' });
+
+      expect(normalized.gender).toBe('female');
+      expect(normalized.sexAtBirth).toBe('female');
+      expect(normalized.genderIdentity).toBe('transgenderMan');
+      expect(normalized.sexFallback).toBe(false);
+    });
+
+    test('should read a legacy male or female gender as sex at birth', () => {
+      expect(sexAtBirth.normalize({ gender: 'male' })).toMatchObject({ gender: 'male', sexAtBirth: 'male', genderIdentity: null });
+    });
+
+    test('should fall back when the only answer is "other"', () => {
+      const normalized = sexAtBirth.normalize({ gender: 'other' });
+
+      expect(normalized.gender).toBeUndefined();
+      expect(normalized.sexAtBirth).toBeNull();
+      expect(normalized.genderIdentity).toBe('other');
+      expect(normalized.sexFallback).toBe(true);
+      expect(sexAtBirth.normalize({ sexAtBirth: 'prefer not to say', gender: 'male' }).sexFallback).toBe(true);
+    });
+
+    test('should parse free-text gender identities', () => {
+      expect(sexAtBirth.parseGenderIdentity('non-binary')).toBe('nonBinary');
+      expect(sexAtBirth.parseGenderIdentity('transwoman')).toBe('transgenderWoman');
+      expect(sexAtBirth.parseGenderIdentity('Woman')).toBe('woman');
+      expect(sexAtBirth.parseGenderIdentity('something else')).toBe('other');
+      expect(sexAtBirth.parseGenderIdentity('xyz')).toBeNull();
+    });
+  });
+
+  describe('risk models', () => {
+    const patientData = { age: 55, systolicBP: 140, cholesterol: 220, hdlCholesterol: 45, smoking: 'never', bmi: 27 };
+    const options = { uncertainty: false, attribution: false };
+
+    test('should average the male and female equations when sex at birth is unknown', async () => {
+      const male = await riskCalculator.calculateRisk({ ...patientData, gender: 'male' }, false, false, options);
+      const female = await riskCalculator.calculateRisk({ ...patientData, gender: 'female' }, false, false, options);
+      const unknown = await riskCalculator.calculateRisk({ ...patientData, gender: 'other' }, false, false, options);
+
+      expect(unknown.sexAtBirth).toEqual({
+        sexAtBirth: null,
+        genderIdentity: 'other',
+        fallback: true,
+        label: sexAtBirth.fallbackLabel
+      });
+      expect(unknown.modelsUsed).toEqual(male.modelsUsed);
+      ['framingham', 'framingham2008', 'pce'].forEach(id => {
+        expect(unknown.models[id].sexFallback).toMatchObject({ male: male.models[id].riskPercentage, female: female.models[id].riskPercentage });
+        expect(unknown.models[id].riskPercentage).toBeCloseTo((male.models[id].riskPercentage + female.models[id].riskPercentage) / 2, 1);
+      });
+      expect(unknown.models.prevent.risk10Year).toBeCloseTo((male.models.prevent.risk10Year + female.models.prevent.risk10Year) / 2, 1);
+      expect(unknown.models.framingham.lookup).toBeUndefined();
+      expect(unknown.heartAge).toBeNull();
+    });
+
+    test('should use sex at birth rather than gender identity', async () => {
+      const female = await riskCalculator.calculateRisk({ ...patientData, gender: 'female' }, false, false, options);
+      const transMan = await riskCalculator.calculateRisk({ ...patientData, sexAtBirth: 'female', genderIdentity: 'transgenderMan' }, false, false, options);
+
+      expect(transMan.riskPercentage).toBe(female.riskPercentage);
+      expect(transMan.sexAtBirth.fallback).toBe(false);
+      expect(transMan.models.pce.sexFallback).toBeUndefined();
+    });
+
+    test('should average the CKD-EPI equations for eGFR', () => {
+      const male = kidneyFunction.estimateGfr(1.0, 60, 'male');
+      const female = kidneyFunction.estimateGfr(1.0, 60, 'female');
+      const kidney = kidneyFunction.calculate({ age: 60, genderIdentity: 'nonBinary', serumCreatinine: 1.0 });
+
+      expect(kidney.egfr).toBe(Math.round((male + female) / 2));
+      expect(kidney.egfrSexAveraged).toBe(true);
+      expect(kidneyFunction.calculate({ age: 60, sexAtBirth: 'male', serumCreatinine: 1.0 }).egfrSexAveraged).toBe(false);
+    });
+  });
+
+  describe('FHIR', () => {
+    test('should record birth sex and gender identity with the US Core extensions', () => {
+      const patientData = { sexAtBirth: 'male', genderIdentity: 'nonBinary' };
+      const extensions = fhirSexAndGender.buildExtensions(patientData);
+
+      expect(extensions).toEqual([
+        { url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex', valueCode: 'M' },
+        {
+          url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-genderIdentity',
+          valueCodeableConcept: {
+            coding: [{ system: 'http://snomed.info/sct', code: '33791000087105', display: 'Identifies as nonbinary gender' }],
+            text: 'Non-binary'
+          }
+        }
+      ]);
+      expect(fhirSexAndGender.getAdministrativeGender(patientData)).toBe('other');
+      expect(fhirSexAndGender.toPatientFields({ extension: extensions })).toEqual(patientData);
+    });
+
+    test('should record an unknown birth sex and derive the administrative gender', () => {
+      expect(fhirSexAndGender.buildExtensions({ gender: 'other' })[0].valueCode).toBe('UNK');
+      expect(fhirSexAndGender.getAdministrativeGender({ gender: 'female' })).toBe('female');
+      expect(fhirSexAndGender.getAdministrativeGender({ sexAtBirth: 'female', genderIdentity: 'transgenderMan' })).toBe('male');
+      expect(fhirSexAndGender.getAdministrativeGender({})).toBe('unknown');
+    });
+  });
+});
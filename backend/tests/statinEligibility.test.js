@@ -0,0 +1,76 @@
+const statinEligibility = require('../utils/statinEligibility');
+const riskCalculator = require('../utils/riskCalculator');
+
+describe('Statin eligibility (2018 ACC/AHA cholesterol guideline)', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    cholesterol: 200,
+    hdlCholesterol: 50,
+    ldlCholesterol: 120,
+    diabetes: false,
+    smoking: 'never'
+  };
+  const withRisk = (risk) => ({ models: { pce: { riskPercentage: risk } }, riskPercentage: risk + 2 });
+
+  test('should recommend a high-intensity statin for LDL of 190 or more without a risk estimate', () => {
+    const result = statinEligibility.evaluate({}, { ...patient, ldlCholesterol: 195 });
+
+    expect(result.benefitGroup).toBe('severeHypercholesterolemia');
+    expect(result.intensity).toBe('high');
+    expect(result.rule).toBe('ldl-190');
+    expect(result.classOfRecommendation).toBe('I');
+  });
+
+  test('should recommend a moderate-intensity statin for diabetes aged 40-75', () => {
+    const moderate = statinEligibility.evaluate(withRisk(6), { ...patient, diabetes: true });
+    const longDuration = statinEligibility.evaluate(withRisk(6), { ...patient, diabetes: true, diabetesType: 'type2', diabetesDuration: 12 });
+
+    expect(moderate.benefitGroup).toBe('diabetes');
+    expect(moderate.intensity).toBe('moderate');
+    expect(moderate.rule).toBe('diabetes-40-75');
+    expect(longDuration.intensity).toBe('high');
+    expect(longDuration.rule).toBe('diabetes-high-risk');
+  });
+
+  test('should apply the 5%, 7.5% and 20% risk bands using the Pooled Cohort Equations', () => {
+    expect(statinEligibility.evaluate(withRisk(3), patient).rule).toBe('low-risk');
+    expect(statinEligibility.evaluate(withRisk(6), patient).rule).toBe('borderline-risk');
+    expect(statinEligibility.evaluate(withRisk(10), patient)).toMatchObject({ rule: 'risk-7.5-20', intensity: 'moderate', riskSource: 'pce', ascvdRisk: 10 });
+    expect(statinEligibility.evaluate(withRisk(22), patient)).toMatchObject({ rule: 'risk-20-plus', intensity: 'high' });
+  });
+
+  test('should let risk enhancers and the CAC score refine borderline and intermediate risk', () => {
+    const borderline = statinEligibility.evaluate(withRisk(6), { ...patient, lipoproteinA: 80 });
+    const intermediateCacZero = statinEligibility.evaluate(withRisk(10), { ...patient, cacScore: 0 });
+
+    expect(borderline).toMatchObject({ rule: 'borderline-enhancers', intensity: 'moderate', classOfRecommendation: 'IIb' });
+    expect(intermediateCacZero).toMatchObject({ rule: 'intermediate-cac-0', intensity: null });
+  });
+
+  test('should fall back to the combined risk when the Pooled Cohort Equations are unavailable', () => {
+    const result = statinEligibility.evaluate({ models: {}, riskPercentage: 8 }, patient);
+
+    expect(result.riskSource).toBe('combined');
+    expect(result.rule).toBe('risk-7.5-20');
+    expect(result.considerations[0]).toMatch(/combined 10-year risk/);
+  });
+
+  test('should report insufficient data rather than low risk when no ASCVD model ran', async () => {
+    const result = statinEligibility.evaluate({ models: {}, riskPercentage: 0, modelsUsed: [] }, patient);
+    const assessment = await riskCalculator.calculateRisk({ ...patient, systolicBP: 130 }, false, false, { models: ['lifetime'] });
+
+    expect(result).toMatchObject({ rule: 'insufficient-data', benefitGroup: null, intensity: null, ascvdRisk: null, riskSource: null });
+    expect(assessment.statinEligibility).toMatchObject({ rule: 'insufficient-data', benefitGroup: null, ascvdRisk: null });
+  });
+
+  test('should handle ages outside 40-75 and missing LDL', () => {
+    const young = statinEligibility.evaluate({}, { ...patient, age: 35, ldlCholesterol: 170, familyHistory: true, familyHistoryRelative: 'father', familyHistoryOnsetAge: 48 });
+    const older = statinEligibility.evaluate(withRisk(25), { ...patient, age: 78 });
+    const noLdl = statinEligibility.evaluate(withRisk(10), { age: 55, gender: 'male' });
+
+    expect(young.rule).toBe('young-adult-family-history');
+    expect(older.rule).toBe('age-over-75');
+    expect(noLdl.rule).toBe('insufficient-data');
+  });
+});
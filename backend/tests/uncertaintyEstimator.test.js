@@ -0,0 +1,72 @@
+const riskCalculator = require('../utils/riskCalculator');
+const syntheaLoader = require('../utils/syntheaLoader');
+const uncertaintyEstimator = require('../utils/uncertaintyEstimator');
+
+describe('Uncertainty interval for the combined risk', () => {
+  const patient = {
+    age: 55,
+    gender: 'male',
+    systolicBP: 135,
+    cholesterol: 210,
+    hdlCholesterol: 45,
+    bmi: 28
+  };
+
+  test('should return a lower and upper bound around the combined estimate', async () => {
+    const assessment = await riskCalculator.calculateRisk(patient, false, false);
+    const { uncertainty } = assessment;
+
+    expect(uncertainty.level).toBe(95);
+    expect(uncertainty.lower).toBeLessThanOrEqual(assessment.riskPercentage);
+    expect(uncertainty.upper).toBeGreaterThanOrEqual(assessment.riskPercentage);
+  });
+
+  test('should widen the range and name skipped inputs as drivers', async () => {
+    const complete = await riskCalculator.calculateRisk(patient, false, false);
+    const { hdlCholesterol, ...skipped } = patient;
+    const incomplete = await riskCalculator.calculateRisk(skipped, false, false);
+
+    const width = (u) => u.upper - u.lower;
+    expect(width(incomplete.uncertainty)).toBeGreaterThan(width(complete.uncertainty));
+    expect(incomplete.uncertainty.drivers[0]).toEqual(expect.objectContaining({ field: 'hdlCholesterol', reason: 'missing' }));
+  });
+
+  test('should sample skipped inputs from the same sex and age band as imputation', () => {
+    // Men aged 50-59 have a systolic blood pressure of 150-170 mmHg; all other strata sit around 120
+    const observed = (values) => ({ values, median: values[Math.floor(values.length / 2)], average: values[0], count: values.length });
+    const statsSpy = jest.spyOn(syntheaLoader, 'calculateStatistics').mockImplementation((gender, ageBand) => ({
+      systolicBP: gender === 'male' && ageBand && ageBand.min === 50
+        ? observed(Array.from({ length: 21 }, (value, index) => 150 + index))
+        : observed(Array(21).fill(120)),
+      cholesterol: observed([]),
+      hdlCholesterol: observed([]),
+      bmi: observed([])
+    }));
+
+    try {
+      const { systolicBP, ...skipped } = patient;
+      const distribution = uncertaintyEstimator.buildDistributions(skipped).systolicBP;
+      const random = uncertaintyEstimator.createRandom(1);
+      const draws = Array.from({ length: 50 }, () => distribution.sample(random));
+
+      expect(distribution).toMatchObject({ reason: 'missing', source: 'synthea', central: 160, stratum: { gender: 'male', ageBand: '50-59' } });
+      expect(Math.min(...draws)).toBeGreaterThanOrEqual(150);
+      expect(Math.max(...draws)).toBeLessThanOrEqual(170);
+    } finally {
+      statsSpy.mockRestore();
+    }
+  });
+
+  test('should be reproducible for the same inputs', async () => {
+    const first = await riskCalculator.calculateRisk(patient, false, false);
+    const second = await riskCalculator.calculateRisk(patient, false, false);
+
+    expect(second.uncertainty).toEqual(first.uncertainty);
+  });
+
+  test('should be skipped when disabled', async () => {
+    const assessment = await riskCalculator.calculateRisk(patient, false, false, { uncertainty: false });
+
+    expect(assessment.uncertainty).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * FHIR Kidney Function Observations
+ * Converts serum creatinine, eGFR and urine albumin-to-creatinine ratio into FHIR R4 Observation
+ * resources with their LOINC codes. eGFR calculated with CKD-EPI 2021 uses the code specific to that
+ * equation; an eGFR reported by the patient uses the method-independent eGFR code.
+ */
+
+const kidneyFunction = require('./kidneyFunction');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+
+const OBSERVATION_CODES = {
+  serumCreatinine: {
+    code: '2160-0',
+    display: 'Creatinine [Mass/volume] in Serum or Plasma',
+    text: 'Serum creatinine',
+    unit: 'mg/dL',
+    ucum: 'mg/dL'
+  },
+  egfrCkdEpi2021: {
+    code: '98979-8',
+    display: 'Glomerular filtration rate/1.73 sq M.predicted [Volume Rate/Area] in Serum, Plasma or Blood by Creatinine-based formula (CKD-EPI 2021)',
+    text: 'eGFR (CKD-EPI 2021)',
+    unit: 'mL/min/1.73m2',
+    ucum: 'mL/min/{1.73_m2}'
+  },
+  egfrReported: {
+    code: '69405-9',
+    display: 'Glomerular filtration rate/1.73 sq M.predicted [Volume Rate/Area] in Serum, Plasma or Blood',
+    text: 'eGFR',
+    unit: 'mL/min/1.73m2',
+    ucum: 'mL/min/{1.73_m2}'
+  },
+  uacr: {
+    code: '9318-7',
+    display: 'Albumin/Creatinine [Mass Ratio] in Urine',
+    text: 'Urine albumin-to-creatinine ratio',
+    unit: 'mg/g',
+    ucum: 'mg/g{creat}'
+  }
+};
+
+class FhirKidneyObservations {
+  /**
+   * Build Observations for the kidney function values known for a patient
+   * @param {Object} patientData - Patient health information (age, gender, serumCreatinine, uacr, egfr)
+   * @param {String} patientId - FHIR Patient id the observations refer to
+   * @param {Object} options - { idPrefix: when set, each observation gets the id `${idPrefix}-${key}` so it can be PUT idempotently }
+   * @returns {Array} Observation resources
+   */
+  buildObservations(patientData, patientId, options = {}) {
+    const kidney = kidneyFunction.calculate(patientData);
+    if (!kidney) {
+      return [];
+    }
+
+    const values = [];
+    if (kidney.serumCreatinine !== null) {
+      values.push({ key: 'serumCreatinine', value: kidney.serumCreatinine });
+    }
+    if (kidney.egfr !== null) {
+      values.push({ key: kidney.egfrSource === 'ckd-epi-2021' ? 'egfrCkdEpi2021' : 'egfrReported', value: kidney.egfr });
+    }
+    if (kidney.uacr !== null) {
+      values.push({ key: 'uacr', value: kidney.uacr });
+    }
+
+    return values.map(({ key, value }) => {
+      const definition = OBSERVATION_CODES[key];
+      const observation = {
+        resourceType: 'Observation',
+        status: 'final',
+        category: [{
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+            code: 'laboratory',
+            display: 'Laboratory'
+          }]
+        }],
+        subject: {
+          reference: `Patient/${patientId}`
+        },
+        code: {
+          coding: [{
+            system: LOINC_SYSTEM,
+            code: definition.code,
+            display: definition.display
+          }],
+          text: definition.text
+        },
+        valueQuantity: {
+          value,
+          unit: definition.unit,
+          system: 'http://unitsofmeasure.org',
+          code: definition.ucum
+        },
+        effectiveDateTime: new Date().toISOString()
+      };
+
+      if (options.idPrefix) {
+        observation.id = `${options.idPrefix}-${key}`;
+      }
+      return observation;
+    });
+  }
+}
+
+module.exports = new FhirKidneyObservations();
@@ -0,0 +1,105 @@
+/**
+ * FHIR Medication Statements
+ * Converts the patient's answers about blood pressure medication, statins and aspirin into FHIR R4
+ * MedicationStatement resources, and reads them back into patient fields. A "no" answer is stored
+ * as a statement with status "not-taken" so the absence of treatment is recorded explicitly.
+ */
+
+// Medication classes captured by the questionnaire and chatbot, keyed by patient field
+const MEDICATIONS = {
+  onBPMedication: {
+    code: '1182007',
+    display: 'Hypotensive agent',
+    text: 'Blood pressure medication'
+  },
+  onStatin: {
+    code: '372912004',
+    display: 'Substance with 3-hydroxy-3-methylglutaryl-coenzyme A reductase inhibitor mechanism of action',
+    text: 'Statin'
+  },
+  onAspirin: {
+    code: '387458008',
+    display: 'Aspirin',
+    text: 'Aspirin'
+  }
+};
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+class FhirMedications {
+  constructor() {
+    this.fields = Object.keys(MEDICATIONS);
+  }
+
+  /**
+   * Build a MedicationStatement for every medication question the patient answered
+   * @param {Object} patientData - Patient health information
+   * @param {String} patientId - FHIR Patient id the statements refer to
+   * @param {Object} options - { idPrefix: when set, each statement gets the id `${idPrefix}-${field}` so it can be PUT idempotently }
+   * @returns {Array} MedicationStatement resources
+   */
+  buildStatements(patientData, patientId, options = {}) {
+    return this.fields
+      .filter(field => this.isAnswered(patientData[field]))
+      .map(field => {
+        const medication = MEDICATIONS[field];
+        const statement = {
+          resourceType: 'MedicationStatement',
+          status: this.isTaking(patientData[field]) ? 'active' : 'not-taken',
+          medicationCodeableConcept: {
+            coding: [{
+              system: SNOMED_SYSTEM,
+              code: medication.code,
+              display: medication.display
+            }],
+            text: medication.text
+          },
+          subject: {
+            reference: `Patient/${patientId}`
+          },
+          dateAsserted: new Date().toISOString()
+        };
+
+        if (options.idPrefix) {
+          statement.id = `${options.idPrefix}-${field}`;
+        }
+        return statement;
+      });
+  }
+
+  /**
+   * Read medication fields back from MedicationStatement resources
+   * @param {Array} statements - MedicationStatement resources
+   * @returns {Object} e.g. { onBPMedication: true, onStatin: false }
+   */
+  toPatientFields(statements) {
+    const fields = {};
+    (statements || []).forEach(statement => {
+      const coding = (statement.medicationCodeableConcept && statement.medicationCodeableConcept.coding) || [];
+      const field = this.fields.find(candidate =>
+        coding.some(code => code.system === SNOMED_SYSTEM && code.code === MEDICATIONS[candidate].code)
+      );
+      if (field) {
+        fields[field] = statement.status === 'active';
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Label for a medication field, used for questionnaire items
+   */
+  getLabel(field) {
+    return MEDICATIONS[field] ? MEDICATIONS[field].text : field;
+  }
+
+  isAnswered(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  isTaking(value) {
+    return value === true || value === 'yes';
+  }
+}
+
+module.exports = new FhirMedications();
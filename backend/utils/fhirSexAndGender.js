@@ -0,0 +1,88 @@
+/**
+ * FHIR Sex and Gender
+ * Records sex assigned at birth and gender identity on the FHIR R4 Patient with the US Core birth sex
+ * and gender identity extensions, and reads them back into patient fields. Patient.gender is the
+ * administrative gender: taken from the gender identity when it maps to male or female, otherwise
+ * "other" for non-binary and other identities, or the sex at birth when no identity was given.
+ */
+
+const sexAtBirth = require('./sexAtBirth');
+
+const BIRTH_SEX_URL = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex';
+const GENDER_IDENTITY_URL = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-genderIdentity';
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+const NULL_FLAVOR_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor';
+
+// US Core birth sex codes
+const BIRTH_SEX_CODES = { male: 'M', female: 'F' };
+const UNKNOWN_BIRTH_SEX_CODE = 'UNK';
+
+// US Core gender identity codes, keyed by sexAtBirth.genderIdentities id
+const GENDER_IDENTITY_CODES = {
+  man: { system: SNOMED_SYSTEM, code: '446151000124109', display: 'Identifies as male gender', administrativeGender: 'male' },
+  woman: { system: SNOMED_SYSTEM, code: '446141000124107', display: 'Identifies as female gender', administrativeGender: 'female' },
+  nonBinary: { system: SNOMED_SYSTEM, code: '33791000087105', display: 'Identifies as nonbinary gender', administrativeGender: 'other' },
+  transgenderMan: { system: SNOMED_SYSTEM, code: '407377005', display: 'Female-to-male transsexual', administrativeGender: 'male' },
+  transgenderWoman: { system: SNOMED_SYSTEM, code: '407376001', display: 'Male-to-female transsexual', administrativeGender: 'female' },
+  other: { system: NULL_FLAVOR_SYSTEM, code: 'OTH', display: 'other', administrativeGender: 'other' },
+  declined: { system: NULL_FLAVOR_SYSTEM, code: 'ASKU', display: 'asked but unknown', administrativeGender: null }
+};
+
+class FhirSexAndGender {
+  /**
+   * US Core extensions for the patient's sex at birth and (when given) gender identity
+   * @param {Object} patientData - Patient health information (sexAtBirth, genderIdentity or a legacy gender)
+   * @returns {Array} Extension elements for Patient.extension
+   */
+  buildExtensions(patientData) {
+    const { sexAtBirth: sex, genderIdentity } = sexAtBirth.normalize(patientData);
+    const extensions = [{ url: BIRTH_SEX_URL, valueCode: sex ? BIRTH_SEX_CODES[sex] : UNKNOWN_BIRTH_SEX_CODE }];
+
+    const identity = GENDER_IDENTITY_CODES[genderIdentity];
+    if (identity) {
+      extensions.push({
+        url: GENDER_IDENTITY_URL,
+        valueCodeableConcept: {
+          coding: [{ system: identity.system, code: identity.code, display: identity.display }],
+          text: sexAtBirth.genderIdentities.find(entry => entry.id === genderIdentity).label
+        }
+      });
+    }
+    return extensions;
+  }
+
+  /**
+   * Administrative gender for Patient.gender: male, female, other or unknown
+   */
+  getAdministrativeGender(patientData) {
+    const { sexAtBirth: sex, genderIdentity } = sexAtBirth.normalize(patientData);
+    const identity = GENDER_IDENTITY_CODES[genderIdentity];
+    if (identity && identity.administrativeGender) {
+      return identity.administrativeGender;
+    }
+    return sex || 'unknown';
+  }
+
+  /**
+   * Read the extensions of a Patient back into patient fields
+   * @param {Object} patient - FHIR Patient resource
+   * @returns {Object} { sexAtBirth, genderIdentity } with null for values that are not recorded
+   */
+  toPatientFields(patient) {
+    const extensions = (patient && patient.extension) || [];
+    const birthSex = extensions.find(extension => extension.url === BIRTH_SEX_URL);
+    const identity = extensions.find(extension => extension.url === GENDER_IDENTITY_URL);
+    const coding = identity && identity.valueCodeableConcept ? identity.valueCodeableConcept.coding || [] : [];
+
+    return {
+      sexAtBirth: birthSex
+        ? Object.keys(BIRTH_SEX_CODES).find(sex => BIRTH_SEX_CODES[sex] === birthSex.valueCode) || null
+        : null,
+      genderIdentity: Object.keys(GENDER_IDENTITY_CODES).find(id =>
+        coding.some(code => code.system === GENDER_IDENTITY_CODES[id].system && code.code === GENDER_IDENTITY_CODES[id].code)
+      ) || null
+    };
+  }
+}
+
+module.exports = new FhirSexAndGender();
@@ -0,0 +1,139 @@
+/**
+ * Framingham General Cardiovascular Disease Risk (2008)
+ * D'Agostino RB Sr, Vasan RS, Pencina MJ, et al. General cardiovascular risk profile for use in
+ * primary care: the Framingham Heart Study. Circulation. 2008;117(6):743-753.
+ *
+ * Calculates 10-year risk of general CVD (coronary, cerebrovascular and peripheral arterial
+ * disease and heart failure) for adults aged 30-74. Two variants are published:
+ * - laboratory: uses total and HDL cholesterol
+ * - non-laboratory (office-based): uses BMI in place of the lipids
+ */
+
+/**
+ * Published regression coefficients, baseline 10-year survival and mean linear predictor
+ * Keys: variant -> sex
+ */
+const COEFFICIENTS = {
+  lab: {
+    female: {
+      lnAge: 2.32888, lnTotalChol: 1.20904, lnHdl: -0.70833, lnUntreatedSbp: 2.76157,
+      lnTreatedSbp: 2.82263, smoker: 0.52873, diabetes: 0.69154,
+      baselineSurvival: 0.95012, meanSum: 26.1931
+    },
+    male: {
+      lnAge: 3.06117, lnTotalChol: 1.12370, lnHdl: -0.93263, lnUntreatedSbp: 1.93303,
+      lnTreatedSbp: 1.99881, smoker: 0.65451, diabetes: 0.57367,
+      baselineSurvival: 0.88936, meanSum: 23.9802
+    }
+  },
+  bmi: {
+    female: {
+      lnAge: 2.72107, lnBmi: 0.51125, lnUntreatedSbp: 2.81291, lnTreatedSbp: 2.88267,
+      smoker: 0.61868, diabetes: 0.77763,
+      baselineSurvival: 0.94833, meanSum: 26.0145
+    },
+    male: {
+      lnAge: 3.11296, lnBmi: 0.79277, lnUntreatedSbp: 1.85508, lnTreatedSbp: 1.92672,
+      smoker: 0.70953, diabetes: 0.53160,
+      baselineSurvival: 0.88431, meanSum: 23.9388
+    }
+  }
+};
+
+const VARIANT_LABELS = {
+  lab: 'Laboratory-based (cholesterol)',
+  bmi: 'Non-laboratory estimate (BMI in place of cholesterol)'
+};
+
+class FraminghamGeneralCvd {
+  constructor() {
+    this.minAge = 30;
+    this.maxAge = 74;
+  }
+
+  /**
+   * Calculate 10-year general CVD risk
+   * The laboratory variant is used when total and HDL cholesterol are available and were measured;
+   * otherwise the BMI (non-laboratory) variant is used.
+   * @param {Object} patientData - Patient health information
+   * @param {Object} options - { imputedFields: fields whose value was estimated rather than provided }
+   * @returns {Object} Risk percentage, variant and contributing factors, or null if the model doesn't apply
+   */
+  calculate(patientData, options = {}) {
+    const { age, gender, systolicBP, cholesterol, hdlCholesterol, bmi, diabetes, smoking } = patientData;
+
+    if (!age || !gender || !systolicBP) {
+      return null;
+    }
+    if (age < this.minAge || age > this.maxAge) {
+      return null;
+    }
+    if (gender !== 'male' && gender !== 'female') {
+      return null;
+    }
+
+    const imputedFields = options.imputedFields || [];
+    const hasLipids = !!(cholesterol && hdlCholesterol);
+    const lipidsMeasured = hasLipids && !imputedFields.includes('cholesterol') && !imputedFields.includes('hdlCholesterol');
+
+    let variant;
+    if (lipidsMeasured || (hasLipids && !bmi)) {
+      variant = 'lab';
+    } else if (bmi) {
+      variant = 'bmi';
+    } else {
+      return null;
+    }
+
+    const c = COEFFICIENTS[variant][gender];
+    const factors = [];
+
+    const isTreated = patientData.onBPMedication === true || patientData.onBPMedication === 'yes';
+    const isSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    const isDiabetic = diabetes === true || diabetes === 'yes';
+    const lnSbp = Math.log(systolicBP);
+
+    let sum = c.lnAge * Math.log(age);
+
+    if (variant === 'lab') {
+      sum += c.lnTotalChol * Math.log(cholesterol) + c.lnHdl * Math.log(hdlCholesterol);
+    } else {
+      sum += c.lnBmi * Math.log(bmi);
+      factors.push(`Cholesterol not measured: Framingham general CVD risk was estimated from BMI (${bmi}) instead of lipids`);
+    }
+
+    if (isTreated) {
+      sum += c.lnTreatedSbp * lnSbp;
+      factors.push(`Treated systolic blood pressure of ${systolicBP} mmHg increases Framingham general CVD risk`);
+    } else {
+      sum += c.lnUntreatedSbp * lnSbp;
+      if (systolicBP >= 130) {
+        factors.push(`Systolic blood pressure of ${systolicBP} mmHg increases Framingham general CVD risk`);
+      }
+    }
+
+    if (isSmoker) {
+      sum += c.smoker;
+      factors.push('Current smoking increases Framingham general CVD risk');
+    }
+
+    if (isDiabetic) {
+      sum += c.diabetes;
+      factors.push('Diabetes increases Framingham general CVD risk');
+    }
+
+    const riskPercentage = 100 * (1 - Math.pow(c.baselineSurvival, Math.exp(sum - c.meanSum)));
+
+    return {
+      riskPercentage: Math.round(riskPercentage * 10) / 10,
+      variant,
+      variantLabel: VARIANT_LABELS[variant],
+      nonLab: variant === 'bmi',
+      bpTreated: isTreated,
+      factors,
+      model: 'Framingham 2008'
+    };
+  }
+}
+
+module.exports = new FraminghamGeneralCvd();
@@ -31,11 +31,12 @@ class FraminghamRiskScore {
 
     let points = 0;
     const factors = [];
+    const breakdown = [];
 
     if (gender === 'male') {
-      points = this.calculateMaleRisk(patientData, factors);
+      points = this.calculateMaleRisk(patientData, factors, breakdown);
     } else if (gender === 'female') {
-      points = this.calculateFemaleRisk(patientData, factors);
+      points = this.calculateFemaleRisk(patientData, factors, breakdown);
     } else {
       return null;
     }
@@ -46,6 +47,8 @@ class FraminghamRiskScore {
     return {
       score: points,
       riskPercentage: Math.round(riskPercentage * 10) / 10, // Round to 1 decimal
+      breakdown,
+      lookup: this.getLookupRow(points, gender),
       factors,
       model: 'Framingham'
     };
@@ -54,107 +57,171 @@ class FraminghamRiskScore {
   /**
    * Calculate risk points for males using official Framingham tables
    * Uses Total Cholesterol (Chol Pts) from the official methodology
+   * Every step is recorded in breakdown so the score can be verified by hand
    */
-  calculateMaleRisk(patientData, factors) {
+  calculateMaleRisk(patientData, factors, breakdown = []) {
     const { age, systolicBP, diastolicBP, cholesterol, hdlCholesterol, diabetes, smoking } = patientData;
     let points = 0;
 
     // Step 1: Age points (using Chol Pts column from official table)
-    if (age >= 70 && age <= 74) points += 7;
-    else if (age >= 65 && age <= 69) points += 6;
-    else if (age >= 60 && age <= 64) points += 5;
-    else if (age >= 55 && age <= 59) points += 4;
-    else if (age >= 50 && age <= 54) points += 3;
-    else if (age >= 45 && age <= 49) points += 2;
-    else if (age >= 40 && age <= 44) points += 1;
-    else if (age >= 35 && age <= 39) points += 0;
-    else if (age >= 30 && age <= 34) points += -1;
+    let ageBand;
+    let agePoints = 0;
+    if (age >= 70 && age <= 74) { ageBand = '70-74'; agePoints = 7; }
+    else if (age >= 65 && age <= 69) { ageBand = '65-69'; agePoints = 6; }
+    else if (age >= 60 && age <= 64) { ageBand = '60-64'; agePoints = 5; }
+    else if (age >= 55 && age <= 59) { ageBand = '55-59'; agePoints = 4; }
+    else if (age >= 50 && age <= 54) { ageBand = '50-54'; agePoints = 3; }
+    else if (age >= 45 && age <= 49) { ageBand = '45-49'; agePoints = 2; }
+    else if (age >= 40 && age <= 44) { ageBand = '40-44'; agePoints = 1; }
+    else if (age >= 35 && age <= 39) { ageBand = '35-39'; agePoints = 0; }
+    else if (age >= 30 && age <= 34) { ageBand = '30-34'; agePoints = -1; }
+    points = this.addStep(breakdown, points, 'Age', `${age} years`, ageBand, agePoints);
 
     // Step 2: Total Cholesterol points (Chol Pts)
-    if (cholesterol >= 280) points += 3;
-    else if (cholesterol >= 240 && cholesterol < 280) points += 2;
-    else if (cholesterol >= 200 && cholesterol < 240) points += 1;
-    else if (cholesterol >= 160 && cholesterol < 200) points += 0;
-    else if (cholesterol < 160) points += -3;
+    const cholesterolStep = this.getCholesterolPoints(cholesterol);
+    points = this.addStep(breakdown, points, 'Total cholesterol', `${cholesterol} mg/dL`, cholesterolStep.category, cholesterolStep.points);
 
     // Step 3: HDL Cholesterol points (Chol Pts)
-    if (hdlCholesterol >= 60) points += -2;
-    else if (hdlCholesterol >= 50 && hdlCholesterol < 60) points += 0;
-    else if (hdlCholesterol >= 45 && hdlCholesterol < 50) points += 0;
-    else if (hdlCholesterol >= 35 && hdlCholesterol < 45) points += 1;
-    else if (hdlCholesterol < 35) points += 2;
+    const hdlStep = this.getHdlPoints(hdlCholesterol);
+    points = this.addStep(breakdown, points, 'HDL cholesterol', `${hdlCholesterol} mg/dL`, hdlStep.category, hdlStep.points);
 
     // Step 4: Blood Pressure points (using the higher of systolic/diastolic)
     // Official table uses both systolic and diastolic in a 2D grid
-    const bpPoints = this.getBloodPressurePoints(systolicBP, diastolicBP);
-    points += bpPoints;
+    const bpCell = this.getBloodPressureCell(systolicBP, diastolicBP);
+    points = this.addStep(breakdown, points, 'Blood pressure', `${systolicBP}/${diastolicBP || '--'} mmHg`, bpCell.category, bpCell.points);
 
     // Step 5: Diabetes
-    if (diabetes === true || diabetes === 'yes') {
-      points += 2;
+    const hasDiabetes = diabetes === true || diabetes === 'yes';
+    if (hasDiabetes) {
       factors.push('Diabetes increases Framingham risk');
     }
+    points = this.addStep(breakdown, points, 'Diabetes', hasDiabetes ? 'Yes' : 'No', hasDiabetes ? 'Yes' : 'No', hasDiabetes ? 2 : 0);
 
     // Step 6: Smoking
-    if (smoking === 'current' || smoking === true || smoking === 'yes') {
-      points += 2;
+    const isSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    if (isSmoker) {
       factors.push('Current smoking increases Framingham risk');
     }
+    points = this.addStep(breakdown, points, 'Smoking', isSmoker ? 'Current smoker' : 'Non-smoker', isSmoker ? 'Yes' : 'No', isSmoker ? 2 : 0);
 
     return points;
   }
 
   /**
    * Calculate risk points for females using official Framingham tables
+   * Every step is recorded in breakdown so the score can be verified by hand
    */
-  calculateFemaleRisk(patientData, factors) {
+  calculateFemaleRisk(patientData, factors, breakdown = []) {
     const { age, systolicBP, diastolicBP, cholesterol, hdlCholesterol, diabetes, smoking } = patientData;
     let points = 0;
 
     // Step 1: Age points (Chol Pts column)
-    if (age >= 70 && age <= 74) points += 8;
-    else if (age >= 65 && age <= 69) points += 8;
-    else if (age >= 60 && age <= 64) points += 6;
-    else if (age >= 55 && age <= 59) points += 4;
-    else if (age >= 50 && age <= 54) points += 2;
-    else if (age >= 45 && age <= 49) points += 1;
-    else if (age >= 40 && age <= 44) points += 0;
-    else if (age >= 35 && age <= 39) points += 0;
-    else if (age >= 30 && age <= 34) points += 0;
+    let ageBand;
+    let agePoints = 0;
+    if (age >= 70 && age <= 74) { ageBand = '70-74'; agePoints = 8; }
+    else if (age >= 65 && age <= 69) { ageBand = '65-69'; agePoints = 8; }
+    else if (age >= 60 && age <= 64) { ageBand = '60-64'; agePoints = 6; }
+    else if (age >= 55 && age <= 59) { ageBand = '55-59'; agePoints = 4; }
+    else if (age >= 50 && age <= 54) { ageBand = '50-54'; agePoints = 2; }
+    else if (age >= 45 && age <= 49) { ageBand = '45-49'; agePoints = 1; }
+    else if (age >= 40 && age <= 44) { ageBand = '40-44'; agePoints = 0; }
+    else if (age >= 35 && age <= 39) { ageBand = '35-39'; agePoints = 0; }
+    else if (age >= 30 && age <= 34) { ageBand = '30-34'; agePoints = 0; }
+    points = this.addStep(breakdown, points, 'Age', `${age} years`, ageBand, agePoints);
 
     // Step 2: Total Cholesterol points (Chol Pts)
-    if (cholesterol >= 280) points += 3;
-    else if (cholesterol >= 240 && cholesterol < 280) points += 2;
-    else if (cholesterol >= 200 && cholesterol < 240) points += 1;
-    else if (cholesterol >= 160 && cholesterol < 200) points += 0;
-    else if (cholesterol < 160) points += -3;
+    const cholesterolStep = this.getCholesterolPoints(cholesterol);
+    points = this.addStep(breakdown, points, 'Total cholesterol', `${cholesterol} mg/dL`, cholesterolStep.category, cholesterolStep.points);
 
     // Step 3: HDL Cholesterol points (Chol Pts)
-    if (hdlCholesterol >= 60) points += -2;
-    else if (hdlCholesterol >= 50 && hdlCholesterol < 60) points += 0;
-    else if (hdlCholesterol >= 45 && hdlCholesterol < 50) points += 0;
-    else if (hdlCholesterol >= 35 && hdlCholesterol < 45) points += 1;
-    else if (hdlCholesterol < 35) points += 2;
+    const hdlStep = this.getHdlPoints(hdlCholesterol);
+    points = this.addStep(breakdown, points, 'HDL cholesterol', `${hdlCholesterol} mg/dL`, hdlStep.category, hdlStep.points);
 
     // Step 4: Blood Pressure points
-    const bpPoints = this.getBloodPressurePoints(systolicBP, diastolicBP);
-    points += bpPoints;
+    const bpCell = this.getBloodPressureCell(systolicBP, diastolicBP);
+    points = this.addStep(breakdown, points, 'Blood pressure', `${systolicBP}/${diastolicBP || '--'} mmHg`, bpCell.category, bpCell.points);
 
     // Step 5: Diabetes (women get more points)
-    if (diabetes === true || diabetes === 'yes') {
-      points += 4;
+    const hasDiabetes = diabetes === true || diabetes === 'yes';
+    if (hasDiabetes) {
       factors.push('Diabetes significantly increases Framingham risk in women');
     }
+    points = this.addStep(breakdown, points, 'Diabetes', hasDiabetes ? 'Yes' : 'No', hasDiabetes ? 'Yes' : 'No', hasDiabetes ? 4 : 0);
 
     // Step 6: Smoking
-    if (smoking === 'current' || smoking === true || smoking === 'yes') {
-      points += 2;
+    const isSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    if (isSmoker) {
       factors.push('Current smoking increases Framingham risk');
     }
+    points = this.addStep(breakdown, points, 'Smoking', isSmoker ? 'Current smoker' : 'Non-smoker', isSmoker ? 'Yes' : 'No', isSmoker ? 2 : 0);
 
     return points;
   }
 
+  /**
+   * Record one worksheet step and return the new running total
+   */
+  addStep(breakdown, total, factor, value, category, points) {
+    const runningTotal = total + points;
+    breakdown.push({
+      step: breakdown.length + 1,
+      factor,
+      value,
+      category,
+      points,
+      runningTotal
+    });
+    return runningTotal;
+  }
+
+  /**
+   * Total cholesterol category and points (same for men and women)
+   */
+  getCholesterolPoints(cholesterol) {
+    if (cholesterol >= 280) return { category: '≥280', points: 3 };
+    if (cholesterol >= 240) return { category: '240-279', points: 2 };
+    if (cholesterol >= 200) return { category: '200-239', points: 1 };
+    if (cholesterol >= 160) return { category: '160-199', points: 0 };
+    return { category: '<160', points: -3 };
+  }
+
+  /**
+   * HDL cholesterol category and points (same for men and women)
+   */
+  getHdlPoints(hdlCholesterol) {
+    if (hdlCholesterol >= 60) return { category: '≥60', points: -2 };
+    if (hdlCholesterol >= 50) return { category: '50-59', points: 0 };
+    if (hdlCholesterol >= 45) return { category: '45-49', points: 0 };
+    if (hdlCholesterol >= 35) return { category: '35-44', points: 1 };
+    return { category: '<35', points: 2 };
+  }
+
+  /**
+   * Blood pressure cell of the 2D systolic/diastolic grid
+   */
+  getBloodPressureCell(systolicBP, diastolicBP) {
+    let systolicCategory;
+    if (systolicBP < 120) systolicCategory = '<120';
+    else if (systolicBP < 130) systolicCategory = '120-129';
+    else if (systolicBP < 140) systolicCategory = '130-139';
+    else if (systolicBP < 160) systolicCategory = '140-159';
+    else systolicCategory = '≥160';
+
+    let diastolicCategory = null;
+    if (diastolicBP) {
+      if (diastolicBP < 80) diastolicCategory = '<80';
+      else if (diastolicBP < 85) diastolicCategory = '80-84';
+      else if (diastolicBP < 90) diastolicCategory = '85-89';
+      else if (diastolicBP < 100) diastolicCategory = '90-99';
+      else diastolicCategory = '≥100';
+    }
+
+    return {
+      category: `SBP ${systolicCategory}${diastolicCategory ? ` / DBP ${diastolicCategory}` : ''}`,
+      points: this.getBloodPressurePoints(systolicBP, diastolicBP)
+    };
+  }
+
   /**
    * Get blood pressure points based on official Framingham table
    * Uses the higher point value when systolic and diastolic give different scores
@@ -182,6 +249,24 @@ class FraminghamRiskScore {
     return systolicPoints;
   }
 
+  /**
+   * Row of the points-to-risk lookup table used for a point total
+   * The tables are open-ended at both extremes, so totals beyond them use the first/last row
+   */
+  getLookupRow(points, gender) {
+    const range = gender === 'male' ? { min: -1, max: 14 } : { min: 9, max: 28 };
+    let row = `${points}`;
+    if (points <= range.min) row = `≤${range.min}`;
+    if (points >= range.max) row = `≥${range.max}`;
+
+    return {
+      table: gender === 'male' ? 'Men' : 'Women',
+      row,
+      points,
+      riskPercentage: this.pointsToRiskPercentage(points, gender)
+    };
+  }
+
   /**
    * Convert Framingham points to 10-year CHD risk percentage
    * Uses the official lookup table from Step 8 of the Framingham methodology
@@ -0,0 +1,190 @@
+/**
+ * Heart Age Calculator
+ * Heart age is the age at which a person of the same sex with optimal risk factors would have
+ * the same 10-year risk as the patient. It is found by inverting the risk models:
+ * - Framingham: the patient's risk is mapped back through the points-to-risk table to the points
+ *   it requires, then to the youngest age band whose optimal-profile points reach that total. This
+ *   needs the optimal profile's risk to rise across the age bands; in the women's table it stays at
+ *   the 1% floor at every age, so no Framingham heart age is reported for women
+ * - PREVENT: the continuous equations are solved for age by bisection
+ */
+
+const framinghamRiskScore = require('./framinghamRiskScore');
+const preventModel = require('./preventModel');
+
+// Optimal risk factor profile used as the reference person
+const OPTIMAL_PROFILE = {
+  systolicBP: 110,
+  diastolicBP: 70,
+  cholesterol: 170,
+  hdlCholesterol: 50,
+  bmi: 25,
+  egfr: 90,
+  diabetes: false,
+  smoking: 'never',
+  onBPMedication: false,
+  onStatin: false
+};
+
+// Framingham point tables are defined in 5-year age bands between 30 and 74
+const FRAMINGHAM_AGE_BANDS = [30, 35, 40, 45, 50, 55, 60, 65, 70].map(min => ({ min, max: min + 4 }));
+
+// Highest point total listed in the Framingham points-to-risk tables
+const FRAMINGHAM_MAX_POINTS = { male: 14, female: 28 };
+
+// Bisection stops once the age interval is narrower than this many years
+const AGE_TOLERANCE = 0.05;
+
+class HeartAge {
+  constructor() {
+    this.optimalProfile = OPTIMAL_PROFILE;
+  }
+
+  /**
+   * Calculate heart age from the models that ran for this patient
+   * PREVENT is preferred because its equations are continuous in age; Framingham is used otherwise
+   * @param {Object} patientData - Patient health information (after imputation)
+   * @param {Object} results - Model results keyed by model id, as returned by RiskCalculator.runModels
+   * @returns {Object|null} { age, chronologicalAge, difference, model, capped, ageRange, byModel }
+   */
+  calculate(patientData, results) {
+    const byModel = {};
+
+    if (results.prevent && results.prevent.risk10Year !== null) {
+      const preventHeartAge = this.fromPrevent(patientData);
+      if (preventHeartAge) byModel.prevent = preventHeartAge;
+    }
+    if (results.framingham) {
+      const framinghamHeartAge = this.fromFramingham(patientData, results.framingham);
+      if (framinghamHeartAge) byModel.framingham = framinghamHeartAge;
+    }
+
+    const model = byModel.prevent ? 'prevent' : byModel.framingham ? 'framingham' : null;
+    if (!model) {
+      return null;
+    }
+
+    const selected = byModel[model];
+    return {
+      age: selected.age,
+      chronologicalAge: patientData.age,
+      difference: selected.age - patientData.age,
+      model,
+      capped: selected.capped,
+      ageRange: selected.ageRange,
+      byModel
+    };
+  }
+
+  /**
+   * Plain-language sentence describing a heart age result
+   */
+  describe(estimate) {
+    if (!estimate) {
+      return null;
+    }
+
+    const source = estimate.model === 'prevent' ? 'the PREVENT equations' : 'the Framingham Risk Score';
+    let ageText = `${estimate.age}`;
+    if (estimate.capped === 'above') ageText = `${estimate.age} or older`;
+    if (estimate.capped === 'below') ageText = `${estimate.age} or younger`;
+
+    let comparison;
+    if (estimate.difference > 0) {
+      comparison = `${estimate.difference} years older than your actual age of ${estimate.chronologicalAge}`;
+    } else if (estimate.difference < 0) {
+      comparison = `${-estimate.difference} years younger than your actual age of ${estimate.chronologicalAge}`;
+    } else {
+      comparison = 'the same as your actual age';
+    }
+
+    return `Your estimated heart age is ${ageText} (based on ${source}), ${comparison}.`;
+  }
+
+  /**
+   * Invert the PREVENT total CVD equation: find the age at which the optimal profile has the patient's risk
+   */
+  fromPrevent(patientData) {
+    const targetRisk = preventModel.tenYearRisk(patientData);
+    if (targetRisk === null) {
+      return null;
+    }
+
+    const riskAtAge = (age) => preventModel.tenYearRisk({ ...OPTIMAL_PROFILE, gender: patientData.gender, age });
+    let low = preventModel.minAge;
+    let high = preventModel.maxAge;
+
+    if (targetRisk <= riskAtAge(low)) {
+      return { age: low, capped: 'below', ageRange: null, risk: Math.round(targetRisk * 10) / 10 };
+    }
+    if (targetRisk >= riskAtAge(high)) {
+      return { age: high, capped: 'above', ageRange: null, risk: Math.round(targetRisk * 10) / 10 };
+    }
+
+    // Risk rises monotonically with age for the optimal profile
+    while (high - low > AGE_TOLERANCE) {
+      const mid = (low + high) / 2;
+      if (riskAtAge(mid) < targetRisk) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return { age: Math.round((low + high) / 2), capped: null, ageRange: null, risk: Math.round(targetRisk * 10) / 10 };
+  }
+
+  /**
+   * Invert the Framingham points-to-risk table: the patient's risk determines the points an optimal
+   * person needs, and the youngest age band whose age points reach that total is the heart age
+   */
+  fromFramingham(patientData, framinghamResult) {
+    const { gender } = patientData;
+    const requiredPoints = this.minimumPointsForRisk(framinghamResult.riskPercentage, gender);
+    if (requiredPoints === null) {
+      return null;
+    }
+
+    const bands = FRAMINGHAM_AGE_BANDS.map(band => {
+      const reference = framinghamRiskScore.calculate({ ...OPTIMAL_PROFILE, gender, age: band.min });
+      return { ...band, points: reference.score, risk: reference.riskPercentage };
+    });
+
+    // Without a rise in the optimal profile's risk with age, every risk above the floor would map to the oldest band
+    if (bands[bands.length - 1].risk <= bands[0].risk) {
+      return null;
+    }
+
+    const band = bands.find(candidate => candidate.points >= requiredPoints);
+    if (!band) {
+      const oldest = bands[bands.length - 1];
+      return { age: oldest.max, capped: 'above', ageRange: { min: oldest.min, max: oldest.max }, risk: framinghamResult.riskPercentage };
+    }
+
+    return {
+      age: Math.round((band.min + band.max) / 2),
+      capped: band === bands[0] && band.points > requiredPoints ? 'below' : null,
+      ageRange: { min: band.min, max: band.max },
+      risk: framinghamResult.riskPercentage
+    };
+  }
+
+  /**
+   * Smallest point total whose tabulated risk is at least the given risk
+   */
+  minimumPointsForRisk(riskPercentage, gender) {
+    const maxPoints = FRAMINGHAM_MAX_POINTS[gender];
+    if (maxPoints === undefined) {
+      return null;
+    }
+
+    for (let points = -3; points <= maxPoints; points++) {
+      if (framinghamRiskScore.pointsToRiskPercentage(points, gender) >= riskPercentage) {
+        return points;
+      }
+    }
+    return maxPoints;
+  }
+}
+
+module.exports = new HeartAge();
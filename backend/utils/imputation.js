@@ -0,0 +1,147 @@
+/**
+ * Missing-Value Imputation
+ * Fills missing lab and vital-sign values with the median of Synthea patients of the same
+ * sex and age band so that more risk models can run. Every imputed value is reported with
+ * its source, method and the stratum it came from.
+ */
+
+const syntheaLoader = require('./syntheaLoader');
+
+// Fields that may be imputed, in the order they are reported
+const IMPUTABLE_FIELDS = {
+  systolicBP: { label: 'Systolic Blood Pressure', unit: 'mmHg' },
+  diastolicBP: { label: 'Diastolic Blood Pressure', unit: 'mmHg' },
+  cholesterol: { label: 'Total Cholesterol', unit: 'mg/dL' },
+  hdlCholesterol: { label: 'HDL Cholesterol', unit: 'mg/dL' },
+  bmi: { label: 'BMI', unit: 'kg/m²' }
+};
+
+// Age bands used for stratification
+const AGE_BANDS = [
+  { min: 18, max: 29 },
+  { min: 30, max: 39 },
+  { min: 40, max: 49 },
+  { min: 50, max: 59 },
+  { min: 60, max: 69 },
+  { min: 70, max: 79 },
+  { min: 80, max: 120 }
+];
+
+// Minimum number of Synthea observations a stratum needs before its median is trusted
+const MIN_STRATUM_SAMPLES = 10;
+
+class Imputation {
+  /**
+   * Impute missing values
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} { patientData: copy with imputed values, imputedFields: [...] }
+   */
+  impute(patientData) {
+    const imputed = { ...patientData };
+    const imputedFields = [];
+
+    const missingFields = Object.keys(IMPUTABLE_FIELDS).filter(field => this.isMissing(patientData[field]));
+    if (missingFields.length === 0) {
+      return { patientData: imputed, imputedFields };
+    }
+
+    const strata = this.getPatientStrata(patientData);
+
+    missingFields.forEach(field => {
+      const estimate = this.estimateField(field, strata);
+      imputed[field] = estimate.value;
+      imputedFields.push({
+        field,
+        label: IMPUTABLE_FIELDS[field].label,
+        value: estimate.value,
+        unit: IMPUTABLE_FIELDS[field].unit,
+        ...estimate.provenance
+      });
+    });
+
+    return { patientData: imputed, imputedFields };
+  }
+
+  /**
+   * Strata to try for a patient, from their sex and age band down to the whole population
+   */
+  getPatientStrata(patientData) {
+    const gender = patientData.gender === 'male' || patientData.gender === 'female' ? patientData.gender : null;
+    return this.getStrata(gender, this.getAgeBand(patientData.age));
+  }
+
+  /**
+   * Strata to try, from most to least specific
+   */
+  getStrata(gender, ageBand) {
+    const strata = [];
+    if (gender && ageBand) strata.push({ gender, ageBand });
+    if (gender) strata.push({ gender, ageBand: null });
+    if (ageBand) strata.push({ gender: null, ageBand });
+    strata.push({ gender: null, ageBand: null });
+    return strata;
+  }
+
+  /**
+   * Use the median of the most specific stratum with enough samples,
+   * falling back to the population default when Synthea has no data
+   */
+  estimateField(field, strata) {
+    const found = this.findStratum(field, strata);
+    if (found) {
+      return {
+        value: found.stats.median,
+        provenance: {
+          source: 'synthea',
+          method: 'stratified median',
+          stratum: this.describeStratum(found.stratum),
+          sampleSize: found.stats.count
+        }
+      };
+    }
+
+    // No stratum had enough data - calculateStatistics returns population defaults in that case
+    const defaults = syntheaLoader.calculateStatistics()[field];
+    return {
+      value: defaults.median,
+      provenance: {
+        source: 'default',
+        method: 'population default',
+        stratum: this.describeStratum({ gender: null, ageBand: null }),
+        sampleSize: 0
+      }
+    };
+  }
+
+  /**
+   * The most specific stratum with enough samples for a field, with its Synthea statistics
+   * @returns {Object|null} { stratum, stats: { values, median, count, ... } }, or null if none has enough
+   */
+  findStratum(field, strata) {
+    for (const stratum of strata) {
+      const stats = syntheaLoader.calculateStatistics(stratum.gender, stratum.ageBand)[field];
+      if (stats && stats.count >= MIN_STRATUM_SAMPLES) {
+        return { stratum, stats };
+      }
+    }
+    return null;
+  }
+
+  getAgeBand(age) {
+    if (!age) return null;
+    return AGE_BANDS.find(band => age >= band.min && age <= band.max) || null;
+  }
+
+  describeStratum({ gender, ageBand }) {
+    return {
+      gender: gender || 'all',
+      ageBand: ageBand ? `${ageBand.min}-${ageBand.max}` : 'all ages'
+    };
+  }
+
+  isMissing(value) {
+    return value === undefined || value === null || value === '';
+  }
+}
+
+module.exports = new Imputation();
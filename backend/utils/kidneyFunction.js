@@ -0,0 +1,118 @@
+/**
+ * Kidney Function
+ * Estimates glomerular filtration rate from serum creatinine with the race-free CKD-EPI 2021 equation
+ * Inker LA, Eneanya ND, Coresh J, et al. New Creatinine- and Cystatin C-Based Equations to Estimate GFR
+ * without Race. N Engl J Med. 2021;385(19):1737-1749.
+ *
+ * eGFR = 142 × min(Scr/κ, 1)^α × max(Scr/κ, 1)^-1.200 × 0.9938^age × 1.012 [if female]
+ * with κ = 0.7 (female) / 0.9 (male) and α = -0.241 (female) / -0.302 (male), creatinine in mg/dL.
+ * Also classifies the result into KDIGO GFR (G1-G5) and albuminuria (A1-A3) categories.
+ */
+
+const sexAtBirth = require('./sexAtBirth');
+
+// Sex-specific CKD-EPI 2021 constants
+const CKD_EPI_2021 = {
+  female: { kappa: 0.7, alpha: -0.241, sexFactor: 1.012 },
+  male: { kappa: 0.9, alpha: -0.302, sexFactor: 1 }
+};
+
+// KDIGO GFR categories (lower bound in mL/min/1.73m²)
+const GFR_CATEGORIES = [
+  { min: 90, category: 'G1', label: 'Normal or high' },
+  { min: 60, category: 'G2', label: 'Mildly decreased' },
+  { min: 45, category: 'G3a', label: 'Mildly to moderately decreased' },
+  { min: 30, category: 'G3b', label: 'Moderately to severely decreased' },
+  { min: 15, category: 'G4', label: 'Severely decreased' },
+  { min: 0, category: 'G5', label: 'Kidney failure' }
+];
+
+// KDIGO albuminuria categories (lower bound of urine albumin-to-creatinine ratio in mg/g)
+const ALBUMINURIA_CATEGORIES = [
+  { min: 300, category: 'A3', label: 'Severely increased' },
+  { min: 30, category: 'A2', label: 'Moderately increased' },
+  { min: 0, category: 'A1', label: 'Normal to mildly increased' }
+];
+
+class KidneyFunction {
+  /**
+   * Summarize kidney function for a patient
+   * A reported eGFR is used as-is; otherwise it is calculated from serum creatinine, averaging the male and
+   * female equations when sex at birth is unknown.
+   * @param {Object} patientData - Patient health information (age, sexAtBirth or gender, serumCreatinine, uacr, egfr)
+   * @returns {Object|null} { egfr, egfrSource, egfrSexAveraged, serumCreatinine, uacr, gfrCategory, albuminuriaCategory, ckd }
+   *   or null when neither eGFR, creatinine nor UACR is available
+   */
+  calculate(patientData) {
+    const serumCreatinine = this.toNumber(patientData.serumCreatinine);
+    const uacr = this.toNumber(patientData.uacr);
+    const reportedEgfr = this.toNumber(patientData.egfr);
+
+    let egfr = reportedEgfr;
+    let egfrSource = reportedEgfr !== null ? 'reported' : null;
+    const sex = sexAtBirth.resolve(patientData);
+    const egfrSexAveraged = egfr === null && sex === null;
+    if (egfr === null) {
+      egfr = egfrSexAveraged
+        ? this.averageGfr(this.estimateGfr(serumCreatinine, patientData.age, 'male'), this.estimateGfr(serumCreatinine, patientData.age, 'female'))
+        : this.estimateGfr(serumCreatinine, patientData.age, sex);
+      egfrSource = egfr !== null ? 'ckd-epi-2021' : null;
+    }
+
+    if (egfr === null && uacr === null) {
+      return null;
+    }
+
+    const gfrCategory = egfr !== null ? GFR_CATEGORIES.find(entry => egfr >= entry.min) : null;
+    const albuminuriaCategory = uacr !== null ? ALBUMINURIA_CATEGORIES.find(entry => uacr >= entry.min) : null;
+
+    return {
+      egfr,
+      egfrSource,
+      egfrSexAveraged: egfrSexAveraged && egfr !== null,
+      serumCreatinine,
+      uacr,
+      gfrCategory,
+      albuminuriaCategory,
+      // KDIGO definition: eGFR below 60 or albuminuria of at least 30 mg/g
+      ckd: (egfr !== null && egfr < 60) || (uacr !== null && uacr >= 30)
+    };
+  }
+
+  /**
+   * CKD-EPI 2021 eGFR in mL/min/1.73m², rounded to a whole number
+   * @returns {Number|null} eGFR, or null if creatinine, age or sex is missing
+   */
+  estimateGfr(serumCreatinine, age, gender) {
+    const constants = CKD_EPI_2021[gender];
+    if (!constants || !serumCreatinine || serumCreatinine <= 0 || !age) {
+      return null;
+    }
+
+    const ratio = serumCreatinine / constants.kappa;
+    const egfr = 142 *
+      Math.pow(Math.min(ratio, 1), constants.alpha) *
+      Math.pow(Math.max(ratio, 1), -1.2) *
+      Math.pow(0.9938, age) *
+      constants.sexFactor;
+
+    return Math.round(egfr);
+  }
+
+  /**
+   * Mean of the male and female eGFR, or null if either is missing
+   */
+  averageGfr(male, female) {
+    return male !== null && female !== null ? Math.round((male + female) / 2) : null;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = new KidneyFunction();
@@ -0,0 +1,281 @@
+/**
+ * Life's Essential 8
+ * AHA cardiovascular health score (0-100): the unweighted mean of eight component scores for diet,
+ * physical activity, nicotine exposure, sleep, BMI, blood lipids, blood glucose and blood pressure.
+ * Lloyd-Jones DM, Allen NB, Anderson CAM, et al. Life's Essential 8: Updating and Enhancing the
+ * American Heart Association's Construct of Cardiovascular Health. Circulation. 2022;146:e18-e43.
+ *
+ * Diet is scored from the 16-item Mediterranean Eating Pattern for Americans (MEPA) screener (see lifestyleMeasures).
+ * Components whose inputs are missing are reported as missing; the overall score is then the mean
+ * of the components that could be scored and is flagged as incomplete.
+ */
+
+const lifestyleMeasures = require('./lifestyleMeasures');
+
+const MEPA_ITEMS = lifestyleMeasures.mepaItems;
+
+// Overall score categories
+const CATEGORIES = [
+  { min: 80, id: 'high', label: 'High cardiovascular health' },
+  { min: 50, id: 'moderate', label: 'Moderate cardiovascular health' },
+  { min: 0, id: 'low', label: 'Low cardiovascular health' }
+];
+
+// Points deducted for treated blood pressure or lipids and for indoor secondhand smoke
+const PENALTY_POINTS = 20;
+
+class LifesEssential8 {
+  constructor() {
+    this.mepaItems = MEPA_ITEMS;
+  }
+
+  /**
+   * Calculate the Life's Essential 8 score
+   * @param {Object} patientData - Normalized patient data (not imputed: the score reflects what the patient reported)
+   * @param {Object} options - { lipids: result of lipidPanel.calculate, for non-HDL cholesterol }
+   * @returns {Object} { score, category, categoryLabel, complete, components: [{ id, label, score, value, unit, detail }], missing: [labels] }
+   */
+  calculate(patientData, options = {}) {
+    const components = [
+      { id: 'diet', label: 'Diet', ...this.scoreDiet(patientData) },
+      { id: 'physicalActivity', label: 'Physical activity', ...this.scorePhysicalActivity(patientData) },
+      { id: 'nicotine', label: 'Nicotine exposure', ...this.scoreNicotine(patientData) },
+      { id: 'sleep', label: 'Sleep health', ...this.scoreSleep(patientData) },
+      { id: 'bmi', label: 'Body mass index', ...this.scoreBmi(patientData) },
+      { id: 'lipids', label: 'Blood lipids', ...this.scoreLipids(patientData, options.lipids) },
+      { id: 'glucose', label: 'Blood glucose', ...this.scoreGlucose(patientData) },
+      { id: 'bloodPressure', label: 'Blood pressure', ...this.scoreBloodPressure(patientData) }
+    ];
+
+    const scored = components.filter(component => component.score !== null);
+    const score = scored.length > 0
+      ? Math.round(scored.reduce((sum, component) => sum + component.score, 0) / scored.length)
+      : null;
+    const category = score !== null ? CATEGORIES.find(entry => score >= entry.min) : null;
+
+    return {
+      score,
+      category: category ? category.id : null,
+      categoryLabel: category ? category.label : null,
+      complete: scored.length === components.length,
+      components,
+      missing: components.filter(component => component.score === null).map(component => component.label)
+    };
+  }
+
+  /**
+   * Diet: MEPA items met (0-16)
+   */
+  scoreDiet(patientData) {
+    if (!Array.isArray(patientData.mepa)) {
+      return this.missing();
+    }
+    const points = MEPA_ITEMS.filter(item => patientData.mepa.includes(item.id)).length;
+    let score;
+    if (points >= 15) score = 100;
+    else if (points >= 12) score = 80;
+    else if (points >= 8) score = 50;
+    else if (points >= 4) score = 25;
+    else score = 0;
+    return { score, value: points, unit: `of ${MEPA_ITEMS.length} MEPA items`, detail: null };
+  }
+
+  /**
+   * Physical activity: minutes of moderate or vigorous activity per week
+   */
+  scorePhysicalActivity(patientData) {
+    const minutes = this.toNumber(patientData.activityMinutes);
+    if (minutes === null) {
+      return this.missing();
+    }
+    let score;
+    if (minutes >= 150) score = 100;
+    else if (minutes >= 120) score = 90;
+    else if (minutes >= 90) score = 80;
+    else if (minutes >= 60) score = 60;
+    else if (minutes >= 30) score = 40;
+    else if (minutes >= 1) score = 20;
+    else score = 0;
+    return { score, value: minutes, unit: 'min/week', detail: null };
+  }
+
+  /**
+   * Nicotine exposure: combustible tobacco, time since quitting, inhaled nicotine delivery systems (vaping)
+   * and secondhand smoke at home
+   */
+  scoreNicotine(patientData) {
+    const smoking = patientData.smoking;
+    const currentSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    const vaping = patientData.vaping === 'current' || patientData.vaping === true || patientData.vaping === 'yes';
+
+    let score;
+    let detail;
+    if (currentSmoker) {
+      score = 0;
+      detail = 'Current smoker';
+    } else if (smoking === 'former') {
+      const quitYears = this.toNumber(patientData.smokingQuitYears);
+      if (quitYears === null) {
+        return this.missing();
+      }
+      if (vaping || quitYears < 1) score = 25;
+      else if (quitYears < 5) score = 50;
+      else score = 75;
+      detail = `Former smoker, quit ${quitYears} year${quitYears === 1 ? '' : 's'} ago${vaping ? '; currently vapes' : ''}`;
+    } else if (smoking === 'never' || smoking === false || smoking === 'no') {
+      score = vaping ? 25 : 100;
+      detail = vaping ? 'Never smoked; currently vapes' : 'Never smoked';
+    } else {
+      return this.missing();
+    }
+
+    if (score > 0 && (patientData.secondhandSmoke === true || patientData.secondhandSmoke === 'yes')) {
+      score = Math.max(0, score - PENALTY_POINTS);
+      detail += '; lives with an indoor smoker';
+    }
+    return { score, value: null, unit: null, detail };
+  }
+
+  /**
+   * Sleep: average hours per night
+   */
+  scoreSleep(patientData) {
+    const hours = this.toNumber(patientData.sleepHours);
+    if (hours === null) {
+      return this.missing();
+    }
+    let score;
+    if (hours >= 7 && hours < 9) score = 100;
+    else if (hours >= 9 && hours < 10) score = 90;
+    else if (hours >= 6 && hours < 7) score = 70;
+    else if ((hours >= 5 && hours < 6) || hours >= 10) score = 40;
+    else if (hours >= 4) score = 20;
+    else score = 0;
+    return { score, value: hours, unit: 'hours/night', detail: null };
+  }
+
+  /**
+   * BMI (kg/m²)
+   */
+  scoreBmi(patientData) {
+    const bmi = this.toNumber(patientData.bmi);
+    if (bmi === null) {
+      return this.missing();
+    }
+    let score;
+    if (bmi < 25) score = 100;
+    else if (bmi < 30) score = 70;
+    else if (bmi < 35) score = 30;
+    else if (bmi < 40) score = 15;
+    else score = 0;
+    return { score, value: bmi, unit: 'kg/m²', detail: null };
+  }
+
+  /**
+   * Blood lipids: non-HDL cholesterol, 20 points less when treated
+   */
+  scoreLipids(patientData, lipids) {
+    const nonHdl = lipids ? lipids.nonHdlCholesterol : null;
+    if (nonHdl === null || nonHdl === undefined) {
+      return this.missing();
+    }
+    let score;
+    if (nonHdl < 130) score = 100;
+    else if (nonHdl < 160) score = 60;
+    else if (nonHdl < 190) score = 40;
+    else if (nonHdl < 220) score = 20;
+    else score = 0;
+
+    const treated = patientData.onStatin === true || patientData.onStatin === 'yes';
+    if (treated) {
+      score = Math.max(0, score - PENALTY_POINTS);
+    }
+    return { score, value: nonHdl, unit: 'mg/dL non-HDL', detail: treated ? 'On lipid-lowering medication' : null };
+  }
+
+  /**
+   * Blood glucose: HbA1c, or fasting glucose when there is no diabetes. An HbA1c of 6.5% or more or a
+   * fasting glucose of 126 mg/dL or more counts as (undiagnosed) diabetes and is scored like diabetes.
+   */
+  scoreGlucose(patientData) {
+    const hasDiabetes = patientData.diabetes === true || patientData.diabetes === 'yes';
+    const hba1c = this.toNumber(patientData.hba1c);
+    const fastingGlucose = this.toNumber(patientData.fastingGlucose);
+
+    if (hasDiabetes) {
+      if (hba1c === null) {
+        return this.missing();
+      }
+      return { score: this.scoreDiabetesHba1c(hba1c), value: hba1c, unit: '% HbA1c', detail: 'Diabetes' };
+    }
+
+    if (hba1c !== null) {
+      if (hba1c >= 6.5) {
+        return { score: this.scoreDiabetesHba1c(hba1c), value: hba1c, unit: '% HbA1c', detail: 'HbA1c in the diabetes range' };
+      }
+      return { score: hba1c < 5.7 ? 100 : 60, value: hba1c, unit: '% HbA1c', detail: null };
+    }
+    if (fastingGlucose !== null) {
+      // Without an HbA1c the diabetes range can't be graded further, so it gets the top diabetes band
+      if (fastingGlucose >= 126) {
+        return { score: 40, value: fastingGlucose, unit: 'mg/dL fasting glucose', detail: 'Fasting glucose in the diabetes range; an HbA1c would grade it' };
+      }
+      return { score: fastingGlucose < 100 ? 100 : 60, value: fastingGlucose, unit: 'mg/dL fasting glucose', detail: null };
+    }
+    return this.missing();
+  }
+
+  /**
+   * Glucose score for diabetes by HbA1c: below 7% 40, 7-7.9% 30, 8-8.9% 20, 9-9.9% 10, 10% or more 0
+   */
+  scoreDiabetesHba1c(hba1c) {
+    if (hba1c < 7) return 40;
+    if (hba1c < 8) return 30;
+    if (hba1c < 9) return 20;
+    if (hba1c < 10) return 10;
+    return 0;
+  }
+
+  /**
+   * Blood pressure: the worse of systolic and diastolic, 20 points less when treated
+   */
+  scoreBloodPressure(patientData) {
+    const systolic = this.toNumber(patientData.systolicBP);
+    const diastolic = this.toNumber(patientData.diastolicBP);
+    if (systolic === null) {
+      return this.missing();
+    }
+    const dbp = diastolic !== null ? diastolic : 0;
+    let score;
+    if (systolic >= 160 || dbp >= 100) score = 0;
+    else if (systolic >= 140 || dbp >= 90) score = 25;
+    else if (systolic >= 130 || dbp >= 80) score = 50;
+    else if (systolic >= 120) score = 75;
+    else score = 100;
+
+    const treated = patientData.onBPMedication === true || patientData.onBPMedication === 'yes';
+    if (treated) {
+      score = Math.max(0, score - PENALTY_POINTS);
+    }
+    return {
+      score,
+      value: diastolic !== null ? `${systolic}/${diastolic}` : systolic,
+      unit: 'mmHg',
+      detail: treated ? 'On blood pressure medication' : null
+    };
+  }
+
+  missing() {
+    return { score: null, value: null, unit: null, detail: null };
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = new LifesEssential8();
@@ -0,0 +1,186 @@
+/**
+ * Lifestyle Measures
+ * Physical activity as minutes per week and diet as the 16-item Mediterranean Eating Pattern for
+ * Americans (MEPA) screener, with the legacy self-rated categories derived from them for compatibility.
+ * MEPA is also the diet screener of Life's Essential 8, so patients answer one diet questionnaire.
+ *
+ * Activity: vigorous minutes count double, so the moderate-equivalent total can be compared with the
+ * 150 minutes a week recommended by the 2018 Physical Activity Guidelines for Americans.
+ * Diet: one point per MEPA item met (0-16); a score of 12 or more is good adherence, in line with the
+ * Life's Essential 8 diet bands.
+ * Cerwinske LA, Rasmussen HE, Lipson S, et al. Evaluation of a dietary screener: the Mediterranean
+ * Eating Pattern for Americans tool. J Hum Nutr Diet. 2017;30(5):596-603.
+ */
+
+// Moderate-equivalent minutes of activity per week recommended for adults
+const ACTIVITY_TARGET_MINUTES = 150;
+
+// Legacy physicalActivity categories, by moderate-equivalent minutes per week
+const ACTIVITY_LEVELS = [
+  { min: 300, level: 'active' },
+  { min: 150, level: 'moderate' },
+  { min: 1, level: 'minimal' },
+  { min: 0, level: 'none' }
+];
+
+// MEPA screener items; each one the patient meets counts one point
+const MEPA_ITEMS = [
+  { id: 'oliveOil', label: 'Olive oil as the main cooking oil' },
+  { id: 'greenLeafyVegetables', label: 'Green leafy vegetables at least 6 times a week' },
+  { id: 'otherVegetables', label: 'Other vegetables at least once a day' },
+  { id: 'berries', label: 'Berries at least twice a week' },
+  { id: 'otherFruit', label: 'Other fruit at least once a day' },
+  { id: 'redMeat', label: 'Red or processed meat less than 4 times a week' },
+  { id: 'fish', label: 'Fish or seafood at least once a week' },
+  { id: 'poultry', label: 'Chicken or turkey at least twice a week' },
+  { id: 'cheese', label: 'Cheese less than 4 times a week' },
+  { id: 'butter', label: 'Butter or cream less than once a day' },
+  { id: 'beans', label: 'Beans or legumes at least 3 times a week' },
+  { id: 'wholeGrains', label: 'Whole grains at least 3 times a day' },
+  { id: 'sweets', label: 'Sweets or pastries less than 4 times a week' },
+  { id: 'nuts', label: 'Nuts at least 4 times a week' },
+  { id: 'friedFood', label: 'Fried or fast food less than once a week' },
+  { id: 'alcohol', label: 'No more than one alcoholic drink a day' }
+];
+
+// Legacy dietQuality categories, by MEPA score
+const DIET_QUALITY_LEVELS = [
+  { min: 15, quality: 'excellent' },
+  { min: 12, quality: 'good' },
+  { min: 8, quality: 'fair' },
+  { min: 0, quality: 'poor' }
+];
+
+// Unmet MEPA items suggested as the next changes to make
+const MAX_DIET_FOCUS_ITEMS = 3;
+
+class LifestyleMeasures {
+  constructor() {
+    this.activityTargetMinutes = ACTIVITY_TARGET_MINUTES;
+    this.mepaItems = MEPA_ITEMS;
+  }
+
+  /**
+   * Copy of the patient data with activity minutes and the MEPA score resolved
+   * physicalActivity and dietQuality are derived from them when they were not given.
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} Patient data with moderateMinutes, vigorousMinutes, activityMinutes, activityGap,
+   *   mepaScore and mepaFocus ({ itemId: true } for up to three unmet items to work on)
+   */
+  normalize(patientData) {
+    const normalized = { ...patientData };
+
+    normalized.moderateMinutes = this.parseMinutes(normalized.moderateMinutes);
+    normalized.vigorousMinutes = this.parseMinutes(normalized.vigorousMinutes);
+    if (normalized.moderateMinutes !== null || normalized.vigorousMinutes !== null) {
+      normalized.activityMinutes = (normalized.moderateMinutes || 0) + 2 * (normalized.vigorousMinutes || 0);
+    } else {
+      normalized.activityMinutes = this.parseMinutes(normalized.activityMinutes);
+    }
+    normalized.activityGap = normalized.activityMinutes !== null
+      ? Math.max(0, ACTIVITY_TARGET_MINUTES - normalized.activityMinutes)
+      : null;
+    if (!normalized.physicalActivity && normalized.activityMinutes !== null) {
+      normalized.physicalActivity = this.getActivityLevel(normalized.activityMinutes);
+    }
+
+    normalized.mepaScore = null;
+    normalized.mepaFocus = null;
+    if (Array.isArray(normalized.mepa)) {
+      normalized.mepaScore = MEPA_ITEMS.filter(item => normalized.mepa.includes(item.id)).length;
+      normalized.mepaFocus = {};
+      MEPA_ITEMS
+        .filter(item => !normalized.mepa.includes(item.id))
+        .slice(0, MAX_DIET_FOCUS_ITEMS)
+        .forEach(item => {
+          normalized.mepaFocus[item.id] = true;
+        });
+      if (!normalized.dietQuality) {
+        normalized.dietQuality = this.getDietQuality(normalized.mepaScore);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Minutes per week from a number or an answer such as "30 minutes 5 days a week", "2.5 hours" or "none"
+   * @returns {Number|null} Minutes, or null if the answer is missing or not understood
+   */
+  parseMinutes(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    const lower = String(value).toLowerCase().trim();
+    if (/^\d+(\.\d+)?$/.test(lower)) {
+      return Number(lower);
+    }
+    if (!/\d/.test(lower)) {
+      return /\b(none|no|never|nothing|zero)\b/.test(lower) ? 0 : null;
+    }
+
+    const days = lower.match(/(\d+)\s*(?:days?|times?|x)\b/) || lower.match(/\bx\s*(\d+)\b/);
+    const amount = lower.match(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?)\b/);
+    let minutes;
+    if (amount) {
+      minutes = Number(amount[1]) * (amount[2].startsWith('h') ? 60 : 1);
+    } else {
+      const plain = (days ? lower.replace(days[0], ' ') : lower).match(/\d+(\.\d+)?/);
+      if (!plain) {
+        return null;
+      }
+      minutes = Number(plain[0]);
+    }
+
+    if (days) {
+      minutes *= Number(days[1]);
+    } else if (/\b(a|per|each|every) day\b|\bdaily\b/.test(lower)) {
+      minutes *= 7;
+    }
+    return Math.round(minutes);
+  }
+
+  /**
+   * MEPA items met from an answer listing their numbers, such as "1, 3, 7 and 12", "all" or "none"
+   * @returns {Array|null} Item ids, or null if the answer names no item
+   */
+  parseMepaAnswer(value) {
+    if (Array.isArray(value)) {
+      return MEPA_ITEMS.filter(item => value.includes(item.id)).map(item => item.id);
+    }
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const lower = String(value).toLowerCase();
+    const numbers = (lower.match(/\d+/g) || []).map(Number);
+    if (numbers.length === 0) {
+      if (/\b(all|every|each)\b/.test(lower)) {
+        return MEPA_ITEMS.map(item => item.id);
+      }
+      return /\b(none|no|nothing|neither)\b/.test(lower) ? [] : null;
+    }
+    const items = MEPA_ITEMS.filter((item, index) => numbers.includes(index + 1)).map(item => item.id);
+    return items.length > 0 ? items : null;
+  }
+
+  /**
+   * Legacy physicalActivity category for moderate-equivalent minutes per week
+   */
+  getActivityLevel(minutes) {
+    return ACTIVITY_LEVELS.find(entry => minutes >= entry.min).level;
+  }
+
+  /**
+   * Legacy dietQuality category for a MEPA score
+   */
+  getDietQuality(score) {
+    return DIET_QUALITY_LEVELS.find(entry => score >= entry.min).quality;
+  }
+}
+
+module.exports = new LifestyleMeasures();
@@ -0,0 +1,110 @@
+/**
+ * Lifetime ASCVD Risk by Risk Factor Burden
+ * Lloyd-Jones DM, Leip EP, Larson MG, et al. Prediction of lifetime risk for cardiovascular disease
+ * by risk factor burden at 50 years of age. Circulation. 2006;113(6):791-798.
+ *
+ * Estimates the risk of an atherosclerotic cardiovascular disease (ASCVD) event up to age 95 from the
+ * worst risk factor group a person falls into. The 2013 ACC/AHA guideline recommends it for adults aged
+ * 20-59, who are too young for the 10-year equations to be informative.
+ */
+
+// Lifetime risk (%) by sex and risk factor group
+const LIFETIME_RISK = {
+  male: { optimal: 5, notOptimal: 36, elevated: 46, oneMajor: 50, twoMajor: 69 },
+  female: { optimal: 8, notOptimal: 27, elevated: 39, oneMajor: 39, twoMajor: 50 }
+};
+
+const GROUP_LABELS = {
+  optimal: 'All risk factors optimal',
+  notOptimal: 'At least one risk factor not optimal',
+  elevated: 'At least one elevated risk factor',
+  oneMajor: 'One major risk factor',
+  twoMajor: 'Two or more major risk factors'
+};
+
+class LifetimeRisk {
+  constructor() {
+    this.minAge = 20;
+    this.maxAge = 59;
+  }
+
+  /**
+   * Calculate lifetime ASCVD risk
+   * @param {Object} patientData - Patient health information
+   * @returns {Object|null} Risk percentage, risk factor group and factors, or null if the estimate doesn't apply
+   */
+  calculate(patientData) {
+    const { age, gender, systolicBP, diastolicBP, cholesterol, smoking, diabetes } = patientData;
+
+    if (!age || !systolicBP || !cholesterol) {
+      return null;
+    }
+    if (age < this.minAge || age > this.maxAge) {
+      return null;
+    }
+    if (gender !== 'male' && gender !== 'female') {
+      return null;
+    }
+
+    const factors = [];
+    const assumptions = [];
+    const onBPMedication = patientData.onBPMedication === true || patientData.onBPMedication === 'yes';
+    const onStatin = patientData.onStatin === true || patientData.onStatin === 'yes';
+    const isSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    const isDiabetic = diabetes === true || diabetes === 'yes';
+
+    if (!diastolicBP) {
+      assumptions.push('Diastolic blood pressure not provided; blood pressure was grouped by systolic pressure alone.');
+    }
+
+    // Major risk factors
+    let majorCount = 0;
+    if (cholesterol >= 240 || onStatin) {
+      majorCount++;
+      factors.push(onStatin
+        ? 'Treated high cholesterol is a major risk factor for lifetime risk'
+        : `Total cholesterol of ${cholesterol} mg/dL (240 or higher) is a major risk factor for lifetime risk`);
+    }
+    if (systolicBP >= 160 || diastolicBP >= 100 || onBPMedication) {
+      majorCount++;
+      factors.push(onBPMedication
+        ? 'Treated high blood pressure is a major risk factor for lifetime risk'
+        : `Blood pressure of ${systolicBP}${diastolicBP ? `/${diastolicBP}` : ''} mmHg is a major risk factor for lifetime risk`);
+    }
+    if (isSmoker) {
+      majorCount++;
+      factors.push('Current smoking is a major risk factor for lifetime risk');
+    }
+    if (isDiabetic) {
+      majorCount++;
+      factors.push('Diabetes is a major risk factor for lifetime risk');
+    }
+
+    let group;
+    if (majorCount >= 2) {
+      group = 'twoMajor';
+    } else if (majorCount === 1) {
+      group = 'oneMajor';
+    } else if (cholesterol >= 200 || systolicBP >= 140 || diastolicBP >= 90) {
+      group = 'elevated';
+      factors.push('Elevated cholesterol (200-239 mg/dL) or blood pressure (140-159/90-99 mmHg) raises lifetime risk');
+    } else if (cholesterol >= 180 || systolicBP >= 120 || diastolicBP >= 80) {
+      group = 'notOptimal';
+      factors.push('Cholesterol (180-199 mg/dL) or blood pressure (120-139/80-89 mmHg) above optimal raises lifetime risk');
+    } else {
+      group = 'optimal';
+    }
+
+    return {
+      riskPercentage: LIFETIME_RISK[gender][group],
+      riskGroup: group,
+      riskGroupLabel: GROUP_LABELS[group],
+      horizon: 'to age 95',
+      assumptions,
+      factors,
+      model: 'Lifetime ASCVD'
+    };
+  }
+}
+
+module.exports = new LifetimeRisk();
@@ -0,0 +1,162 @@
+/**
+ * Extended Lipid Panel
+ * Derives non-HDL cholesterol and, when LDL cholesterol was not measured, calculates it from
+ * total cholesterol, HDL cholesterol and triglycerides (all mg/dL):
+ * - Martin-Hopkins: LDL = non-HDL - TG / factor, with the factor looked up from the 180-cell table
+ *   Martin SS, Blaha MJ, Elshazly MB, et al. Comparison of a novel method vs the Friedewald equation
+ *   for estimating low-density lipoprotein cholesterol levels. JAMA. 2013;310(19):2061-2068.
+ * - Friedewald: LDL = TC - HDL - TG / 5
+ *   Friedewald WT, Levy RI, Fredrickson DS. Clin Chem. 1972;18(6):499-502.
+ * Martin-Hopkins is preferred (2018 ACC/AHA cholesterol guideline); Friedewald is reported alongside.
+ */
+
+// Neither equation is reliable once triglycerides reach this level; LDL should be measured directly
+const MAX_TRIGLYCERIDES = 400;
+
+// Martin-Hopkins factor table: upper bound of each non-HDL stratum (mg/dL)
+const NON_HDL_STRATA = [100, 130, 160, 190, 220, Infinity];
+
+// Martin-Hopkins factor table rows: upper bound of the triglyceride stratum and one factor per non-HDL stratum
+const MARTIN_HOPKINS_FACTORS = [
+  { maxTriglycerides: 49, factors: [3.5, 3.4, 3.3, 3.3, 3.2, 3.1] },
+  { maxTriglycerides: 56, factors: [4.0, 3.9, 3.7, 3.6, 3.6, 3.4] },
+  { maxTriglycerides: 61, factors: [4.3, 4.1, 4.0, 3.9, 3.8, 3.6] },
+  { maxTriglycerides: 66, factors: [4.5, 4.3, 4.1, 4.0, 3.9, 3.9] },
+  { maxTriglycerides: 71, factors: [4.7, 4.4, 4.3, 4.2, 4.1, 3.9] },
+  { maxTriglycerides: 75, factors: [4.8, 4.6, 4.4, 4.2, 4.2, 4.1] },
+  { maxTriglycerides: 79, factors: [4.9, 4.6, 4.5, 4.3, 4.3, 4.2] },
+  { maxTriglycerides: 83, factors: [5.0, 4.8, 4.6, 4.4, 4.3, 4.2] },
+  { maxTriglycerides: 87, factors: [5.1, 4.8, 4.6, 4.5, 4.4, 4.3] },
+  { maxTriglycerides: 92, factors: [5.2, 4.9, 4.7, 4.6, 4.4, 4.3] },
+  { maxTriglycerides: 96, factors: [5.3, 5.0, 4.8, 4.7, 4.5, 4.4] },
+  { maxTriglycerides: 100, factors: [5.4, 5.1, 4.8, 4.7, 4.5, 4.3] },
+  { maxTriglycerides: 105, factors: [5.5, 5.2, 5.0, 4.7, 4.6, 4.5] },
+  { maxTriglycerides: 110, factors: [5.6, 5.3, 5.0, 4.8, 4.6, 4.5] },
+  { maxTriglycerides: 115, factors: [5.7, 5.4, 5.1, 4.9, 4.7, 4.5] },
+  { maxTriglycerides: 120, factors: [5.8, 5.5, 5.2, 5.0, 4.8, 4.6] },
+  { maxTriglycerides: 126, factors: [6.0, 5.5, 5.3, 5.0, 4.8, 4.6] },
+  { maxTriglycerides: 132, factors: [6.1, 5.7, 5.3, 5.1, 4.9, 4.7] },
+  { maxTriglycerides: 138, factors: [6.2, 5.8, 5.4, 5.2, 5.0, 4.7] },
+  { maxTriglycerides: 146, factors: [6.3, 5.9, 5.6, 5.3, 5.0, 4.8] },
+  { maxTriglycerides: 154, factors: [6.5, 6.0, 5.7, 5.4, 5.1, 4.8] },
+  { maxTriglycerides: 163, factors: [6.7, 6.2, 5.8, 5.4, 5.2, 4.9] },
+  { maxTriglycerides: 173, factors: [6.8, 6.3, 5.9, 5.5, 5.3, 5.0] },
+  { maxTriglycerides: 185, factors: [7.0, 6.5, 6.0, 5.7, 5.4, 5.1] },
+  { maxTriglycerides: 201, factors: [7.3, 6.7, 6.2, 5.8, 5.5, 5.2] },
+  { maxTriglycerides: 220, factors: [7.6, 6.9, 6.4, 6.0, 5.6, 5.3] },
+  { maxTriglycerides: 247, factors: [8.0, 7.2, 6.6, 6.2, 5.9, 5.4] },
+  { maxTriglycerides: 292, factors: [8.5, 7.6, 7.0, 6.5, 6.1, 5.6] },
+  { maxTriglycerides: 399, factors: [9.5, 8.3, 7.5, 7.0, 6.5, 5.9] }
+];
+
+// Display labels for how the LDL value was obtained
+const LDL_METHOD_LABELS = {
+  measured: 'Measured',
+  'martin-hopkins': 'Calculated (Martin-Hopkins)',
+  friedewald: 'Calculated (Friedewald)'
+};
+
+class LipidPanel {
+  constructor() {
+    this.maxTriglycerides = MAX_TRIGLYCERIDES;
+  }
+
+  /**
+   * Complete the lipid panel for a patient
+   * @param {Object} patientData - Patient health information (cholesterol, hdlCholesterol, ldlCholesterol, triglycerides)
+   * @returns {Object} { totalCholesterol, hdlCholesterol, nonHdlCholesterol, triglycerides, ldlCholesterol,
+   *   ldlMethod, ldlMethodLabel, ldlEstimates: { martinHopkins, friedewald }, notes }
+   */
+  calculate(patientData) {
+    const totalCholesterol = this.toNumber(patientData.cholesterol);
+    const hdlCholesterol = this.toNumber(patientData.hdlCholesterol);
+    const triglycerides = this.toNumber(patientData.triglycerides);
+    const measuredLdl = this.toNumber(patientData.ldlCholesterol);
+
+    const nonHdlCholesterol = totalCholesterol !== null && hdlCholesterol !== null
+      ? totalCholesterol - hdlCholesterol
+      : null;
+
+    const ldlEstimates = {
+      martinHopkins: this.martinHopkins(totalCholesterol, hdlCholesterol, triglycerides),
+      friedewald: this.friedewald(totalCholesterol, hdlCholesterol, triglycerides)
+    };
+
+    const notes = [];
+    let ldlCholesterol = null;
+    let ldlMethod = null;
+
+    if (measuredLdl !== null) {
+      ldlCholesterol = measuredLdl;
+      ldlMethod = 'measured';
+    } else if (ldlEstimates.martinHopkins !== null) {
+      ldlCholesterol = ldlEstimates.martinHopkins;
+      ldlMethod = 'martin-hopkins';
+    } else if (ldlEstimates.friedewald !== null) {
+      ldlCholesterol = ldlEstimates.friedewald;
+      ldlMethod = 'friedewald';
+    } else if (nonHdlCholesterol !== null && triglycerides !== null && triglycerides >= MAX_TRIGLYCERIDES) {
+      notes.push(`LDL cholesterol cannot be calculated reliably with triglycerides of ${triglycerides} mg/dL (≥${MAX_TRIGLYCERIDES}); a direct LDL measurement is needed`);
+    }
+
+    return {
+      totalCholesterol,
+      hdlCholesterol,
+      nonHdlCholesterol,
+      triglycerides,
+      ldlCholesterol,
+      ldlMethod,
+      ldlMethodLabel: ldlMethod ? LDL_METHOD_LABELS[ldlMethod] : null,
+      ldlEstimates,
+      notes
+    };
+  }
+
+  /**
+   * Martin-Hopkins LDL estimate, or null if an input is missing or triglycerides are ≥400 mg/dL
+   */
+  martinHopkins(totalCholesterol, hdlCholesterol, triglycerides) {
+    if (!this.canCalculate(totalCholesterol, hdlCholesterol, triglycerides)) {
+      return null;
+    }
+
+    const nonHdl = totalCholesterol - hdlCholesterol;
+    return Math.round(nonHdl - triglycerides / this.getMartinHopkinsFactor(triglycerides, nonHdl));
+  }
+
+  /**
+   * Friedewald LDL estimate, or null if an input is missing or triglycerides are ≥400 mg/dL
+   */
+  friedewald(totalCholesterol, hdlCholesterol, triglycerides) {
+    if (!this.canCalculate(totalCholesterol, hdlCholesterol, triglycerides)) {
+      return null;
+    }
+
+    return Math.round(totalCholesterol - hdlCholesterol - triglycerides / 5);
+  }
+
+  /**
+   * Triglyceride to VLDL cholesterol factor for the patient's triglyceride and non-HDL strata
+   */
+  getMartinHopkinsFactor(triglycerides, nonHdl) {
+    const row = MARTIN_HOPKINS_FACTORS.find(candidate => triglycerides <= candidate.maxTriglycerides)
+      || MARTIN_HOPKINS_FACTORS[MARTIN_HOPKINS_FACTORS.length - 1];
+    const column = NON_HDL_STRATA.findIndex(upperBound => nonHdl < upperBound);
+    return row.factors[column];
+  }
+
+  canCalculate(totalCholesterol, hdlCholesterol, triglycerides) {
+    return totalCholesterol !== null && hdlCholesterol !== null && triglycerides !== null
+      && triglycerides < MAX_TRIGLYCERIDES;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = new LipidPanel();
@@ -0,0 +1,107 @@
+/**
+ * Model Disagreement Detection
+ * Measures the spread between the individual model risk percentages and flags assessments
+ * where the models disagree too much for a single combined number to be trusted.
+ *
+ * Thresholds come from configuration:
+ * RISK_DISAGREEMENT_RANGE - flag when max - min exceeds this many percentage points (default 10)
+ * RISK_DISAGREEMENT_RATIO - flag when max / min exceeds this ratio (default 3)
+ */
+
+// Denominator floor for the ratio so that e.g. 0.2% vs 1% does not count as a 5x disagreement
+const RATIO_FLOOR = 1;
+
+class ModelDisagreement {
+  constructor() {
+    this.thresholds = this.loadThresholds();
+  }
+
+  loadThresholds(env = process.env) {
+    const range = parseFloat(env.RISK_DISAGREEMENT_RANGE);
+    const ratio = parseFloat(env.RISK_DISAGREEMENT_RATIO);
+    return {
+      range: !isNaN(range) && range > 0 ? range : 10,
+      ratio: !isNaN(ratio) && ratio > 1 ? ratio : 3
+    };
+  }
+
+  /**
+   * Analyse the spread between model percentages
+   * @param {Array} entries - [{ id, percentage }] for every model that produced a percentage
+   * @param {Object} names - Optional map of model id to display name
+   * @returns {Object} Disagreement section for the risk assessment
+   */
+  analyze(entries, names = {}) {
+    const thresholds = this.thresholds;
+
+    if (entries.length < 2) {
+      return {
+        flagged: false,
+        range: 0,
+        ratio: 1,
+        min: entries[0] || null,
+        max: entries[0] || null,
+        outlier: null,
+        thresholds,
+        message: 'Fewer than two models were available, so agreement could not be measured.'
+      };
+    }
+
+    const sorted = [...entries].sort((a, b) => a.percentage - b.percentage);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const range = max.percentage - min.percentage;
+    const ratio = max.percentage / Math.max(min.percentage, RATIO_FLOOR);
+
+    const flagged = range > thresholds.range || ratio > thresholds.ratio;
+    const outlier = this.findOutlier(entries);
+    const label = (id) => names[id] || id;
+
+    let message;
+    if (!flagged) {
+      message = `The models broadly agree (${min.percentage}% to ${max.percentage}%).`;
+    } else if (outlier) {
+      const direction = outlier.deviation > 0 ? 'higher' : 'lower';
+      message = `The models disagree (${min.percentage}% to ${max.percentage}%). ${label(outlier.id)} (${outlier.percentage}%) is much ${direction} than the other models, so the combined estimate should be interpreted with caution.`;
+    } else {
+      message = `The models disagree (${label(min.id)} ${min.percentage}% vs ${label(max.id)} ${max.percentage}%), so the combined estimate should be interpreted with caution.`;
+    }
+
+    return {
+      flagged,
+      range: Math.round(range * 10) / 10,
+      ratio: Math.round(ratio * 10) / 10,
+      min,
+      max,
+      outlier: flagged ? outlier : null,
+      thresholds,
+      message
+    };
+  }
+
+  /**
+   * The outlier is the model furthest from the median of the remaining models.
+   * With only two models neither can be singled out.
+   */
+  findOutlier(entries) {
+    if (entries.length < 3) {
+      return null;
+    }
+
+    let outlier = null;
+    entries.forEach(entry => {
+      const others = entries.filter(other => other !== entry).map(other => other.percentage).sort((a, b) => a - b);
+      const mid = Math.floor(others.length / 2);
+      const median = others.length % 2 === 0 ? (others[mid - 1] + others[mid]) / 2 : others[mid];
+      const deviation = entry.percentage - median;
+
+      if (!outlier || Math.abs(deviation) > Math.abs(outlier.deviation)) {
+        outlier = { id: entry.id, percentage: entry.percentage, deviation: Math.round(deviation * 10) / 10 };
+      }
+    });
+
+    return outlier;
+  }
+}
+
+module.exports = new ModelDisagreement();
@@ -0,0 +1,152 @@
+/**
+ * Risk Model Registry
+ * Keeps the list of risk models available to the RiskCalculator along with the metadata
+ * needed to decide whether a model applies to a given patient
+ */
+
+class ModelRegistry {
+  constructor() {
+    this.models = new Map();
+  }
+
+  /**
+   * Register a risk model
+   * @param {Object} definition - Model definition
+   * @param {String} definition.id - Unique model id used in requests and in the `models` block
+   * @param {String} definition.name - Human readable model name
+   * @param {Array<String>} definition.requiredInputs - Patient fields that must be present
+   * @param {Array<Array<String>>} [definition.inputAlternatives] - Groups of fields of which at least one
+   *   group must be complete, e.g. [['cholesterol', 'hdlCholesterol'], ['bmi']]
+   * @param {Object|null} definition.ageRange - Valid age range as { min, max }, or null if unrestricted
+   * @param {String} definition.horizon - Prediction horizon, e.g. '10-year'
+   * @param {String} definition.outcome - Predicted outcome, e.g. 'CHD' or 'ASCVD'
+   * @param {Function} definition.calculate - async (patientData, context) => result or null, where context is
+   *   { imputedFields: ids of fields that were estimated rather than provided }
+   * @param {Function} definition.getRiskPercentage - (result) => percentage used for combining, or null
+   * @param {Function} [definition.isEnabled] - (options) => Boolean, whether the model may run at all
+   * @param {Boolean} [definition.remote] - True for models backed by an external service; these are not
+   *   re-run during simulations and their original result is reused instead
+   * @param {Array<String>} [definition.sexAveragedFields] - For models with separate equations by sex at birth:
+   *   the result fields the RiskCalculator averages over both equations when sex at birth is unknown. Such
+   *   models do not need 'gender' even when it is listed in requiredInputs
+   * @param {Boolean} [definition.includeInCombined] - False for models with a different horizon (e.g. lifetime
+   *   risk) that are reported alongside the combined 10-year estimate but do not feed into it
+   * @param {Array<String>} [definition.alternatives] - Ids of models to point to when the patient's age is
+   *   outside ageRange, in order of preference
+   */
+  register(definition) {
+    const { id, calculate, getRiskPercentage } = definition;
+
+    if (!id || typeof calculate !== 'function' || typeof getRiskPercentage !== 'function') {
+      throw new Error('Risk model definitions need an id, a calculate function and a getRiskPercentage function');
+    }
+    if (this.models.has(id)) {
+      throw new Error(`Risk model "${id}" is already registered`);
+    }
+
+    this.models.set(id, {
+      requiredInputs: [],
+      inputAlternatives: null,
+      ageRange: null,
+      remote: false,
+      sexAveragedFields: null,
+      includeInCombined: true,
+      alternatives: [],
+      isEnabled: () => true,
+      ...definition
+    });
+  }
+
+  /**
+   * Get a registered model by id
+   */
+  get(id) {
+    return this.models.get(id) || null;
+  }
+
+  /**
+   * List all registered models in registration order
+   */
+  list() {
+    return Array.from(this.models.values());
+  }
+
+  /**
+   * Ids of all registered models
+   */
+  ids() {
+    return Array.from(this.models.keys());
+  }
+
+  /**
+   * Public description of the registered models (without functions)
+   */
+  describe() {
+    return this.list().map(({ id, name, requiredInputs, inputAlternatives, ageRange, horizon, outcome, sexAveragedFields, includeInCombined, alternatives }) => ({
+      id,
+      name,
+      requiredInputs,
+      inputAlternatives,
+      ageRange,
+      horizon,
+      outcome,
+      sexSpecific: sexAveragedFields !== null,
+      includeInCombined,
+      alternatives
+    }));
+  }
+
+  /**
+   * Check whether a model can run for the given patient
+   * @returns {String|null} Reason the model is not applicable, or null if it applies
+   */
+  getSkipReason(model, patientData) {
+    return this.getApplicability(model, patientData).reason;
+  }
+
+  /**
+   * Structured check of whether a model can run for the given patient
+   * @returns {Object} { applies, status, reason, validRange, missingInputs } where status is 'applies',
+   *   'missingInputs', 'belowAgeRange' or 'aboveAgeRange' and reason is null when the model applies
+   */
+  getApplicability(model, patientData) {
+    const isMissing = (field) => patientData[field] === undefined || patientData[field] === null || patientData[field] === '';
+    const notApplicable = (status, reason, missingInputs = []) => ({
+      applies: false,
+      status,
+      reason,
+      validRange: model.ageRange,
+      missingInputs
+    });
+
+    // Sex-specific models fall back to averaging both equations when sex at birth is unknown
+    const missingInputs = model.requiredInputs
+      .filter(field => !(field === 'gender' && model.sexAveragedFields))
+      .filter(isMissing);
+    if (missingInputs.length > 0) {
+      return notApplicable('missingInputs', `Missing required inputs: ${missingInputs.join(', ')}`, missingInputs);
+    }
+
+    if (model.inputAlternatives && !model.inputAlternatives.some(group => !group.some(isMissing))) {
+      return notApplicable(
+        'missingInputs',
+        `Missing required inputs: ${model.inputAlternatives.map(group => group.join(' and ')).join(', or ')}`,
+        model.inputAlternatives.flat().filter(isMissing)
+      );
+    }
+
+    if (model.ageRange) {
+      const { min, max } = model.ageRange;
+      if (patientData.age < min || patientData.age > max) {
+        return notApplicable(
+          patientData.age < min ? 'belowAgeRange' : 'aboveAgeRange',
+          `Age ${patientData.age} is outside the valid range of ${min}-${max}`
+        );
+      }
+    }
+
+    return { applies: true, status: 'applies', reason: null, validRange: model.ageRange, missingInputs: [] };
+  }
+}
+
+module.exports = ModelRegistry;
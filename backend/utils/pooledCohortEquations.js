@@ -0,0 +1,133 @@
+/**
+ * ACC/AHA Pooled Cohort Equations (PCE)
+ * Goff DC Jr, Lloyd-Jones DM, Bennett G, et al. 2013 ACC/AHA Guideline on the Assessment
+ * of Cardiovascular Risk. Circulation. 2014;129(25 Suppl 2):S49-S73.
+ *
+ * Calculates 10-year risk of a first hard atherosclerotic cardiovascular disease (ASCVD) event
+ * (nonfatal MI, CHD death, fatal or nonfatal stroke) for adults aged 40-79
+ */
+
+// Race answers that select an equation; anything else (missing or 'declined') falls back to White/Other
+const RACES = ['white', 'african-american', 'black', 'other'];
+
+/**
+ * Published coefficients (Table A of the guideline)
+ * Keys: sex -> race group. The white equations are also used for other/unspecified race,
+ * as recommended by the guideline.
+ */
+const COEFFICIENTS = {
+  female: {
+    white: {
+      lnAge: -29.799, lnAgeSquared: 4.884, lnTotalChol: 13.540, lnAgeLnTotalChol: -3.114,
+      lnHdl: -13.578, lnAgeLnHdl: 3.149, lnTreatedSbp: 2.019, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.957, lnAgeLnUntreatedSbp: 0, smoker: 7.574, lnAgeSmoker: -1.665,
+      diabetes: 0.661, baselineSurvival: 0.9665, meanSum: -29.18
+    },
+    africanAmerican: {
+      lnAge: 17.114, lnAgeSquared: 0, lnTotalChol: 0.940, lnAgeLnTotalChol: 0,
+      lnHdl: -18.920, lnAgeLnHdl: 4.475, lnTreatedSbp: 29.291, lnAgeLnTreatedSbp: -6.432,
+      lnUntreatedSbp: 27.820, lnAgeLnUntreatedSbp: -6.087, smoker: 0.691, lnAgeSmoker: 0,
+      diabetes: 0.874, baselineSurvival: 0.9533, meanSum: 86.61
+    }
+  },
+  male: {
+    white: {
+      lnAge: 12.344, lnAgeSquared: 0, lnTotalChol: 11.853, lnAgeLnTotalChol: -2.664,
+      lnHdl: -7.990, lnAgeLnHdl: 1.769, lnTreatedSbp: 1.797, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.764, lnAgeLnUntreatedSbp: 0, smoker: 7.837, lnAgeSmoker: -1.795,
+      diabetes: 0.658, baselineSurvival: 0.9144, meanSum: 61.18
+    },
+    africanAmerican: {
+      lnAge: 2.469, lnAgeSquared: 0, lnTotalChol: 0.302, lnAgeLnTotalChol: 0,
+      lnHdl: -0.307, lnAgeLnHdl: 0, lnTreatedSbp: 1.916, lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.809, lnAgeLnUntreatedSbp: 0, smoker: 0.549, lnAgeSmoker: 0,
+      diabetes: 0.645, baselineSurvival: 0.8954, meanSum: 19.54
+    }
+  }
+};
+
+class PooledCohortEquations {
+  constructor() {
+    this.minAge = 40;
+    this.maxAge = 79;
+  }
+
+  /**
+   * Calculate 10-year ASCVD risk with the Pooled Cohort Equations
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} Risk percentage and contributing factors, or null if the equations don't apply
+   */
+  calculate(patientData) {
+    const { age, gender, systolicBP, cholesterol, hdlCholesterol, diabetes, smoking, race } = patientData;
+
+    // Need minimum required data
+    if (!age || !gender || !systolicBP || !cholesterol || !hdlCholesterol) {
+      return null;
+    }
+
+    // Equations were derived for ages 40-79 only
+    if (age < this.minAge || age > this.maxAge) {
+      return null;
+    }
+
+    if (gender !== 'male' && gender !== 'female') {
+      return null;
+    }
+
+    const raceGroup = race === 'african-american' || race === 'black' ? 'africanAmerican' : 'white';
+    // Without a race (or when the patient preferred not to say) the white equations are a default, not a choice
+    const raceDefaulted = !RACES.includes(race);
+    const c = COEFFICIENTS[gender][raceGroup];
+    const factors = [];
+
+    const isTreated = patientData.onBPMedication === true || patientData.onBPMedication === 'yes';
+    const isSmoker = smoking === 'current' || smoking === true || smoking === 'yes';
+    const isDiabetic = diabetes === true || diabetes === 'yes';
+
+    const lnAge = Math.log(age);
+    const lnTotalChol = Math.log(cholesterol);
+    const lnHdl = Math.log(hdlCholesterol);
+    const lnSbp = Math.log(systolicBP);
+
+    let sum = c.lnAge * lnAge +
+      c.lnAgeSquared * lnAge * lnAge +
+      c.lnTotalChol * lnTotalChol +
+      c.lnAgeLnTotalChol * lnAge * lnTotalChol +
+      c.lnHdl * lnHdl +
+      c.lnAgeLnHdl * lnAge * lnHdl;
+
+    // Treated and untreated systolic BP carry separate coefficients
+    if (isTreated) {
+      sum += c.lnTreatedSbp * lnSbp + c.lnAgeLnTreatedSbp * lnAge * lnSbp;
+      factors.push(`Treated systolic blood pressure of ${systolicBP} mmHg (treated BP coefficients applied)`);
+    } else {
+      sum += c.lnUntreatedSbp * lnSbp + c.lnAgeLnUntreatedSbp * lnAge * lnSbp;
+      if (systolicBP >= 130) {
+        factors.push(`Untreated systolic blood pressure of ${systolicBP} mmHg increases PCE risk`);
+      }
+    }
+
+    if (isSmoker) {
+      sum += c.smoker + c.lnAgeSmoker * lnAge;
+      factors.push('Current smoking increases PCE risk');
+    }
+
+    if (isDiabetic) {
+      sum += c.diabetes;
+      factors.push('Diabetes increases PCE risk');
+    }
+
+    const riskPercentage = 100 * (1 - Math.pow(c.baselineSurvival, Math.exp(sum - c.meanSum)));
+
+    return {
+      riskPercentage: Math.round(riskPercentage * 10) / 10,
+      raceEquation: raceGroup === 'africanAmerican' ? 'African American' : 'White/Other',
+      raceDefaulted,
+      bpTreated: isTreated,
+      factors,
+      model: 'PCE'
+    };
+  }
+}
+
+module.exports = new PooledCohortEquations();
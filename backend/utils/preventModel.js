@@ -1,146 +1,370 @@
 /**
  * AHA PREVENT (Predicting Risk of cardiovascular disease EVENTs) Model
- * Based on the American Heart Association's PREVENT equations
- * Calculates 10-year and 30-year risk of cardiovascular disease
+ * Based on the American Heart Association's PREVENT base equations
+ * Khan SS, Matsushita K, Sang Y, et al. Development and Validation of the American Heart
+ * Association's PREVENT Equations. Circulation. 2024;149(6):430-449.
+ *
+ * Calculates sex-specific 10-year and 30-year risk of total cardiovascular disease (CVD),
+ * atherosclerotic cardiovascular disease (ASCVD) and heart failure (HF)
  */
 
+const kidneyFunction = require('./kidneyFunction');
+
+// mg/dL -> mmol/L conversion for cholesterol
+const MG_DL_TO_MMOL_L = 0.02586;
+
+// eGFR (mL/min/1.73m²) assumed when neither eGFR nor serum creatinine is supplied. At 90 the eGFR terms contribute nothing.
+const DEFAULT_EGFR = 90;
+
+/**
+ * Published base-model coefficients (Supplemental Table S12)
+ * Keys: sex -> outcome -> horizon. HF equations use BMI instead of lipids.
+ */
+const COEFFICIENTS = {
+  female: {
+    totalCVD: {
+      tenYear: {
+        age: 0.7939329, nonHdl: 0.0305239, hdl: -0.1606857, sbpLow: -0.2394003, sbpHigh: 0.360078,
+        diabetes: 0.8667604, smoking: 0.5360739, egfrLow: 0.6045917, egfrHigh: 0.0433769,
+        bpTreatment: 0.3151672, statin: -0.1477655, treatedSbp: -0.0663612, treatedNonHdl: 0.1197879,
+        ageNonHdl: -0.0819715, ageHdl: 0.0306769, ageSbp: -0.0946348, ageDiabetes: -0.27057,
+        ageSmoking: -0.078715, ageEgfr: -0.1637806, constant: -3.307728
+      },
+      thirtyYear: {
+        age: 0.5503079, ageSquared: -0.0928369, nonHdl: 0.0409794, hdl: -0.1663306, sbpLow: -0.1628654,
+        sbpHigh: 0.3299505, diabetes: 0.6793894, smoking: 0.3196112, egfrLow: 0.1857101, egfrHigh: 0.0553528,
+        bpTreatment: 0.2894, statin: -0.075688, treatedSbp: -0.056367, treatedNonHdl: 0.1071019,
+        ageNonHdl: -0.0751438, ageHdl: 0.0301786, ageSbp: -0.0998776, ageDiabetes: -0.3206166,
+        ageSmoking: -0.1607862, ageEgfr: -0.1450788, constant: -1.318827
+      }
+    },
+    ascvd: {
+      tenYear: {
+        age: 0.719883, nonHdl: 0.1176967, hdl: -0.151185, sbpLow: -0.0835358, sbpHigh: 0.3592852,
+        diabetes: 0.8348585, smoking: 0.4831078, egfrLow: 0.4864619, egfrHigh: 0.0397779,
+        bpTreatment: 0.2265309, statin: -0.0592374, treatedSbp: -0.0395762, treatedNonHdl: 0.0844423,
+        ageNonHdl: -0.0567839, ageHdl: 0.0325692, ageSbp: -0.1035985, ageDiabetes: -0.2417542,
+        ageSmoking: -0.0791142, ageEgfr: -0.1671492, constant: -3.819975
+      },
+      thirtyYear: {
+        age: 0.4669202, ageSquared: -0.0893118, nonHdl: 0.1256901, hdl: -0.1542255, sbpLow: -0.0018093,
+        sbpHigh: 0.322949, diabetes: 0.6296707, smoking: 0.268292, egfrLow: 0.100106, egfrHigh: 0.0499663,
+        bpTreatment: 0.1875292, statin: 0.0152476, treatedSbp: -0.0276123, treatedNonHdl: 0.0736147,
+        ageNonHdl: -0.0521962, ageHdl: 0.0316918, ageSbp: -0.1046101, ageDiabetes: -0.2727793,
+        ageSmoking: -0.1530907, ageEgfr: -0.1299149, constant: -1.974074
+      }
+    },
+    heartFailure: {
+      tenYear: {
+        age: 0.8998235, sbpLow: -0.4559771, sbpHigh: 0.3576505, diabetes: 1.038346, smoking: 0.583916,
+        bmiLow: -0.0072294, bmiHigh: 0.2997706, egfrLow: 0.7451638, egfrHigh: 0.0557087,
+        bpTreatment: 0.3534442, treatedSbp: -0.0981511, ageSbp: -0.0946663, ageDiabetes: -0.3581041,
+        ageSmoking: -0.1159453, ageBmi: -0.003878, ageEgfr: -0.1884289, constant: -4.310409
+      },
+      thirtyYear: {
+        age: 0.6254374, ageSquared: -0.0983038, sbpLow: -0.3919241, sbpHigh: 0.3142295, diabetes: 0.8330787,
+        smoking: 0.3438651, bmiLow: 0.0594874, bmiHigh: 0.2525536, egfrLow: 0.2981642, egfrHigh: 0.0667159,
+        bpTreatment: 0.333921, treatedSbp: -0.0893177, ageSbp: -0.0974299, ageDiabetes: -0.404855,
+        ageSmoking: -0.1982991, ageBmi: -0.0035619, ageEgfr: -0.1564215, constant: -2.205379
+      }
+    }
+  },
+  male: {
+    totalCVD: {
+      tenYear: {
+        age: 0.7688528, nonHdl: 0.0736174, hdl: -0.0954431, sbpLow: -0.4347345, sbpHigh: 0.3362658,
+        diabetes: 0.7692857, smoking: 0.4386871, egfrLow: 0.5378979, egfrHigh: 0.0164827,
+        bpTreatment: 0.288879, statin: -0.1337349, treatedSbp: -0.0475924, treatedNonHdl: 0.150273,
+        ageNonHdl: -0.0517874, ageHdl: 0.0191169, ageSbp: -0.1049477, ageDiabetes: -0.2251948,
+        ageSmoking: -0.0895067, ageEgfr: -0.1543702, constant: -3.031168
+      },
+      thirtyYear: {
+        age: 0.4627309, ageSquared: -0.0984281, nonHdl: 0.0836088, hdl: -0.1029824, sbpLow: -0.2140352,
+        sbpHigh: 0.2904325, diabetes: 0.5331276, smoking: 0.2141914, egfrLow: 0.1155556, egfrHigh: 0.0603775,
+        bpTreatment: 0.232714, statin: -0.0272112, treatedSbp: -0.0384488, treatedNonHdl: 0.134192,
+        ageNonHdl: -0.0511759, ageHdl: 0.0165865, ageSbp: -0.1101437, ageDiabetes: -0.2585943,
+        ageSmoking: -0.1566406, ageEgfr: -0.1166776, constant: -1.148204
+      }
+    },
+    ascvd: {
+      tenYear: {
+        age: 0.7099847, nonHdl: 0.1658663, hdl: -0.1144285, sbpLow: -0.2837212, sbpHigh: 0.3239977,
+        diabetes: 0.7189597, smoking: 0.3956973, egfrLow: 0.3690075, egfrHigh: 0.0203619,
+        bpTreatment: 0.2036522, statin: -0.0865581, treatedSbp: -0.0322916, treatedNonHdl: 0.114563,
+        ageNonHdl: -0.0300005, ageHdl: 0.0232747, ageSbp: -0.0927024, ageDiabetes: -0.2018525,
+        ageSmoking: -0.0970527, ageEgfr: -0.1217081, constant: -3.500655
+      },
+      thirtyYear: {
+        age: 0.3994099, ageSquared: -0.0937484, nonHdl: 0.1744643, hdl: -0.120203, sbpLow: -0.0665117,
+        sbpHigh: 0.2753037, diabetes: 0.4790257, smoking: 0.1782635, egfrLow: -0.0218789, egfrHigh: 0.0602553,
+        bpTreatment: 0.1421182, statin: 0.0135996, treatedSbp: -0.0218265, treatedNonHdl: 0.1013148,
+        ageNonHdl: -0.0312619, ageHdl: 0.020673, ageSbp: -0.0920935, ageDiabetes: -0.2159947,
+        ageSmoking: -0.1548811, ageEgfr: -0.0712547, constant: -1.736444
+      }
+    },
+    heartFailure: {
+      tenYear: {
+        age: 0.8972642, sbpLow: -0.6811466, sbpHigh: 0.3634461, diabetes: 0.923776, smoking: 0.5023736,
+        bmiLow: -0.0485841, bmiHigh: 0.3726929, egfrLow: 0.6926917, egfrHigh: 0.0251827,
+        bpTreatment: 0.2980922, treatedSbp: -0.0497731, ageSbp: -0.1289201, ageDiabetes: -0.3040924,
+        ageSmoking: -0.1401688, ageBmi: 0.0068126, ageEgfr: -0.1797778, constant: -3.946391
+      },
+      thirtyYear: {
+        age: 0.5681541, ageSquared: -0.1048388, sbpLow: -0.4761564, sbpHigh: 0.30324, diabetes: 0.6840338,
+        smoking: 0.2656273, bmiLow: 0.0833107, bmiHigh: 0.26999, egfrLow: 0.2541805, egfrHigh: 0.0638923,
+        bpTreatment: 0.2583631, treatedSbp: -0.0391938, ageSbp: -0.1269124, ageDiabetes: -0.3273572,
+        ageSmoking: -0.2043019, ageBmi: -0.0182831, ageEgfr: -0.1342618, constant: -1.95751
+      }
+    }
+  }
+};
+
+const OUTCOME_LABELS = {
+  totalCVD: 'Total cardiovascular disease',
+  ascvd: 'Atherosclerotic cardiovascular disease',
+  heartFailure: 'Heart failure'
+};
+
 class PREVENTModel {
+  constructor() {
+    this.minAge = 30;
+    this.maxAge = 79;
+    // 30-year equations were only derived for adults aged 30-59
+    this.maxAge30Year = 59;
+  }
+
   /**
    * Calculate PREVENT model risk
    * @param {Object} patientData - Patient health information
-   * @returns {Object} Risk assessment with 10-year and 30-year risk
+   * @returns {Object} Risk assessment with 10-year and 30-year risk for each outcome
    */
   calculate(patientData) {
-    const { age, gender, systolicBP, cholesterol, hdlCholesterol, diabetes, smoking, bmi, kidneyDisease } = patientData;
+    const { age, gender, systolicBP } = patientData;
 
     // Need minimum required data
     if (!age || !gender || !systolicBP) {
       return null;
     }
 
-    const factors = [];
-    let risk10Year = 0;
-    let risk30Year = 0;
+    // PREVENT equations are sex-specific and validated for ages 30-79
+    if (gender !== 'male' && gender !== 'female') {
+      return null;
+    }
+    if (age < this.minAge || age > this.maxAge) {
+      return null;
+    }
 
-    // Base risk calculation
-    const baseRisk = this.calculateBaseRisk(patientData, factors);
+    const factors = [];
+    const assumptions = [];
+    const terms = this.prepareTerms(patientData, assumptions);
+    const coefficients = COEFFICIENTS[gender];
+    const include30Year = age <= this.maxAge30Year;
 
-    // Apply multipliers for additional risk factors
-    let multiplier = 1.0;
+    const outcomes = {};
+    Object.keys(OUTCOME_LABELS).forEach(outcome => {
+      // Total CVD and ASCVD need lipids, heart failure needs BMI
+      const hasInputs = outcome === 'heartFailure' ? terms.hasBmi : terms.hasLipids;
+      if (!hasInputs) {
+        outcomes[outcome] = null;
+        return;
+      }
 
-    // Diabetes multiplier
-    if (diabetes === true || diabetes === 'yes') {
-      multiplier *= 1.5;
-      factors.push('Diabetes: Increases PREVENT risk by 50% (1.5x multiplier applied to base risk).');
-    }
+      const risk10Year = this.logisticRisk(coefficients[outcome].tenYear, terms);
+      const risk30Year = include30Year ? this.logisticRisk(coefficients[outcome].thirtyYear, terms) : null;
 
-    // Smoking multiplier
-    if (smoking === 'current' || smoking === true || smoking === 'yes') {
-      multiplier *= 1.4;
-      factors.push('Current smoking: Increases PREVENT risk by 40% (1.4x multiplier applied to base risk).');
-    }
+      outcomes[outcome] = {
+        label: OUTCOME_LABELS[outcome],
+        risk10Year: Math.round(risk10Year * 10) / 10,
+        risk30Year: risk30Year !== null ? Math.round(risk30Year * 10) / 10 : null
+      };
+    });
 
-    // Kidney disease multiplier (if available)
-    if (kidneyDisease === true || kidneyDisease === 'yes') {
-      multiplier *= 1.3;
-      factors.push('Kidney disease: Increases PREVENT risk by 30% (1.3x multiplier applied to base risk).');
+    // At least one outcome must be computable
+    if (!outcomes.totalCVD && !outcomes.heartFailure) {
+      return null;
     }
 
-    // Calculate final risks
-    risk10Year = Math.min(95, baseRisk * multiplier);
-    risk30Year = Math.min(95, baseRisk * multiplier * 1.8); // 30-year is typically higher
+    this.describeFactors(patientData, terms, factors);
 
     return {
-      risk10Year: Math.round(risk10Year * 10) / 10,
-      risk30Year: Math.round(risk30Year * 10) / 10,
+      // Headline values refer to total CVD, the primary PREVENT outcome
+      risk10Year: outcomes.totalCVD ? outcomes.totalCVD.risk10Year : null,
+      risk30Year: outcomes.totalCVD ? outcomes.totalCVD.risk30Year : null,
+      outcomes,
+      inputs: {
+        nonHdlCholesterol: terms.hasLipids ? terms.nonHdlMgDl : null,
+        egfr: terms.egfr,
+        bmi: terms.hasBmi ? terms.bmi : null,
+        onBPMedication: terms.bpTreatment === 1,
+        onStatin: terms.statin === 1
+      },
+      assumptions,
       factors,
       model: 'PREVENT'
     };
   }
 
   /**
-   * Calculate base risk from core factors
+   * Unrounded 10-year risk for a single outcome, used when the equations are inverted
+   * @returns {Number|null} Risk percentage, or null if the outcome cannot be calculated
    */
-  calculateBaseRisk(patientData, factors) {
-    const { age, gender, systolicBP, cholesterol, hdlCholesterol, bmi } = patientData;
-    
-    let baseRisk = 5; // Starting baseline risk
-
-    // Age factor (exponential increase)
-    const ageFactor = Math.pow(1.05, age - 40);
-    baseRisk += ageFactor * 2;
-
-    // Gender factor
-    if (gender === 'male') {
-      baseRisk += 3;
-    } else {
-      baseRisk += 1;
-    }
-
-    // Blood Pressure factor
-    if (systolicBP >= 180) {
-      baseRisk += 15;
-      factors.push(`Stage 3 hypertension: Higher values increase risk (≥ 180 mmHg). Your systolic blood pressure of ${systolicBP} mmHg falls in this high-risk range.`);
-    } else if (systolicBP >= 140) {
-      baseRisk += 10;
-      factors.push(`Stage 2 hypertension: Higher values increase risk (140-179 mmHg). Your systolic blood pressure of ${systolicBP} mmHg falls in this range.`);
-    } else if (systolicBP >= 130) {
-      baseRisk += 6;
-      factors.push(`Stage 1 hypertension: Higher values increase risk (130-139 mmHg). Your systolic blood pressure of ${systolicBP} mmHg falls in this range.`);
-    } else if (systolicBP >= 120) {
-      baseRisk += 2;
-      factors.push(`Elevated blood pressure: Higher values increase risk (120-129 mmHg). Your systolic blood pressure of ${systolicBP} mmHg falls in this range.`);
-    } else {
-      factors.push(`Normal blood pressure: Your systolic blood pressure of ${systolicBP} mmHg is within the healthy range (< 120 mmHg).`);
-    }
-
-    // Cholesterol factor (if available)
-    if (cholesterol) {
-      if (cholesterol >= 240) {
-        baseRisk += 8;
-        factors.push(`High total cholesterol: Higher values increase risk (≥ 240 mg/dL). Your total cholesterol of ${cholesterol} mg/dL falls in this high-risk range.`);
-      } else if (cholesterol >= 200) {
-        baseRisk += 4;
-        factors.push(`Borderline high cholesterol: Higher values increase risk (200-239 mg/dL). Your total cholesterol of ${cholesterol} mg/dL falls in this range.`);
-      } else if (cholesterol >= 150) {
-        factors.push(`Normal total cholesterol: Your total cholesterol of ${cholesterol} mg/dL is within the desirable range (150-199 mg/dL).`);
-      } else {
-        factors.push(`Low total cholesterol: Your total cholesterol of ${cholesterol} mg/dL is below the normal range (< 150 mg/dL).`);
-      }
+  tenYearRisk(patientData, outcome = 'totalCVD') {
+    const { age, gender, systolicBP } = patientData;
+    if (!age || !systolicBP || (gender !== 'male' && gender !== 'female')) {
+      return null;
     }
 
-    // HDL factor (protective if high)
-    if (hdlCholesterol) {
-      if (hdlCholesterol < 40) {
-        baseRisk += 5;
-        factors.push(`Low HDL cholesterol: Lower values increase risk (< 40 mg/dL). Your HDL cholesterol of ${hdlCholesterol} mg/dL falls in this risk range.`);
-      } else if (hdlCholesterol >= 60) {
-        baseRisk -= 3;
-        factors.push(`High HDL cholesterol: Higher values are protective (≥ 60 mg/dL). Your HDL cholesterol of ${hdlCholesterol} mg/dL is beneficial.`);
+    const terms = this.prepareTerms(patientData, []);
+    const hasInputs = outcome === 'heartFailure' ? terms.hasBmi : terms.hasLipids;
+    if (!hasInputs) {
+      return null;
+    }
+
+    return this.logisticRisk(COEFFICIENTS[gender][outcome].tenYear, terms);
+  }
+
+  /**
+   * Transform raw patient values into the centered/scaled terms used by the equations
+   */
+  prepareTerms(patientData, assumptions) {
+    const { age, gender, systolicBP, cholesterol, hdlCholesterol, diabetes, smoking, bmi, serumCreatinine } = patientData;
+
+    // eGFR enters the equations directly: as reported, else calculated from serum creatinine (CKD-EPI 2021)
+    let egfr = patientData.egfr;
+    if (!egfr) {
+      egfr = kidneyFunction.estimateGfr(serumCreatinine, age, gender);
+      if (egfr !== null) {
+        assumptions.push(`eGFR of ${egfr} mL/min/1.73m² calculated from serum creatinine ${serumCreatinine} mg/dL (CKD-EPI 2021).`);
       } else {
-        // Normal range HDL (40-59)
-        factors.push(`Normal HDL cholesterol: Your HDL cholesterol of ${hdlCholesterol} mg/dL is within the normal range (40-59 mg/dL).`);
+        egfr = DEFAULT_EGFR;
+        assumptions.push(`eGFR not provided; assumed ${DEFAULT_EGFR} mL/min/1.73m² (normal kidney function). Enter serum creatinine for a personal estimate.`);
       }
     }
 
-    // BMI factor
-    if (bmi) {
-      if (bmi >= 30) {
-        baseRisk += 6;
-        factors.push(`Obesity: A higher BMI increases your risk. Your BMI of ${bmi} indicates obesity (BMI ≥ 30).`);
-      } else if (bmi >= 25) {
-        baseRisk += 3;
-        factors.push(`Overweight: A higher BMI increases your risk. Your BMI of ${bmi} indicates overweight (BMI 25-29.9).`);
-      } else if (bmi >= 18.5) {
-        factors.push(`Normal weight: Your BMI of ${bmi} is within the healthy range (BMI 18.5-24.9).`);
-      } else {
-        factors.push(`Underweight: Your BMI of ${bmi} is below the normal range (BMI < 18.5) and may require medical attention.`);
+    const hasLipids = !!(cholesterol && hdlCholesterol);
+    const nonHdlMgDl = hasLipids ? cholesterol - hdlCholesterol : null;
+    const hasBmi = !!bmi;
+
+    const terms = {
+      hasLipids,
+      hasBmi,
+      nonHdlMgDl,
+      bmi,
+      egfr,
+      age: (age - 55) / 10,
+      sbpLow: (Math.min(systolicBP, 110) - 110) / 20,
+      sbpHigh: (Math.max(systolicBP, 110) - 130) / 20,
+      egfrLow: (Math.min(egfr, 60) - 60) / -15,
+      egfrHigh: (Math.max(egfr, 60) - 90) / -15,
+      diabetes: (diabetes === true || diabetes === 'yes') ? 1 : 0,
+      smoking: (smoking === 'current' || smoking === true || smoking === 'yes') ? 1 : 0,
+      bpTreatment: this.isTrue(patientData.onBPMedication) ? 1 : 0,
+      statin: this.isTrue(patientData.onStatin) ? 1 : 0,
+      nonHdl: 0,
+      hdl: 0,
+      bmiLow: 0,
+      bmiHigh: 0
+    };
+    terms.ageSquared = terms.age * terms.age;
+
+    if (hasLipids) {
+      terms.nonHdl = nonHdlMgDl * MG_DL_TO_MMOL_L - 3.5;
+      terms.hdl = (hdlCholesterol * MG_DL_TO_MMOL_L - 1.3) / 0.3;
+    }
+
+    if (hasBmi) {
+      terms.bmiLow = (Math.min(bmi, 30) - 25) / 5;
+      terms.bmiHigh = (Math.max(bmi, 30) - 30) / 5;
+    }
+
+    return terms;
+  }
+
+  /**
+   * Evaluate one PREVENT logistic equation and return risk as a percentage
+   */
+  logisticRisk(coefficients, terms) {
+    const c = (key) => coefficients[key] || 0;
+
+    const x = c('constant') +
+      c('age') * terms.age +
+      c('ageSquared') * terms.ageSquared +
+      c('nonHdl') * terms.nonHdl +
+      c('hdl') * terms.hdl +
+      c('sbpLow') * terms.sbpLow +
+      c('sbpHigh') * terms.sbpHigh +
+      c('diabetes') * terms.diabetes +
+      c('smoking') * terms.smoking +
+      c('bmiLow') * terms.bmiLow +
+      c('bmiHigh') * terms.bmiHigh +
+      c('egfrLow') * terms.egfrLow +
+      c('egfrHigh') * terms.egfrHigh +
+      c('bpTreatment') * terms.bpTreatment +
+      c('statin') * terms.statin +
+      c('treatedSbp') * terms.bpTreatment * terms.sbpHigh +
+      c('treatedNonHdl') * terms.statin * terms.nonHdl +
+      c('ageNonHdl') * terms.age * terms.nonHdl +
+      c('ageHdl') * terms.age * terms.hdl +
+      c('ageSbp') * terms.age * terms.sbpHigh +
+      c('ageDiabetes') * terms.age * terms.diabetes +
+      c('ageSmoking') * terms.age * terms.smoking +
+      c('ageBmi') * terms.age * terms.bmiHigh +
+      c('ageEgfr') * terms.age * terms.egfrLow;
+
+    return 100 * Math.exp(x) / (1 + Math.exp(x));
+  }
+
+  /**
+   * Describe which inputs push the PREVENT estimate up or down
+   */
+  describeFactors(patientData, terms, factors) {
+    const { systolicBP, cholesterol, hdlCholesterol, bmi } = patientData;
+
+    if (systolicBP >= 130) {
+      factors.push(`Systolic blood pressure: Each 20 mmHg above 130 raises PREVENT risk. Your systolic blood pressure of ${systolicBP} mmHg is above this reference.`);
+    } else if (systolicBP < 110) {
+      factors.push(`Systolic blood pressure: Your systolic blood pressure of ${systolicBP} mmHg is below 110 mmHg, which lowers PREVENT risk.`);
+    }
+
+    if (terms.hasLipids) {
+      factors.push(`Non-HDL cholesterol: PREVENT uses total minus HDL cholesterol. Your non-HDL cholesterol is ${Math.round(terms.nonHdlMgDl)} mg/dL (${cholesterol} total - ${hdlCholesterol} HDL).`);
+      if (hdlCholesterol >= 60) {
+        factors.push(`High HDL cholesterol: Higher values are protective in PREVENT. Your HDL cholesterol of ${hdlCholesterol} mg/dL is beneficial.`);
+      } else if (hdlCholesterol < 40) {
+        factors.push(`Low HDL cholesterol: Lower values increase PREVENT risk. Your HDL cholesterol of ${hdlCholesterol} mg/dL falls in this risk range.`);
       }
+    } else {
+      factors.push('Cholesterol not provided: PREVENT total CVD and ASCVD risk could not be calculated without total and HDL cholesterol.');
     }
 
-    return Math.max(1, Math.min(50, baseRisk)); // Clamp between 1-50%
+    if (terms.hasBmi && bmi >= 30) {
+      factors.push(`Obesity: BMI above 30 increases PREVENT heart failure risk. Your BMI of ${bmi} falls in this range.`);
+    }
+
+    if (terms.diabetes) {
+      factors.push('Diabetes: Increases PREVENT risk for all three outcomes, most strongly for heart failure.');
+    }
+
+    if (terms.smoking) {
+      factors.push('Current smoking: Increases PREVENT risk for all three outcomes.');
+    }
+
+    if (terms.egfr < 60) {
+      factors.push(`Reduced kidney function: An eGFR of ${terms.egfr} mL/min/1.73m² (below 60) increases PREVENT risk.`);
+    }
+
+    if (terms.bpTreatment) {
+      factors.push('Blood pressure medication: Treated hypertension is accounted for with PREVENT\'s treatment terms.');
+    }
+
+    if (terms.statin) {
+      factors.push('Statin use: Statin therapy is accounted for with PREVENT\'s treatment terms.');
+    }
+  }
+
+  isTrue(value) {
+    return value === true || value === 'yes';
   }
 }
 
 module.exports = new PREVENTModel();
-
@@ -0,0 +1,519 @@
+/**
+ * Recommendation Rules
+ * A small rules engine for the data-driven recommendations in data/recommendationRules.json
+ * (or the file named by RECOMMENDATION_RULES_FILE). Each rule has a condition, a priority, a category,
+ * localized text and citations; the text is a template filled in from the patient's facts.
+ *
+ * Conditions: { all: [...] }, { any: [...] }, { not: {...} } or { fact, op, value } with op one of
+ * eq, ne, gt, gte, lt, lte, in, notIn, exists, notExists, isTrue, isFalse. A missing fact never
+ * satisfies a comparison, including ne, notIn and isFalse; use notExists (or "not") to match one.
+ * Templates: {{fact}} inserts a value, {{#fact}}...{{/fact}} renders only when the fact is present and
+ * not false, {{^fact}}...{{/fact}} only when it is missing or false, {{#fact=value}} only when it equals
+ * value, and {{>name}} inserts a shared partial.
+ * Rules are evaluated in file order; within a group only the first matching rule is used.
+ * A rule may also name an intervention: the realistic change to the patient's risk factors that
+ * following it achieves, e.g. [{ "field": "systolicBP", "change": -10, "min": 120 }]. Changes either set
+ * a value or add to it ("change") or scale it ("percent"), never moving it past "min"/"max". The
+ * estimated risk reduction is computed from it by utils/riskReduction.js. A rule whose benefit works
+ * through factors no risk model reads (physical activity, diet) is marked "notModeled" instead: no
+ * effect size is assumed for it and it is left out of the ranking.
+ *
+ * The file is reloaded when it changes on disk, so rules can be edited without restarting the server.
+ * An invalid file is rejected and the last valid rules stay in use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const lifestyleMeasures = require('./lifestyleMeasures');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'data', 'recommendationRules.json');
+
+const PRIORITIES = ['critical', 'high', 'moderate', 'low'];
+
+// Operators, with the type of value they expect
+const OPERATORS = {
+  eq: 'primitive',
+  ne: 'primitive',
+  gt: 'number',
+  gte: 'number',
+  lt: 'number',
+  lte: 'number',
+  in: 'array',
+  notIn: 'array',
+  exists: 'none',
+  notExists: 'none',
+  isTrue: 'none',
+  isFalse: 'none'
+};
+
+// Text fields of a rule; action and details are required in the default locale
+const TEXT_FIELDS = ['label', 'action', 'details', 'summary', 'target'];
+
+// Patient fields an intervention may change
+const INTERVENTION_FIELDS = [
+  'systolicBP', 'diastolicBP', 'cholesterol', 'ldlCholesterol', 'hdlCholesterol', 'triglycerides',
+  'bmi', 'smoking'
+];
+
+// Facts available to conditions and templates (built by RiskCalculator.buildRecommendationFacts)
+const FACTS = [
+  'age', 'gender', 'systolicBP', 'diastolicBP', 'cholesterol', 'hdlCholesterol', 'bmi',
+  'smoking', 'physicalActivity', 'dietQuality', 'category',
+  'activityMinutes', 'activityGap', 'mepaScore',
+  ...lifestyleMeasures.mepaItems.map(item => `mepaFocus.${item.id}`),
+  'diabetesType', 'diabetesDuration', 'cigarettesPerDay', 'smokingYears', 'packYears',
+  'onBPMedication', 'onStatin', 'onAspirin',
+  'hasDiabetes', 'longDiabetesDuration', 'isCurrentSmoker', 'isFormerSmoker', 'overweight',
+  'ldlCalculated', 'ldlBand',
+  'lipids.ldlCholesterol', 'lipids.nonHdlCholesterol', 'lipids.triglycerides',
+  'kidney.ckd', 'kidney.egfr', 'kidney.uacr', 'kidney.egfrLow', 'kidney.albuminuria',
+  'kidney.gfrCategory', 'kidney.albuminuriaCategory',
+  'statin.benefitGroup', 'statin.intensity', 'statin.rule', 'statin.classOfRecommendation'
+];
+
+const SECTION_OPEN_PATTERN = /\{\{([#^])([\w.]+)(?:=([\w.-]+))?\}\}/;
+const TAG_PATTERN = /\{\{([#^/>]?)([\w.]+)(?:=([\w.-]+))?\}\}/;
+
+class RecommendationRules {
+  constructor() {
+    this.filePath = process.env.RECOMMENDATION_RULES_FILE || DEFAULT_RULES_FILE;
+    this.ruleSet = null;
+    this.loadedMtime = null;
+    this.facts = FACTS;
+    this.interventionFields = INTERVENTION_FIELDS;
+  }
+
+  /**
+   * Current rule set, reloaded first if the file changed since it was last read
+   * @returns {Object} Validated rule set
+   */
+  getRuleSet() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (!this.ruleSet) {
+        throw new Error(`Recommendation rules file not found: ${this.filePath}`);
+      }
+      return this.ruleSet;
+    }
+
+    if (!this.ruleSet || mtime !== this.loadedMtime) {
+      try {
+        this.reload();
+      } catch (error) {
+        if (!this.ruleSet) {
+          throw error;
+        }
+        // Keep serving the last valid rules until the file is fixed
+        console.error('Error reloading recommendation rules, keeping the previous rules:', error.message);
+        this.loadedMtime = mtime;
+      }
+    }
+    return this.ruleSet;
+  }
+
+  /**
+   * Read and validate the rules file, replacing the current rules only if it is valid
+   * @returns {Object} { rules: number of rules loaded, file }
+   */
+  reload() {
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    const ruleSet = this.loadFile(this.filePath);
+    this.ruleSet = ruleSet;
+    this.loadedMtime = mtime;
+    return { rules: ruleSet.rules.length, file: this.filePath };
+  }
+
+  /**
+   * Parse and validate a rules file
+   * @param {String} filePath - Path to a JSON rules file
+   * @returns {Object} Validated rule set
+   * @throws {Error} With an `errors` array when the file is malformed
+   */
+  loadFile(filePath) {
+    let ruleSet;
+    try {
+      ruleSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      const invalid = new Error(`Could not read recommendation rules from ${filePath}: ${error.message}`);
+      invalid.errors = [error.message];
+      throw invalid;
+    }
+
+    const errors = this.validate(ruleSet);
+    if (errors.length > 0) {
+      const invalid = new Error(`Invalid recommendation rules in ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+      invalid.errors = errors;
+      throw invalid;
+    }
+    return ruleSet;
+  }
+
+  /**
+   * Check a rule set for structural errors
+   * @param {Object} ruleSet - Parsed rules file
+   * @returns {Array} Error messages; empty when the rule set is valid
+   */
+  validate(ruleSet) {
+    const errors = [];
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+      return ['Rules file must contain a JSON object'];
+    }
+
+    const defaultLocale = ruleSet.defaultLocale;
+    if (typeof defaultLocale !== 'string' || !defaultLocale) {
+      errors.push('defaultLocale must be a locale code such as "en"');
+    }
+
+    const partials = ruleSet.partials || {};
+    if (typeof partials !== 'object' || Array.isArray(partials)) {
+      errors.push('partials must be an object of named, localized templates');
+    } else {
+      Object.entries(partials).forEach(([name, variants]) => {
+        const where = `partial "${name}"`;
+        if (!variants || typeof variants !== 'object' || typeof variants[defaultLocale] !== 'string') {
+          errors.push(`${where} needs a "${defaultLocale}" template`);
+          return;
+        }
+        Object.entries(variants).forEach(([locale, template]) => {
+          if (typeof template !== 'string') {
+            errors.push(`${where} (${locale}) must be a string`);
+          } else {
+            errors.push(...this.validateTemplate(template, partials, `${where} (${locale})`));
+          }
+        });
+      });
+    }
+
+    if (!Array.isArray(ruleSet.rules)) {
+      errors.push('rules must be an array');
+      return errors;
+    }
+
+    const ids = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+      const where = rule && typeof rule.id === 'string' ? `rule "${rule.id}"` : `rule ${index}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+
+      if (typeof rule.id !== 'string' || !rule.id) {
+        errors.push(`${where} needs an id`);
+      } else if (ids.has(rule.id)) {
+        errors.push(`${where} is defined more than once`);
+      } else {
+        ids.add(rule.id);
+      }
+
+      if (typeof rule.category !== 'string' || !rule.category) {
+        errors.push(`${where} needs a category`);
+      }
+      if (!PRIORITIES.includes(rule.priority)) {
+        errors.push(`${where} has priority "${rule.priority}"; expected one of ${PRIORITIES.join(', ')}`);
+      }
+      if (rule.group !== undefined && typeof rule.group !== 'string') {
+        errors.push(`${where} group must be a string`);
+      }
+      if (rule.when !== undefined) {
+        errors.push(...this.validateCondition(rule.when, `${where} condition`));
+      }
+
+      if (!rule.text || typeof rule.text !== 'object' || !rule.text[defaultLocale]) {
+        errors.push(`${where} needs "${defaultLocale}" text`);
+      } else {
+        ['action', 'details'].forEach(field => {
+          if (typeof rule.text[defaultLocale][field] !== 'string') {
+            errors.push(`${where} needs "${defaultLocale}" ${field} text`);
+          }
+        });
+        Object.entries(rule.text).forEach(([locale, text]) => {
+          Object.entries(text || {}).forEach(([field, template]) => {
+            if (!TEXT_FIELDS.includes(field)) {
+              errors.push(`${where} (${locale}) has unknown text field "${field}"`);
+            } else if (typeof template !== 'string') {
+              errors.push(`${where} (${locale}) ${field} must be a string`);
+            } else {
+              errors.push(...this.validateTemplate(template, partials, `${where} (${locale}) ${field}`));
+            }
+          });
+        });
+      }
+
+      if (rule.intervention !== undefined) {
+        errors.push(...this.validateIntervention(rule.intervention, `${where} intervention`));
+      }
+      if (rule.notModeled !== undefined && typeof rule.notModeled !== 'boolean') {
+        errors.push(`${where} notModeled must be true or false`);
+      } else if (rule.notModeled && rule.intervention !== undefined) {
+        errors.push(`${where} can't have an intervention and be marked notModeled`);
+      }
+
+      if (rule.citations !== undefined) {
+        if (!Array.isArray(rule.citations)) {
+          errors.push(`${where} citations must be an array`);
+        } else {
+          rule.citations.forEach((citation, citationIndex) => {
+            if (!citation || typeof citation.title !== 'string' || (citation.url !== undefined && typeof citation.url !== 'string')) {
+              errors.push(`${where} citation ${citationIndex} needs a title and an optional url`);
+            }
+          });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check a condition tree for unknown facts, operators and badly typed values
+   */
+  validateCondition(condition, where) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [`${where} must be an object`];
+    }
+
+    if (condition.all !== undefined || condition.any !== undefined) {
+      const key = condition.all !== undefined ? 'all' : 'any';
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        return [`${where} "${key}" must be a non-empty array`];
+      }
+      return condition[key].flatMap((child, index) => this.validateCondition(child, `${where}.${key}[${index}]`));
+    }
+    if (condition.not !== undefined) {
+      return this.validateCondition(condition.not, `${where}.not`);
+    }
+
+    const errors = [];
+    if (!FACTS.includes(condition.fact)) {
+      errors.push(`${where} uses unknown fact "${condition.fact}"`);
+    }
+    const expected = OPERATORS[condition.op];
+    if (!expected) {
+      errors.push(`${where} uses unknown operator "${condition.op}"`);
+    } else if (expected === 'number' && typeof condition.value !== 'number') {
+      errors.push(`${where} operator "${condition.op}" needs a numeric value`);
+    } else if (expected === 'array' && !Array.isArray(condition.value)) {
+      errors.push(`${where} operator "${condition.op}" needs an array value`);
+    } else if (expected === 'primitive' && (condition.value === null || typeof condition.value === 'object')) {
+      errors.push(`${where} operator "${condition.op}" needs a string, number or boolean value`);
+    } else if (expected === 'none' && condition.value !== undefined) {
+      errors.push(`${where} operator "${condition.op}" does not take a value`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check an intervention for unknown fields and changes that are not exactly one of set, change or percent
+   */
+  validateIntervention(intervention, where) {
+    if (!Array.isArray(intervention) || intervention.length === 0) {
+      return [`${where} must be a non-empty array of changes`];
+    }
+
+    const errors = [];
+    intervention.forEach((change, index) => {
+      const at = `${where}[${index}]`;
+      if (!change || typeof change !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!INTERVENTION_FIELDS.includes(change.field)) {
+        errors.push(`${at} changes unknown field "${change.field}"`);
+      }
+      const kinds = ['set', 'change', 'percent'].filter(kind => change[kind] !== undefined);
+      if (kinds.length !== 1) {
+        errors.push(`${at} needs exactly one of set, change or percent`);
+      } else if (kinds[0] !== 'set' && typeof change[kinds[0]] !== 'number') {
+        errors.push(`${at} ${kinds[0]} must be a number`);
+      } else if (kinds[0] === 'set' && (change.set === null || typeof change.set === 'object')) {
+        errors.push(`${at} set needs a string, number or boolean value`);
+      }
+      ['min', 'max'].forEach(bound => {
+        if (change[bound] !== undefined && typeof change[bound] !== 'number') {
+          errors.push(`${at} ${bound} must be a number`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Check a template for unknown facts and partials and unbalanced sections
+   */
+  validateTemplate(template, partials, where) {
+    const errors = [];
+    const open = [];
+    const tags = new RegExp(TAG_PATTERN.source, 'g');
+    let match;
+    while ((match = tags.exec(template)) !== null) {
+      const [, kind, name, value] = match;
+      const tag = value !== undefined ? `${name}=${value}` : name;
+      if (kind === '>') {
+        if (!partials[name]) {
+          errors.push(`${where} uses unknown partial "${name}"`);
+        }
+        continue;
+      }
+      if (!FACTS.includes(name)) {
+        errors.push(`${where} uses unknown fact "${name}"`);
+      }
+      if (kind === '#' || kind === '^') {
+        open.push(tag);
+      } else if (kind === '/') {
+        const expected = open.pop();
+        if (expected !== tag) {
+          errors.push(`${where} closes section "${tag}" ${expected ? `but "${expected}" is open` : 'that was never opened'}`);
+        }
+      }
+    }
+    if (open.length > 0) {
+      errors.push(`${where} leaves section "${open[open.length - 1]}" open`);
+    }
+    return errors;
+  }
+
+  /**
+   * Evaluate the rules against a patient's facts
+   * @param {Object} facts - Values for the names in FACTS
+   * @param {Object} options - { locale: text variant to use, falling back to the default locale }
+   * @returns {Array} Recommendations { id, category, label, priority, action, details, summary, citations,
+   *   intervention, target, notModeled } (intervention and target only for rules that define them,
+   *   notModeled only for rules marked with it)
+   */
+  evaluate(facts, options = {}) {
+    const ruleSet = this.getRuleSet();
+    const firedGroups = new Set();
+    const recommendations = [];
+
+    ruleSet.rules.forEach(rule => {
+      if (rule.group && firedGroups.has(rule.group)) {
+        return;
+      }
+      if (rule.when && !this.matches(rule.when, facts)) {
+        return;
+      }
+      if (rule.group) {
+        firedGroups.add(rule.group);
+      }
+
+      const locale = options.locale && rule.text[options.locale] ? options.locale : ruleSet.defaultLocale;
+      const text = { ...rule.text[ruleSet.defaultLocale], ...rule.text[locale] };
+      const partials = this.getPartials(ruleSet, locale);
+      const recommendation = {
+        id: rule.id,
+        category: rule.category,
+        label: text.label ? this.render(text.label, facts, partials) : rule.category,
+        priority: rule.priority,
+        action: this.render(text.action, facts, partials),
+        details: this.render(text.details, facts, partials),
+        citations: rule.citations || []
+      };
+      const summary = text.summary ? this.render(text.summary, facts, partials) : '';
+      if (summary) {
+        recommendation.summary = summary;
+      }
+      if (rule.intervention) {
+        recommendation.intervention = rule.intervention;
+        recommendation.target = text.target ? this.render(text.target, facts, partials) : '';
+      }
+      if (rule.notModeled) {
+        recommendation.notModeled = true;
+      }
+      recommendations.push(recommendation);
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Whether a condition holds for the facts
+   */
+  matches(condition, facts) {
+    if (condition.all) {
+      return condition.all.every(child => this.matches(child, facts));
+    }
+    if (condition.any) {
+      return condition.any.some(child => this.matches(child, facts));
+    }
+    if (condition.not) {
+      return !this.matches(condition.not, facts);
+    }
+
+    const actual = this.resolve(condition.fact, facts);
+    const missing = actual === null || actual === undefined;
+    switch (condition.op) {
+      case 'exists': return !missing;
+      case 'notExists': return missing;
+      default: break;
+    }
+    if (missing) {
+      return false;
+    }
+    switch (condition.op) {
+      case 'isTrue': return actual === true;
+      case 'isFalse': return actual === false;
+      case 'eq': return actual === condition.value;
+      case 'ne': return actual !== condition.value;
+      case 'gt': return actual > condition.value;
+      case 'gte': return actual >= condition.value;
+      case 'lt': return actual < condition.value;
+      case 'lte': return actual <= condition.value;
+      case 'in': return condition.value.includes(actual);
+      case 'notIn': return !condition.value.includes(actual);
+      default: return false;
+    }
+  }
+
+  /**
+   * Fill in a template from the facts
+   */
+  render(template, facts, partials = {}) {
+    let output = template.replace(/\{\{>([\w.]+)\}\}/g, (tag, name) => partials[name] || '');
+
+    // Resolve the outermost sections first; their content is rendered again for nested sections
+    let section;
+    while ((section = SECTION_OPEN_PATTERN.exec(output)) !== null) {
+      const [openTag, kind, name, value] = section;
+      const closeTag = `{{/${value !== undefined ? `${name}=${value}` : name}}}`;
+      const start = section.index + openTag.length;
+      const end = output.indexOf(closeTag, start);
+      if (end === -1) {
+        break;
+      }
+
+      const actual = this.resolve(name, facts);
+      const present = value !== undefined
+        ? String(actual) === value
+        : actual !== null && actual !== undefined && actual !== false && actual !== '';
+      const show = kind === '#' ? present : !present;
+      output = output.slice(0, section.index) + (show ? output.slice(start, end) : '') + output.slice(end + closeTag.length);
+    }
+
+    return output.replace(/\{\{([\w.]+)\}\}/g, (tag, name) => {
+      const actual = this.resolve(name, facts);
+      return actual === null || actual === undefined ? '' : String(actual);
+    }).trim();
+  }
+
+  /**
+   * Partials in a locale, falling back to the default locale
+   */
+  getPartials(ruleSet, locale) {
+    const partials = {};
+    Object.entries(ruleSet.partials || {}).forEach(([name, variants]) => {
+      partials[name] = variants[locale] !== undefined ? variants[locale] : variants[ruleSet.defaultLocale];
+    });
+    return partials;
+  }
+
+  /**
+   * Value of a dotted fact name such as "lipids.ldlCholesterol"
+   */
+  resolve(name, facts) {
+    return name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), facts);
+  }
+}
+
+module.exports = new RecommendationRules();
@@ -0,0 +1,96 @@
+/**
+ * Risk Attribution
+ * Explains how much each input contributes to the risk by counterfactually resetting it to an
+ * optimal reference value (all other inputs unchanged) and re-running the models. The contribution
+ * is the drop in percentage points, per model and for the combined risk. Inputs that are better
+ * than the reference get a negative (protective) contribution.
+ */
+
+const heartAge = require('./heartAge');
+
+// Inputs that are attributed, with the optimal reference value they are reset to
+const ATTRIBUTED_INPUTS = {
+  systolicBP: { label: 'Systolic blood pressure', unit: 'mmHg' },
+  cholesterol: { label: 'Total cholesterol', unit: 'mg/dL' },
+  hdlCholesterol: { label: 'HDL cholesterol', unit: 'mg/dL' },
+  bmi: { label: 'BMI', unit: 'kg/m²' },
+  diabetes: { label: 'Diabetes', unit: null },
+  smoking: { label: 'Smoking', unit: null }
+};
+
+class RiskAttribution {
+  constructor() {
+    // Same optimal profile as the heart age reference person
+    this.reference = {};
+    Object.keys(ATTRIBUTED_INPUTS).forEach(field => {
+      this.reference[field] = heartAge.optimalProfile[field];
+    });
+  }
+
+  /**
+   * Attribute the risk to the individual inputs
+   * @param {Object} patientData - Patient health information (after imputation)
+   * @param {Function} evaluate - async (patientData) => { modelPercentages: [{ id, percentage }], riskPercentage }
+   * @param {Object} options - { imputedFields: fields whose value was imputed }
+   * @returns {Array} [{ field, label, value, unit, referenceValue, imputed, contributions, combined }] ranked by combined contribution
+   */
+  async attribute(patientData, evaluate, options = {}) {
+    const baseline = await evaluate(patientData);
+    if (baseline.riskPercentage === null) {
+      return [];
+    }
+
+    const imputedFields = options.imputedFields || [];
+    const attribution = [];
+
+    for (const field of Object.keys(ATTRIBUTED_INPUTS)) {
+      const value = patientData[field];
+      if (value === undefined || value === null || value === '' || this.isReference(field, value)) {
+        continue;
+      }
+
+      const counterfactual = await evaluate({ ...patientData, [field]: this.reference[field] });
+      const contributions = {};
+      baseline.modelPercentages.forEach(({ id, percentage }) => {
+        const reset = counterfactual.modelPercentages.find(entry => entry.id === id);
+        if (reset) {
+          contributions[id] = this.round(percentage - reset.percentage);
+        }
+      });
+
+      attribution.push({
+        field,
+        label: ATTRIBUTED_INPUTS[field].label,
+        value,
+        unit: ATTRIBUTED_INPUTS[field].unit,
+        referenceValue: this.reference[field],
+        imputed: imputedFields.includes(field),
+        contributions,
+        combined: counterfactual.riskPercentage !== null
+          ? this.round(baseline.riskPercentage - counterfactual.riskPercentage)
+          : null
+      });
+    }
+
+    return attribution.sort((a, b) => (b.combined || 0) - (a.combined || 0));
+  }
+
+  /**
+   * Whether a value already matches the reference, so resetting it would change nothing
+   */
+  isReference(field, value) {
+    if (field === 'diabetes') {
+      return !(value === true || value === 'yes');
+    }
+    if (field === 'smoking') {
+      return !(value === 'current' || value === true || value === 'yes');
+    }
+    return Number(value) === this.reference[field];
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new RiskAttribution();
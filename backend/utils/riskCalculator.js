@@ -1,13 +1,38 @@
 /**
  * Heart Disease Risk Assessment Calculator
- * Combines Framingham Risk Score and AHA PREVENT model
+ * Combines Framingham Risk Score, Framingham general CVD (2008), AHA PREVENT model and ACC/AHA Pooled Cohort Equations
+ * Reports lifetime ASCVD risk alongside them, and instead of them for adults too young for the 10-year equations
  * Includes database comparison with Synthea data
  */
 
 const framinghamRiskScore = require('./framinghamRiskScore');
+const framinghamGeneralCvd = require('./framinghamGeneralCvd');
 const preventModel = require('./preventModel');
+const pooledCohortEquations = require('./pooledCohortEquations');
+const lifetimeRisk = require('./lifetimeRisk');
 const databaseComparison = require('./databaseComparison');
 const HeartDiseaseModel = require('./heartDiseaseModel');
+const ModelRegistry = require('./modelRegistry');
+const riskCombiner = require('./riskCombiner');
+const modelDisagreement = require('./modelDisagreement');
+const uncertaintyEstimator = require('./uncertaintyEstimator');
+const imputation = require('./imputation');
+const heartAge = require('./heartAge');
+const riskAttribution = require('./riskAttribution');
+const lipidPanel = require('./lipidPanel');
+const kidneyFunction = require('./kidneyFunction');
+const riskReclassification = require('./riskReclassification');
+const riskFactorDetails = require('./riskFactorDetails');
+const statinEligibility = require('./statinEligibility');
+const recommendationRules = require('./recommendationRules');
+const riskReduction = require('./riskReduction');
+const lifesEssential8 = require('./lifesEssential8');
+const lifestyleMeasures = require('./lifestyleMeasures');
+const sexAtBirth = require('./sexAtBirth');
+
+// Alternatives for patients younger or older than the 10-year equations cover
+const YOUNG_ADULT_MODEL = 'lifetime';
+const OLDER_ADULT_MODEL = 'prevent';
 
 class RiskCalculator {
   constructor() {
@@ -22,71 +47,465 @@ class RiskCalculator {
       }
     }
     this.useHeartDiseaseModel = process.env.USE_HEART_DISEASE_MODEL !== 'false'; // Default to true
+
+    this.modelRegistry = new ModelRegistry();
+    this.registerDefaultModels();
   }
 
   /**
-   * Calculate heart disease risk score using combined models
+   * Register the built-in risk models
+   * Additional models can be added with this.modelRegistry.register()
+   */
+  registerDefaultModels() {
+    this.modelRegistry.register({
+      id: 'framingham',
+      name: 'Framingham Risk Score',
+      requiredInputs: ['age', 'gender', 'systolicBP', 'cholesterol', 'hdlCholesterol'],
+      ageRange: { min: 30, max: 74 },
+      alternatives: ['prevent', 'pce', 'lifetime'],
+      horizon: '10-year',
+      outcome: 'CHD',
+      sexAveragedFields: ['riskPercentage'],
+      calculate: async (patientData) => framinghamRiskScore.calculate(patientData),
+      getRiskPercentage: (result) => result.riskPercentage
+    });
+
+    this.modelRegistry.register({
+      id: 'framingham2008',
+      name: 'Framingham General CVD (2008)',
+      requiredInputs: ['age', 'gender', 'systolicBP'],
+      // Laboratory variant needs lipids; the non-laboratory variant uses BMI instead
+      inputAlternatives: [['cholesterol', 'hdlCholesterol'], ['bmi']],
+      ageRange: { min: 30, max: 74 },
+      alternatives: ['prevent', 'pce', 'lifetime'],
+      horizon: '10-year',
+      outcome: 'General CVD',
+      sexAveragedFields: ['riskPercentage'],
+      calculate: async (patientData, context) => framinghamGeneralCvd.calculate(patientData, context),
+      getRiskPercentage: (result) => result.riskPercentage
+    });
+
+    this.modelRegistry.register({
+      id: 'prevent',
+      name: 'AHA PREVENT',
+      requiredInputs: ['age', 'gender', 'systolicBP'],
+      ageRange: { min: 30, max: 79 },
+      alternatives: ['pce', 'lifetime'],
+      horizon: '10-year',
+      outcome: 'Total CVD',
+      sexAveragedFields: ['risk10Year', 'risk30Year'],
+      calculate: async (patientData) => preventModel.calculate(patientData),
+      // PREVENT can return heart failure risk alone when lipids are missing; only total CVD feeds the combined score
+      getRiskPercentage: (result) => result.risk10Year
+    });
+
+    this.modelRegistry.register({
+      id: 'pce',
+      name: 'Pooled Cohort Equations',
+      requiredInputs: ['age', 'gender', 'systolicBP', 'cholesterol', 'hdlCholesterol'],
+      ageRange: { min: 40, max: 79 },
+      alternatives: ['prevent', 'framingham2008', 'framingham', 'lifetime'],
+      horizon: '10-year',
+      outcome: 'ASCVD',
+      sexAveragedFields: ['riskPercentage'],
+      calculate: async (patientData) => pooledCohortEquations.calculate(patientData),
+      getRiskPercentage: (result) => result.riskPercentage
+    });
+
+    this.modelRegistry.register({
+      id: 'lifetime',
+      name: 'Lifetime ASCVD Risk',
+      requiredInputs: ['age', 'gender', 'systolicBP', 'cholesterol'],
+      ageRange: { min: 20, max: 59 },
+      horizon: 'lifetime',
+      outcome: 'ASCVD',
+      sexAveragedFields: ['riskPercentage'],
+      // Risk to age 95 is not comparable with the 10-year estimates, so it is reported on its own
+      includeInCombined: false,
+      calculate: async (patientData) => lifetimeRisk.calculate(patientData),
+      getRiskPercentage: (result) => result.riskPercentage
+    });
+
+    this.modelRegistry.register({
+      id: 'sarah0022',
+      name: 'Sarah0022/heart-disease-model',
+      requiredInputs: ['age', 'gender'],
+      ageRange: null,
+      horizon: 'unspecified',
+      outcome: 'Heart disease (classifier probability)',
+      remote: true,
+      isEnabled: ({ useSarahModel }) => {
+        const shouldUseSarah = useSarahModel !== null ? useSarahModel : this.useHeartDiseaseModel;
+        return !!(shouldUseSarah && this.heartDiseaseModel);
+      },
+      calculate: async (patientData) => {
+        const assessment = await this.heartDiseaseModel.getRiskAssessment(patientData);
+        console.log('✓ Sarah0022/heart-disease-model prediction received');
+        return {
+          ...(assessment.models?.sarah0022 || {}),
+          riskPercentage: assessment.riskPercentage,
+          factors: assessment.factors
+        };
+      },
+      getRiskPercentage: (result) => result.riskPercentage
+    });
+  }
+
+  /**
+   * Run every applicable registered model against the patient data
    * @param {Object} patientData - Patient health information
-   * @param {Boolean} includeComparison - Whether to include database comparison
-   * @param {Boolean} useSarahModel - Whether to use Sarah0022/heart-disease-model (default: true if enabled)
-   * @returns {Object} Risk assessment with score, category, and justification
+   * @param {Object} options - { models: Array of model ids to run (default: all), useSarahModel,
+   *   imputedFields: ids of fields that were imputed, passed on to the models,
+   *   remoteResults: results of an earlier calculation, keyed by model id, reused for remote models instead of
+   *   calling them again }
+   * @returns {Object} { results, skippedModels, applicability } where results maps model id to its output and
+   *   applicability maps model id to { id, name, horizon, used, status, reason, validRange, age, missingInputs,
+   *   alternatives }. status is 'used', 'notRequested', 'disabled', 'missingInputs', 'belowAgeRange',
+   *   'aboveAgeRange', 'noResult' or 'failed'; alternatives lists the models that ran in place of one the
+   *   patient's age rules out
    */
-  async calculateRisk(patientData, includeComparison = false, useSarahModel = null) {
-    // Calculate using traditional models
-    const framinghamResult = framinghamRiskScore.calculate(patientData);
-    const preventResult = preventModel.calculate(patientData);
-    
-    // Calculate using Sarah0022 model if enabled and available
-    let sarahResult = null;
-    const shouldUseSarah = useSarahModel !== null ? useSarahModel : (this.useHeartDiseaseModel && this.heartDiseaseModel);
-    
-    if (shouldUseSarah && this.heartDiseaseModel) {
+  async runModels(patientData, options = {}) {
+    const requestedModels = Array.isArray(options.models) && options.models.length > 0 ? options.models : null;
+    const useSarahModel = options.useSarahModel !== undefined ? options.useSarahModel : null;
+    const results = {};
+    const skippedModels = [];
+    const applicability = {};
+
+    for (const model of this.modelRegistry.list()) {
+      results[model.id] = null;
+      const record = (status, reason, details = {}) => {
+        applicability[model.id] = {
+          id: model.id,
+          name: model.name,
+          horizon: model.horizon,
+          used: status === 'used',
+          status,
+          reason,
+          validRange: model.ageRange,
+          age: patientData.age,
+          missingInputs: [],
+          alternatives: [],
+          ...details
+        };
+        if (reason) {
+          skippedModels.push({ id: model.id, name: model.name, reason });
+        }
+      };
+
+      if (requestedModels && !requestedModels.includes(model.id)) {
+        record('notRequested', 'Not requested');
+        continue;
+      }
+
+      if (!model.isEnabled({ useSarahModel })) {
+        record('disabled', 'Model is disabled or not configured');
+        continue;
+      }
+
+      const check = this.modelRegistry.getApplicability(model, patientData);
+      if (!check.applies) {
+        record(check.status, check.reason, { missingInputs: check.missingInputs });
+        continue;
+      }
+
       try {
-        sarahResult = await this.heartDiseaseModel.getRiskAssessment(patientData);
-        console.log('✓ Sarah0022/heart-disease-model prediction received');
+        const result = model.remote && options.remoteResults
+          ? options.remoteResults[model.id] || null
+          : await this.calculateModel(model, patientData, { imputedFields: options.imputedFields || [] });
+        if (result) {
+          results[model.id] = result;
+          record('used', null);
+        } else {
+          record('noResult', 'Model could not produce a result from the provided data');
+        }
       } catch (error) {
-        console.warn('Sarah0022 model prediction failed, using traditional models only:', error.message);
-        // Continue with other models even if Sarah model fails
+        // Continue with other models even if one fails
+        console.warn(`${model.name} prediction failed, continuing with other models:`, error.message);
+        record('failed', `Model failed: ${error.message}`);
       }
     }
 
-    // Combine the results from all models
-    let combinedRiskScore = 0;
-    let combinedRiskPercentage = 0;
-    const allFactors = [];
-    const modelCount = [framinghamResult, preventResult, sarahResult].filter(r => r !== null).length;
+    // Point models the patient is too young or too old for to the alternatives that did run
+    this.modelRegistry.list().forEach(model => {
+      const entry = applicability[model.id];
+      if (entry.status === 'belowAgeRange' || entry.status === 'aboveAgeRange') {
+        entry.alternatives = model.alternatives
+          .filter(id => results[id])
+          .map(id => {
+            const alternative = this.modelRegistry.get(id);
+            return { id, name: alternative.name, horizon: alternative.horizon };
+          });
+      }
+    });
 
-    if (framinghamResult) {
-      allFactors.push(...framinghamResult.factors);
+    return { results, skippedModels, applicability };
+  }
+
+  /**
+   * Run one model, averaging the male and female equations of a sex-specific model when sex at birth is unknown
+   * @returns {Object|null} Model result; the averaged result carries sexFallback { label, male, female }
+   */
+  async calculateModel(model, patientData, context) {
+    if (!model.sexAveragedFields || sexAtBirth.isKnown(patientData.gender)) {
+      return model.calculate(patientData, context);
     }
 
-    if (preventResult) {
-      allFactors.push(...preventResult.factors);
+    const maleResult = await model.calculate({ ...patientData, gender: 'male' }, context);
+    const femaleResult = await model.calculate({ ...patientData, gender: 'female' }, context);
+    return sexAtBirth.averageResults(maleResult, femaleResult, model.sexAveragedFields, model.getRiskPercentage);
+  }
+
+  /**
+   * Re-run the local models for a (simulated) patient and combine them
+   * Remote models are not called again; their result from the original calculation is reused.
+   * @param {Object} patientData - Patient health information
+   * @param {Object} options - { models, useSarahModel, combination, imputedFields }
+   * @param {Object} originalResults - Model results from the original calculation, keyed by model id
+   * @returns {Object} { modelPercentages: [{ id, percentage }], riskPercentage: combined percentage or null }
+   */
+  async evaluateModels(patientData, options = {}, originalResults = {}) {
+    const requestedModels = Array.isArray(options.models) && options.models.length > 0 ? options.models : null;
+    const useSarahModel = options.useSarahModel !== undefined ? options.useSarahModel : null;
+    const modelPercentages = [];
+
+    for (const model of this.modelRegistry.list()) {
+      if ((requestedModels && !requestedModels.includes(model.id)) || !model.includeInCombined) {
+        continue;
+      }
+
+      let result = null;
+      if (model.remote) {
+        result = originalResults[model.id] || null;
+      } else if (model.isEnabled({ useSarahModel }) && !this.modelRegistry.getSkipReason(model, patientData)) {
+        result = await this.calculateModel(model, patientData, { imputedFields: options.imputedFields || [] });
+      }
+
+      const percentage = result ? model.getRiskPercentage(result) : null;
+      if (percentage !== null && percentage !== undefined) {
+        modelPercentages.push({ id: model.id, percentage });
+      }
     }
 
-    if (sarahResult) {
-      allFactors.push(...sarahResult.factors);
+    const riskPercentage = modelPercentages.length > 0
+      ? riskCombiner.combine(modelPercentages, options.combination).riskPercentage
+      : null;
+    return { modelPercentages, riskPercentage };
+  }
+
+  /**
+   * Combined risk percentage for a (simulated) patient, see evaluateModels
+   * @returns {Number|null} Combined risk percentage, or null if no model produced a percentage
+   */
+  async evaluateCombinedRisk(patientData, options = {}, originalResults = {}) {
+    const { riskPercentage } = await this.evaluateModels(patientData, options, originalResults);
+    return riskPercentage;
+  }
+
+  /**
+   * Check whether the 10-year equations cover the patient's age and, if not, route to an alternative estimate
+   * Younger adults are pointed to their lifetime risk. Older adults get PREVENT evaluated at the oldest age it
+   * covers, a lower bound because risk keeps rising with age.
+   * @param {Object} patientData - Patient health information as passed to the models
+   * @param {Object} results - Model results keyed by model id
+   * @param {Object} options - { models, useSarahModel, imputedFields }
+   * @returns {Object} { status: 'inRange', 'belowAgeRange' or 'aboveAgeRange', age, validRange, message, alternative }
+   *   where alternative is { id, name, horizon, riskPercentage, label, evaluatedAge, lowerBound } or null
+   */
+  async routeByAge(patientData, results, options = {}) {
+    const { age } = patientData;
+    const combinedModels = this.modelRegistry.list().filter(model => model.includeInCombined);
+    const ranges = combinedModels.filter(model => model.ageRange).map(model => model.ageRange);
+    const validRange = ranges.length > 0
+      ? { min: Math.min(...ranges.map(range => range.min)), max: Math.max(...ranges.map(range => range.max)) }
+      : null;
+
+    if (!validRange || !age || (age >= validRange.min && age <= validRange.max)) {
+      return { status: 'inRange', age, validRange, message: null, alternative: null };
+    }
+
+    const requestedModels = Array.isArray(options.models) && options.models.length > 0 ? options.models : null;
+    const useSarahModel = options.useSarahModel !== undefined ? options.useSarahModel : null;
+    const status = age < validRange.min ? 'belowAgeRange' : 'aboveAgeRange';
+    let alternative = null;
+    let message;
+
+    if (status === 'belowAgeRange') {
+      const model = this.modelRegistry.get(YOUNG_ADULT_MODEL);
+      const result = results[YOUNG_ADULT_MODEL];
+      if (result) {
+        alternative = {
+          id: model.id,
+          name: model.name,
+          horizon: model.horizon,
+          riskPercentage: model.getRiskPercentage(result),
+          label: 'Lifetime risk of a heart attack or stroke (to age 95)',
+          evaluatedAge: age,
+          lowerBound: false
+        };
+      }
+      message = `The 10-year risk equations are only validated for ages ${validRange.min}-${validRange.max}, and at ${age} a 10-year estimate says little about your long-term risk.`;
+      message += alternative
+        ? ' Your lifetime risk is shown instead.'
+        : ` Lifetime risk (ages ${model.ageRange.min}-${model.ageRange.max}) needs your blood pressure and total cholesterol.`;
+    } else {
+      const model = this.modelRegistry.get(OLDER_ADULT_MODEL);
+      const evaluatedAge = model.ageRange.max;
+      const cappedData = { ...patientData, age: evaluatedAge };
+      const canRun = (!requestedModels || requestedModels.includes(model.id)) &&
+        model.isEnabled({ useSarahModel }) &&
+        this.modelRegistry.getApplicability(model, cappedData).applies;
+      const result = canRun
+        ? await this.calculateModel(model, cappedData, { imputedFields: options.imputedFields || [] })
+        : null;
+      const percentage = result ? model.getRiskPercentage(result) : null;
+      if (percentage !== null && percentage !== undefined) {
+        alternative = {
+          id: model.id,
+          name: model.name,
+          horizon: model.horizon,
+          riskPercentage: percentage,
+          label: `10-year risk at age ${evaluatedAge}, the oldest age ${model.name} covers; at ${age} it is likely higher`,
+          evaluatedAge,
+          lowerBound: true
+        };
+      }
+      message = `No 10-year risk equation is validated above age ${validRange.max}.`;
+      message += alternative
+        ? ` ${model.name} evaluated at age ${evaluatedAge} is shown as a lower bound.`
+        : ` A lower bound from ${model.name} at age ${evaluatedAge} needs your blood pressure and cholesterol values.`;
     }
 
-    // Combine risk percentages from all available models
-    const riskPercentages = [];
-    if (framinghamResult) {
-      riskPercentages.push(framinghamResult.riskPercentage);
+    // Models without an age limit may still have produced a combined score
+    const unrestricted = combinedModels.filter(model => !model.ageRange && results[model.id]).map(model => model.name);
+    if (unrestricted.length > 0) {
+      message += ` The combined score comes only from ${unrestricted.join(' and ')}, which has no age limit, and should be read with caution.`;
     }
-    if (preventResult) {
-      riskPercentages.push(preventResult.risk10Year);
+
+    return { status, age, validRange, message, alternative };
+  }
+
+  /**
+   * Calculate heart disease risk score using combined models
+   * @param {Object} patientData - Patient health information
+   * @param {Boolean} includeComparison - Whether to include database comparison
+   * @param {Boolean} useSarahModel - Whether to use Sarah0022/heart-disease-model (default: true if enabled)
+   * @param {Object} options - Additional options:
+   *   models: Array of model ids to run (default: all registered)
+   *   combination: { strategy, weights, primaryModel } overriding the configured combination strategy
+   *   uncertainty: false to skip the simulated uncertainty interval
+   *   attribution: false to skip the per-factor risk attribution
+   *   impute: false to disable imputation of missing lab/vital values from Synthea strata
+   *   reclassify: false to keep the category from the combined percentage instead of applying risk enhancers and CAC
+   *   remoteResults: model results of an earlier calculation whose remote models are reused, e.g. for what-if scenarios
+   * @returns {Object} Risk assessment with score, category, and justification. riskPercentage and riskScore are null
+   *   and the category is 'not-applicable' when no 10-year model applies and there is no lower bound
+   */
+  async calculateRisk(patientData, includeComparison = false, useSarahModel = null, options = {}) {
+    // Sex at birth, structured diabetes type/duration and smoking intensity from the follow-up answers
+    patientData = riskFactorDetails.normalize(patientData);
+
+    // Fill missing lab/vital values from Synthea patients of the same sex and age band
+    let modelInput = patientData;
+    let imputedFields = [];
+    if (options.impute !== false) {
+      ({ patientData: modelInput, imputedFields } = imputation.impute(patientData));
+    }
+
+    const imputedFieldIds = imputedFields.map(({ field }) => field);
+    const { results, skippedModels, applicability } = await this.runModels(modelInput, {
+      models: options.models,
+      useSarahModel,
+      imputedFields: imputedFieldIds,
+      remoteResults: options.remoteResults
+    });
+
+    // Combine the results from all models
+    let combinedRiskScore = 0;
+    const allFactors = [];
+    const modelPercentages = [];
+    const modelsUsed = [];
+
+    this.modelRegistry.list().forEach(model => {
+      const result = results[model.id];
+      if (!result) {
+        return;
+      }
+
+      allFactors.push(...(result.factors || []));
+
+      const percentage = model.getRiskPercentage(result);
+      if (model.includeInCombined && percentage !== null && percentage !== undefined) {
+        modelPercentages.push({ id: model.id, percentage });
+        modelsUsed.push(model.id);
+      }
+    });
+
+    // Whether the 10-year equations cover the patient's age, with lifetime risk or a lower bound otherwise
+    const ageRouting = await this.routeByAge(modelInput, results, {
+      models: options.models,
+      useSarahModel,
+      imputedFields: imputedFieldIds
+    });
+
+    // Combine available models using the configured strategy (weighted mean, primary model or median)
+    let { riskPercentage: combinedRiskPercentage, combination } = riskCombiner.combine(modelPercentages, options.combination);
+
+    // Older adults no model covers are categorized by the lower bound rather than an empty 0%; anyone else
+    // without a model (young adults, who get their lifetime risk instead) has no 10-year risk at all
+    if (modelPercentages.length === 0 && ageRouting.alternative && ageRouting.alternative.lowerBound) {
+      combinedRiskPercentage = ageRouting.alternative.riskPercentage;
+      combination = { ...combination, fallback: ageRouting.message };
+    } else if (modelPercentages.length === 0) {
+      combinedRiskPercentage = null;
     }
-    if (sarahResult) {
-      riskPercentages.push(sarahResult.riskPercentage);
+
+    // Flag assessments where the models disagree too much for the combined number to be trusted
+    const modelNames = {};
+    this.modelRegistry.list().forEach(model => {
+      modelNames[model.id] = model.name;
+    });
+    const disagreement = modelDisagreement.analyze(modelPercentages, modelNames);
+
+    // Non-HDL cholesterol and, when it wasn't measured, calculated LDL (from the values the patient provided)
+    const lipids = lipidPanel.calculate(patientData);
+
+    // eGFR (reported, or CKD-EPI 2021 from serum creatinine) and albuminuria category
+    const kidney = kidneyFunction.calculate(patientData);
+
+    // Age of a same-sex person with optimal risk factors and the same risk (PREVENT, else Framingham)
+    const heartAgeEstimate = heartAge.calculate(modelInput, results);
+
+    // Percentage points each input contributes, found by resetting it to an optimal reference value
+    let attribution = [];
+    if (options.attribution !== false) {
+      try {
+        attribution = await riskAttribution.attribute(
+          modelInput,
+          (counterfactualData) => this.evaluateModels(counterfactualData, { models: options.models, useSarahModel, combination: options.combination, imputedFields: imputedFieldIds }, results),
+          { imputedFields: imputedFieldIds }
+        );
+      } catch (error) {
+        console.error('Error attributing risk to factors:', error);
+      }
     }
 
-    // Average all available models
-    if (riskPercentages.length > 0) {
-      combinedRiskPercentage = riskPercentages.reduce((sum, val) => sum + val, 0) / riskPercentages.length;
+    // Plausible range from simulating skipped and imprecise inputs
+    let uncertainty = null;
+    if (options.uncertainty !== false) {
+      try {
+        // Imputed values are treated as missing so the simulation samples them from the population
+        const uncertaintyInput = { ...modelInput };
+        imputedFields.forEach(({ field }) => delete uncertaintyInput[field]);
+        uncertainty = await uncertaintyEstimator.estimate(uncertaintyInput, (sampledData) =>
+          this.evaluateCombinedRisk(sampledData, { models: options.models, useSarahModel, combination: options.combination, imputedFields: imputedFieldIds }, results)
+        );
+      } catch (error) {
+        console.error('Error estimating risk uncertainty:', error);
+      }
     }
 
     // Convert percentage to a 0-100 score for display
-    combinedRiskScore = Math.min(100, combinedRiskPercentage * 2);
+    combinedRiskScore = combinedRiskPercentage !== null ? Math.min(100, combinedRiskPercentage * 2) : null;
 
     // Get database comparison if requested (with gender-specific filtering)
     let databaseComparisonResult = null;
@@ -102,7 +521,10 @@ class RiskCalculator {
 
     // Categorize risk based on combined percentage
     let category, categoryDescription;
-    if (combinedRiskPercentage >= 20) {
+    if (combinedRiskPercentage === null) {
+      category = 'not-applicable';
+      categoryDescription = 'No 10-Year Estimate';
+    } else if (combinedRiskPercentage >= 20) {
       category = 'high';
       categoryDescription = 'High Risk';
     } else if (combinedRiskPercentage >= 10) {
@@ -116,26 +538,66 @@ class RiskCalculator {
       categoryDescription = 'Low Risk';
     }
 
-    const models = {
-      framingham: framinghamResult,
-      prevent: preventResult
-    };
-    
-    // Add Sarah0022 model result if available
-    if (sarahResult) {
-      models.sarah0022 = sarahResult.models?.sarah0022 || sarahResult;
+    // Risk enhancers and the CAC score move borderline and intermediate categories up or down
+    let reclassification = null;
+    if (options.reclassify !== false && combinedRiskPercentage !== null) {
+      reclassification = riskReclassification.reclassify({ category, lipids, kidney }, patientData);
+      category = reclassification.category;
+      categoryDescription = reclassification.categoryDescription;
     }
 
+    // Statin benefit group and intensity from the 2018 ACC/AHA cholesterol guideline decision tree
+    // (only the local equations count as ASCVD models; the remote model predicts heart disease in general)
+    const statin = statinEligibility.evaluate({
+      models: results,
+      riskPercentage: combinedRiskPercentage !== null ? Math.round(combinedRiskPercentage * 10) / 10 : null,
+      modelsUsed: modelsUsed.filter(id => !this.modelRegistry.get(id).remote),
+      lipids,
+      kidney,
+      reclassification
+    }, patientData);
+
+    // AHA Life's Essential 8 cardiovascular health score, from the values the patient provided
+    const cardiovascularHealth = lifesEssential8.calculate(patientData, { lipids });
+
     return {
-      riskScore: Math.round(combinedRiskScore),
-      riskPercentage: Math.round(combinedRiskPercentage * 10) / 10,
+      riskScore: combinedRiskScore !== null ? Math.round(combinedRiskScore) : null,
+      riskPercentage: combinedRiskPercentage !== null ? Math.round(combinedRiskPercentage * 10) / 10 : null,
       category,
       categoryDescription,
+      reclassification,
+      statinEligibility: statin,
+      lifesEssential8: cardiovascularHealth,
+      sexAtBirth: {
+        sexAtBirth: patientData.sexAtBirth,
+        genderIdentity: patientData.genderIdentity,
+        fallback: patientData.sexFallback,
+        label: patientData.sexFallback ? sexAtBirth.fallbackLabel : null
+      },
+      riskFactorDetails: {
+        diabetesType: patientData.diabetesType,
+        diabetesDuration: patientData.diabetesDuration,
+        cigarettesPerDay: patientData.cigarettesPerDay,
+        smokingYears: patientData.smokingYears,
+        packYears: patientData.packYears
+      },
       factors: allFactors,
-      models: models,
+      attribution,
+      models: results,
+      modelsUsed,
+      skippedModels,
+      applicability,
+      ageRouting,
+      combination,
+      disagreement,
+      uncertainty,
+      heartAge: heartAgeEstimate,
+      lipids,
+      kidney,
       databaseComparison: databaseComparisonResult,
+      imputedFields,
       timestamp: new Date().toISOString(),
-      modelCount: modelCount // Number of models used in calculation
+      modelCount: modelsUsed.length // Number of models used in calculation
     };
   }
 
@@ -157,8 +619,11 @@ class RiskCalculator {
       familyHistory,
       physicalActivity,
       bmi,
-      dietQuality
-    } = patientData;
+      dietQuality,
+      activityMinutes,
+      activityGap,
+      mepaScore
+    } = riskFactorDetails.normalize(patientData);
 
     let riskScore = 0;
     const factors = [];
@@ -178,11 +643,11 @@ class RiskCalculator {
       factors.push('Age (45-54) slightly increases risk');
     }
 
-    // Gender factor (men typically at higher risk at younger ages)
+    // Sex at birth factor (men typically at higher risk at younger ages)
     if (gender === 'male') {
       if (age < 55) {
         riskScore += 5;
-        factors.push('Male gender under 55 increases risk');
+        factors.push('Male sex under 55 increases risk');
       }
     } else if (gender === 'female') {
       if (age >= 55) {
@@ -245,8 +710,16 @@ class RiskCalculator {
       factors.push('Family history of heart disease increases risk');
     }
 
-    // Physical Activity (inverse relationship)
-    if (physicalActivity === 'none' || physicalActivity === 'sedentary') {
+    // Physical Activity (inverse relationship), scaled by the shortfall from 150 minutes a week when known
+    if (activityMinutes !== null) {
+      if (activityGap === 0) {
+        riskScore -= 3; // Protective factor
+        factors.push(`${activityMinutes} minutes of activity a week is protective`);
+      } else {
+        riskScore += Math.round(10 * activityGap / lifestyleMeasures.activityTargetMinutes);
+        factors.push(`${activityMinutes} of the recommended ${lifestyleMeasures.activityTargetMinutes} minutes of activity a week increases risk`);
+      }
+    } else if (physicalActivity === 'none' || physicalActivity === 'sedentary') {
       riskScore += 10;
       factors.push('Lack of physical activity increases risk');
     } else if (physicalActivity === 'minimal') {
@@ -266,8 +739,16 @@ class RiskCalculator {
       factors.push('Overweight (BMI 25-29.9) moderately increases risk');
     }
 
-    // Diet Quality
-    if (dietQuality === 'poor') {
+    // Diet Quality, scaled by the MEPA score when known (12 of 16 or more is good adherence)
+    if (mepaScore !== null) {
+      if (mepaScore >= 12) {
+        riskScore -= 2; // Protective factor
+        factors.push(`Mediterranean diet score of ${mepaScore}/16 is protective`);
+      } else {
+        riskScore += Math.round(8 * (12 - mepaScore) / 12);
+        factors.push(`Mediterranean diet score of ${mepaScore}/16 increases risk`);
+      }
+    } else if (dietQuality === 'poor') {
       riskScore += 8;
       factors.push('Poor diet quality increases risk');
     } else if (dietQuality === 'fair') {
@@ -308,102 +789,134 @@ class RiskCalculator {
 
   /**
    * Generate recommendations based on risk factors
+   * The recommendations are defined in data/recommendationRules.json and evaluated by recommendationRules.
    * @param {Object} riskAssessment - Risk assessment result
    * @param {Object} patientData - Original patient data
+   * @param {Object} options - { locale: language of the recommendation text, e.g. 'es' (defaults to English) }
    * @returns {Array} Array of recommendation objects
    */
-  generateRecommendations(riskAssessment, patientData) {
-    const recommendations = [];
-
-    // Blood pressure recommendations
-    if (patientData.systolicBP >= 130 || patientData.diastolicBP >= 80) {
-      recommendations.push({
-        category: 'Blood Pressure',
-        priority: 'high',
-        action: 'Manage blood pressure through lifestyle changes and/or medication',
-        details: 'Aim for BP < 120/80 mmHg. Consider reducing sodium intake, increasing physical activity, and consulting with a healthcare provider about medication if needed.'
-      });
-    }
-
-    // Cholesterol recommendations
-    if (patientData.cholesterol >= 200 || patientData.hdlCholesterol < 40) {
-      recommendations.push({
-        category: 'Cholesterol',
-        priority: 'high',
-        action: 'Improve cholesterol levels through diet and exercise',
-        details: 'Reduce saturated and trans fats, increase omega-3 fatty acids, and engage in regular physical activity. Consider medication if lifestyle changes are insufficient.'
-      });
-    }
-
-    // Smoking recommendations
-    if (patientData.smoking === true || patientData.smoking === 'yes' || patientData.smoking === 'current') {
-      recommendations.push({
-        category: 'Smoking',
-        priority: 'critical',
-        action: 'Quit smoking immediately',
-        details: 'Smoking is one of the most significant modifiable risk factors. Seek support through smoking cessation programs, nicotine replacement therapy, or medications.'
-      });
-    }
-
-    // Physical activity recommendations
-    if (patientData.physicalActivity === 'none' || patientData.physicalActivity === 'sedentary') {
-      recommendations.push({
-        category: 'Physical Activity',
-        priority: 'high',
-        action: 'Start a regular exercise routine',
-        details: 'Aim for at least 150 minutes of moderate-intensity aerobic activity or 75 minutes of vigorous activity per week, plus muscle-strengthening activities twice a week.'
-      });
-    }
+  generateRecommendations(riskAssessment, patientData, options = {}) {
+    const facts = this.buildRecommendationFacts(riskAssessment, riskFactorDetails.normalize(patientData));
+    return recommendationRules.evaluate(facts, { locale: options.locale });
+  }
 
-    // Diet recommendations
-    if (patientData.dietQuality === 'poor' || patientData.dietQuality === 'fair') {
-      recommendations.push({
-        category: 'Diet',
-        priority: 'high',
-        action: 'Adopt a heart-healthy diet',
-        details: 'Follow a Mediterranean or DASH diet: increase fruits, vegetables, whole grains, lean proteins, and healthy fats. Reduce processed foods, sugar, and sodium.'
-      });
-    }
+  /**
+   * Estimate the absolute risk reduction of each recommendation and rank them by it
+   * Each rule's intervention is applied to the patient and the local models are re-run; remote model
+   * results are reused from the assessment.
+   * @param {Array} recommendations - From generateRecommendations
+   * @param {Object} riskAssessment - Risk assessment result from calculateRisk
+   * @param {Object} patientData - Original patient data
+   * @param {Object} options - { models, useSarahModel, combination } as passed to calculateRisk
+   * @returns {Array} Recommendations with riskReduction, biggest estimated reduction first
+   */
+  async rankRecommendations(recommendations, riskAssessment, patientData, options = {}) {
+    patientData = riskFactorDetails.normalize(patientData);
+
+    // Re-apply the values imputed for the assessment so the baseline matches it
+    const modelInput = { ...patientData };
+    const imputedFields = riskAssessment.imputedFields || [];
+    imputedFields.forEach(({ field, value }) => {
+      modelInput[field] = value;
+    });
 
-    // Weight management recommendations
-    if (patientData.bmi >= 25) {
-      recommendations.push({
-        category: 'Weight Management',
-        priority: 'moderate',
-        action: 'Achieve and maintain a healthy weight',
-        details: 'Aim for a BMI between 18.5-24.9 through a combination of diet and exercise. Even a 5-10% weight loss can significantly improve cardiovascular health.'
-      });
-    }
+    const evaluateOptions = {
+      models: options.models,
+      useSarahModel: options.useSarahModel,
+      combination: options.combination,
+      imputedFields: imputedFields.map(({ field }) => field)
+    };
+    return riskReduction.rank(
+      recommendations,
+      modelInput,
+      (improvedData) => this.evaluateCombinedRisk(improvedData, evaluateOptions, riskAssessment.models || {})
+    );
+  }
 
-    // Diabetes management (if applicable)
-    if (patientData.diabetes === true || patientData.diabetes === 'yes') {
-      recommendations.push({
-        category: 'Diabetes Management',
-        priority: 'critical',
-        action: 'Maintain optimal blood glucose control',
-        details: 'Work with your healthcare team to keep HbA1c < 7%. Monitor blood sugar regularly, take medications as prescribed, and maintain a diabetes-friendly diet.'
-      });
-    }
+  /**
+   * Facts the recommendation rules are evaluated against
+   * @param {Object} riskAssessment - Risk assessment result
+   * @param {Object} patientData - Normalized patient data
+   * @returns {Object} Values for the facts listed in recommendationRules
+   */
+  buildRecommendationFacts(riskAssessment, patientData) {
+    const lipids = riskAssessment.lipids || lipidPanel.calculate(patientData);
+    const kidney = riskAssessment.kidney !== undefined ? riskAssessment.kidney : kidneyFunction.calculate(patientData);
+    const statin = riskAssessment.statinEligibility || statinEligibility.evaluate(riskAssessment, patientData);
+    const ldl = lipids.ldlCholesterol;
 
-    // General recommendations for high risk
-    if (riskAssessment.category === 'high') {
-      recommendations.push({
-        category: 'Medical Care',
-        priority: 'critical',
-        action: 'Consult with a cardiologist or primary care physician',
-        details: 'Given your risk level, regular monitoring and potentially preventive medications (like statins or aspirin) may be recommended. Schedule an appointment soon.'
-      });
-    }
+    return {
+      age: patientData.age,
+      gender: patientData.gender,
+      systolicBP: patientData.systolicBP,
+      diastolicBP: patientData.diastolicBP,
+      cholesterol: patientData.cholesterol,
+      hdlCholesterol: patientData.hdlCholesterol,
+      bmi: patientData.bmi,
+      smoking: patientData.smoking,
+      physicalActivity: patientData.physicalActivity,
+      dietQuality: patientData.dietQuality,
+      activityMinutes: patientData.activityMinutes,
+      activityGap: patientData.activityGap,
+      mepaScore: patientData.mepaScore,
+      mepaFocus: patientData.mepaFocus,
+      category: riskAssessment.category,
+      diabetesType: patientData.diabetesType,
+      diabetesDuration: patientData.diabetesDuration,
+      cigarettesPerDay: patientData.cigarettesPerDay,
+      smokingYears: patientData.smokingYears,
+      packYears: patientData.packYears,
+      onBPMedication: this.isTaking(patientData.onBPMedication),
+      onStatin: this.isTaking(patientData.onStatin),
+      onAspirin: this.isTaking(patientData.onAspirin),
+      hasDiabetes: patientData.diabetes === true || patientData.diabetes === 'yes',
+      longDiabetesDuration: riskFactorDetails.isLongDiabetesDuration(patientData),
+      isCurrentSmoker: patientData.smoking === true || patientData.smoking === 'yes' || patientData.smoking === 'current',
+      isFormerSmoker: patientData.smoking === 'former',
+      overweight: patientData.bmi >= 25,
+      ldlCalculated: ldl !== null && lipids.ldlMethod !== 'measured',
+      ldlBand: ldl !== null ? this.getLdlBand(ldl) : null,
+      lipids: {
+        ldlCholesterol: ldl,
+        nonHdlCholesterol: lipids.nonHdlCholesterol,
+        triglycerides: lipids.triglycerides
+      },
+      kidney: kidney
+        ? {
+          ckd: kidney.ckd,
+          egfr: kidney.egfr,
+          uacr: kidney.uacr,
+          egfrLow: kidney.egfr !== null && kidney.egfr < 60,
+          albuminuria: kidney.uacr !== null && kidney.uacr >= 30,
+          gfrCategory: kidney.gfrCategory ? kidney.gfrCategory.category : null,
+          albuminuriaCategory: kidney.albuminuriaCategory ? kidney.albuminuriaCategory.category : null
+        }
+        : null,
+      statin: {
+        benefitGroup: statin.benefitGroup,
+        intensity: statin.intensity,
+        rule: statin.rule,
+        classOfRecommendation: statin.classOfRecommendation
+      }
+    };
+  }
 
-    // Preventive care for all
-    recommendations.push({
-      category: 'Preventive Care',
-      priority: 'moderate',
-      action: 'Schedule regular health checkups',
-      details: 'Get annual physical exams, monitor blood pressure and cholesterol regularly, and discuss your risk factors with your healthcare provider.'
-    });
+  /**
+   * LDL cholesterol band (NCEP ATP III): optimal, near-optimal, borderline-high, high or very-high
+   */
+  getLdlBand(ldl) {
+    if (ldl < 100) return 'optimal';
+    if (ldl < 130) return 'near-optimal';
+    if (ldl < 160) return 'borderline-high';
+    if (ldl < 190) return 'high';
+    return 'very-high';
+  }
 
-    return recommendations;
+  /**
+   * Whether a medication answer means the patient is taking it
+   */
+  isTaking(value) {
+    return value === true || value === 'yes';
   }
 }
 
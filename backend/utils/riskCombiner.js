@@ -0,0 +1,184 @@
+/**
+ * Risk Combination Strategies
+ * Combines the risk percentages of the individual models into a single estimate.
+ * The strategy and per-model weights come from configuration (environment variables)
+ * and are echoed back with every result so the combined number can be audited.
+ *
+ * Strategies:
+ * - weighted-mean: weighted average of the available models (default, equal weights)
+ * - primary: a single primary model provides the estimate, the others are context only
+ * - median: median of the available models
+ */
+
+const STRATEGIES = ['weighted-mean', 'primary', 'median'];
+
+class RiskCombiner {
+  constructor() {
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Read the combination configuration from the environment
+   * RISK_COMBINATION_STRATEGY=weighted-mean|primary|median
+   * RISK_MODEL_WEIGHTS=framingham:1,prevent:2,pce:2,sarah0022:0.5
+   * RISK_PRIMARY_MODEL=prevent
+   */
+  loadConfig(env = process.env) {
+    let strategy = (env.RISK_COMBINATION_STRATEGY || 'weighted-mean').trim().toLowerCase();
+    if (!STRATEGIES.includes(strategy)) {
+      console.warn(`Unknown RISK_COMBINATION_STRATEGY "${strategy}", using weighted-mean`);
+      strategy = 'weighted-mean';
+    }
+
+    return {
+      strategy,
+      weights: this.parseWeights(env.RISK_MODEL_WEIGHTS),
+      primaryModel: env.RISK_PRIMARY_MODEL || 'prevent'
+    };
+  }
+
+  /**
+   * Parse "id:weight,id:weight" into an object. Invalid entries are ignored.
+   */
+  parseWeights(value) {
+    const weights = {};
+    if (!value) {
+      return weights;
+    }
+
+    value.split(',').forEach(pair => {
+      const [id, rawWeight] = pair.split(':').map(part => part && part.trim());
+      const weight = parseFloat(rawWeight);
+      if (id && !isNaN(weight) && weight >= 0) {
+        weights[id] = weight;
+      } else {
+        console.warn(`Ignoring invalid RISK_MODEL_WEIGHTS entry "${pair}"`);
+      }
+    });
+
+    return weights;
+  }
+
+  /**
+   * Combine model percentages
+   * @param {Array} entries - [{ id, percentage }] for every model that produced a percentage
+   * @param {Object} overrides - Optional { strategy, weights, primaryModel } replacing the configured values
+   * @returns {Object} { riskPercentage, combination } where combination describes how the value was derived
+   */
+  combine(entries, overrides = {}) {
+    const config = { ...this.config, ...overrides };
+    const strategy = STRATEGIES.includes(config.strategy) ? config.strategy : 'weighted-mean';
+    const inputs = {};
+    entries.forEach(entry => {
+      inputs[entry.id] = entry.percentage;
+    });
+
+    if (entries.length === 0) {
+      return {
+        riskPercentage: 0,
+        combination: { strategy, weights: {}, inputs, primaryModel: null, fallback: null }
+      };
+    }
+
+    let result;
+    if (strategy === 'primary') {
+      result = this.combinePrimary(entries, config);
+    } else if (strategy === 'median') {
+      result = this.combineMedian(entries);
+    } else {
+      result = this.combineWeightedMean(entries, config.weights || {});
+    }
+
+    return {
+      riskPercentage: result.riskPercentage,
+      combination: {
+        strategy,
+        weights: this.roundWeights(result.weights),
+        inputs,
+        primaryModel: result.primaryModel || null,
+        fallback: result.fallback || null
+      }
+    };
+  }
+
+  /**
+   * Weighted mean with weights normalised over the models that are available.
+   * Models without a configured weight default to 1.
+   */
+  combineWeightedMean(entries, configuredWeights, fallback = null) {
+    let rawWeights = entries.map(entry =>
+      configuredWeights[entry.id] !== undefined ? configuredWeights[entry.id] : 1
+    );
+    let totalWeight = rawWeights.reduce((sum, w) => sum + w, 0);
+
+    // All available models weighted 0 - fall back to equal weights rather than returning nothing
+    if (totalWeight === 0) {
+      rawWeights = entries.map(() => 1);
+      totalWeight = entries.length;
+      fallback = 'All available models had weight 0; equal weights were used';
+    }
+
+    const weights = {};
+    let riskPercentage = 0;
+    entries.forEach((entry, index) => {
+      const weight = rawWeights[index] / totalWeight;
+      weights[entry.id] = weight;
+      riskPercentage += weight * entry.percentage;
+    });
+
+    return { riskPercentage, weights, fallback };
+  }
+
+  /**
+   * Primary model provides the estimate; other models get weight 0 and are reported as context.
+   */
+  combinePrimary(entries, config) {
+    const primary = entries.find(entry => entry.id === config.primaryModel);
+
+    if (!primary) {
+      const result = this.combineWeightedMean(entries, config.weights || {});
+      return {
+        ...result,
+        fallback: `Primary model "${config.primaryModel}" was not available; weighted mean used instead`
+      };
+    }
+
+    const weights = {};
+    entries.forEach(entry => {
+      weights[entry.id] = entry.id === primary.id ? 1 : 0;
+    });
+
+    return { riskPercentage: primary.percentage, weights, primaryModel: primary.id };
+  }
+
+  /**
+   * Median of the available models. Effective weight is 1 for the middle model,
+   * or 0.5 for each of the two middle models when the count is even.
+   */
+  combineMedian(entries) {
+    const sorted = [...entries].sort((a, b) => a.percentage - b.percentage);
+    const mid = Math.floor(sorted.length / 2);
+    const middle = sorted.length % 2 === 0 ? [sorted[mid - 1], sorted[mid]] : [sorted[mid]];
+
+    const weights = {};
+    entries.forEach(entry => {
+      weights[entry.id] = 0;
+    });
+    middle.forEach(entry => {
+      weights[entry.id] = 1 / middle.length;
+    });
+
+    const riskPercentage = middle.reduce((sum, entry) => sum + entry.percentage, 0) / middle.length;
+    return { riskPercentage, weights };
+  }
+
+  roundWeights(weights) {
+    const rounded = {};
+    Object.keys(weights).forEach(id => {
+      rounded[id] = Math.round(weights[id] * 1000) / 1000;
+    });
+    return rounded;
+  }
+}
+
+module.exports = new RiskCombiner();
@@ -0,0 +1,163 @@
+/**
+ * Risk Factor Details
+ * Parses the diabetes and smoking follow-up answers (diabetes type and duration, cigarettes per day,
+ * years smoked) into structured values and derives pack-years. The chatbot stores these answers as
+ * free text, so values such as "type 2", "about 8 years" or "a pack a day" are accepted.
+ * Sex at birth and gender identity (sexAtBirth) and the activity minutes and MEPA diet score
+ * (lifestyleMeasures) are resolved as part of the same step.
+ */
+
+const lifestyleMeasures = require('./lifestyleMeasures');
+const sexAtBirth = require('./sexAtBirth');
+
+// Diabetes types, with the phrases that identify them
+const DIABETES_TYPES = [
+  { id: 'gestational', label: 'Gestational', patterns: [/gestational/, /pregnan/] },
+  { id: 'type1', label: 'Type 1', patterns: [/\btype\s*(1|one|i)\b/, /\bt1d?\b/, /juvenile/] },
+  { id: 'type2', label: 'Type 2', patterns: [/\btype\s*(2|two|ii)\b/, /\bt2d?\b/, /adult.onset/] },
+  { id: 'other', label: 'Other', patterns: [/other/, /lada/, /mody/] }
+];
+
+// Cigarettes in a pack, used for "a pack a day" answers and pack-years
+const CIGARETTES_PER_PACK = 20;
+
+class RiskFactorDetails {
+  constructor() {
+    this.diabetesTypes = DIABETES_TYPES.map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Structured copy of the patient data with diabetes and smoking details parsed
+   * Gestational diabetes is a pregnancy-associated risk enhancer rather than current diabetes, so
+   * the models receive diabetes = false and the condition is added to pregnancyConditions.
+   * @param {Object} patientData - Patient health information, possibly with free-text follow-up answers
+   * @returns {Object} Patient data with diabetesType, diabetesDuration, cigarettesPerDay, smokingYears and packYears,
+   *   plus the sex at birth from sexAtBirth.normalize and the activity and diet measures from lifestyleMeasures.normalize
+   */
+  normalize(patientData) {
+    const normalized = sexAtBirth.normalize(patientData);
+
+    const hasDiabetes = normalized.diabetes === true || normalized.diabetes === 'yes';
+    const diabetesType = this.parseDiabetesType(normalized.diabetesType);
+    // A gestational type is kept after diabetes is cleared so normalizing twice gives the same result
+    const keepDetails = hasDiabetes || diabetesType === 'gestational';
+    normalized.diabetesType = keepDetails ? diabetesType : null;
+    normalized.diabetesDuration = keepDetails ? this.parseYears(normalized.diabetesDuration) : null;
+
+    if (diabetesType === 'gestational') {
+      normalized.diabetes = false;
+      if (normalized.gender === 'female') {
+        const conditions = Array.isArray(normalized.pregnancyConditions) ? normalized.pregnancyConditions : [];
+        if (!conditions.includes('gestationalDiabetes')) {
+          normalized.pregnancyConditions = [...conditions, 'gestationalDiabetes'];
+        }
+      }
+    }
+
+    normalized.cigarettesPerDay = this.parseCigarettesPerDay(normalized.cigarettesPerDay);
+    normalized.smokingYears = this.parseYears(normalized.smokingYears);
+    // Someone who reports a daily cigarette count but no smoking status is a current smoker
+    if (!normalized.smoking && normalized.cigarettesPerDay > 0) {
+      normalized.smoking = 'current';
+    }
+    normalized.packYears = this.calculatePackYears(normalized.cigarettesPerDay, normalized.smokingYears);
+
+    return lifestyleMeasures.normalize(normalized);
+  }
+
+  /**
+   * Diabetes type id ('type1', 'type2', 'gestational', 'other') from a free-text or enum answer
+   * @returns {String|null} Type id, or null if the answer is missing or not recognized
+   */
+  parseDiabetesType(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const lower = String(value).toLowerCase().trim();
+    if (DIABETES_TYPES.some(type => type.id === lower)) {
+      return lower;
+    }
+    if (lower === '1' || lower === '2') {
+      return `type${lower}`;
+    }
+
+    const match = DIABETES_TYPES.find(type => type.patterns.some(pattern => pattern.test(lower)));
+    return match ? match.id : null;
+  }
+
+  /**
+   * Number of years from a numeric or free-text answer ("8", "about 8 years", "6 months")
+   * @returns {Number|null} Years, or null if no number was found
+   */
+  parseYears(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    const lower = String(value).toLowerCase();
+    const numMatch = lower.match(/\d+(\.\d+)?/);
+    if (!numMatch) {
+      return null;
+    }
+
+    const number = parseFloat(numMatch[0]);
+    return /month/.test(lower) ? Math.round((number / 12) * 10) / 10 : number;
+  }
+
+  /**
+   * Cigarettes per day from a numeric or free-text answer ("15", "about a pack a day", "half a pack")
+   * @returns {Number|null} Cigarettes per day, or null if the answer is missing or not recognized
+   */
+  parseCigarettesPerDay(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    const lower = String(value).toLowerCase();
+    const numMatch = lower.match(/\d+(\.\d+)?/);
+
+    if (/pack/.test(lower)) {
+      if (/half/.test(lower)) return CIGARETTES_PER_PACK / 2;
+      return (numMatch ? parseFloat(numMatch[0]) : 1) * CIGARETTES_PER_PACK;
+    }
+    return numMatch ? parseFloat(numMatch[0]) : null;
+  }
+
+  /**
+   * Pack-years: packs smoked per day multiplied by years smoked
+   * @returns {Number|null} Pack-years rounded to one decimal, or null if either input is missing
+   */
+  calculatePackYears(cigarettesPerDay, smokingYears) {
+    if (cigarettesPerDay === null || cigarettesPerDay === undefined || smokingYears === null || smokingYears === undefined) {
+      return null;
+    }
+    return Math.round((cigarettesPerDay / CIGARETTES_PER_PACK) * smokingYears * 10) / 10;
+  }
+
+  /**
+   * Diabetes duration the 2018 cholesterol guideline counts as a risk enhancer (≥10 years type 2, ≥20 years type 1)
+   */
+  isLongDiabetesDuration(patientData) {
+    if (patientData.diabetesDuration === null || patientData.diabetesDuration === undefined) {
+      return false;
+    }
+    return patientData.diabetesDuration >= (patientData.diabetesType === 'type1' ? 20 : 10);
+  }
+
+  /**
+   * Display label for a diabetes type id
+   */
+  getDiabetesTypeLabel(type) {
+    const match = DIABETES_TYPES.find(entry => entry.id === type);
+    return match ? match.label : null;
+  }
+}
+
+module.exports = new RiskFactorDetails();
@@ -0,0 +1,237 @@
+/**
+ * Risk-Enhancer Reclassification
+ * Applies the 2018 ACC/AHA cholesterol guideline's risk enhancers and coronary artery calcium (CAC)
+ * rules to patients in the borderline (low-moderate) and intermediate (moderate) categories, where
+ * they are meant to inform the treatment decision.
+ * Grundy SM, Stone NJ, Bailey AL, et al. 2018 AHA/ACC/.../Guideline on the Management of Blood
+ * Cholesterol. Circulation. 2019;139(25):e1082-e1143.
+ *
+ * Rules, in order:
+ * - CAC ≥ 100 (Agatston): moved to high
+ * - CAC 1-99: moved up one category
+ * - CAC 0: moved down one category, unless the patient smokes, has diabetes or a premature family
+ *   history of ASCVD (CAC 0 is not reassuring in these groups)
+ * - Without a CAC score, one or more risk enhancers move the patient up one category
+ * Low and high risk patients keep their category; their enhancers are still reported.
+ */
+
+const riskFactorDetails = require('./riskFactorDetails');
+
+// Categories in increasing order of risk
+const CATEGORIES = [
+  { id: 'low', description: 'Low Risk' },
+  { id: 'low-moderate', description: 'Low-Moderate Risk' },
+  { id: 'moderate', description: 'Moderate Risk' },
+  { id: 'high', description: 'High Risk' }
+];
+
+// Categories the guideline's enhancer and CAC rules are meant for
+const RECLASSIFIABLE_CATEGORIES = ['low-moderate', 'moderate'];
+
+// First-degree relatives, with the sex that sets the premature onset threshold
+const FIRST_DEGREE_RELATIVES = {
+  father: 'male',
+  brother: 'male',
+  son: 'male',
+  mother: 'female',
+  sister: 'female',
+  daughter: 'female'
+};
+
+// Premature ASCVD: onset before 55 in male and before 65 in female first-degree relatives
+const PREMATURE_ONSET_AGE = { male: 55, female: 65 };
+
+// Pregnancy-associated conditions that count as risk enhancers, with their labels
+const PREGNANCY_CONDITIONS = {
+  preeclampsia: 'Preeclampsia',
+  gestationalHypertension: 'Gestational hypertension',
+  gestationalDiabetes: 'Gestational diabetes',
+  pretermDelivery: 'Preterm delivery'
+};
+
+class RiskReclassification {
+  constructor() {
+    this.categories = CATEGORIES;
+    this.pregnancyConditions = PREGNANCY_CONDITIONS;
+  }
+
+  /**
+   * Reclassify a risk assessment using the patient's risk enhancers and CAC score
+   * @param {Object} riskAssessment - Result of RiskCalculator.calculateRisk (category, lipids, kidney)
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} { originalCategory, category, categoryDescription, direction, enhancers, cac, rule, explanation, notes }
+   */
+  reclassify(riskAssessment, patientData) {
+    const originalCategory = riskAssessment.category;
+    const enhancers = this.findEnhancers(riskAssessment, patientData);
+    const cac = this.toNumber(patientData.cacScore);
+    const notes = [];
+
+    if (this.isTrue(patientData.familyHistory) && !this.getPrematureFamilyHistory(patientData)) {
+      notes.push('A family history of heart disease counts as a risk enhancer only when a first-degree relative was affected early (men before 55, women before 65). Add the relative and their age at onset if you know them.');
+    }
+
+    let index = CATEGORIES.findIndex(entry => entry.id === originalCategory);
+    let rule = null;
+    let explanation = null;
+
+    if (!RECLASSIFIABLE_CATEGORIES.includes(originalCategory)) {
+      if (enhancers.length > 0 || cac !== null) {
+        notes.push(`Risk enhancers and the CAC score refine the decision for borderline and intermediate risk only, so your ${CATEGORIES[index].description.toLowerCase()} category is unchanged.`);
+      }
+    } else if (cac !== null && cac >= 100) {
+      rule = 'cac-100-plus';
+      index = CATEGORIES.length - 1;
+      explanation = `A coronary artery calcium score of ${cac} (100 or higher) shows established plaque, so your risk is treated as high.`;
+    } else if (cac !== null && cac > 0) {
+      rule = 'cac-1-99';
+      index += 1;
+      explanation = `A coronary artery calcium score of ${cac} (1-99) shows some plaque, which moves your risk up one category.`;
+    } else if (cac === 0) {
+      const exceptions = this.getCacZeroExceptions(patientData);
+      if (exceptions.length > 0) {
+        rule = 'cac-0-not-applied';
+        explanation = `A coronary artery calcium score of 0 usually lowers estimated risk, but not with ${exceptions.join(' or ')}, so your category is unchanged.`;
+      } else {
+        rule = 'cac-0';
+        index -= 1;
+        explanation = 'A coronary artery calcium score of 0 means no detectable plaque, which moves your risk down one category.';
+      }
+    } else if (enhancers.length > 0) {
+      rule = 'risk-enhancers';
+      index += 1;
+      explanation = `${enhancers.length === 1 ? 'A risk enhancer' : `${enhancers.length} risk enhancers`} (${enhancers.map(enhancer => enhancer.label.toLowerCase()).join(', ')}) ${enhancers.length === 1 ? 'moves' : 'move'} your risk up one category.`;
+    }
+
+    const originalIndex = CATEGORIES.findIndex(entry => entry.id === originalCategory);
+    return {
+      originalCategory,
+      category: CATEGORIES[index].id,
+      categoryDescription: CATEGORIES[index].description,
+      direction: index > originalIndex ? 'up' : index < originalIndex ? 'down' : null,
+      enhancers,
+      cac,
+      rule,
+      explanation,
+      notes
+    };
+  }
+
+  /**
+   * Risk enhancers present for this patient
+   * @returns {Array} [{ id, label, detail }]
+   */
+  findEnhancers(riskAssessment, patientData) {
+    const enhancers = [];
+    const add = (id, label, detail) => enhancers.push({ id, label, detail });
+
+    const prematureFamilyHistory = this.getPrematureFamilyHistory(patientData);
+    if (prematureFamilyHistory) {
+      add('familyHistory', 'Premature family history of ASCVD',
+        `Your ${prematureFamilyHistory.relative} developed heart disease at ${prematureFamilyHistory.onsetAge}, before ${PREMATURE_ONSET_AGE[prematureFamilyHistory.sex]}.`);
+    }
+
+    const lipids = riskAssessment.lipids || {};
+    if (lipids.ldlCholesterol >= 160 && lipids.ldlCholesterol < 190) {
+      add('hypercholesterolemia', 'Primary hypercholesterolemia', `LDL cholesterol of ${lipids.ldlCholesterol} mg/dL is in the 160-189 mg/dL range.`);
+    } else if (lipids.nonHdlCholesterol >= 190 && lipids.nonHdlCholesterol < 220) {
+      add('hypercholesterolemia', 'Primary hypercholesterolemia', `Non-HDL cholesterol of ${lipids.nonHdlCholesterol} mg/dL is in the 190-219 mg/dL range.`);
+    }
+    if (lipids.triglycerides >= 175) {
+      add('triglycerides', 'Persistently elevated triglycerides', `Triglycerides of ${lipids.triglycerides} mg/dL are 175 mg/dL or higher.`);
+    }
+
+    const kidney = riskAssessment.kidney;
+    if (kidney && kidney.ckd && !(kidney.egfr !== null && kidney.egfr < 15)) {
+      add('ckd', 'Chronic kidney disease', kidney.egfr !== null && kidney.egfr < 60
+        ? `An eGFR of ${kidney.egfr} mL/min/1.73m² is below 60.`
+        : `A urine albumin-to-creatinine ratio of ${kidney.uacr} mg/g is 30 or higher.`);
+    }
+
+    const diabetesDuration = riskFactorDetails.parseYears(patientData.diabetesDuration);
+    const diabetesType = riskFactorDetails.parseDiabetesType(patientData.diabetesType);
+    if (this.isTrue(patientData.diabetes) && riskFactorDetails.isLongDiabetesDuration({ diabetesDuration, diabetesType })) {
+      add('diabetesDuration', 'Long diabetes duration',
+        `${diabetesDuration} years with diabetes (${diabetesType === 'type1' ? '20 or more for type 1' : '10 or more for type 2'}).`);
+    }
+
+    const lipoproteinA = this.toNumber(patientData.lipoproteinA);
+    if (lipoproteinA !== null) {
+      const nmol = patientData.lipoproteinAUnit === 'nmol/L';
+      const threshold = nmol ? 125 : 50;
+      if (lipoproteinA >= threshold) {
+        add('lipoproteinA', 'Elevated lipoprotein(a)', `Lp(a) of ${lipoproteinA} ${nmol ? 'nmol/L' : 'mg/dL'} is at or above ${threshold} ${nmol ? 'nmol/L' : 'mg/dL'}.`);
+      }
+    }
+
+    const hsCRP = this.toNumber(patientData.hsCRP);
+    if (hsCRP !== null && hsCRP >= 2) {
+      add('hsCRP', 'Elevated hs-CRP', `High-sensitivity C-reactive protein of ${hsCRP} mg/L is 2.0 mg/L or higher.`);
+    }
+
+    if (patientData.gender === 'female') {
+      const conditions = (Array.isArray(patientData.pregnancyConditions) ? patientData.pregnancyConditions : [])
+        .filter(condition => PREGNANCY_CONDITIONS[condition]);
+      if (conditions.length > 0) {
+        add('pregnancyConditions', 'Pregnancy-associated condition',
+          `History of ${conditions.map(condition => PREGNANCY_CONDITIONS[condition].toLowerCase()).join(', ')}.`);
+      }
+      if (this.isTrue(patientData.prematureMenopause)) {
+        add('prematureMenopause', 'Premature menopause', 'Menopause before age 40.');
+      }
+    }
+
+    return enhancers;
+  }
+
+  /**
+   * The affected first-degree relative if the family history is premature, otherwise null
+   */
+  getPrematureFamilyHistory(patientData) {
+    if (!this.isTrue(patientData.familyHistory)) {
+      return null;
+    }
+
+    const relative = typeof patientData.familyHistoryRelative === 'string'
+      ? patientData.familyHistoryRelative.toLowerCase()
+      : null;
+    const sex = FIRST_DEGREE_RELATIVES[relative];
+    const onsetAge = this.toNumber(patientData.familyHistoryOnsetAge);
+    if (!sex || onsetAge === null || onsetAge >= PREMATURE_ONSET_AGE[sex]) {
+      return null;
+    }
+
+    return { relative, sex, onsetAge };
+  }
+
+  /**
+   * Conditions under which a CAC score of 0 should not lower the category
+   */
+  getCacZeroExceptions(patientData) {
+    const exceptions = [];
+    if (patientData.smoking === 'current' || patientData.smoking === true || patientData.smoking === 'yes') {
+      exceptions.push('current smoking');
+    }
+    if (this.isTrue(patientData.diabetes)) {
+      exceptions.push('diabetes');
+    }
+    if (this.getPrematureFamilyHistory(patientData)) {
+      exceptions.push('a premature family history of heart disease');
+    }
+    return exceptions;
+  }
+
+  isTrue(value) {
+    return value === true || value === 'yes';
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = new RiskReclassification();
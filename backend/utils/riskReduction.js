@@ -0,0 +1,112 @@
+/**
+ * Risk Reduction
+ * Estimates how much following each recommendation would lower the risk by applying the rule's
+ * intervention (a realistic improvement such as 10 mmHg lower systolic blood pressure or quitting
+ * smoking) to the patient and re-running the models. The estimate is the drop in the combined risk,
+ * in percentage points, and the recommendations are ranked by it. Recommendations marked notModeled
+ * (activity and diet, which no model reads) get no estimate and follow the ranked ones.
+ */
+
+const PRIORITY_ORDER = { critical: 0, high: 1, moderate: 2, low: 3 };
+
+class RiskReduction {
+  /**
+   * Attach an estimated risk reduction to each recommendation and rank them
+   * @param {Array} recommendations - From RiskCalculator.generateRecommendations
+   * @param {Object} patientData - Patient health information (after imputation)
+   * @param {Function} evaluate - async (patientData) => combined risk percentage or null
+   * @returns {Array} Recommendations with riskReduction { absolute, baselineRisk, targetRisk } (null when
+   *   the rule has no intervention, it changes nothing or it is notModeled), those with a positive
+   *   estimate first from largest to smallest, the rest in priority order
+   */
+  async rank(recommendations, patientData, evaluate) {
+    const baselineRisk = await evaluate(patientData);
+    const ranked = [];
+
+    for (const recommendation of recommendations) {
+      const counterfactual = baselineRisk !== null && recommendation.intervention && !recommendation.notModeled
+        ? this.applyIntervention(patientData, recommendation.intervention)
+        : null;
+      const targetRisk = counterfactual ? await evaluate(counterfactual) : null;
+
+      ranked.push({
+        ...recommendation,
+        riskReduction: targetRisk !== null
+          ? { absolute: this.round(baselineRisk - targetRisk), baselineRisk: this.round(baselineRisk), targetRisk: this.round(targetRisk) }
+          : null
+      });
+    }
+
+    return ranked
+      .map((recommendation, index) => ({ recommendation, index }))
+      .sort((a, b) => this.compare(a.recommendation, b.recommendation) || a.index - b.index)
+      .map(({ recommendation }) => recommendation);
+  }
+
+  /**
+   * Patient data with an intervention applied, or null if it changes nothing
+   * @param {Object} patientData - Patient health information
+   * @param {Array} intervention - [{ field, set | change | percent, min, max }]
+   */
+  applyIntervention(patientData, intervention) {
+    const improved = { ...patientData };
+    let changed = false;
+
+    intervention.forEach(change => {
+      const value = patientData[change.field];
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      let target;
+      if (change.set !== undefined) {
+        target = change.set;
+      } else {
+        const current = Number(value);
+        if (isNaN(current)) {
+          return;
+        }
+        target = change.change !== undefined ? current + change.change : current * (1 + change.percent / 100);
+        // A bound stops the improvement there, and never moves a value that is already past it
+        if (change.min !== undefined) {
+          target = current <= change.min ? current : Math.max(target, change.min);
+        }
+        if (change.max !== undefined) {
+          target = current >= change.max ? current : Math.min(target, change.max);
+        }
+        target = this.round(target);
+      }
+
+      if (target !== value) {
+        improved[change.field] = target;
+        changed = true;
+      }
+    });
+
+    return changed ? improved : null;
+  }
+
+  /**
+   * Sort order: positive estimates first (largest first), then the rest by priority
+   */
+  compare(a, b) {
+    const aReduction = a.riskReduction && a.riskReduction.absolute > 0 ? a.riskReduction.absolute : null;
+    const bReduction = b.riskReduction && b.riskReduction.absolute > 0 ? b.riskReduction.absolute : null;
+    if (aReduction !== null || bReduction !== null) {
+      if (aReduction === null) return 1;
+      if (bReduction === null) return -1;
+      return bReduction - aReduction;
+    }
+    return this.getPriorityOrder(a.priority) - this.getPriorityOrder(b.priority);
+  }
+
+  getPriorityOrder(priority) {
+    return PRIORITY_ORDER[priority] !== undefined ? PRIORITY_ORDER[priority] : PRIORITY_ORDER.low;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new RiskReduction();
@@ -0,0 +1,182 @@
+/**
+ * What-If Scenario Simulator
+ * Re-runs the risk calculation for a patient with modifiable risk factors changed
+ * (e.g. "quit smoking and lower systolic BP to 120") and reports how each scenario
+ * compares with the baseline risk. Remote models run for the baseline only.
+ */
+
+const riskCalculator = require('./riskCalculator');
+const lifestyleMeasures = require('./lifestyleMeasures');
+
+// Risk factors a scenario may change, with the values they accept (numbers within the questionnaire's ranges)
+const OVERRIDE_RULES = {
+  systolicBP: { min: 50, max: 300 },
+  diastolicBP: { min: 30, max: 200 },
+  cholesterol: { min: 50, max: 500 },
+  hdlCholesterol: { min: 10, max: 150 },
+  ldlCholesterol: { min: 10, max: 400 },
+  triglycerides: { min: 10, max: 5000 },
+  bmi: { min: 10, max: 60 },
+  smoking: { values: ['never', 'former', 'current'] },
+  moderateMinutes: { min: 0, max: 3000 },
+  vigorousMinutes: { min: 0, max: 3000 },
+  mepa: { items: lifestyleMeasures.mepaItems.map(item => item.id) },
+  onBPMedication: { values: [true, false, 'yes', 'no'] },
+  onStatin: { values: [true, false, 'yes', 'no'] }
+};
+const MODIFIABLE_FIELDS = Object.keys(OVERRIDE_RULES);
+
+// Fields that describe who the patient is rather than what they can change
+const NON_MODIFIABLE_FIELDS = ['age', 'gender', 'sexAtBirth', 'genderIdentity', 'race', 'familyHistory', 'diabetes'];
+
+class ScenarioSimulator {
+  constructor() {
+    this.modifiableFields = MODIFIABLE_FIELDS;
+    this.nonModifiableFields = NON_MODIFIABLE_FIELDS;
+  }
+
+  /**
+   * Check a list of scenarios before running them
+   * @param {Array} scenarios - [{ name, overrides }]
+   * @returns {Array<String>} Validation errors, empty when the scenarios are valid
+   */
+  validateScenarios(scenarios) {
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      return ['scenarios must be a non-empty array of { name, overrides } objects'];
+    }
+
+    const errors = [];
+    scenarios.forEach((scenario, index) => {
+      const label = scenario && scenario.name ? `Scenario "${scenario.name}"` : `Scenario ${index + 1}`;
+
+      if (!scenario || typeof scenario.overrides !== 'object' || scenario.overrides === null || Array.isArray(scenario.overrides)) {
+        errors.push(`${label} needs an overrides object`);
+        return;
+      }
+
+      const fields = Object.keys(scenario.overrides);
+      if (fields.length === 0) {
+        errors.push(`${label} does not change any risk factor`);
+      }
+
+      const locked = fields.filter(field => NON_MODIFIABLE_FIELDS.includes(field));
+      if (locked.length > 0) {
+        errors.push(`${label} cannot override non-modifiable fields: ${locked.join(', ')}`);
+      }
+
+      const unknown = fields.filter(field => !NON_MODIFIABLE_FIELDS.includes(field) && !MODIFIABLE_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        errors.push(`${label} overrides unknown fields: ${unknown.join(', ')}`);
+      }
+
+      fields.filter(field => MODIFIABLE_FIELDS.includes(field)).forEach(field => {
+        const error = this.validateOverride(field, scenario.overrides[field]);
+        if (error) {
+          errors.push(`${label} ${error}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check one override value against its field's range or allowed values
+   * @returns {String|null} What is wrong with the value, or null if it is valid
+   */
+  validateOverride(field, value) {
+    const rule = OVERRIDE_RULES[field];
+    if (rule.values) {
+      return rule.values.includes(value)
+        ? null
+        : `sets ${field} to ${JSON.stringify(value)}; expected one of ${rule.values.join(', ')}`;
+    }
+    if (rule.items) {
+      return Array.isArray(value) && value.every(item => rule.items.includes(item))
+        ? null
+        : `sets ${field} to ${JSON.stringify(value)}; expected a list of MEPA item ids`;
+    }
+    return typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max
+      ? null
+      : `sets ${field} to ${JSON.stringify(value)}; expected a number from ${rule.min} to ${rule.max}`;
+  }
+
+  /**
+   * Run every scenario and compare it with the baseline
+   * @param {Object} patientData - Baseline patient health information
+   * @param {Array} scenarios - [{ name, overrides }], already validated
+   * @param {Object} options - { useSarahModel, models, impute }
+   * @returns {Object} { baseline, scenarios }
+   */
+  async simulate(patientData, scenarios, options = {}) {
+    const calculationOptions = {
+      models: options.models,
+      impute: options.impute,
+      // The interval and attribution are not needed to compare scenarios and would multiply the work per scenario
+      uncertainty: false,
+      attribution: false
+    };
+    const useSarahModel = options.useSarahModel !== undefined ? options.useSarahModel : null;
+
+    const baselineAssessment = await riskCalculator.calculateRisk(patientData, false, useSarahModel, calculationOptions);
+    const baseline = this.summarize(baselineAssessment);
+
+    const results = [];
+    for (const [index, scenario] of scenarios.entries()) {
+      const scenarioPatient = { ...patientData, ...scenario.overrides };
+      // Remote models are not called again: the baseline's result is reused, as in evaluateModels
+      const assessment = await riskCalculator.calculateRisk(scenarioPatient, false, useSarahModel, {
+        ...calculationOptions,
+        remoteResults: baselineAssessment.models
+      });
+
+      results.push({
+        name: scenario.name || `Scenario ${index + 1}`,
+        overrides: scenario.overrides,
+        ...this.summarize(assessment),
+        ...this.compare(baseline.riskPercentage, assessment.riskPercentage)
+      });
+    }
+
+    return { baseline, scenarios: results };
+  }
+
+  /**
+   * The parts of a risk assessment that matter when comparing scenarios
+   */
+  summarize(assessment) {
+    const models = {};
+    riskCalculator.modelRegistry.list().forEach(model => {
+      const result = assessment.models[model.id];
+      models[model.id] = result ? model.getRiskPercentage(result) : null;
+    });
+
+    return {
+      riskPercentage: assessment.riskPercentage,
+      category: assessment.category,
+      categoryDescription: assessment.categoryDescription,
+      modelsUsed: assessment.modelsUsed,
+      models,
+      // Activity and diet don't enter the risk equations but do change the Life's Essential 8 score
+      lifesEssential8: assessment.lifesEssential8 ? assessment.lifesEssential8.score : null
+    };
+  }
+
+  /**
+   * Absolute change in percentage points and relative change in percent against the baseline
+   * (both null when either has no 10-year risk)
+   */
+  compare(baselinePercentage, scenarioPercentage) {
+    if (baselinePercentage === null || scenarioPercentage === null) {
+      return { absoluteChange: null, relativeChange: null };
+    }
+    const absoluteChange = Math.round((scenarioPercentage - baselinePercentage) * 10) / 10;
+    const relativeChange = baselinePercentage > 0
+      ? Math.round(((scenarioPercentage - baselinePercentage) / baselinePercentage) * 1000) / 10
+      : null;
+
+    return { absoluteChange, relativeChange };
+  }
+}
+
+module.exports = new ScenarioSimulator();
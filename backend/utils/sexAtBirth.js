@@ -0,0 +1,144 @@
+/**
+ * Sex at Birth and Gender Identity
+ * Keeps the sex assigned at birth, which the sex-specific risk equations need, apart from the patient's
+ * gender identity. The models read `gender` as sex at birth: normalize() sets it from sexAtBirth, or
+ * from a legacy male/female `gender` answer, and removes it when sex at birth is unknown. In that case
+ * the risk calculator runs the male and the female equations and averages them (averageResults), and
+ * the result is labeled as such.
+ */
+
+const SEXES = ['male', 'female'];
+
+// Gender identity answers, with the phrases that identify them (checked in order)
+const GENDER_IDENTITIES = [
+  { id: 'nonBinary', label: 'Non-binary', patterns: [/non[\s-]?binary/, /\benby\b/, /genderqueer/, /gender[\s-]?fluid/] },
+  { id: 'transgenderMan', label: 'Transgender man', patterns: [/trans(gender)?[\s-]*(man|male|masc)/, /\bftm\b/] },
+  { id: 'transgenderWoman', label: 'Transgender woman', patterns: [/trans(gender)?[\s-]*(woman|female|fem)/, /\bmtf\b/] },
+  { id: 'declined', label: 'Prefer not to say', patterns: [/prefer not/, /rather not/, /decline/] },
+  { id: 'woman', label: 'Woman', patterns: [/\b(woman|female|girl|f)\b/] },
+  { id: 'man', label: 'Man', patterns: [/\b(man|male|boy|m)\b/] },
+  { id: 'other', label: 'Other', patterns: [/\bother\b/, /something else/] }
+];
+
+const FALLBACK_LABEL = 'Sex assigned at birth not given: average of the male and female equations';
+
+class SexAtBirth {
+  constructor() {
+    this.genderIdentities = GENDER_IDENTITIES.map(({ id, label }) => ({ id, label }));
+    this.fallbackLabel = FALLBACK_LABEL;
+  }
+
+  /**
+   * Copy of the patient data with sex at birth and gender identity resolved
+   * A legacy `gender` of male or female is read as sex at birth, and any other value as gender identity.
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} Patient data with sexAtBirth ('male', 'female' or null), genderIdentity (an id of
+   *   genderIdentities or null), sexFallback (true when sex at birth is unknown) and `gender` set to the
+   *   sex at birth for the models (removed when unknown)
+   */
+  normalize(patientData) {
+    const normalized = { ...patientData };
+    const legacySex = this.parseSexAtBirth(patientData.gender);
+
+    normalized.sexAtBirth = this.parseSexAtBirth(patientData.sexAtBirth) || (patientData.sexAtBirth ? null : legacySex);
+    normalized.genderIdentity = this.parseGenderIdentity(patientData.genderIdentity);
+    if (!normalized.genderIdentity && patientData.gender && !legacySex) {
+      normalized.genderIdentity = this.parseGenderIdentity(patientData.gender) || 'other';
+    }
+
+    normalized.sexFallback = normalized.sexAtBirth === null;
+    if (normalized.sexFallback) {
+      delete normalized.gender;
+    } else {
+      normalized.gender = normalized.sexAtBirth;
+    }
+    return normalized;
+  }
+
+  /**
+   * Sex at birth from an answer such as "female", "F" or "male"
+   * @returns {String|null} 'male' or 'female', or null for any other answer (e.g. "intersex", "prefer not to say")
+   */
+  parseSexAtBirth(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const lower = value.toLowerCase().trim();
+    if (/^(f|female|woman|girl)\b/.test(lower)) return 'female';
+    if (/^(m|male|man|boy)\b/.test(lower)) return 'male';
+    return null;
+  }
+
+  /**
+   * Gender identity id from an id or a free-text answer such as "non-binary" or "trans woman"
+   * @returns {String|null} An id of genderIdentities, or null if the answer is missing or not understood
+   */
+  parseGenderIdentity(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+    if (GENDER_IDENTITIES.some(identity => identity.id === value)) {
+      return value;
+    }
+    const lower = value.toLowerCase().trim();
+    const match = GENDER_IDENTITIES.find(identity => identity.patterns.some(pattern => pattern.test(lower)));
+    return match ? match.id : null;
+  }
+
+  /**
+   * Sex at birth of raw or normalized patient data, for code that runs sex-specific equations directly
+   * @returns {String|null} 'male' or 'female', or null when unknown
+   */
+  resolve(patientData) {
+    if (patientData.sexAtBirth !== undefined) {
+      return this.parseSexAtBirth(patientData.sexAtBirth);
+    }
+    return this.parseSexAtBirth(patientData.gender);
+  }
+
+  /**
+   * Whether a value is a sex the sex-specific equations accept
+   */
+  isKnown(value) {
+    return SEXES.includes(value);
+  }
+
+  /**
+   * Combine a model's male and female results into the labeled fallback result
+   * Fields that are the same for both sexes are kept, the risk fields are averaged and the factors of
+   * both are listed; sex-specific details such as point totals are left out.
+   * @param {Object} maleResult - Result of the male equations
+   * @param {Object} femaleResult - Result of the female equations
+   * @param {Array<String>} fields - Result fields to average, e.g. ['riskPercentage']
+   * @param {Function} getRiskPercentage - (result) => percentage, to report both results
+   * @returns {Object|null} Averaged result with sexFallback { label, male, female }, or null if either is missing
+   */
+  averageResults(maleResult, femaleResult, fields, getRiskPercentage) {
+    if (!maleResult || !femaleResult) {
+      return null;
+    }
+
+    const averaged = {};
+    Object.keys(maleResult).forEach(key => {
+      if (JSON.stringify(maleResult[key]) === JSON.stringify(femaleResult[key])) {
+        averaged[key] = maleResult[key];
+      }
+    });
+    fields.forEach(field => {
+      const male = maleResult[field];
+      const female = femaleResult[field];
+      averaged[field] = typeof male === 'number' && typeof female === 'number'
+        ? Math.round((male + female) / 2 * 10) / 10
+        : null;
+    });
+    averaged.factors = [...new Set([...(maleResult.factors || []), ...(femaleResult.factors || [])])];
+    averaged.sexFallback = {
+      label: FALLBACK_LABEL,
+      male: getRiskPercentage(maleResult),
+      female: getRiskPercentage(femaleResult)
+    };
+    return averaged;
+  }
+}
+
+module.exports = new SexAtBirth();
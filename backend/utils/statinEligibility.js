@@ -0,0 +1,317 @@
+/**
+ * Statin Eligibility
+ * Applies the primary prevention decision tree of the 2018 ACC/AHA cholesterol guideline to find the
+ * patient's statin benefit group, the suggested statin intensity and the rule that led there.
+ * Grundy SM, Stone NJ, Bailey AL, et al. 2018 AHA/ACC/.../Guideline on the Management of Blood
+ * Cholesterol. Circulation. 2019;139(25):e1082-e1143.
+ *
+ * Rules, in order:
+ * - LDL ≥ 190 mg/dL, ages 20-75: high-intensity statin without a risk estimate (Class I)
+ * - Diabetes, ages 40-75, LDL ≥ 70: moderate-intensity statin (Class I), high intensity with
+ *   diabetes-specific risk enhancers or a 10-year risk of 20% or more (Class IIa)
+ * - Ages 40-75, LDL 70-189, by 10-year ASCVD risk (Pooled Cohort Equations):
+ *   ≥ 20% high-intensity (Class I); 7.5-19.9% moderate-intensity (Class I), withheld for a CAC of 0;
+ *   5-7.4% moderate-intensity only with risk enhancers (Class IIb); < 5% lifestyle
+ * - Ages 20-39: statin considered for a premature family history of ASCVD with LDL ≥ 160 (Class IIb)
+ * - Over 75: a clinician-patient discussion, moderate intensity may be reasonable (Class IIb)
+ * Patients with clinical ASCVD (secondary prevention) are outside the scope of this tool.
+ */
+
+const riskReclassification = require('./riskReclassification');
+const lipidPanel = require('./lipidPanel');
+const kidneyFunction = require('./kidneyFunction');
+const riskFactorDetails = require('./riskFactorDetails');
+
+// Statin intensities with their expected LDL reduction and example daily doses
+const INTENSITIES = {
+  high: {
+    label: 'High-intensity',
+    ldlReduction: 'LDL lowered by 50% or more',
+    examples: 'atorvastatin 40-80 mg, rosuvastatin 20-40 mg'
+  },
+  moderate: {
+    label: 'Moderate-intensity',
+    ldlReduction: 'LDL lowered by 30-49%',
+    examples: 'atorvastatin 10-20 mg, rosuvastatin 5-10 mg, simvastatin 20-40 mg, pravastatin 40-80 mg'
+  }
+};
+
+// Statin benefit groups of the guideline's primary prevention pathway
+const BENEFIT_GROUPS = {
+  severeHypercholesterolemia: 'Severe primary hypercholesterolemia (LDL ≥ 190 mg/dL)',
+  diabetes: 'Diabetes mellitus, age 40-75',
+  highRisk: 'Primary prevention, 10-year ASCVD risk ≥ 20%',
+  intermediateRisk: 'Primary prevention, 10-year ASCVD risk 7.5-19.9%',
+  borderlineRisk: 'Primary prevention, 10-year ASCVD risk 5-7.4%',
+  lowRisk: 'Primary prevention, 10-year ASCVD risk < 5%',
+  youngAdult: 'Primary prevention, age 20-39',
+  olderAdult: 'Primary prevention, age over 75',
+  ldlBelowThreshold: 'LDL below 70 mg/dL'
+};
+
+class StatinEligibility {
+  constructor() {
+    this.intensities = INTENSITIES;
+    this.benefitGroups = BENEFIT_GROUPS;
+  }
+
+  /**
+   * Statin benefit group and intensity for a patient
+   * @param {Object} riskAssessment - Result of RiskCalculator.calculateRisk (models, riskPercentage, modelsUsed, lipids,
+   *   kidney, reclassification)
+   * @param {Object} patientData - Patient health information
+   * @returns {Object} { benefitGroup, label, intensity, intensityLabel, ldlReduction, examples, rule, classOfRecommendation,
+   *   rationale, ascvdRisk, riskSource, ldlCholesterol, onStatin, considerations }
+   */
+  evaluate(riskAssessment, patientData) {
+    patientData = riskFactorDetails.normalize(patientData);
+    const lipids = riskAssessment.lipids || lipidPanel.calculate(patientData);
+    const kidney = riskAssessment.kidney !== undefined ? riskAssessment.kidney : kidneyFunction.calculate(patientData);
+    const ldl = lipids.ldlCholesterol;
+    const age = Number(patientData.age);
+    const hasDiabetes = patientData.diabetes === true || patientData.diabetes === 'yes';
+    const onStatin = patientData.onStatin === true || patientData.onStatin === 'yes';
+    const { ascvdRisk, riskSource } = this.getAscvdRisk(riskAssessment);
+    const enhancers = riskAssessment.reclassification
+      ? riskAssessment.reclassification.enhancers
+      : riskReclassification.findEnhancers({ lipids, kidney }, patientData);
+    const cac = riskReclassification.toNumber(patientData.cacScore);
+
+    const considerations = [];
+    if (riskSource === 'combined') {
+      considerations.push('The Pooled Cohort Equations could not be calculated, so the combined 10-year risk estimate was used for the risk bands.');
+    }
+    if (ldl !== null && lipids.ldlMethod !== 'measured') {
+      considerations.push(`LDL was calculated with the ${lipids.ldlMethodLabel} method; a measured LDL may change the result near the thresholds.`);
+    }
+    if (onStatin) {
+      considerations.push('The patient already takes a statin, so the values may be on treatment. Check that the LDL reduction matches the suggested intensity.');
+    }
+
+    const decision = this.decide({ ldl, age, hasDiabetes, ascvdRisk, enhancers, cac, kidney, patientData, considerations });
+    const intensity = decision.intensity ? INTENSITIES[decision.intensity] : null;
+
+    return {
+      benefitGroup: decision.benefitGroup,
+      label: decision.benefitGroup ? BENEFIT_GROUPS[decision.benefitGroup] : null,
+      intensity: decision.intensity,
+      intensityLabel: intensity ? intensity.label : null,
+      ldlReduction: intensity ? intensity.ldlReduction : null,
+      examples: intensity ? intensity.examples : null,
+      rule: decision.rule,
+      classOfRecommendation: decision.classOfRecommendation || null,
+      rationale: decision.rationale,
+      ascvdRisk,
+      riskSource,
+      ldlCholesterol: ldl,
+      onStatin,
+      considerations
+    };
+  }
+
+  /**
+   * Walk the guideline's decision tree
+   * @returns {Object} { benefitGroup, intensity, rule, classOfRecommendation, rationale }
+   */
+  decide({ ldl, age, hasDiabetes, ascvdRisk, enhancers, cac, kidney, patientData, considerations }) {
+    if (ldl === null || !age) {
+      return {
+        benefitGroup: null,
+        intensity: null,
+        rule: 'insufficient-data',
+        rationale: 'Age and an LDL cholesterol value (measured or calculated) are needed to apply the guideline.'
+      };
+    }
+
+    if (ldl >= 190 && age >= 20 && age <= 75) {
+      return {
+        benefitGroup: 'severeHypercholesterolemia',
+        intensity: 'high',
+        rule: 'ldl-190',
+        classOfRecommendation: 'I',
+        rationale: `LDL of ${ldl} mg/dL is 190 mg/dL or higher, so high-intensity statin therapy is recommended without a 10-year risk estimate. Consider screening for familial hypercholesterolemia.`
+      };
+    }
+
+    if (age < 20) {
+      return {
+        benefitGroup: null,
+        intensity: null,
+        rule: 'age-under-20',
+        rationale: 'The adult statin benefit groups apply from age 20.'
+      };
+    }
+
+    if (age > 75) {
+      considerations.push('A CAC score of 0 may help identify older adults who can reasonably forgo statin therapy.');
+      return {
+        benefitGroup: 'olderAdult',
+        intensity: ldl >= 70 ? 'moderate' : null,
+        rule: 'age-over-75',
+        classOfRecommendation: ldl >= 70 ? 'IIb' : null,
+        rationale: ldl >= 70
+          ? 'Over age 75, starting a moderate-intensity statin may be reasonable after a clinician-patient discussion of expected benefit, adverse effects, drug interactions and frailty.'
+          : 'Over age 75 with LDL below 70 mg/dL, statin therapy is not routinely indicated.'
+      };
+    }
+
+    if (age < 40) {
+      const familyHistory = riskReclassification.getPrematureFamilyHistory(patientData);
+      if (familyHistory && ldl >= 160) {
+        return {
+          benefitGroup: 'youngAdult',
+          intensity: 'moderate',
+          rule: 'young-adult-family-history',
+          classOfRecommendation: 'IIb',
+          rationale: `With a premature family history of ASCVD and LDL of ${ldl} mg/dL (160 mg/dL or higher), statin therapy may be reasonable.`
+        };
+      }
+      return {
+        benefitGroup: 'youngAdult',
+        intensity: null,
+        rule: 'young-adult',
+        rationale: 'Between ages 20 and 39 the focus is on lifetime risk and lifestyle; statins are considered only with LDL of 160 mg/dL or higher and a premature family history of ASCVD.'
+      };
+    }
+
+    if (ldl < 70) {
+      return {
+        benefitGroup: 'ldlBelowThreshold',
+        intensity: null,
+        rule: 'ldl-below-70',
+        rationale: `LDL of ${ldl} mg/dL is below 70 mg/dL, where the primary prevention statin benefit groups do not apply.`
+      };
+    }
+
+    if (hasDiabetes) {
+      const diabetesEnhancers = this.getDiabetesEnhancers(patientData, kidney);
+      if ((ascvdRisk !== null && ascvdRisk >= 20) || diabetesEnhancers.length > 0) {
+        return {
+          benefitGroup: 'diabetes',
+          intensity: 'high',
+          rule: 'diabetes-high-risk',
+          classOfRecommendation: 'IIa',
+          rationale: ascvdRisk !== null && ascvdRisk >= 20
+            ? `Diabetes with a 10-year ASCVD risk of ${ascvdRisk}% (20% or higher) makes high-intensity statin therapy reasonable; adding ezetimibe to lower LDL by 50% or more may also be reasonable.`
+            : `Diabetes with ${diabetesEnhancers.join(' and ')} makes high-intensity statin therapy reasonable.`
+        };
+      }
+      return {
+        benefitGroup: 'diabetes',
+        intensity: 'moderate',
+        rule: 'diabetes-40-75',
+        classOfRecommendation: 'I',
+        rationale: 'Adults aged 40-75 with diabetes and LDL of 70 mg/dL or higher should take a moderate-intensity statin regardless of their 10-year risk.'
+      };
+    }
+
+    if (ascvdRisk === null) {
+      return {
+        benefitGroup: null,
+        intensity: null,
+        rule: 'insufficient-data',
+        rationale: 'A 10-year ASCVD risk estimate is needed to place the patient in a primary prevention risk band.'
+      };
+    }
+
+    if (ascvdRisk >= 20) {
+      return {
+        benefitGroup: 'highRisk',
+        intensity: 'high',
+        rule: 'risk-20-plus',
+        classOfRecommendation: 'I',
+        rationale: `A 10-year ASCVD risk of ${ascvdRisk}% (20% or higher) calls for high-intensity statin therapy to lower LDL by 50% or more.`
+      };
+    }
+
+    const enhancerText = enhancers.map(enhancer => enhancer.label.toLowerCase()).join(', ');
+
+    if (ascvdRisk >= 7.5) {
+      if (cac === 0 && riskReclassification.getCacZeroExceptions(patientData).length === 0) {
+        return {
+          benefitGroup: 'intermediateRisk',
+          intensity: null,
+          rule: 'intermediate-cac-0',
+          classOfRecommendation: 'IIa',
+          rationale: `A 10-year ASCVD risk of ${ascvdRisk}% is intermediate, but with a CAC score of 0 it is reasonable to withhold statin therapy and reassess in 5-10 years.`
+        };
+      }
+      if (cac !== null && cac > 0) {
+        considerations.push(`A CAC score of ${cac} favors statin therapy${cac >= 100 ? ' (100 or higher: statin indicated)' : ''}.`);
+      }
+      return {
+        benefitGroup: 'intermediateRisk',
+        intensity: 'moderate',
+        rule: 'risk-7.5-20',
+        classOfRecommendation: 'I',
+        rationale: `A 10-year ASCVD risk of ${ascvdRisk}% (7.5-19.9%) calls for a moderate-intensity statin to lower LDL by 30% or more${enhancers.length > 0 ? `; risk enhancers (${enhancerText}) favor starting it` : ''}.`
+      };
+    }
+
+    if (ascvdRisk >= 5) {
+      if (enhancers.length > 0 && cac !== 0) {
+        return {
+          benefitGroup: 'borderlineRisk',
+          intensity: 'moderate',
+          rule: 'borderline-enhancers',
+          classOfRecommendation: 'IIb',
+          rationale: `A 10-year ASCVD risk of ${ascvdRisk}% is borderline; with risk enhancers (${enhancerText}) a moderate-intensity statin may be reasonable.`
+        };
+      }
+      return {
+        benefitGroup: 'borderlineRisk',
+        intensity: null,
+        rule: 'borderline-risk',
+        rationale: cac === 0
+          ? `A 10-year ASCVD risk of ${ascvdRisk}% is borderline and the CAC score is 0, so lifestyle therapy is preferred.`
+          : `A 10-year ASCVD risk of ${ascvdRisk}% is borderline and no risk enhancers were found, so lifestyle therapy is preferred.`
+      };
+    }
+
+    return {
+      benefitGroup: 'lowRisk',
+      intensity: null,
+      rule: 'low-risk',
+      rationale: `A 10-year ASCVD risk of ${ascvdRisk}% is below 5%, so lifestyle therapy is recommended without a statin.`
+    };
+  }
+
+  /**
+   * 10-year ASCVD risk for the risk bands: the Pooled Cohort Equations the guideline was written for,
+   * otherwise the combined estimate. When modelsUsed shows that no ASCVD model contributed to the
+   * combined estimate it is not a risk at all, so there is none and the decision is insufficient-data.
+   * @returns {Object} { ascvdRisk, riskSource: 'pce' | 'combined' | null }
+   */
+  getAscvdRisk(riskAssessment) {
+    const pce = riskAssessment.models && riskAssessment.models.pce;
+    if (pce && pce.riskPercentage !== null && pce.riskPercentage !== undefined) {
+      return { ascvdRisk: pce.riskPercentage, riskSource: 'pce' };
+    }
+    if (Array.isArray(riskAssessment.modelsUsed) && riskAssessment.modelsUsed.length === 0) {
+      return { ascvdRisk: null, riskSource: null };
+    }
+    if (riskAssessment.riskPercentage !== null && riskAssessment.riskPercentage !== undefined) {
+      return { ascvdRisk: riskAssessment.riskPercentage, riskSource: 'combined' };
+    }
+    return { ascvdRisk: null, riskSource: null };
+  }
+
+  /**
+   * Diabetes-specific risk enhancers the guideline lists for high-intensity therapy
+   */
+  getDiabetesEnhancers(patientData, kidney) {
+    const found = [];
+    if (riskFactorDetails.isLongDiabetesDuration(patientData)) {
+      found.push('a long duration');
+    }
+    if (kidney && kidney.uacr !== null && kidney.uacr >= 30) {
+      found.push('albuminuria');
+    }
+    if (kidney && kidney.egfr !== null && kidney.egfr < 60) {
+      found.push('an eGFR below 60');
+    }
+    return found;
+  }
+}
+
+module.exports = new StatinEligibility();
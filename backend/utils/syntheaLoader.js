@@ -118,10 +118,11 @@ class SyntheaLoader {
   /**
    * Calculate statistics from Synthea data
    * @param {String} gender - Optional gender filter ('male' or 'female')
+   * @param {Object} ageBand - Optional age filter as { min, max } (inclusive)
    * @returns {Object} Statistics object with averages and medians
    */
-  calculateStatistics(gender = null) {
-    const cacheKey = gender || 'all';
+  calculateStatistics(gender = null, ageBand = null) {
+    const cacheKey = `${gender || 'all'}${ageBand ? `:${ageBand.min}-${ageBand.max}` : ''}`;
     if (this.statsCache && this.statsCache[cacheKey]) {
       return this.statsCache[cacheKey];
     }
@@ -136,6 +137,15 @@ class SyntheaLoader {
         return patientGender === gender.toLowerCase();
       });
     }
+
+    // Filter patients by age band if specified
+    if (ageBand) {
+      patients = patients.filter(patient => {
+        if (!patient.birthDate) return false;
+        const age = this.calculateAge(patient.birthDate);
+        return age >= ageBand.min && age <= ageBand.max;
+      });
+    }
     
     // Create a map of patient IDs to gender for observation filtering
     const patientGenderMap = new Map();
@@ -167,7 +177,7 @@ class SyntheaLoader {
     // Extract Observation resources, filter by patient gender if specified
     let observations = resources.filter(r => r.resourceType === 'Observation');
     
-    if (gender && patientGenderMap.size > 0) {
+    if ((gender && patientGenderMap.size > 0) || ageBand) {
       observations = observations.filter(obs => {
         const subjectRef = obs.subject?.reference || obs.subject?.id;
         if (!subjectRef) return false;
@@ -268,7 +278,7 @@ class SyntheaLoader {
     }
     this.statsCache[cacheKey] = stats;
     
-    console.log(`Calculated Synthea statistics${gender ? ` for ${gender}` : ''}:`, {
+    console.log(`Calculated Synthea statistics${gender ? ` for ${gender}` : ''}${ageBand ? ` aged ${ageBand.min}-${ageBand.max}` : ''}:`, {
       patients: patients.length,
       observations: observations.length,
       stats: Object.keys(stats).map(k => `${k}: ${stats[k].count} samples`)
@@ -0,0 +1,192 @@
+/**
+ * Uncertainty Estimator
+ * Produces a plausible range around the combined risk estimate by Monte Carlo simulation:
+ * - skipped continuous inputs are sampled from the Synthea patients of the same sex and age band,
+ *   the stratum whose median utils/imputation.js fills in
+ * - provided inputs are perturbed by typical measurement error
+ * The models are re-run for every sample and the 2.5th-97.5th percentiles form the interval.
+ * Each simulated input is also varied on its own to find which inputs drive the range most.
+ */
+
+const syntheaLoader = require('./syntheaLoader');
+const imputation = require('./imputation');
+
+// Continuous inputs that are simulated. sd is the population spread used when no Synthea
+// samples exist; measurementSd is the typical error of a single self-reported/office reading.
+const SIMULATED_INPUTS = {
+  systolicBP: { label: 'Systolic blood pressure', sd: 17, measurementSd: 6, min: 80, max: 220 },
+  cholesterol: { label: 'Total cholesterol', sd: 38, measurementSd: 10, min: 100, max: 400 },
+  hdlCholesterol: { label: 'HDL cholesterol', sd: 14, measurementSd: 4, min: 20, max: 120 },
+  bmi: { label: 'BMI', sd: 5.5, measurementSd: 0.7, min: 15, max: 55 }
+};
+
+const DEFAULT_SAMPLES = 200;
+const DEFAULT_SEED = 20240101;
+
+class UncertaintyEstimator {
+  constructor() {
+    const samples = parseInt(process.env.RISK_UNCERTAINTY_SAMPLES, 10);
+    this.samples = !isNaN(samples) && samples > 0 ? samples : DEFAULT_SAMPLES;
+  }
+
+  /**
+   * Estimate the plausible range of the combined risk
+   * @param {Object} patientData - Patient health information
+   * @param {Function} evaluate - async (sampledPatientData) => combined risk percentage or null
+   * @param {Object} options - { samples, seed }
+   * @returns {Object} { lower, upper, level, samples, method, simulatedInputs, drivers }
+   */
+  async estimate(patientData, evaluate, options = {}) {
+    const sampleCount = options.samples || this.samples;
+    const random = this.createRandom(options.seed || DEFAULT_SEED);
+    const distributions = this.buildDistributions(patientData);
+    const fields = Object.keys(distributions);
+
+    if (fields.length === 0) {
+      return null;
+    }
+
+    // All simulated inputs varied together give the interval
+    const percentages = await this.simulate(patientData, distributions, fields, evaluate, sampleCount, random);
+    if (percentages.length === 0) {
+      return null;
+    }
+
+    // Each input varied alone (others held at their central value) shows how much of the range it explains
+    const drivers = [];
+    for (const field of fields) {
+      const centered = { ...patientData };
+      fields.filter(other => other !== field).forEach(other => {
+        centered[other] = distributions[other].central;
+      });
+      const fieldPercentages = await this.simulate(centered, distributions, [field], evaluate, sampleCount, random);
+      if (fieldPercentages.length > 0) {
+        const width = this.percentile(fieldPercentages, 97.5) - this.percentile(fieldPercentages, 2.5);
+        drivers.push({
+          field,
+          label: SIMULATED_INPUTS[field].label,
+          reason: distributions[field].reason,
+          width: Math.round(width * 10) / 10
+        });
+      }
+    }
+    drivers.sort((a, b) => b.width - a.width);
+
+    return {
+      lower: Math.round(this.percentile(percentages, 2.5) * 10) / 10,
+      upper: Math.round(this.percentile(percentages, 97.5) * 10) / 10,
+      level: 95,
+      samples: percentages.length,
+      method: 'monte-carlo',
+      simulatedInputs: fields.map(field => ({
+        field,
+        label: SIMULATED_INPUTS[field].label,
+        reason: distributions[field].reason,
+        source: distributions[field].source,
+        ...(distributions[field].stratum ? { stratum: distributions[field].stratum } : {})
+      })),
+      drivers
+    };
+  }
+
+  /**
+   * Decide how every simulated input is sampled for this patient
+   */
+  buildDistributions(patientData) {
+    const strata = imputation.getPatientStrata(patientData);
+    const distributions = {};
+
+    Object.keys(SIMULATED_INPUTS).forEach(field => {
+      const config = SIMULATED_INPUTS[field];
+      const value = patientData[field];
+
+      if (value !== undefined && value !== null && value !== '') {
+        // Provided value: perturb by measurement error
+        distributions[field] = {
+          reason: 'measurement',
+          source: 'measurement-error',
+          central: Number(value),
+          sample: (random) => this.clamp(Number(value) + this.normal(random) * config.measurementSd, config)
+        };
+        return;
+      }
+
+      const found = imputation.findStratum(field, strata);
+      if (found) {
+        // Skipped value: draw from the observed Synthea values of the stratum the imputed median came from
+        const values = found.stats.values;
+        distributions[field] = {
+          reason: 'missing',
+          source: 'synthea',
+          stratum: imputation.describeStratum(found.stratum),
+          central: found.stats.median,
+          sample: (random) => this.clamp(values[Math.floor(random() * values.length)], config)
+        };
+      } else {
+        // No stratum has enough samples: normal distribution around the population default imputed instead
+        const median = syntheaLoader.calculateStatistics()[field].median;
+        distributions[field] = {
+          reason: 'missing',
+          source: 'default',
+          central: median,
+          sample: (random) => this.clamp(median + this.normal(random) * config.sd, config)
+        };
+      }
+    });
+
+    return distributions;
+  }
+
+  async simulate(patientData, distributions, fields, evaluate, sampleCount, random) {
+    const percentages = [];
+    for (let i = 0; i < sampleCount; i++) {
+      const sampled = { ...patientData };
+      fields.forEach(field => {
+        sampled[field] = Math.round(distributions[field].sample(random) * 10) / 10;
+      });
+
+      const percentage = await evaluate(sampled);
+      if (percentage !== null && percentage !== undefined && !isNaN(percentage)) {
+        percentages.push(percentage);
+      }
+    }
+    return percentages;
+  }
+
+  percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  clamp(value, config) {
+    return Math.max(config.min, Math.min(config.max, value));
+  }
+
+  /**
+   * Standard normal draw (Box-Muller)
+   */
+  normal(random) {
+    const u = Math.max(random(), Number.EPSILON);
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Seeded PRNG (mulberry32) so the same inputs always give the same interval
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = new UncertaintyEstimator();
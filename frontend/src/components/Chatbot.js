@@ -168,39 +168,70 @@ const Chatbot = ({ onDataCollected, onRiskCalculated, onBack }) => {
       }
     }
 
-    // Get detailed lifestyle recommendations with specific actions
-    const lifestyleRecs = recommendations
-      .filter(rec => ['Diet', 'Physical Activity', 'Weight Management', 'Cholesterol', 'Blood Pressure'].includes(rec.category))
-      .slice(0, 3); // Get top 3 recommendations
-    
+    // Lifestyle tips come from the summary text of the recommendation rules, ranked by estimated risk reduction
+    const specificActions = recommendations
+      .filter(rec => rec.summary && rec.priority !== 'critical')
+      .slice(0, 3) // Get top 3 recommendations
+      .map(rec => rec.summary.charAt(0).toLowerCase() + rec.summary.slice(1));
+
     let lifestyleText = '';
-    if (lifestyleRecs.length > 0) {
-      const specificActions = [];
-      
-      lifestyleRecs.forEach(rec => {
-        if (rec.category === 'Diet') {
-          specificActions.push('eat more fruits and vegetables (aim for 5 servings daily), choose whole grains over refined grains, and reduce processed foods');
-        } else if (rec.category === 'Physical Activity') {
-          if (patientData.physicalActivity === 'none' || patientData.physicalActivity === 'sedentary') {
-            specificActions.push('start with simple activities like walking 30 minutes a day or taking the stairs instead of elevators');
-          } else {
-            specificActions.push('increase your activity to at least 150 minutes of moderate exercise per week (like brisk walking, cycling, or swimming)');
-          }
-        } else if (rec.category === 'Weight Management') {
-          specificActions.push('work toward a healthy weight through portion control and regular physical activity - even a 5-10% weight loss can make a significant difference');
-        } else if (rec.category === 'Cholesterol') {
-          specificActions.push('reduce saturated fats (found in red meat and full-fat dairy) and increase omega-3 rich foods like fish, nuts, and seeds');
-        } else if (rec.category === 'Blood Pressure') {
-          specificActions.push('reduce sodium intake (aim for less than 2,300mg per day) and increase potassium-rich foods like bananas, spinach, and sweet potatoes');
-        }
-      });
+    if (specificActions.length > 0) {
+      lifestyleText = ' To improve your heart health, consider: ' + specificActions.join('; ') + '.';
+    }
 
-      if (specificActions.length > 0) {
-        lifestyleText = ' To improve your heart health, consider: ' + specificActions.join('; ') + '.';
-      }
+    // Add a caveat when the individual models disagree
+    let disagreementText = '';
+    if (riskAssessment.disagreement && riskAssessment.disagreement.flagged) {
+      disagreementText = ` Please note: ${riskAssessment.disagreement.message}`;
+    }
+
+    // Heart age is often easier to grasp than a percentage
+    let heartAgeText = '';
+    const heartAge = riskAssessment.heartAge;
+    if (heartAge) {
+      const difference = heartAge.difference > 0
+        ? `${heartAge.difference} years older than your actual age`
+        : heartAge.difference < 0
+          ? `${-heartAge.difference} years younger than your actual age`
+          : 'the same as your actual age';
+      heartAgeText = ` Your estimated heart age is ${heartAge.age}${heartAge.capped === 'above' ? ' or older' : heartAge.capped === 'below' ? ' or younger' : ''}, ${difference}.`;
+    }
+
+    // Category changes from risk enhancers or the CAC score
+    let reclassificationText = '';
+    if (riskAssessment.reclassification && riskAssessment.reclassification.explanation) {
+      reclassificationText = ` ${riskAssessment.reclassification.explanation}`;
+    }
+
+    // Lifetime risk when the user is too young for the 10-year equations, a lower bound when too old
+    const alternative = riskAssessment.ageRouting?.alternative;
+    let estimateText = `Based on your health information, your 10-year heart disease risk is ${riskPercentage}%, which is classified as ${category}.`;
+    if (alternative && !alternative.lowerBound) {
+      estimateText = `Based on your health information, your lifetime risk of a heart attack or stroke is ${alternative.riskPercentage}%.`;
+    } else if (alternative && alternative.lowerBound) {
+      estimateText = `Based on your health information, your 10-year heart disease risk is at least ${alternative.riskPercentage}%, which is classified as ${category}.`;
+    } else if (riskAssessment.riskPercentage === null) {
+      estimateText = "I couldn't estimate your 10-year heart disease risk from the information you gave.";
+    }
+
+    // Say so when the sex-specific equations were averaged because sex at birth wasn't given
+    let sexFallbackText = '';
+    if (riskAssessment.sexAtBirth && riskAssessment.sexAtBirth.fallback) {
+      sexFallbackText = " Because I don't know the sex you were assigned at birth, this is the average of the equations for men and women, so it is less precise.";
+    }
+
+    // Why models weren't used at the user's age, and which model took their place
+    let applicabilityText = '';
+    if (riskAssessment.ageRouting && riskAssessment.ageRouting.status !== 'inRange') {
+      applicabilityText = ` ${riskAssessment.ageRouting.message}`;
+    } else {
+      applicabilityText = Object.values(riskAssessment.applicability || {})
+        .filter(entry => (entry.status === 'belowAgeRange' || entry.status === 'aboveAgeRange') && entry.alternatives.length > 0)
+        .map(entry => ` I didn't use the ${entry.name} (validated for ages ${entry.validRange.min}-${entry.validRange.max} only) and relied on ${entry.alternatives[0].name} instead.`)
+        .join('');
     }
 
-    return `Based on your health information, your 10-year heart disease risk is ${riskPercentage}%, which is classified as ${category}.${comparisonText}${lifestyleText}`;
+    return `${estimateText}${sexFallbackText}${applicabilityText}${reclassificationText}${heartAgeText}${disagreementText}${comparisonText}${lifestyleText}`;
   };
 
   const handleQuickCalculate = async () => {
@@ -2,8 +2,39 @@ import React, { useState } from 'react';
 import apiClient from '../api/client';
 import './PatientSummary.css';
 
+// Values the backend can estimate from Synthea patients of the same sex and age band
+const IMPUTABLE_FIELDS = {
+  systolicBP: 'Systolic BP',
+  diastolicBP: 'Diastolic BP',
+  cholesterol: 'Total Cholesterol',
+  hdlCholesterol: 'HDL Cholesterol',
+  bmi: 'BMI'
+};
+
+const GENDER_IDENTITY_LABELS = {
+  man: 'Man',
+  woman: 'Woman',
+  nonBinary: 'Non-binary',
+  transgenderMan: 'Transgender man',
+  transgenderWoman: 'Transgender woman',
+  other: 'Other',
+  declined: 'Prefer not to say'
+};
+
+const DIABETES_TYPE_LABELS = {
+  type1: 'Type 1',
+  type2: 'Type 2',
+  gestational: 'Gestational',
+  other: 'Other'
+};
+
 const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
   const [isCalculating, setIsCalculating] = useState(false);
+  const [imputeMissing, setImputeMissing] = useState(true);
+
+  const missingFields = Object.keys(IMPUTABLE_FIELDS).filter(field =>
+    patientData[field] === undefined || patientData[field] === null || patientData[field] === ''
+  );
 
   const handleCalculateRisk = async () => {
     setIsCalculating(true);
@@ -11,7 +42,8 @@ const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
       // Include database comparison in the request
       const response = await apiClient.post('/risk-assessment/calculate', {
         ...patientData,
-        includeComparison: true
+        includeComparison: true,
+        impute: imputeMissing
       });
       
       if (response.data && response.data.success) {
@@ -64,9 +96,15 @@ const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
               <span className="value">{formatValue(patientData.age)}</span>
             </div>
             <div className="summary-item">
-              <span className="label">Gender:</span>
-              <span className="value">{formatValue(patientData.gender)}</span>
+              <span className="label">Sex Assigned at Birth:</span>
+              <span className="value">{formatValue(patientData.sexAtBirth || patientData.gender)}</span>
             </div>
+            {patientData.genderIdentity && (
+              <div className="summary-item">
+                <span className="label">Gender Identity:</span>
+                <span className="value">{GENDER_IDENTITY_LABELS[patientData.genderIdentity] || patientData.genderIdentity}</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -98,6 +136,42 @@ const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
                   <span className="value">{patientData.hdlCholesterol} mg/dL</span>
                 </div>
               )}
+              {patientData.ldlCholesterol && (
+                <div className="summary-item">
+                  <span className="label">LDL Cholesterol:</span>
+                  <span className="value">{patientData.ldlCholesterol} mg/dL</span>
+                </div>
+              )}
+              {patientData.triglycerides && (
+                <div className="summary-item">
+                  <span className="label">Triglycerides:</span>
+                  <span className="value">{patientData.triglycerides} mg/dL</span>
+                </div>
+              )}
+              {patientData.serumCreatinine && (
+                <div className="summary-item">
+                  <span className="label">Serum Creatinine:</span>
+                  <span className="value">{patientData.serumCreatinine} mg/dL</span>
+                </div>
+              )}
+              {patientData.uacr !== undefined && (
+                <div className="summary-item">
+                  <span className="label">Urine ACR:</span>
+                  <span className="value">{patientData.uacr} mg/g</span>
+                </div>
+              )}
+              {patientData.hba1c !== undefined && (
+                <div className="summary-item">
+                  <span className="label">HbA1c:</span>
+                  <span className="value">{patientData.hba1c}%</span>
+                </div>
+              )}
+              {patientData.fastingGlucose !== undefined && (
+                <div className="summary-item">
+                  <span className="label">Fasting Glucose:</span>
+                  <span className="value">{patientData.fastingGlucose} mg/dL</span>
+                </div>
+              )}
               {patientData.bmi && (
                 <div className="summary-item">
                   <span className="label">BMI:</span>
@@ -114,19 +188,77 @@ const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
             {patientData.diabetes !== undefined && (
               <div className="summary-item">
                 <span className="label">Diabetes:</span>
-                <span className="value">{formatValue(patientData.diabetes)}</span>
+                <span className="value">
+                  {formatValue(patientData.diabetes)}
+                  {patientData.diabetesType && ` (${DIABETES_TYPE_LABELS[patientData.diabetesType] || patientData.diabetesType}${patientData.diabetesDuration !== undefined ? `, ${patientData.diabetesDuration} years` : ''})`}
+                </span>
               </div>
             )}
             {patientData.familyHistory !== undefined && (
               <div className="summary-item">
                 <span className="label">Family History:</span>
-                <span className="value">{formatValue(patientData.familyHistory)}</span>
+                <span className="value">
+                  {formatValue(patientData.familyHistory)}
+                  {patientData.familyHistoryRelative && ` (${patientData.familyHistoryRelative}${patientData.familyHistoryOnsetAge ? `, onset at ${patientData.familyHistoryOnsetAge}` : ''})`}
+                </span>
+              </div>
+            )}
+            {patientData.lipoproteinA !== undefined && (
+              <div className="summary-item">
+                <span className="label">Lipoprotein(a):</span>
+                <span className="value">{patientData.lipoproteinA} {patientData.lipoproteinAUnit}</span>
+              </div>
+            )}
+            {patientData.hsCRP !== undefined && (
+              <div className="summary-item">
+                <span className="label">hs-CRP:</span>
+                <span className="value">{patientData.hsCRP} mg/L</span>
+              </div>
+            )}
+            {patientData.cacScore !== undefined && (
+              <div className="summary-item">
+                <span className="label">CAC Score:</span>
+                <span className="value">{patientData.cacScore}</span>
+              </div>
+            )}
+            {patientData.onBPMedication !== undefined && (
+              <div className="summary-item">
+                <span className="label">BP Medication:</span>
+                <span className="value">{formatValue(patientData.onBPMedication)}</span>
+              </div>
+            )}
+            {patientData.onStatin !== undefined && (
+              <div className="summary-item">
+                <span className="label">Statin:</span>
+                <span className="value">{formatValue(patientData.onStatin)}</span>
+              </div>
+            )}
+            {patientData.onAspirin !== undefined && (
+              <div className="summary-item">
+                <span className="label">Aspirin:</span>
+                <span className="value">{formatValue(patientData.onAspirin)}</span>
               </div>
             )}
             {patientData.smoking && (
               <div className="summary-item">
                 <span className="label">Smoking:</span>
-                <span className="value">{formatValue(patientData.smoking)}</span>
+                <span className="value">
+                  {formatValue(patientData.smoking)}
+                  {patientData.cigarettesPerDay !== undefined && ` (${patientData.cigarettesPerDay}/day${patientData.smokingYears !== undefined ? ` for ${patientData.smokingYears} years` : ''})`}
+                  {patientData.smokingQuitYears !== undefined && `, quit ${patientData.smokingQuitYears} years ago`}
+                </span>
+              </div>
+            )}
+            {patientData.vaping && (
+              <div className="summary-item">
+                <span className="label">Vaping:</span>
+                <span className="value">{formatValue(patientData.vaping)}</span>
+              </div>
+            )}
+            {patientData.secondhandSmoke !== undefined && (
+              <div className="summary-item">
+                <span className="label">Indoor Smoke at Home:</span>
+                <span className="value">{formatValue(patientData.secondhandSmoke)}</span>
               </div>
             )}
             {patientData.physicalActivity && (
@@ -135,15 +267,65 @@ const PatientSummary = ({ patientData, onCalculateRisk, onBack }) => {
                 <span className="value">{formatValue(patientData.physicalActivity)}</span>
               </div>
             )}
+            {patientData.moderateMinutes !== undefined && (
+              <div className="summary-item">
+                <span className="label">Moderate Activity:</span>
+                <span className="value">{patientData.moderateMinutes} min/week</span>
+              </div>
+            )}
+            {patientData.vigorousMinutes !== undefined && (
+              <div className="summary-item">
+                <span className="label">Vigorous Activity:</span>
+                <span className="value">{patientData.vigorousMinutes} min/week</span>
+              </div>
+            )}
+            {patientData.activityMinutes !== undefined && (
+              <div className="summary-item">
+                <span className="label">Activity:</span>
+                <span className="value">{patientData.activityMinutes} min/week</span>
+              </div>
+            )}
+            {patientData.sleepHours !== undefined && (
+              <div className="summary-item">
+                <span className="label">Sleep:</span>
+                <span className="value">{patientData.sleepHours} hours/night</span>
+              </div>
+            )}
             {patientData.dietQuality && (
               <div className="summary-item">
                 <span className="label">Diet Quality:</span>
                 <span className="value">{formatValue(patientData.dietQuality)}</span>
               </div>
             )}
+            {patientData.mepa && (
+              <div className="summary-item">
+                <span className="label">Mediterranean Diet Score (MEPA):</span>
+                <span className="value">{patientData.mepa.length} of 16</span>
+              </div>
+            )}
           </div>
         </div>
 
+        {missingFields.length > 0 && (
+          <div className="summary-card imputation-card">
+            <h3>Missing Values</h3>
+            <p className="imputation-text">
+              You didn't provide: <strong>{missingFields.map(field => IMPUTABLE_FIELDS[field]).join(', ')}</strong>.
+              {imputeMissing
+                ? ' These will be estimated from people of your sex and age group in the Synthea database and clearly marked as estimated in your results.'
+                : ' Models that need these values will be skipped.'}
+            </p>
+            <label className="imputation-toggle">
+              <input
+                type="checkbox"
+                checked={imputeMissing}
+                onChange={(e) => setImputeMissing(e.target.checked)}
+              />
+              Estimate missing values from population data
+            </label>
+          </div>
+        )}
+
         <div className="summary-actions">
           <button className="btn btn-secondary" onClick={onBack}>
             Edit Information
@@ -2,20 +2,96 @@ import React, { useState } from 'react';
 import apiClient from '../api/client';
 import './Questionnaire.css';
 
+// Pregnancy-associated conditions that count as risk enhancers
+const PREGNANCY_CONDITIONS = [
+  { value: 'preeclampsia', label: 'Preeclampsia' },
+  { value: 'gestationalHypertension', label: 'Gestational hypertension' },
+  { value: 'gestationalDiabetes', label: 'Gestational diabetes' },
+  { value: 'pretermDelivery', label: 'Preterm delivery' }
+];
+
+// Gender identity answers; the risk equations use the sex assigned at birth instead
+const GENDER_IDENTITIES = [
+  { value: 'man', label: 'Man' },
+  { value: 'woman', label: 'Woman' },
+  { value: 'nonBinary', label: 'Non-binary' },
+  { value: 'transgenderMan', label: 'Transgender man' },
+  { value: 'transgenderWoman', label: 'Transgender woman' },
+  { value: 'other', label: 'Other' },
+  { value: 'declined', label: 'Prefer not to say' }
+];
+
+// Race answers for the Pooled Cohort Equations; without one they use the White/Other equations
+const RACES = [
+  { value: 'white', label: 'White' },
+  { value: 'african-american', label: 'Black or African American' },
+  { value: 'other', label: 'Other' },
+  { value: 'declined', label: 'Prefer not to say' }
+];
+
+// Mediterranean Eating Pattern for Americans (MEPA) screener; the backend scores it for the diet quality and the Life's Essential 8 diet component
+const MEPA_ITEMS = [
+  { value: 'oliveOil', label: 'Olive oil as the main cooking oil' },
+  { value: 'greenLeafyVegetables', label: 'Green leafy vegetables at least 6 times a week' },
+  { value: 'otherVegetables', label: 'Other vegetables at least once a day' },
+  { value: 'berries', label: 'Berries at least twice a week' },
+  { value: 'otherFruit', label: 'Other fruit at least once a day' },
+  { value: 'redMeat', label: 'Red or processed meat less than 4 times a week' },
+  { value: 'fish', label: 'Fish or seafood at least once a week' },
+  { value: 'poultry', label: 'Chicken or turkey at least twice a week' },
+  { value: 'cheese', label: 'Cheese less than 4 times a week' },
+  { value: 'butter', label: 'Butter or cream less than once a day' },
+  { value: 'beans', label: 'Beans or legumes at least 3 times a week' },
+  { value: 'wholeGrains', label: 'Whole grains at least 3 times a day' },
+  { value: 'sweets', label: 'Sweets or pastries less than 4 times a week' },
+  { value: 'nuts', label: 'Nuts at least 4 times a week' },
+  { value: 'friedFood', label: 'Fried or fast food less than once a week' },
+  { value: 'alcohol', label: 'No more than one alcoholic drink a day' }
+];
+
 const Questionnaire = ({ onComplete, onBack }) => {
   const [formData, setFormData] = useState({
     age: '',
-    gender: '',
+    sexAtBirth: '',
+    genderIdentity: '',
+    race: '',
     systolicBP: '',
     diastolicBP: '',
     cholesterol: '',
     hdlCholesterol: '',
+    ldlCholesterol: '',
+    triglycerides: '',
+    serumCreatinine: '',
+    uacr: '',
+    hba1c: '',
+    fastingGlucose: '',
     diabetes: '',
+    diabetesType: '',
+    diabetesDuration: '',
     smoking: '',
+    cigarettesPerDay: '',
+    smokingYears: '',
+    smokingQuitYears: '',
+    vaping: '',
+    secondhandSmoke: '',
     familyHistory: '',
-    physicalActivity: '',
+    moderateMinutes: '',
+    vigorousMinutes: '',
+    sleepHours: '',
     bmi: '',
-    dietQuality: ''
+    answerMepa: true,
+    mepa: [],
+    onBPMedication: '',
+    onStatin: '',
+    onAspirin: '',
+    familyHistoryRelative: '',
+    familyHistoryOnsetAge: '',
+    lipoproteinA: '',
+    lipoproteinAUnit: 'mg/dL',
+    hsCRP: '',
+    cacScore: '',
+    pregnancyConditions: [],
+    prematureMenopause: ''
   });
 
   const [errors, setErrors] = useState({});
@@ -36,6 +112,26 @@ const Questionnaire = ({ onComplete, onBack }) => {
     }
   };
 
+  const handlePregnancyConditionChange = (e) => {
+    const { value, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      pregnancyConditions: checked
+        ? [...prev.pregnancyConditions, value]
+        : prev.pregnancyConditions.filter(condition => condition !== value)
+    }));
+  };
+
+  const handleMepaChange = (e) => {
+    const { value, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      mepa: checked
+        ? [...prev.mepa, value]
+        : prev.mepa.filter(item => item !== value)
+    }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -43,10 +139,6 @@ const Questionnaire = ({ onComplete, onBack }) => {
       newErrors.age = 'Please enter a valid age (1-120)';
     }
 
-    if (!formData.gender) {
-      newErrors.gender = 'Please select your gender';
-    }
-
     if (formData.systolicBP && (isNaN(formData.systolicBP) || formData.systolicBP < 50 || formData.systolicBP > 300)) {
       newErrors.systolicBP = 'Please enter a valid systolic blood pressure';
     }
@@ -59,6 +151,72 @@ const Questionnaire = ({ onComplete, onBack }) => {
       newErrors.cholesterol = 'Please enter a valid cholesterol level';
     }
 
+    if (formData.ldlCholesterol && (isNaN(formData.ldlCholesterol) || formData.ldlCholesterol < 10 || formData.ldlCholesterol > 400)) {
+      newErrors.ldlCholesterol = 'Please enter a valid LDL cholesterol level';
+    }
+
+    if (formData.triglycerides && (isNaN(formData.triglycerides) || formData.triglycerides < 10 || formData.triglycerides > 5000)) {
+      newErrors.triglycerides = 'Please enter a valid triglyceride level';
+    }
+
+    if (formData.serumCreatinine && (isNaN(formData.serumCreatinine) || formData.serumCreatinine < 0.1 || formData.serumCreatinine > 20)) {
+      newErrors.serumCreatinine = 'Please enter a valid serum creatinine (0.1-20 mg/dL)';
+    }
+
+    if (formData.uacr && (isNaN(formData.uacr) || formData.uacr < 0 || formData.uacr > 10000)) {
+      newErrors.uacr = 'Please enter a valid urine albumin-to-creatinine ratio';
+    }
+
+    if (formData.hba1c && (isNaN(formData.hba1c) || formData.hba1c < 3 || formData.hba1c > 20)) {
+      newErrors.hba1c = 'Please enter a valid HbA1c (3-20%)';
+    }
+
+    if (formData.fastingGlucose && (isNaN(formData.fastingGlucose) || formData.fastingGlucose < 20 || formData.fastingGlucose > 800)) {
+      newErrors.fastingGlucose = 'Please enter a valid fasting glucose level';
+    }
+
+    if (formData.familyHistoryOnsetAge && (isNaN(formData.familyHistoryOnsetAge) || formData.familyHistoryOnsetAge < 1 || formData.familyHistoryOnsetAge > 120)) {
+      newErrors.familyHistoryOnsetAge = 'Please enter a valid age at onset';
+    }
+
+    if (formData.lipoproteinA && (isNaN(formData.lipoproteinA) || formData.lipoproteinA < 0 || formData.lipoproteinA > 1000)) {
+      newErrors.lipoproteinA = 'Please enter a valid lipoprotein(a) level';
+    }
+
+    if (formData.hsCRP && (isNaN(formData.hsCRP) || formData.hsCRP < 0 || formData.hsCRP > 300)) {
+      newErrors.hsCRP = 'Please enter a valid hs-CRP level';
+    }
+
+    if (formData.cacScore && (isNaN(formData.cacScore) || formData.cacScore < 0 || formData.cacScore > 10000)) {
+      newErrors.cacScore = 'Please enter a valid coronary artery calcium score';
+    }
+
+    if (formData.diabetesDuration && (isNaN(formData.diabetesDuration) || formData.diabetesDuration < 0 || formData.diabetesDuration > 100)) {
+      newErrors.diabetesDuration = 'Please enter a valid number of years';
+    }
+
+    if (formData.cigarettesPerDay && (isNaN(formData.cigarettesPerDay) || formData.cigarettesPerDay < 0 || formData.cigarettesPerDay > 200)) {
+      newErrors.cigarettesPerDay = 'Please enter a valid number of cigarettes per day';
+    }
+
+    if (formData.smokingYears && (isNaN(formData.smokingYears) || formData.smokingYears < 0 || formData.smokingYears > 100)) {
+      newErrors.smokingYears = 'Please enter a valid number of years';
+    }
+
+    if (formData.smokingQuitYears && (isNaN(formData.smokingQuitYears) || formData.smokingQuitYears < 0 || formData.smokingQuitYears > 100)) {
+      newErrors.smokingQuitYears = 'Please enter a valid number of years';
+    }
+
+    ['moderateMinutes', 'vigorousMinutes'].forEach(field => {
+      if (formData[field] && (isNaN(formData[field]) || formData[field] < 0 || formData[field] > 3000)) {
+        newErrors[field] = 'Please enter a valid number of minutes per week';
+      }
+    });
+
+    if (formData.sleepHours && (isNaN(formData.sleepHours) || formData.sleepHours < 0 || formData.sleepHours > 24)) {
+      newErrors.sleepHours = 'Please enter a valid number of hours (0-24)';
+    }
+
     if (formData.bmi && (isNaN(formData.bmi) || formData.bmi < 10 || formData.bmi > 60)) {
       newErrors.bmi = 'Please enter a valid BMI (10-60)';
     }
@@ -86,19 +244,48 @@ const Questionnaire = ({ onComplete, onBack }) => {
 
     try {
       // Convert form data to proper types
+      const isSmoker = formData.smoking === 'current' || formData.smoking === 'former';
       const patientData = {
         age: Number(formData.age),
-        gender: formData.gender,
+        sexAtBirth: formData.sexAtBirth || undefined,
+        genderIdentity: formData.genderIdentity || undefined,
+        race: formData.race || undefined,
         systolicBP: formData.systolicBP ? Number(formData.systolicBP) : undefined,
         diastolicBP: formData.diastolicBP ? Number(formData.diastolicBP) : undefined,
         cholesterol: formData.cholesterol ? Number(formData.cholesterol) : undefined,
         hdlCholesterol: formData.hdlCholesterol ? Number(formData.hdlCholesterol) : undefined,
+        ldlCholesterol: formData.ldlCholesterol ? Number(formData.ldlCholesterol) : undefined,
+        triglycerides: formData.triglycerides ? Number(formData.triglycerides) : undefined,
+        serumCreatinine: formData.serumCreatinine ? Number(formData.serumCreatinine) : undefined,
+        uacr: formData.uacr ? Number(formData.uacr) : undefined,
+        hba1c: formData.hba1c ? Number(formData.hba1c) : undefined,
+        fastingGlucose: formData.fastingGlucose ? Number(formData.fastingGlucose) : undefined,
         diabetes: convertValue(formData.diabetes),
+        diabetesType: formData.diabetes === 'yes' ? formData.diabetesType || undefined : undefined,
+        diabetesDuration: formData.diabetes === 'yes' && formData.diabetesDuration ? Number(formData.diabetesDuration) : undefined,
         smoking: formData.smoking,
+        cigarettesPerDay: isSmoker && formData.cigarettesPerDay ? Number(formData.cigarettesPerDay) : undefined,
+        smokingYears: isSmoker && formData.smokingYears ? Number(formData.smokingYears) : undefined,
+        smokingQuitYears: formData.smoking === 'former' && formData.smokingQuitYears !== '' ? Number(formData.smokingQuitYears) : undefined,
+        vaping: formData.vaping || undefined,
+        secondhandSmoke: convertValue(formData.secondhandSmoke),
         familyHistory: convertValue(formData.familyHistory),
-        physicalActivity: formData.physicalActivity || undefined,
+        moderateMinutes: formData.moderateMinutes !== '' ? Number(formData.moderateMinutes) : undefined,
+        vigorousMinutes: formData.vigorousMinutes !== '' ? Number(formData.vigorousMinutes) : undefined,
+        sleepHours: formData.sleepHours !== '' ? Number(formData.sleepHours) : undefined,
         bmi: formData.bmi ? Number(formData.bmi) : undefined,
-        dietQuality: formData.dietQuality || undefined
+        mepa: formData.answerMepa ? formData.mepa : undefined,
+        onBPMedication: convertValue(formData.onBPMedication),
+        onStatin: convertValue(formData.onStatin),
+        onAspirin: convertValue(formData.onAspirin),
+        familyHistoryRelative: formData.familyHistory === 'yes' ? formData.familyHistoryRelative || undefined : undefined,
+        familyHistoryOnsetAge: formData.familyHistory === 'yes' && formData.familyHistoryOnsetAge ? Number(formData.familyHistoryOnsetAge) : undefined,
+        lipoproteinA: formData.lipoproteinA ? Number(formData.lipoproteinA) : undefined,
+        lipoproteinAUnit: formData.lipoproteinA ? formData.lipoproteinAUnit : undefined,
+        hsCRP: formData.hsCRP ? Number(formData.hsCRP) : undefined,
+        cacScore: formData.cacScore !== '' ? Number(formData.cacScore) : undefined,
+        pregnancyConditions: formData.sexAtBirth === 'female' && formData.pregnancyConditions.length > 0 ? formData.pregnancyConditions : undefined,
+        prematureMenopause: formData.sexAtBirth === 'female' ? convertValue(formData.prematureMenopause) : undefined
       };
 
       // Remove undefined values
@@ -110,7 +297,7 @@ const Questionnaire = ({ onComplete, onBack }) => {
 
       // Store data in FHIR (optional - continue even if it fails)
       try {
-        const fhirResponse = await apiClient.post('/fhir/observation', patientData);
+        const fhirResponse = await apiClient.post('/fhir/questionnaire', patientData);
         if (fhirResponse.data.success || fhirResponse.data) {
           console.log('Questionnaire data stored in FHIR:', fhirResponse.data);
           // Store FHIR patient ID if available
@@ -163,22 +350,53 @@ const Questionnaire = ({ onComplete, onBack }) => {
           </div>
 
           <div className="form-group">
-            <label htmlFor="gender">
-              Gender <span className="required">*</span>
-            </label>
+            <label htmlFor="sexAtBirth">Sex assigned at birth</label>
             <select
-              id="gender"
-              name="gender"
-              value={formData.gender}
+              id="sexAtBirth"
+              name="sexAtBirth"
+              value={formData.sexAtBirth}
               onChange={handleChange}
-              required
             >
-              <option value="">Select...</option>
+              <option value="">Prefer not to say</option>
               <option value="male">Male</option>
               <option value="female">Female</option>
-              <option value="other">Other</option>
             </select>
-            {errors.gender && <span className="error">{errors.gender}</span>}
+            <small className="field-hint">
+              The risk equations are different for each sex. Without it, the male and female results are averaged.
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="genderIdentity">Gender identity</label>
+            <select
+              id="genderIdentity"
+              name="genderIdentity"
+              value={formData.genderIdentity}
+              onChange={handleChange}
+            >
+              <option value="">Select...</option>
+              {GENDER_IDENTITIES.map(identity => (
+                <option key={identity.value} value={identity.value}>{identity.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="race">Race</label>
+            <select
+              id="race"
+              name="race"
+              value={formData.race}
+              onChange={handleChange}
+            >
+              <option value="">Select...</option>
+              {RACES.map(race => (
+                <option key={race.value} value={race.value}>{race.label}</option>
+              ))}
+            </select>
+            <small className="field-hint">
+              The Pooled Cohort Equations have separate equations for Black and White patients. Without an answer, the White/Other equations are used.
+            </small>
           </div>
         </div>
 
@@ -244,6 +462,103 @@ const Questionnaire = ({ onComplete, onBack }) => {
             </div>
           </div>
 
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="ldlCholesterol">LDL Cholesterol (mg/dL)</label>
+              <input
+                type="number"
+                id="ldlCholesterol"
+                name="ldlCholesterol"
+                value={formData.ldlCholesterol}
+                onChange={handleChange}
+                min="10"
+                max="400"
+                placeholder="Calculated if left blank"
+              />
+              {errors.ldlCholesterol && <span className="error">{errors.ldlCholesterol}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="triglycerides">Triglycerides (mg/dL)</label>
+              <input
+                type="number"
+                id="triglycerides"
+                name="triglycerides"
+                value={formData.triglycerides}
+                onChange={handleChange}
+                min="10"
+                max="5000"
+              />
+              {errors.triglycerides && <span className="error">{errors.triglycerides}</span>}
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="serumCreatinine">Serum Creatinine (mg/dL)</label>
+              <input
+                type="number"
+                id="serumCreatinine"
+                name="serumCreatinine"
+                value={formData.serumCreatinine}
+                onChange={handleChange}
+                min="0.1"
+                max="20"
+                step="0.01"
+                placeholder="Used to estimate kidney function (eGFR)"
+              />
+              {errors.serumCreatinine && <span className="error">{errors.serumCreatinine}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="uacr">Urine Albumin-to-Creatinine Ratio (mg/g)</label>
+              <input
+                type="number"
+                id="uacr"
+                name="uacr"
+                value={formData.uacr}
+                onChange={handleChange}
+                min="0"
+                max="10000"
+                placeholder="Optional"
+              />
+              {errors.uacr && <span className="error">{errors.uacr}</span>}
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="hba1c">HbA1c (%)</label>
+              <input
+                type="number"
+                id="hba1c"
+                name="hba1c"
+                value={formData.hba1c}
+                onChange={handleChange}
+                min="3"
+                max="20"
+                step="0.1"
+                placeholder="Optional"
+              />
+              {errors.hba1c && <span className="error">{errors.hba1c}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="fastingGlucose">Fasting Glucose (mg/dL)</label>
+              <input
+                type="number"
+                id="fastingGlucose"
+                name="fastingGlucose"
+                value={formData.fastingGlucose}
+                onChange={handleChange}
+                min="20"
+                max="800"
+                placeholder="Optional"
+              />
+              {errors.fastingGlucose && <span className="error">{errors.fastingGlucose}</span>}
+            </div>
+          </div>
+
           <div className="form-group">
             <label htmlFor="bmi">Body Mass Index (BMI)</label>
             <input
@@ -277,6 +592,40 @@ const Questionnaire = ({ onComplete, onBack }) => {
             </select>
           </div>
 
+          {formData.diabetes === 'yes' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="diabetesType">Type of diabetes</label>
+                <select
+                  id="diabetesType"
+                  name="diabetesType"
+                  value={formData.diabetesType}
+                  onChange={handleChange}
+                >
+                  <option value="">Select...</option>
+                  <option value="type1">Type 1</option>
+                  <option value="type2">Type 2</option>
+                  <option value="gestational">Gestational</option>
+                  <option value="other">Other</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="diabetesDuration">Years with diabetes</label>
+                <input
+                  type="number"
+                  id="diabetesDuration"
+                  name="diabetesDuration"
+                  value={formData.diabetesDuration}
+                  onChange={handleChange}
+                  min="0"
+                  max="100"
+                />
+                {errors.diabetesDuration && <span className="error">{errors.diabetesDuration}</span>}
+              </div>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="familyHistory">Family history of heart disease?</label>
             <select
@@ -290,57 +639,367 @@ const Questionnaire = ({ onComplete, onBack }) => {
               <option value="no">No</option>
             </select>
           </div>
+
+          {formData.familyHistory === 'yes' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="familyHistoryRelative">Affected relative (youngest at onset)</label>
+                <select
+                  id="familyHistoryRelative"
+                  name="familyHistoryRelative"
+                  value={formData.familyHistoryRelative}
+                  onChange={handleChange}
+                >
+                  <option value="">Select...</option>
+                  <option value="father">Father</option>
+                  <option value="mother">Mother</option>
+                  <option value="brother">Brother</option>
+                  <option value="sister">Sister</option>
+                  <option value="son">Son</option>
+                  <option value="daughter">Daughter</option>
+                  <option value="grandparent">Grandparent or other relative</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="familyHistoryOnsetAge">Their age when it started</label>
+                <input
+                  type="number"
+                  id="familyHistoryOnsetAge"
+                  name="familyHistoryOnsetAge"
+                  value={formData.familyHistoryOnsetAge}
+                  onChange={handleChange}
+                  min="1"
+                  max="120"
+                />
+                {errors.familyHistoryOnsetAge && <span className="error">{errors.familyHistoryOnsetAge}</span>}
+              </div>
+            </div>
+          )}
+
+          {formData.sexAtBirth === 'female' && (
+            <>
+              <div className="form-group">
+                <label>Conditions during pregnancy</label>
+                <div className="checkbox-group">
+                  {PREGNANCY_CONDITIONS.map(condition => (
+                    <label key={condition.value} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        value={condition.value}
+                        checked={formData.pregnancyConditions.includes(condition.value)}
+                        onChange={handlePregnancyConditionChange}
+                      />
+                      {condition.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="prematureMenopause">Menopause before age 40?</label>
+                <select
+                  id="prematureMenopause"
+                  name="prematureMenopause"
+                  value={formData.prematureMenopause}
+                  onChange={handleChange}
+                >
+                  <option value="">Select...</option>
+                  <option value="yes">Yes</option>
+                  <option value="no">No</option>
+                </select>
+              </div>
+            </>
+          )}
         </div>
 
         <div className="form-section">
-          <h3>Lifestyle Factors</h3>
-          
+          <h3>Risk Enhancers (optional)</h3>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="lipoproteinA">Lipoprotein(a)</label>
+              <input
+                type="number"
+                id="lipoproteinA"
+                name="lipoproteinA"
+                value={formData.lipoproteinA}
+                onChange={handleChange}
+                min="0"
+                max="1000"
+              />
+              {errors.lipoproteinA && <span className="error">{errors.lipoproteinA}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lipoproteinAUnit">Lipoprotein(a) unit</label>
+              <select
+                id="lipoproteinAUnit"
+                name="lipoproteinAUnit"
+                value={formData.lipoproteinAUnit}
+                onChange={handleChange}
+              >
+                <option value="mg/dL">mg/dL</option>
+                <option value="nmol/L">nmol/L</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="hsCRP">hs-CRP (mg/L)</label>
+              <input
+                type="number"
+                id="hsCRP"
+                name="hsCRP"
+                value={formData.hsCRP}
+                onChange={handleChange}
+                min="0"
+                max="300"
+                step="0.1"
+              />
+              {errors.hsCRP && <span className="error">{errors.hsCRP}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="cacScore">Coronary Artery Calcium Score (Agatston)</label>
+              <input
+                type="number"
+                id="cacScore"
+                name="cacScore"
+                value={formData.cacScore}
+                onChange={handleChange}
+                min="0"
+                max="10000"
+              />
+              {errors.cacScore && <span className="error">{errors.cacScore}</span>}
+            </div>
+          </div>
+        </div>
+
+        <div className="form-section">
+          <h3>Medications</h3>
+
           <div className="form-group">
-            <label htmlFor="smoking">Smoking Status</label>
+            <label htmlFor="onBPMedication">Taking blood pressure medication?</label>
             <select
-              id="smoking"
-              name="smoking"
-              value={formData.smoking}
+              id="onBPMedication"
+              name="onBPMedication"
+              value={formData.onBPMedication}
               onChange={handleChange}
             >
               <option value="">Select...</option>
-              <option value="never">Never</option>
-              <option value="former">Former Smoker</option>
-              <option value="current">Current Smoker</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
             </select>
           </div>
 
           <div className="form-group">
-            <label htmlFor="physicalActivity">Physical Activity Level</label>
+            <label htmlFor="onStatin">Taking a statin (e.g. atorvastatin, rosuvastatin)?</label>
             <select
-              id="physicalActivity"
-              name="physicalActivity"
-              value={formData.physicalActivity}
+              id="onStatin"
+              name="onStatin"
+              value={formData.onStatin}
               onChange={handleChange}
             >
               <option value="">Select...</option>
-              <option value="none">None (Sedentary)</option>
-              <option value="minimal">Minimal (Light activity)</option>
-              <option value="moderate">Moderate (Regular exercise)</option>
-              <option value="active">Active (Intense regular exercise)</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="onAspirin">Taking aspirin regularly?</label>
+            <select
+              id="onAspirin"
+              name="onAspirin"
+              value={formData.onAspirin}
+              onChange={handleChange}
+            >
+              <option value="">Select...</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
             </select>
           </div>
+        </div>
 
+        <div className="form-section">
+          <h3>Lifestyle Factors</h3>
+          
           <div className="form-group">
-            <label htmlFor="dietQuality">Diet Quality</label>
+            <label htmlFor="smoking">Smoking Status</label>
             <select
-              id="dietQuality"
-              name="dietQuality"
-              value={formData.dietQuality}
+              id="smoking"
+              name="smoking"
+              value={formData.smoking}
               onChange={handleChange}
             >
               <option value="">Select...</option>
-              <option value="poor">Poor</option>
-              <option value="fair">Fair</option>
-              <option value="good">Good</option>
-              <option value="excellent">Excellent</option>
+              <option value="never">Never</option>
+              <option value="former">Former Smoker</option>
+              <option value="current">Current Smoker</option>
             </select>
           </div>
+
+          {(formData.smoking === 'current' || formData.smoking === 'former') && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="cigarettesPerDay">
+                  Cigarettes per day{formData.smoking === 'former' ? ' (when you smoked)' : ''}
+                </label>
+                <input
+                  type="number"
+                  id="cigarettesPerDay"
+                  name="cigarettesPerDay"
+                  value={formData.cigarettesPerDay}
+                  onChange={handleChange}
+                  min="0"
+                  max="200"
+                  placeholder="A pack is 20"
+                />
+                {errors.cigarettesPerDay && <span className="error">{errors.cigarettesPerDay}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="smokingYears">Years smoked in total</label>
+                <input
+                  type="number"
+                  id="smokingYears"
+                  name="smokingYears"
+                  value={formData.smokingYears}
+                  onChange={handleChange}
+                  min="0"
+                  max="100"
+                />
+                {errors.smokingYears && <span className="error">{errors.smokingYears}</span>}
+              </div>
+            </div>
+          )}
+
+          {formData.smoking === 'former' && (
+            <div className="form-group">
+              <label htmlFor="smokingQuitYears">Years since you quit</label>
+              <input
+                type="number"
+                id="smokingQuitYears"
+                name="smokingQuitYears"
+                value={formData.smokingQuitYears}
+                onChange={handleChange}
+                min="0"
+                max="100"
+                step="0.5"
+              />
+              {errors.smokingQuitYears && <span className="error">{errors.smokingQuitYears}</span>}
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="vaping">E-cigarettes / Vaping</label>
+              <select
+                id="vaping"
+                name="vaping"
+                value={formData.vaping}
+                onChange={handleChange}
+              >
+                <option value="">Select...</option>
+                <option value="never">Never</option>
+                <option value="former">Used to vape</option>
+                <option value="current">Currently vape</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="secondhandSmoke">Does anyone smoke indoors where you live?</label>
+              <select
+                id="secondhandSmoke"
+                name="secondhandSmoke"
+                value={formData.secondhandSmoke}
+                onChange={handleChange}
+              >
+                <option value="">Select...</option>
+                <option value="yes">Yes</option>
+                <option value="no">No</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="moderateMinutes">Minutes of moderate activity per week</label>
+              <input
+                type="number"
+                id="moderateMinutes"
+                name="moderateMinutes"
+                value={formData.moderateMinutes}
+                onChange={handleChange}
+                min="0"
+                max="3000"
+                placeholder="e.g. brisk walking 30 minutes, 5 days a week = 150"
+              />
+              {errors.moderateMinutes && <span className="error">{errors.moderateMinutes}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="vigorousMinutes">Minutes of vigorous activity per week</label>
+              <input
+                type="number"
+                id="vigorousMinutes"
+                name="vigorousMinutes"
+                value={formData.vigorousMinutes}
+                onChange={handleChange}
+                min="0"
+                max="3000"
+                placeholder="e.g. running, swimming laps"
+              />
+              {errors.vigorousMinutes && <span className="error">{errors.vigorousMinutes}</span>}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="sleepHours">Average hours of sleep per night</label>
+            <input
+              type="number"
+              id="sleepHours"
+              name="sleepHours"
+              value={formData.sleepHours}
+              onChange={handleChange}
+              min="0"
+              max="24"
+              step="0.5"
+            />
+            {errors.sleepHours && <span className="error">{errors.sleepHours}</span>}
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.answerMepa}
+                onChange={(e) => setFormData(prev => ({ ...prev, answerMepa: e.target.checked }))}
+              />
+              Answer the 16-question Mediterranean diet screener (MEPA)
+            </label>
+          </div>
+
+          {formData.answerMepa && (
+            <div className="form-group">
+              <label>In a typical week, which of these apply to you?</label>
+              <div className="checkbox-group">
+                {MEPA_ITEMS.map(item => (
+                  <label key={item.value} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      value={item.value}
+                      checked={formData.mepa.includes(item.value)}
+                      onChange={handleMepaChange}
+                    />
+                    {item.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="form-actions">
@@ -1,7 +1,91 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import apiClient from '../api/client';
+import ScenarioBuilder from './ScenarioBuilder';
+import WhatIfSliders, { getInitialValues } from './WhatIfSliders';
 import './RiskResults.css';
 
+// Delay before the what-if risk is recomputed after the last slider movement
+const WHAT_IF_DEBOUNCE_MS = 400;
+
 const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) => {
+  const [initialValues] = useState(() => getInitialValues(patientData, riskAssessment.imputedFields));
+  const [whatIfValues, setWhatIfValues] = useState(initialValues);
+  const [whatIf, setWhatIf] = useState(null);
+  const [isUpdatingWhatIf, setIsUpdatingWhatIf] = useState(false);
+  const latestRequest = useRef(0);
+
+  // Recompute the risk against the backend once the sliders have settled
+  useEffect(() => {
+    const overrides = {};
+    Object.keys(whatIfValues).forEach(field => {
+      if (whatIfValues[field] !== initialValues[field]) {
+        overrides[field] = whatIfValues[field];
+      }
+    });
+
+    if (!patientData || Object.keys(overrides).length === 0) {
+      // Invalidate any request still in flight so its response can't bring the what-if back
+      latestRequest.current++;
+      setWhatIf(null);
+      setIsUpdatingWhatIf(false);
+      return undefined;
+    }
+
+    setIsUpdatingWhatIf(true);
+    const timer = setTimeout(async () => {
+      const requestId = ++latestRequest.current;
+      try {
+        const response = await apiClient.post('/risk-assessment/simulate', {
+          patient: patientData,
+          scenarios: [{ name: 'What-if', overrides }],
+          // Only the local equations are re-run while dragging; the remote model is not called on every move
+          useSarahModel: false
+        });
+        // Ignore responses that were overtaken by a newer slider position
+        if (requestId === latestRequest.current && response.data && response.data.success) {
+          setWhatIf(response.data.scenarios[0]);
+        }
+      } catch (error) {
+        console.error('Error recomputing what-if risk:', error);
+      } finally {
+        if (requestId === latestRequest.current) {
+          setIsUpdatingWhatIf(false);
+        }
+      }
+    }, WHAT_IF_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [whatIfValues, initialValues, patientData]);
+
+  const handleWhatIfChange = (field, value) => {
+    setWhatIfValues(values => ({ ...values, [field]: value }));
+  };
+
+  // What-if percentage of a model next to its original percentage
+  const renderModelWhatIf = (modelId, originalPercentage) => {
+    if (!whatIf || originalPercentage === null || originalPercentage === undefined) return null;
+    const percentage = whatIf.models?.[modelId];
+    if (percentage === null || percentage === undefined) return null;
+    const change = Math.round((percentage - originalPercentage) * 10) / 10;
+    return (
+      <div className="model-whatif">
+        What-if: <strong>{percentage}%</strong>{' '}
+        <span className={change < 0 ? 'whatif-better' : change > 0 ? 'whatif-worse' : ''}>
+          ({change > 0 ? '+' : ''}{change} pts)
+        </span>
+      </div>
+    );
+  };
+  // Both sex-specific results of a model that averaged them because sex at birth wasn't given
+  const renderSexFallback = (modelResult) => {
+    if (!modelResult || !modelResult.sexFallback) return null;
+    return (
+      <div className="model-sex-fallback">
+        Average of the male ({modelResult.sexFallback.male}%) and female ({modelResult.sexFallback.female}%) equations
+      </div>
+    );
+  };
+
   const getRiskColor = (category) => {
     switch (category) {
       case 'high':
@@ -32,6 +116,88 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
     }
   };
 
+  const getDiabetesTypeLabel = (type) => {
+    switch (type) {
+      case 'type1':
+        return 'Type 1';
+      case 'type2':
+        return 'Type 2';
+      case 'gestational':
+        return 'Gestational';
+      default:
+        return 'Other';
+    }
+  };
+
+  const getCategoryLabel = (category) => {
+    switch (category) {
+      case 'high':
+        return 'High Risk';
+      case 'moderate':
+        return 'Moderate Risk';
+      case 'low-moderate':
+        return 'Low-Moderate Risk';
+      case 'low':
+        return 'Low Risk';
+      default:
+        return category;
+    }
+  };
+
+  // Without a 10-year risk (too young for the equations), the lifetime risk is the headline instead
+  const hasTenYearRisk = riskAssessment.riskPercentage !== null && riskAssessment.riskPercentage !== undefined;
+  const lifetimeHeadline = !hasTenYearRisk && riskAssessment.ageRouting?.alternative && !riskAssessment.ageRouting.alternative.lowerBound
+    ? riskAssessment.ageRouting.alternative
+    : null;
+
+  // Position (0-100) of a risk percentage on the range track, which spans 0% to at least 30%
+  const getRangePosition = (percentage) => {
+    const scaleMax = Math.max(30, riskAssessment.uncertainty?.upper || 0, riskAssessment.riskPercentage || 0);
+    return Math.min(100, Math.max(0, (percentage / scaleMax) * 100));
+  };
+
+  // Bar width (0-100) of a factor's contribution relative to the largest contribution
+  const getAttributionWidth = (points) => {
+    const largest = Math.max(...riskAssessment.attribution.map(item => Math.abs(item.combined || 0)));
+    return largest > 0 ? (Math.abs(points || 0) / largest) * 100 : 0;
+  };
+
+  // Imputed value reported by the backend for a field, if any
+  const getImputed = (field) => riskAssessment.imputedFields?.find(imputed => imputed.field === field);
+
+  // Reason reported by the backend when a model was skipped
+  const getSkipReason = (modelId) => {
+    const skipped = riskAssessment.skippedModels?.find(model => model.id === modelId);
+    return skipped ? skipped.reason : null;
+  };
+
+  // Why a model didn't run: its valid age range and the models used instead, or its input requirements
+  const renderModelUnavailable = (modelId, requirements) => {
+    const applicability = riskAssessment.applicability?.[modelId];
+    if (applicability && (applicability.status === 'belowAgeRange' || applicability.status === 'aboveAgeRange')) {
+      return (
+        <>
+          <p className="model-unavailable-text">
+            Not used. Validated for ages {applicability.validRange.min}-{applicability.validRange.max} only, and you are {applicability.age}.
+          </p>
+          {applicability.alternatives.length > 0 && (
+            <p className="model-alternatives">
+              Used instead: {applicability.alternatives.map(alternative => alternative.name).join(', ')}
+            </p>
+          )}
+        </>
+      );
+    }
+    return (
+      <>
+        <p className="model-unavailable-text">Not available. {requirements}</p>
+        {getSkipReason(modelId) && (
+          <p className="model-skip-reason">Reason: {getSkipReason(modelId)}</p>
+        )}
+      </>
+    );
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'critical':
@@ -45,6 +211,13 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
     }
   };
 
+  // Life's Essential 8 scores: 80-100 high, 50-79 moderate, below 50 low cardiovascular health
+  const getHealthScoreColor = (score) => {
+    if (score >= 80) return '#27ae60';
+    if (score >= 50) return '#f39c12';
+    return '#e74c3c';
+  };
+
   return (
     <div className="results-container">
       <div className="results-header">
@@ -62,24 +235,230 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
             {riskAssessment.categoryDescription}
           </h2>
           <div className="risk-score">
-            <span className="score-value">{riskAssessment.riskPercentage || riskAssessment.riskScore}%</span>
-            <span className="score-label">10-Year Risk</span>
+            {hasTenYearRisk ? (
+              <>
+                <span className="score-value">
+                  {riskAssessment.ageRouting?.alternative?.lowerBound && '≥ '}
+                  {riskAssessment.riskPercentage}%
+                </span>
+                <span className="score-label">10-Year Risk</span>
+              </>
+            ) : lifetimeHeadline ? (
+              <>
+                <span className="score-value">{lifetimeHeadline.riskPercentage}%</span>
+                <span className="score-label">Lifetime Risk (to age 95)</span>
+              </>
+            ) : (
+              <>
+                <span className="score-value">—</span>
+                <span className="score-label">10-Year Risk</span>
+              </>
+            )}
+            {whatIf && whatIf.riskPercentage !== null && hasTenYearRisk && (
+              <div className="whatif-score">
+                <span className="whatif-score-label">What-if</span>
+                <span className="whatif-score-value" style={{ color: getRiskColor(whatIf.category) }}>
+                  {whatIf.riskPercentage}%
+                </span>
+                <span className={whatIf.absoluteChange < 0 ? 'whatif-better' : whatIf.absoluteChange > 0 ? 'whatif-worse' : ''}>
+                  {whatIf.absoluteChange > 0 ? '+' : ''}{whatIf.absoluteChange} pts vs. your current risk
+                </span>
+              </div>
+            )}
+            {riskAssessment.uncertainty && (
+              <div className="risk-range">
+                <div className="risk-range-track">
+                  <div
+                    className="risk-range-band"
+                    style={{
+                      left: `${getRangePosition(riskAssessment.uncertainty.lower)}%`,
+                      width: `${getRangePosition(riskAssessment.uncertainty.upper) - getRangePosition(riskAssessment.uncertainty.lower)}%`
+                    }}
+                  />
+                  <div
+                    className="risk-range-marker"
+                    style={{
+                      left: `${getRangePosition(riskAssessment.riskPercentage)}%`,
+                      backgroundColor: getRiskColor(riskAssessment.category)
+                    }}
+                  />
+                </div>
+                <span className="risk-range-label">
+                  Plausible range: {riskAssessment.uncertainty.lower}% – {riskAssessment.uncertainty.upper}%
+                </span>
+                {riskAssessment.uncertainty.drivers && riskAssessment.uncertainty.drivers.length > 0 && riskAssessment.uncertainty.drivers[0].width > 0 && (
+                  <span className="risk-range-drivers">
+                    Most affected by:{' '}
+                    {riskAssessment.uncertainty.drivers
+                      .filter(driver => driver.width > 0)
+                      .slice(0, 2)
+                      .map(driver => `${driver.label}${driver.reason === 'missing' ? ' (not provided)' : ''}`)
+                      .join(', ')}
+                  </span>
+                )}
+              </div>
+            )}
           </div>
-          <p className="risk-description">
-            Based on combined Framingham Risk Score and AHA PREVENT model analysis, your 10-year risk for developing heart disease is{' '}
-            <strong style={{ color: getRiskColor(riskAssessment.category) }}>
-              {riskAssessment.riskPercentage || riskAssessment.riskScore}%
-            </strong>, classified as{' '}
-            <strong style={{ color: getRiskColor(riskAssessment.category) }}>
-              {riskAssessment.categoryDescription}
-            </strong>.
-          </p>
+          {riskAssessment.heartAge && (
+            <div className="heart-age">
+              <span className="heart-age-label">Heart Age</span>
+              <span className="heart-age-value">
+                {riskAssessment.heartAge.capped === 'below' && '≤ '}
+                {riskAssessment.heartAge.capped === 'above' && '≥ '}
+                {riskAssessment.heartAge.age}
+              </span>
+              <span className="heart-age-detail">
+                {riskAssessment.heartAge.difference === 0
+                  ? 'Same as your actual age'
+                  : `${Math.abs(riskAssessment.heartAge.difference)} years ${riskAssessment.heartAge.difference > 0 ? 'older' : 'younger'} than your actual age of ${riskAssessment.heartAge.chronologicalAge}`}
+              </span>
+              <span className="heart-age-note">
+                The age of someone of your sex with optimal risk factors and the same risk, estimated with the{' '}
+                {riskAssessment.heartAge.model === 'prevent' ? 'PREVENT equations' : 'Framingham Risk Score'}
+              </span>
+            </div>
+          )}
+          {hasTenYearRisk ? (
+            <p className="risk-description">
+              Based on combined Framingham Risk Score, Framingham general CVD, AHA PREVENT and Pooled Cohort Equations analysis, your 10-year risk for developing heart disease is{' '}
+              {riskAssessment.ageRouting?.alternative?.lowerBound && 'at least '}
+              <strong style={{ color: getRiskColor(riskAssessment.category) }}>
+                {riskAssessment.riskPercentage}%
+              </strong>, classified as{' '}
+              <strong style={{ color: getRiskColor(riskAssessment.category) }}>
+                {riskAssessment.categoryDescription}
+              </strong>.
+            </p>
+          ) : lifetimeHeadline ? (
+            <p className="risk-description">
+              None of the 10-year risk equations apply at your age, so no 10-year risk category is given. Your lifetime risk of a heart attack or stroke (to age 95) is{' '}
+              <strong>{lifetimeHeadline.riskPercentage}%</strong>.
+            </p>
+          ) : (
+            <p className="risk-description">
+              None of the 10-year risk equations could be calculated from the information provided, so no risk category is given.
+            </p>
+          )}
         </div>
 
+        {/* What-If Sliders */}
+        {patientData && (
+          <WhatIfSliders
+            values={whatIfValues}
+            initialValues={initialValues}
+            onChange={handleWhatIfChange}
+            onReset={() => setWhatIfValues(initialValues)}
+            isUpdating={isUpdatingWhatIf}
+          />
+        )}
+
+        {/* Imputed Values */}
+        {riskAssessment.imputedFields && riskAssessment.imputedFields.length > 0 && (
+          <div className="imputed-card">
+            <h4>Estimated values used in this assessment</h4>
+            <p>
+              You didn't provide the values below, so they were estimated to let more risk models run.
+              Providing your actual values will make the result more accurate.
+            </p>
+            <ul className="imputed-list">
+              {riskAssessment.imputedFields.map((imputed) => (
+                <li key={imputed.field}>
+                  <strong>{imputed.label}:</strong> {imputed.value} {imputed.unit}{' '}
+                  <span className="imputed-source">
+                    ({imputed.source === 'synthea'
+                      ? `${imputed.method} of ${imputed.sampleSize} Synthea records, ${imputed.stratum.gender}, ages ${imputed.stratum.ageBand}`
+                      : imputed.method})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Age outside the range the 10-year equations were validated for */}
+        {riskAssessment.ageRouting && riskAssessment.ageRouting.status !== 'inRange' && (
+          <div className="age-routing-banner">
+            <h4>
+              {riskAssessment.ageRouting.status === 'belowAgeRange'
+                ? `The 10-year risk equations start at age ${riskAssessment.ageRouting.validRange.min}`
+                : `The 10-year risk equations stop at age ${riskAssessment.ageRouting.validRange.max}`}
+            </h4>
+            {riskAssessment.ageRouting.alternative && (
+              <div className="age-routing-estimate">
+                <span className="age-routing-value">
+                  {riskAssessment.ageRouting.alternative.lowerBound && '≥ '}
+                  {riskAssessment.ageRouting.alternative.riskPercentage}%
+                </span>
+                <span className="age-routing-label">{riskAssessment.ageRouting.alternative.label}</span>
+              </div>
+            )}
+            <p>{riskAssessment.ageRouting.message}</p>
+          </div>
+        )}
+
+        {/* Sex-specific equations averaged because sex at birth wasn't given */}
+        {riskAssessment.sexAtBirth && riskAssessment.sexAtBirth.fallback && (
+          <div className="sex-fallback-banner">
+            <h4>Sex assigned at birth not given</h4>
+            <p>
+              The risk equations are different for people assigned male and female at birth. Without this
+              information, each model's result is the average of its male and female equations, so your
+              estimate is less precise. Heart age needs it and isn't shown.
+            </p>
+          </div>
+        )}
+
+        {/* Model Disagreement Warning */}
+        {riskAssessment.disagreement && riskAssessment.disagreement.flagged && (
+          <div className="disagreement-banner">
+            <h4>⚠️ The risk models disagree</h4>
+            <p>{riskAssessment.disagreement.message}</p>
+            <p className="disagreement-metrics">
+              Spread: {riskAssessment.disagreement.range} percentage points
+              ({riskAssessment.disagreement.ratio}x between the lowest and highest estimate)
+            </p>
+          </div>
+        )}
+
+        {/* Risk-Enhancer Reclassification */}
+        {riskAssessment.reclassification && (riskAssessment.reclassification.enhancers.length > 0 || riskAssessment.reclassification.explanation || riskAssessment.reclassification.notes.length > 0) && (
+          <div className={`reclassification-card ${riskAssessment.reclassification.direction ? `reclassified-${riskAssessment.reclassification.direction}` : ''}`}>
+            <h4>
+              {riskAssessment.reclassification.direction
+                ? `Category ${riskAssessment.reclassification.direction === 'up' ? 'raised' : 'lowered'} from ${getCategoryLabel(riskAssessment.reclassification.originalCategory)} to ${riskAssessment.reclassification.categoryDescription}`
+                : 'Risk Enhancers'}
+            </h4>
+            {riskAssessment.reclassification.explanation && <p>{riskAssessment.reclassification.explanation}</p>}
+            {riskAssessment.reclassification.enhancers.length > 0 && (
+              <ul className="enhancer-list">
+                {riskAssessment.reclassification.enhancers.map(enhancer => (
+                  <li key={enhancer.id}>
+                    <strong>{enhancer.label}:</strong> {enhancer.detail}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {riskAssessment.reclassification.notes.map((note, index) => (
+              <p key={index} className="reclassification-note">{note}</p>
+            ))}
+          </div>
+        )}
+
         {/* Model Comparison */}
         {riskAssessment.models && (
           <div className="models-card">
             <h3>Risk Model Analysis</h3>
+            {riskAssessment.combination && riskAssessment.combination.weights && (
+              <p className="combination-summary">
+                Combined using the <strong>{riskAssessment.combination.strategy}</strong> strategy
+                {Object.keys(riskAssessment.combination.weights).length > 0 && (
+                  <> ({Object.entries(riskAssessment.combination.weights)
+                    .map(([modelId, weight]) => `${modelId}: ${Math.round(weight * 100)}%`)
+                    .join(', ')})</>
+                )}
+                {riskAssessment.combination.fallback && <>. {riskAssessment.combination.fallback}</>}
+              </p>
+            )}
             <div className="models-grid">
               {riskAssessment.models.framingham ? (
                 <div className="model-item">
@@ -90,11 +469,49 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
                     </span>
                     <span className="model-label">10-Year Risk</span>
                   </div>
+                  {renderModelWhatIf('framingham', riskAssessment.models.framingham.riskPercentage)}
+                  {renderSexFallback(riskAssessment.models.framingham)}
                   {riskAssessment.models.framingham.score !== undefined && (
                     <div className="model-score">
                       <span>Points: {riskAssessment.models.framingham.score}</span>
                     </div>
                   )}
+                  {riskAssessment.models.framingham.breakdown && (
+                    <details className="framingham-worksheet">
+                      <summary>Show point worksheet</summary>
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Step</th>
+                            <th>Factor</th>
+                            <th>Value</th>
+                            <th>Category</th>
+                            <th>Points</th>
+                            <th>Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {riskAssessment.models.framingham.breakdown.map((step) => (
+                            <tr key={step.step}>
+                              <td>{step.step}</td>
+                              <td>{step.factor}</td>
+                              <td>{step.value}</td>
+                              <td>{step.category}</td>
+                              <td>{step.points > 0 ? `+${step.points}` : step.points}</td>
+                              <td>{step.runningTotal}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {riskAssessment.models.framingham.lookup && (
+                        <p className="worksheet-lookup">
+                          Lookup: {riskAssessment.models.framingham.lookup.table} table, row{' '}
+                          <strong>{riskAssessment.models.framingham.lookup.row}</strong> points →{' '}
+                          <strong>{riskAssessment.models.framingham.lookup.riskPercentage}%</strong> 10-year CHD risk
+                        </p>
+                      )}
+                    </details>
+                  )}
                   <p className="model-description">
                     Based on the Framingham Heart Study prediction model
                   </p>
@@ -102,35 +519,121 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
               ) : (
                 <div className="model-item model-unavailable">
                   <h4>Framingham Risk Score</h4>
-                  <p className="model-unavailable-text">
-                    Not available. Framingham risk calculation requires age between 30-74 years and complete data (blood pressure, cholesterol, HDL cholesterol).
-                  </p>
+                  {renderModelUnavailable('framingham', 'Framingham risk calculation requires age between 30-74 years and complete data (blood pressure, cholesterol, HDL cholesterol).')}
                 </div>
               )}
-              {riskAssessment.models.prevent ? (
+              {riskAssessment.models.framingham2008 ? (
                 <div className="model-item">
-                  <h4>AHA PREVENT Model</h4>
+                  <h4>Framingham General CVD (2008)</h4>
+                  {riskAssessment.models.framingham2008.nonLab && (
+                    <span className="non-lab-badge">Non-lab estimate</span>
+                  )}
                   <div className="model-risk">
                     <span className="model-percentage">
-                      {riskAssessment.models.prevent.risk10Year}%
+                      {riskAssessment.models.framingham2008.riskPercentage}%
                     </span>
-                    <span className="model-label">10-Year Risk</span>
+                    <span className="model-label">10-Year CVD Risk</span>
+                  </div>
+                  {renderModelWhatIf('framingham2008', riskAssessment.models.framingham2008.riskPercentage)}
+                  {renderSexFallback(riskAssessment.models.framingham2008)}
+                  <div className="model-score">
+                    <span>{riskAssessment.models.framingham2008.variantLabel}</span>
                   </div>
-                  {riskAssessment.models.prevent.risk30Year && (
-                    <div className="model-risk-secondary">
-                      <span>{riskAssessment.models.prevent.risk30Year}%</span>
-                      <span>30-Year Risk</span>
+                  <p className="model-description">
+                    Based on the D'Agostino 2008 Framingham general cardiovascular risk profile
+                    {riskAssessment.models.framingham2008.nonLab && ' (BMI used because cholesterol values were not provided)'}
+                  </p>
+                </div>
+              ) : (
+                <div className="model-item model-unavailable">
+                  <h4>Framingham General CVD (2008)</h4>
+                  {renderModelUnavailable('framingham2008', 'Requires age between 30-74 years, blood pressure, and either cholesterol values or BMI.')}
+                </div>
+              )}
+              {riskAssessment.models.prevent ? (
+                <div className="model-item">
+                  <h4>AHA PREVENT Model</h4>
+                  {riskAssessment.models.prevent.risk10Year !== null && (
+                    <div className="model-risk">
+                      <span className="model-percentage">
+                        {riskAssessment.models.prevent.risk10Year}%
+                      </span>
+                      <span className="model-label">10-Year Total CVD Risk</span>
                     </div>
                   )}
+                  {renderModelWhatIf('prevent', riskAssessment.models.prevent.risk10Year)}
+                  {renderSexFallback(riskAssessment.models.prevent)}
+                  {riskAssessment.models.prevent.outcomes && (
+                    <table className="prevent-outcomes">
+                      <thead>
+                        <tr>
+                          <th>Outcome</th>
+                          <th>10-Year</th>
+                          <th>30-Year</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(riskAssessment.models.prevent.outcomes).map(([key, outcome]) => (
+                          <tr key={key}>
+                            <td>{outcome ? outcome.label : key}</td>
+                            <td>{outcome ? `${outcome.risk10Year}%` : 'N/A'}</td>
+                            <td>{outcome && outcome.risk30Year !== null ? `${outcome.risk30Year}%` : 'N/A'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
                   <p className="model-description">
-                    Based on the American Heart Association PREVENT equations
+                    Based on the American Heart Association PREVENT equations (30-year risk is available for ages 30-59)
                   </p>
                 </div>
               ) : (
                 <div className="model-item model-unavailable">
                   <h4>AHA PREVENT Model</h4>
-                  <p className="model-unavailable-text">
-                    Not available. PREVENT model calculation requires complete patient data.
+                  {renderModelUnavailable('prevent', 'PREVENT model calculation requires complete patient data.')}
+                </div>
+              )}
+              {riskAssessment.models.pce ? (
+                <div className="model-item">
+                  <h4>Pooled Cohort Equations</h4>
+                  <div className="model-risk">
+                    <span className="model-percentage">
+                      {riskAssessment.models.pce.riskPercentage}%
+                    </span>
+                    <span className="model-label">10-Year ASCVD Risk</span>
+                  </div>
+                  {renderModelWhatIf('pce', riskAssessment.models.pce.riskPercentage)}
+                  {renderSexFallback(riskAssessment.models.pce)}
+                  <div className="model-score">
+                    <span>
+                      {riskAssessment.models.pce.raceEquation} equation{riskAssessment.models.pce.raceDefaulted ? ' (used by default, race not given)' : ''}, {riskAssessment.models.pce.bpTreated ? 'treated' : 'untreated'} blood pressure
+                    </span>
+                  </div>
+                  <p className="model-description">
+                    Based on the 2013 ACC/AHA Pooled Cohort Equations
+                  </p>
+                </div>
+              ) : (
+                <div className="model-item model-unavailable">
+                  <h4>Pooled Cohort Equations</h4>
+                  {renderModelUnavailable('pce', 'Pooled Cohort Equations require age between 40-79 years and complete data (blood pressure, cholesterol, HDL cholesterol).')}
+                </div>
+              )}
+              {riskAssessment.models.lifetime && (
+                <div className="model-item model-lifetime">
+                  <h4>Lifetime ASCVD Risk</h4>
+                  <div className="model-risk">
+                    <span className="model-percentage">
+                      {riskAssessment.models.lifetime.riskPercentage}%
+                    </span>
+                    <span className="model-label">Lifetime Risk (to Age 95)</span>
+                  </div>
+                  {renderSexFallback(riskAssessment.models.lifetime)}
+                  <div className="model-score">
+                    <span>{riskAssessment.models.lifetime.riskGroupLabel}</span>
+                  </div>
+                  <p className="model-description">
+                    Based on risk factor burden (Lloyd-Jones 2006), for ages 20-59. Shown alongside the 10-year estimates, not combined with them
                   </p>
                 </div>
               )}
@@ -138,6 +641,57 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
           </div>
         )}
 
+        {/* Life's Essential 8 */}
+        {riskAssessment.lifesEssential8 && riskAssessment.lifesEssential8.score !== null && (
+          <div className="le8-card">
+            <h3>Life's Essential 8: Cardiovascular Health</h3>
+            <div className="le8-overall">
+              <span className="le8-score" style={{ color: getHealthScoreColor(riskAssessment.lifesEssential8.score) }}>
+                {riskAssessment.lifesEssential8.score}
+              </span>
+              <div>
+                <span className="le8-category">{riskAssessment.lifesEssential8.categoryLabel}</span>
+                <span className="le8-scale">out of 100 (American Heart Association)</span>
+                {whatIf && whatIf.lifesEssential8 !== null && whatIf.lifesEssential8 !== riskAssessment.lifesEssential8.score && (
+                  <span className="le8-whatif">
+                    What-if: <strong style={{ color: getHealthScoreColor(whatIf.lifesEssential8) }}>{whatIf.lifesEssential8}</strong>
+                  </span>
+                )}
+              </div>
+            </div>
+            {!riskAssessment.lifesEssential8.complete && (
+              <p className="le8-note">
+                Based on {8 - riskAssessment.lifesEssential8.missing.length} of 8 components; not scored without your answers for: {riskAssessment.lifesEssential8.missing.join(', ')}.
+              </p>
+            )}
+            <div className="le8-components">
+              {riskAssessment.lifesEssential8.components.map(component => (
+                <div key={component.id} className={`le8-component ${component.score === null ? 'le8-missing' : ''}`}>
+                  <div className="le8-component-header">
+                    <span className="le8-component-label">{component.label}</span>
+                    <span className="le8-component-score">{component.score !== null ? component.score : '—'}</span>
+                  </div>
+                  <div className="le8-bar">
+                    {component.score !== null && (
+                      <div
+                        className="le8-bar-fill"
+                        style={{ width: `${component.score}%`, backgroundColor: getHealthScoreColor(component.score) }}
+                      />
+                    )}
+                  </div>
+                  {(component.value !== null || component.detail) && (
+                    <span className="le8-component-detail">
+                      {component.value !== null && `${component.value} ${component.unit}`}
+                      {component.value !== null && component.detail && ' · '}
+                      {component.detail}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Database Comparison */}
         {riskAssessment.databaseComparison && riskAssessment.databaseComparison.insights && riskAssessment.databaseComparison.insights.length > 0 && (
           <div className="comparison-card">
@@ -177,8 +731,44 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
           </div>
         )}
 
-        {/* Risk Factors */}
-        {riskAssessment.factors && riskAssessment.factors.length > 0 && (
+        {/* Risk Factor Attribution */}
+        {riskAssessment.attribution && riskAssessment.attribution.length > 0 ? (
+          <div className="factors-card">
+            <h3>What Drives Your Risk</h3>
+            <p className="attribution-intro">
+              How many percentage points each factor adds to your combined 10-year risk, compared with an optimal value.
+              Green bars are factors that lower your risk.
+            </p>
+            <div className="attribution-chart">
+              {riskAssessment.attribution.map((item) => (
+                <div key={item.field} className="attribution-row">
+                  <div className="attribution-label">
+                    <strong>{item.label}</strong>
+                    <span className="attribution-value">
+                      {typeof item.value === 'boolean' ? (item.value ? 'yes' : 'no') : item.value}
+                      {item.unit ? ` ${item.unit}` : ''}
+                      {item.imputed && <span className="estimated-badge">estimated</span>}
+                    </span>
+                  </div>
+                  <div className="attribution-bar-track">
+                    <div
+                      className={`attribution-bar ${item.combined < 0 ? 'protective' : ''}`}
+                      style={{ width: `${getAttributionWidth(item.combined)}%` }}
+                    />
+                  </div>
+                  <span className="attribution-points">
+                    {item.combined > 0 ? '+' : ''}{item.combined ?? 0} pts
+                  </span>
+                  <span className="attribution-models">
+                    {Object.entries(item.contributions)
+                      .map(([modelId, points]) => `${modelId}: ${points > 0 ? '+' : ''}${points}`)
+                      .join(' · ')}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : riskAssessment.factors && riskAssessment.factors.length > 0 && (
           <div className="factors-card">
             <h3>Key Risk Factors Identified</h3>
             <ul className="factors-list">
@@ -196,7 +786,8 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
           <div className="recommendations-card">
             <h3>Personalized Recommendations</h3>
             <p className="recommendations-intro">
-              Based on your risk assessment, here are actionable steps you can take to improve your heart health:
+              Based on your risk assessment, here are actionable steps you can take to improve your heart health,
+              starting with the ones estimated to lower your risk the most:
             </p>
             <div className="recommendations-list">
               {recommendations.map((rec, index) => (
@@ -208,18 +799,102 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
                     >
                       {rec.priority.toUpperCase()}
                     </span>
-                    <h4 className="recommendation-category">{rec.category}</h4>
+                    <h4 className="recommendation-category">{rec.label || rec.category}</h4>
+                    {rec.riskReduction && rec.riskReduction.absolute > 0 && (
+                      <span className="risk-reduction-badge">
+                        −{rec.riskReduction.absolute.toFixed(1)} points
+                      </span>
+                    )}
                   </div>
                   <p className="recommendation-action">
                     <strong>Action:</strong> {rec.action}
                   </p>
                   <p className="recommendation-details">{rec.details}</p>
+                  {rec.riskReduction && rec.riskReduction.absolute > 0 && (
+                    <p className="recommendation-risk-reduction">
+                      Estimated 10-year risk: {rec.riskReduction.baselineRisk}% → {rec.riskReduction.targetRisk}%
+                      {rec.target && <> with {rec.target.charAt(0).toLowerCase() + rec.target.slice(1)}</>}
+                    </p>
+                  )}
+                  {rec.notModeled && (
+                    <p className="recommendation-not-modeled">
+                      Not included in the ranking: the risk equations don't include {rec.category.toLowerCase()}, so its effect on your risk isn't estimated.
+                    </p>
+                  )}
+                  {rec.citations && rec.citations.length > 0 && (
+                    <p className="recommendation-citations">
+                      Source:{' '}
+                      {rec.citations.map((citation, citationIndex) => (
+                        <span key={citationIndex}>
+                          {citationIndex > 0 && '; '}
+                          {citation.url
+                            ? <a href={citation.url} target="_blank" rel="noopener noreferrer">{citation.title}</a>
+                            : citation.title}
+                        </span>
+                      ))}
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
           </div>
         )}
 
+        {/* Statin Eligibility (clinician-facing) */}
+        {riskAssessment.statinEligibility && (
+          <div className="clinician-card">
+            <div className="clinician-card-header">
+              <h3>For Your Clinician: Statin Eligibility</h3>
+              <span className="clinician-source">2018 ACC/AHA Cholesterol Guideline, primary prevention</span>
+            </div>
+            <div className="clinician-grid">
+              <div className="clinician-item">
+                <span className="clinician-label">Statin benefit group</span>
+                <span className="clinician-value">{riskAssessment.statinEligibility.label || 'Not determined'}</span>
+              </div>
+              <div className="clinician-item">
+                <span className="clinician-label">Suggested intensity</span>
+                <span className="clinician-value">
+                  {riskAssessment.statinEligibility.intensityLabel
+                    ? `${riskAssessment.statinEligibility.intensityLabel} statin`
+                    : 'No statin indicated; lifestyle therapy'}
+                  {riskAssessment.statinEligibility.classOfRecommendation && (
+                    <span className="cor-badge">COR {riskAssessment.statinEligibility.classOfRecommendation}</span>
+                  )}
+                </span>
+              </div>
+              <div className="clinician-item">
+                <span className="clinician-label">Rule applied</span>
+                <span className="clinician-value"><code>{riskAssessment.statinEligibility.rule}</code></span>
+              </div>
+              <div className="clinician-item">
+                <span className="clinician-label">10-year ASCVD risk</span>
+                <span className="clinician-value">
+                  {riskAssessment.statinEligibility.ascvdRisk !== null
+                    ? `${riskAssessment.statinEligibility.ascvdRisk}% (${riskAssessment.statinEligibility.riskSource === 'pce' ? 'Pooled Cohort Equations' : 'combined estimate'})`
+                    : 'Not available (no 10-year model applied)'}
+                </span>
+              </div>
+            </div>
+            <p className="clinician-rationale">{riskAssessment.statinEligibility.rationale}</p>
+            {riskAssessment.statinEligibility.intensity && (
+              <p className="clinician-rationale">
+                Target: {riskAssessment.statinEligibility.ldlReduction}. Examples: {riskAssessment.statinEligibility.examples}.
+              </p>
+            )}
+            {riskAssessment.statinEligibility.considerations.length > 0 && (
+              <ul className="clinician-considerations">
+                {riskAssessment.statinEligibility.considerations.map((consideration, index) => (
+                  <li key={index}>{consideration}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* What-If Scenarios */}
+        <ScenarioBuilder patientData={patientData} />
+
         {/* Patient Summary Snapshot */}
         <div className="summary-snapshot-card">
           <h3>Your Information Summary</h3>
@@ -229,21 +904,102 @@ const RiskResults = ({ riskAssessment, recommendations, patientData, onBack }) =
               <span className="snapshot-value">{patientData?.age || 'N/A'}</span>
             </div>
             <div className="snapshot-item">
-              <span className="snapshot-label">Gender:</span>
-              <span className="snapshot-value">{patientData?.gender || 'N/A'}</span>
+              <span className="snapshot-label">Sex at Birth:</span>
+              <span className="snapshot-value">{riskAssessment.sexAtBirth?.sexAtBirth || 'Not given'}</span>
             </div>
-            {patientData?.systolicBP && (
+            {(patientData?.systolicBP || getImputed('systolicBP')) && (
               <div className="snapshot-item">
                 <span className="snapshot-label">Blood Pressure:</span>
                 <span className="snapshot-value">
-                  {patientData.systolicBP}/{patientData.diastolicBP || '--'} mmHg
+                  {patientData?.systolicBP || getImputed('systolicBP').value}/{patientData?.diastolicBP || getImputed('diastolicBP')?.value || '--'} mmHg
+                  {(getImputed('systolicBP') || getImputed('diastolicBP')) && <span className="estimated-badge">estimated</span>}
                 </span>
               </div>
             )}
-            {patientData?.cholesterol && (
+            {(patientData?.cholesterol || getImputed('cholesterol')) && (
               <div className="snapshot-item">
                 <span className="snapshot-label">Cholesterol:</span>
-                <span className="snapshot-value">{patientData.cholesterol} mg/dL</span>
+                <span className="snapshot-value">
+                  {patientData?.cholesterol || getImputed('cholesterol').value} mg/dL
+                  {getImputed('cholesterol') && <span className="estimated-badge">estimated</span>}
+                </span>
+              </div>
+            )}
+            {(patientData?.hdlCholesterol || getImputed('hdlCholesterol')) && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">HDL Cholesterol:</span>
+                <span className="snapshot-value">
+                  {patientData?.hdlCholesterol || getImputed('hdlCholesterol').value} mg/dL
+                  {getImputed('hdlCholesterol') && <span className="estimated-badge">estimated</span>}
+                </span>
+              </div>
+            )}
+            {riskAssessment.lipids?.ldlCholesterol != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">LDL Cholesterol:</span>
+                <span className="snapshot-value">
+                  {riskAssessment.lipids.ldlCholesterol} mg/dL
+                  {riskAssessment.lipids.ldlMethod !== 'measured' && (
+                    <span className="calculated-badge" title={riskAssessment.lipids.ldlMethodLabel}>calculated</span>
+                  )}
+                </span>
+              </div>
+            )}
+            {riskAssessment.lipids?.nonHdlCholesterol != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">Non-HDL Cholesterol:</span>
+                <span className="snapshot-value">{riskAssessment.lipids.nonHdlCholesterol} mg/dL</span>
+              </div>
+            )}
+            {riskAssessment.lipids?.triglycerides != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">Triglycerides:</span>
+                <span className="snapshot-value">{riskAssessment.lipids.triglycerides} mg/dL</span>
+              </div>
+            )}
+            {riskAssessment.kidney?.egfr != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">eGFR:</span>
+                <span className="snapshot-value">
+                  {riskAssessment.kidney.egfr} mL/min/1.73m² ({riskAssessment.kidney.gfrCategory.category})
+                  {riskAssessment.kidney.egfrSource === 'ckd-epi-2021' && (
+                    <span className="calculated-badge" title={`CKD-EPI 2021 from creatinine ${riskAssessment.kidney.serumCreatinine} mg/dL${riskAssessment.kidney.egfrSexAveraged ? ', average of the male and female equations' : ''}`}>calculated</span>
+                  )}
+                </span>
+              </div>
+            )}
+            {riskAssessment.kidney?.uacr != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">Urine ACR:</span>
+                <span className="snapshot-value">
+                  {riskAssessment.kidney.uacr} mg/g ({riskAssessment.kidney.albuminuriaCategory.category})
+                </span>
+              </div>
+            )}
+            {(patientData?.bmi || getImputed('bmi')) && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">BMI:</span>
+                <span className="snapshot-value">
+                  {patientData?.bmi || getImputed('bmi').value}
+                  {getImputed('bmi') && <span className="estimated-badge">estimated</span>}
+                </span>
+              </div>
+            )}
+            {riskAssessment.riskFactorDetails?.packYears != null && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">Smoking History:</span>
+                <span className="snapshot-value">
+                  {riskAssessment.riskFactorDetails.packYears} pack-years
+                </span>
+              </div>
+            )}
+            {riskAssessment.riskFactorDetails?.diabetesType && (
+              <div className="snapshot-item">
+                <span className="snapshot-label">Diabetes:</span>
+                <span className="snapshot-value">
+                  {getDiabetesTypeLabel(riskAssessment.riskFactorDetails.diabetesType)}
+                  {riskAssessment.riskFactorDetails.diabetesDuration != null && `, ${riskAssessment.riskFactorDetails.diabetesDuration} years`}
+                </span>
               </div>
             )}
           </div>
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import apiClient from '../api/client';
+import './ScenarioBuilder.css';
+
+// Modifiable risk factors a scenario can change (age, gender and diabetes are fixed)
+const SCENARIO_FIELDS = {
+  systolicBP: { label: 'Systolic BP', unit: 'mmHg', type: 'number' },
+  diastolicBP: { label: 'Diastolic BP', unit: 'mmHg', type: 'number' },
+  cholesterol: { label: 'Total Cholesterol', unit: 'mg/dL', type: 'number' },
+  hdlCholesterol: { label: 'HDL Cholesterol', unit: 'mg/dL', type: 'number' },
+  bmi: { label: 'BMI', unit: '', type: 'number' },
+  smoking: { label: 'Smoking', type: 'select', options: ['never', 'former', 'current'] },
+  moderateMinutes: { label: 'Moderate Activity', unit: 'min/week', type: 'number' },
+  vigorousMinutes: { label: 'Vigorous Activity', unit: 'min/week', type: 'number' }
+};
+
+// Common goals offered as one-click scenarios
+const PRESET_SCENARIOS = [
+  { name: 'Quit smoking', overrides: { smoking: 'former' } },
+  { name: 'Systolic BP of 120', overrides: { systolicBP: 120 } },
+  { name: 'Total cholesterol of 180', overrides: { cholesterol: 180 } },
+  { name: 'BMI of 25', overrides: { bmi: 25 } },
+  { name: 'Quit smoking and BP of 120', overrides: { smoking: 'former', systolicBP: 120 } }
+];
+
+const ScenarioBuilder = ({ patientData }) => {
+  const [scenarios, setScenarios] = useState([]);
+  const [customName, setCustomName] = useState('');
+  const [customField, setCustomField] = useState('systolicBP');
+  const [customValue, setCustomValue] = useState('');
+  const [customOverrides, setCustomOverrides] = useState({});
+  const [simulation, setSimulation] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Presets that would actually change something for this patient
+  const availablePresets = PRESET_SCENARIOS.filter(preset =>
+    Object.entries(preset.overrides).some(([field, value]) => {
+      if (field === 'smoking') return patientData?.smoking === 'current';
+      return !patientData?.[field] || Number(patientData[field]) > value;
+    })
+  );
+
+  const formatOverrides = (overrides) =>
+    Object.entries(overrides)
+      .map(([field, value]) => {
+        const config = SCENARIO_FIELDS[field];
+        if (!config) return `${field}: ${value}`;
+        return `${config.label}: ${value}${config.unit ? ` ${config.unit}` : ''}`;
+      })
+      .join(', ');
+
+  const formatChange = (value, suffix) => {
+    if (value === null || value === undefined) return 'N/A';
+    return `${value > 0 ? '+' : ''}${value}${suffix}`;
+  };
+
+  const addScenario = (scenario) => {
+    if (scenarios.some(existing => existing.name === scenario.name)) return;
+    setScenarios([...scenarios, scenario]);
+    setSimulation(null);
+  };
+
+  const removeScenario = (name) => {
+    setScenarios(scenarios.filter(scenario => scenario.name !== name));
+    setSimulation(null);
+  };
+
+  const addCustomOverride = () => {
+    if (customValue === '') return;
+    const value = SCENARIO_FIELDS[customField].type === 'number' ? parseFloat(customValue) : customValue;
+    setCustomOverrides({ ...customOverrides, [customField]: value });
+    setCustomValue('');
+  };
+
+  const addCustomScenario = () => {
+    if (Object.keys(customOverrides).length === 0) return;
+    addScenario({
+      name: customName.trim() || `Custom scenario ${scenarios.length + 1}`,
+      overrides: customOverrides
+    });
+    setCustomName('');
+    setCustomOverrides({});
+  };
+
+  const runSimulation = async () => {
+    setIsSimulating(true);
+    setError(null);
+    try {
+      const response = await apiClient.post('/risk-assessment/simulate', {
+        patient: patientData,
+        scenarios
+      });
+
+      if (response.data && response.data.success) {
+        setSimulation(response.data);
+      } else {
+        console.error('Unexpected response format:', response.data);
+        setError('Unexpected response from server.');
+      }
+    } catch (err) {
+      console.error('Error simulating scenarios:', err);
+      if (err.response) {
+        const details = err.response.data?.details;
+        setError(details ? details.join(' ') : err.response.data?.message || err.response.data?.error || 'Server error');
+      } else {
+        setError('Please make sure the backend server is running on port 5000.');
+      }
+    } finally {
+      setIsSimulating(false);
+    }
+  };
+
+  if (!patientData) {
+    return null;
+  }
+
+  const fieldConfig = SCENARIO_FIELDS[customField];
+
+  return (
+    <div className="scenario-card">
+      <h3>What If? Explore Changes</h3>
+      <p className="scenario-intro">
+        See how your risk would change if you improved one or more risk factors. Age and gender stay the same in every scenario.
+      </p>
+
+      {availablePresets.length > 0 && (
+        <div className="scenario-presets">
+          {availablePresets.map(preset => (
+            <button
+              key={preset.name}
+              className="scenario-preset"
+              onClick={() => addScenario(preset)}
+              disabled={scenarios.some(scenario => scenario.name === preset.name)}
+            >
+              + {preset.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="scenario-custom">
+        <input
+          type="text"
+          className="scenario-input"
+          placeholder="Scenario name (optional)"
+          value={customName}
+          onChange={(e) => setCustomName(e.target.value)}
+        />
+        <div className="scenario-override-row">
+          <select
+            className="scenario-input"
+            value={customField}
+            onChange={(e) => {
+              setCustomField(e.target.value);
+              setCustomValue('');
+            }}
+          >
+            {Object.entries(SCENARIO_FIELDS).map(([field, config]) => (
+              <option key={field} value={field}>{config.label}</option>
+            ))}
+          </select>
+          {fieldConfig.type === 'select' ? (
+            <select
+              className="scenario-input"
+              value={customValue}
+              onChange={(e) => setCustomValue(e.target.value)}
+            >
+              <option value="">Select...</option>
+              {fieldConfig.options.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              className="scenario-input"
+              placeholder={fieldConfig.unit || 'Value'}
+              value={customValue}
+              onChange={(e) => setCustomValue(e.target.value)}
+            />
+          )}
+          <button className="btn btn-secondary" onClick={addCustomOverride} disabled={customValue === ''}>
+            Add Change
+          </button>
+        </div>
+        {Object.keys(customOverrides).length > 0 && (
+          <div className="scenario-pending">
+            <span>{formatOverrides(customOverrides)}</span>
+            <button className="btn btn-secondary" onClick={addCustomScenario}>
+              Add Scenario
+            </button>
+          </div>
+        )}
+      </div>
+
+      {scenarios.length > 0 && (
+        <ul className="scenario-list">
+          {scenarios.map(scenario => (
+            <li key={scenario.name}>
+              <span>
+                <strong>{scenario.name}</strong> — {formatOverrides(scenario.overrides)}
+              </span>
+              <button className="scenario-remove" onClick={() => removeScenario(scenario.name)}>
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        className="btn btn-primary"
+        onClick={runSimulation}
+        disabled={scenarios.length === 0 || isSimulating}
+      >
+        {isSimulating ? 'Simulating...' : 'Compare Scenarios'}
+      </button>
+
+      {error && <p className="scenario-error">{error}</p>}
+
+      {simulation && (
+        <table className="scenario-results">
+          <thead>
+            <tr>
+              <th>Scenario</th>
+              <th>10-Year Risk</th>
+              <th>Change</th>
+              <th>Relative Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="scenario-baseline">
+              <td>Current</td>
+              <td>{simulation.baseline.riskPercentage}%</td>
+              <td>—</td>
+              <td>—</td>
+            </tr>
+            {simulation.scenarios.map(result => (
+              <tr key={result.name}>
+                <td>{result.name}</td>
+                <td>{result.riskPercentage}%</td>
+                <td className={result.absoluteChange < 0 ? 'scenario-better' : result.absoluteChange > 0 ? 'scenario-worse' : ''}>
+                  {formatChange(result.absoluteChange, ' pts')}
+                </td>
+                <td>{formatChange(result.relativeChange, '%')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioBuilder;
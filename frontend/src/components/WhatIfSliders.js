@@ -0,0 +1,123 @@
+import React from 'react';
+import './WhatIfSliders.css';
+
+// Slider controls for the continuous risk factors
+export const SLIDER_FIELDS = {
+  systolicBP: { label: 'Systolic BP', unit: 'mmHg', min: 90, max: 200, step: 1, fallback: 120 },
+  cholesterol: { label: 'Total Cholesterol', unit: 'mg/dL', min: 120, max: 320, step: 5, fallback: 200 },
+  hdlCholesterol: { label: 'HDL Cholesterol', unit: 'mg/dL', min: 20, max: 100, step: 1, fallback: 50 },
+  bmi: { label: 'BMI', unit: 'kg/m²', min: 16, max: 45, step: 0.5, fallback: 26.5 },
+  // The 10-year equations don't read activity; its effect shows in the Life's Essential 8 score
+  moderateMinutes: {
+    label: 'Moderate Activity',
+    unit: 'min/week',
+    min: 0,
+    max: 600,
+    step: 10,
+    fallback: 0,
+    note: "Not used by the 10-year risk equations; changes your Life's Essential 8 score"
+  }
+};
+
+// Toggle controls for the categorical risk factors the risk equations read
+export const TOGGLE_FIELDS = {
+  smoking: {
+    label: 'Smoking',
+    options: [
+      { value: 'never', label: 'Never' },
+      { value: 'former', label: 'Former' },
+      { value: 'current', label: 'Current' }
+    ],
+    fallback: 'never'
+  }
+};
+
+/**
+ * Starting value of every control: the patient's own value, the value the backend imputed,
+ * or a typical value when neither is known
+ */
+export const getInitialValues = (patientData, imputedFields = []) => {
+  const values = {};
+  const imputed = (field) => imputedFields.find(item => item.field === field);
+
+  Object.entries(SLIDER_FIELDS).forEach(([field, config]) => {
+    const value = patientData?.[field] ?? imputed(field)?.value;
+    values[field] = value !== undefined && value !== null && value !== '' ? Number(value) : config.fallback;
+  });
+  Object.entries(TOGGLE_FIELDS).forEach(([field, config]) => {
+    values[field] = patientData?.[field] || config.fallback;
+  });
+  // The chatbot may record smoking as a yes/no answer
+  if (patientData?.smoking === true || patientData?.smoking === 'yes') {
+    values.smoking = 'current';
+  }
+
+  return values;
+};
+
+const WhatIfSliders = ({ values, initialValues, onChange, onReset, isUpdating }) => {
+  const hasChanges = Object.keys(values).some(field => values[field] !== initialValues[field]);
+
+  return (
+    <div className="whatif-card">
+      <div className="whatif-header">
+        <h3>Adjust Your Risk Factors</h3>
+        {isUpdating && <span className="whatif-updating">Updating...</span>}
+      </div>
+      <p className="whatif-intro">
+        Move the sliders to see how changes would affect your risk. The updated estimate appears next to
+        your current risk and in each model card.
+      </p>
+
+      <div className="whatif-sliders">
+        {Object.entries(SLIDER_FIELDS).map(([field, config]) => (
+          <div key={field} className="whatif-slider">
+            <label htmlFor={`whatif-${field}`}>
+              {config.label}
+              <span className={`whatif-value ${values[field] !== initialValues[field] ? 'changed' : ''}`}>
+                {values[field]} {config.unit}
+              </span>
+            </label>
+            <input
+              id={`whatif-${field}`}
+              type="range"
+              min={config.min}
+              max={config.max}
+              step={config.step}
+              value={values[field]}
+              onChange={(e) => onChange(field, parseFloat(e.target.value))}
+            />
+            {config.note && <span className="whatif-slider-note">{config.note}</span>}
+          </div>
+        ))}
+      </div>
+
+      <div className="whatif-toggles">
+        {Object.entries(TOGGLE_FIELDS).map(([field, config]) => (
+          <div key={field} className="whatif-toggle">
+            <span className="whatif-toggle-label">{config.label}</span>
+            <div className="whatif-toggle-options">
+              {config.options.map(option => (
+                <button
+                  key={option.value}
+                  className={`whatif-option ${values[field] === option.value ? 'active' : ''}`}
+                  onClick={() => onChange(field, option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {hasChanges && (
+        <button className="btn btn-secondary" onClick={onReset}>
+          Reset to My Values
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WhatIfSliders;